@@ -0,0 +1,408 @@
+// Агрономические модели: фенология, риск болезней, экономика и водный баланс
+
+// МОДЕЛИ
+
+// Фенологические фазы по культурам: базовая температура и сумма активных температур (GDD) начала фазы.
+// Для водного баланса: коэффициент культуры kc по фазам (FAO-56), глубина корней rootDepth (м)
+// и допустимая доля истощения доступной влаги depletionFraction
+const CROP_PHENOLOGY = {
+  grape: {
+    name: 'Виноград',
+    baseTemp: 10,
+    rootDepth: 1.0,
+    depletionFraction: 0.45,
+    phases: [
+      { gdd: 0, name: 'Покой', kc: 0.3 },
+      { gdd: 100, name: 'Набухание почек', kc: 0.3 },
+      { gdd: 200, name: 'Распускание почек', kc: 0.35 },
+      { gdd: 300, name: 'Появление листьев', kc: 0.5 },
+      { gdd: 500, name: 'Цветение', kc: 0.7 },
+      { gdd: 800, name: 'Формирование ягод', kc: 0.7 },
+      { gdd: 1200, name: 'Веризон (созревание)', kc: 0.6 },
+      { gdd: 1600, name: 'Полная зрелость', kc: 0.45 }
+    ]
+  },
+  apple: {
+    name: 'Яблоня',
+    baseTemp: 5,
+    rootDepth: 1.0,
+    depletionFraction: 0.5,
+    phases: [
+      { gdd: 0, name: 'Покой', kc: 0.45 },
+      { gdd: 60, name: 'Набухание почек', kc: 0.45 },
+      { gdd: 110, name: 'Зеленый конус', kc: 0.5 },
+      { gdd: 200, name: 'Розовый бутон', kc: 0.6 },
+      { gdd: 280, name: 'Цветение', kc: 0.75 },
+      { gdd: 380, name: 'Завязывание плодов', kc: 0.9 },
+      { gdd: 600, name: 'Рост плодов', kc: 0.95 },
+      { gdd: 1500, name: 'Созревание', kc: 0.7 }
+    ]
+  },
+  cherry: {
+    name: 'Черешня',
+    baseTemp: 4.5,
+    rootDepth: 1.0,
+    depletionFraction: 0.5,
+    phases: [
+      { gdd: 0, name: 'Покой', kc: 0.45 },
+      { gdd: 60, name: 'Набухание почек', kc: 0.45 },
+      { gdd: 150, name: 'Белый бутон', kc: 0.55 },
+      { gdd: 230, name: 'Цветение', kc: 0.75 },
+      { gdd: 350, name: 'Завязывание плодов', kc: 0.9 },
+      { gdd: 550, name: 'Рост плодов', kc: 0.95 },
+      { gdd: 850, name: 'Созревание', kc: 0.7 }
+    ]
+  },
+  strawberry: {
+    name: 'Земляника',
+    baseTemp: 5,
+    rootDepth: 0.3,
+    depletionFraction: 0.2,
+    phases: [
+      { gdd: 0, name: 'Покой', kc: 0.4 },
+      { gdd: 100, name: 'Отрастание листьев', kc: 0.5 },
+      { gdd: 250, name: 'Выдвижение цветоносов', kc: 0.7 },
+      { gdd: 350, name: 'Цветение', kc: 0.85 },
+      { gdd: 500, name: 'Формирование ягод', kc: 0.85 },
+      { gdd: 700, name: 'Созревание', kc: 0.75 }
+    ]
+  },
+  tomato: {
+    name: 'Томат',
+    baseTemp: 10,
+    rootDepth: 0.7,
+    depletionFraction: 0.4,
+    phases: [
+      { gdd: 0, name: 'Высадка', kc: 0.6 },
+      { gdd: 150, name: 'Вегетативный рост', kc: 0.8 },
+      { gdd: 400, name: 'Цветение', kc: 1.15 },
+      { gdd: 700, name: 'Завязывание плодов', kc: 1.15 },
+      { gdd: 1100, name: 'Созревание', kc: 0.8 }
+    ]
+  }
+};
+
+// Сколько последних дней учитывать при прогнозе скорости набора GDD
+const GDD_FORECAST_DAYS = 7;
+
+class PredictionModels {
+  constructor(diseaseModels = DISEASE_MODELS) {
+    this.diseaseModels = [...diseaseModels];
+  }
+
+  // weatherData - массив суток { minTemp, maxTemp } в хронологическом порядке,
+  // forecast - прогноз на следующие сутки в том же формате
+  predictPhenologicalPhase(weatherData, cropType, forecast = []) {
+    const crop = CROP_PHENOLOGY[cropType] || CROP_PHENOLOGY.grape;
+    const { baseTemp, phases } = crop;
+
+    const dayGdd = day => Math.max(0, (day.maxTemp + day.minTemp) / 2 - baseTemp);
+    const dailyGdd = weatherData.map(dayGdd);
+    const gdd = dailyGdd.reduce((sum, value) => sum + value, 0);
+
+    let phaseIndex = 0;
+    while (phaseIndex + 1 < phases.length && gdd >= phases[phaseIndex + 1].gdd) {
+      phaseIndex++;
+    }
+
+    const current = phases[phaseIndex];
+    const next = phases[phaseIndex + 1] || null;
+
+    // Скорость набора GDD по последним дням - для прогноза следующей фазы
+    const recent = dailyGdd.slice(-GDD_FORECAST_DAYS);
+    const gddPerDay = recent.length > 0 ? recent.reduce((sum, value) => sum + value, 0) / recent.length : 0;
+
+    const gddToNextPhase = next ? next.gdd - gdd : 0;
+    const progress = next ? ((gdd - current.gdd) / (next.gdd - current.gdd)) * 100 : 100;
+
+    // Дни прогноза набирают GDD по прогнозной температуре, дальше - по средней скорости
+    let daysToNextPhase = next && gddPerDay > 0 ? Math.ceil(gddToNextPhase / gddPerDay) : null;
+    if (next && forecast.length > 0) {
+      let remaining = gddToNextPhase;
+      let days = 0;
+      for (const day of forecast) {
+        if (remaining <= 0) {
+          break;
+        }
+        remaining -= dayGdd(day);
+        days++;
+      }
+      if (remaining <= 0) {
+        daysToNextPhase = days;
+      } else {
+        daysToNextPhase = gddPerDay > 0 ? days + Math.ceil(remaining / gddPerDay) : null;
+      }
+    }
+
+    return {
+      currentPhase: current.name,
+      nextPhase: next ? next.name : null,
+      progress: Math.round(Math.min(100, Math.max(0, progress)) * 10) / 10,
+      gdd: Math.round(gdd * 10) / 10,
+      gddToNextPhase: Math.round(gddToNextPhase * 10) / 10,
+      gddPerDay: Math.round(gddPerDay * 100) / 100,
+      daysToNextPhase
+    };
+  }
+
+  // Подключение дополнительной модели болезни (см. DISEASE_MODELS)
+  registerDiseaseModel(model) {
+    if (!model.key || !model.name || typeof model.evaluate !== 'function') {
+      throw new Error('Модель болезни должна содержать key, name и evaluate()');
+    }
+    this.diseaseModels = this.diseaseModels.filter(existing => existing.key !== model.key);
+    this.diseaseModels.push(model);
+  }
+
+  predictDiseaseRisk(weatherData, humidity, leafWetness) {
+    const risks = [];
+
+    for (const model of this.diseaseModels) {
+      const risk = model.evaluate({ temperature: weatherData.temperature, humidity, leafWetness });
+      if (risk) {
+        risks.push({
+          key: model.key,
+          disease: model.name,
+          ...risk,
+          probability: Math.round(risk.probability * 10) / 10
+        });
+      }
+    }
+
+    return risks;
+  }
+}
+
+// Модели болезней: evaluate получает { temperature, humidity, leafWetness } и возвращает
+// { riskLevel, probability, recommendation } или null, если условия для развития болезни отсутствуют
+const DISEASE_MODELS = [
+  {
+    key: 'scab',
+    name: 'Парша',
+    evaluate({ temperature, humidity, leafWetness }) {
+      if (!(humidity > 90 && temperature > 10 && temperature < 25)) {
+        return null;
+      }
+      const riskScore = (humidity - 85) * 0.1 + (leafWetness / 10);
+      return {
+        riskLevel: riskScore > 7 ? 'high' : riskScore > 4 ? 'medium' : 'low',
+        probability: Math.min(95, riskScore * 10),
+        recommendation: riskScore > 7 ? 'Срочная обработка фунгицидом' : 'Профилактическая обработка'
+      };
+    }
+  },
+  {
+    key: 'powdery_mildew',
+    name: 'Мучнистая роса',
+    evaluate({ temperature, humidity }) {
+      if (!(temperature > 15 && temperature < 30 && humidity > 70)) {
+        return null;
+      }
+      const riskScore = (temperature - 15) * 0.5 + (humidity - 70) * 0.3;
+      return {
+        riskLevel: riskScore > 6 ? 'high' : riskScore > 3 ? 'medium' : 'low',
+        probability: Math.min(90, riskScore * 12),
+        recommendation: 'Обработка серосодержащими препаратами'
+      };
+    }
+  },
+  {
+    key: 'downy_mildew',
+    name: 'Милдью',
+    evaluate({ temperature, humidity, leafWetness }) {
+      if (!(temperature > 10 && humidity > 85 && leafWetness >= 2)) {
+        return null;
+      }
+      const riskScore = leafWetness * 0.8 + (humidity - 85) * 0.2;
+      return {
+        riskLevel: riskScore > 6 ? 'high' : riskScore > 3 ? 'medium' : 'low',
+        probability: Math.min(90, riskScore * 12),
+        recommendation: 'Обработка медьсодержащими или системными фунгицидами'
+      };
+    }
+  },
+  {
+    key: 'grey_mould',
+    name: 'Серая гниль',
+    evaluate({ temperature, humidity, leafWetness }) {
+      if (!(temperature >= 15 && temperature <= 25 && humidity > 90 && leafWetness >= 4)) {
+        return null;
+      }
+      const riskScore = (humidity - 90) * 0.5 + leafWetness * 0.4;
+      return {
+        riskLevel: riskScore > 6 ? 'high' : riskScore > 3 ? 'medium' : 'low',
+        probability: Math.min(90, riskScore * 11),
+        recommendation: 'Проветривание, удаление пораженных частей, обработка против ботритиса'
+      };
+    }
+  }
+];
+
+class EconomicCalculator {
+  calculateIrrigationCost(waterVolume, electricityRate, laborCost) {
+    const waterCost = waterVolume * 0.15;
+    const electricityCost = (waterVolume * 0.1) * electricityRate;
+    const totalCost = waterCost + electricityCost + laborCost;
+    
+    return {
+      waterCost,
+      electricityCost, 
+      laborCost,
+      totalCost,
+      costPerHectare: totalCost
+    };
+  }
+
+  calculateROI(initialInvestment, yieldIncrease, productPrice, operationalCosts) {
+    const additionalRevenue = yieldIncrease * productPrice;
+    const netProfit = additionalRevenue - operationalCosts;
+    const roi = (netProfit / initialInvestment) * 100;
+    
+    return {
+      additionalRevenue,
+      netProfit,
+      roi: Math.round(roi * 100) / 100,
+      paybackPeriod: initialInvestment / netProfit
+    };
+  }
+
+  calculateProductionCost(operationalCosts, yieldAmount, fixedCosts = 0) {
+    const totalCost = operationalCosts + fixedCosts;
+    const costPerKg = totalCost / yieldAmount;
+    
+    return {
+      totalCost,
+      costPerKg: Math.round(costPerKg * 100) / 100,
+      operationalCosts,
+      fixedCosts
+    };
+  }
+}
+
+// Запас доступной влаги почвы, мм на метр корнеобитаемого слоя
+const SOIL_WATER_CAPACITY = {
+  sand: 70,
+  sandy_loam: 110,
+  loam: 160,
+  clay_loam: 180,
+  clay: 200
+};
+const DEFAULT_SOIL_TYPE = 'loam';
+
+// КПД системы полива (капельный полив) и параметры эффективных осадков:
+// дожди меньше порога испаряются с поверхности, от остального в почву уходит заданная доля
+const IRRIGATION_EFFICIENCY = parseFloat(process.env.IRRIGATION_EFFICIENCY) || 0.9;
+const EFFECTIVE_RAIN_THRESHOLD_MM = 2;
+const EFFECTIVE_RAIN_FACTOR = 0.8;
+
+// Водный баланс корнеобитаемого слоя по FAO-56
+class WaterBalanceCalculator {
+  // Внеземная радиация Ra (МДж/м² за сутки) по широте и дате
+  extraterrestrialRadiation(latitude, date) {
+    const start = new Date(`${date.slice(0, 4)}-01-01T00:00:00Z`);
+    const dayOfYear = Math.floor((new Date(`${date}T00:00:00Z`) - start) / 86400000) + 1;
+
+    const phi = (latitude * Math.PI) / 180;
+    const dr = 1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365);
+    const delta = 0.409 * Math.sin((2 * Math.PI * dayOfYear) / 365 - 1.39);
+    const omega = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(delta))));
+
+    return ((24 * 60) / Math.PI) * 0.082 * dr *
+      (omega * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(omega));
+  }
+
+  // Эталонная эвапотранспирация ET0 (мм/сут). Penman-Monteith, если есть радиация, влажность и ветер,
+  // иначе Hargreaves по температуре; без температуры - значение провайдера погоды
+  referenceEvapotranspiration(day, latitude) {
+    const round = value => Math.round(Math.max(0, value) * 100) / 100;
+    const { minTemp, maxTemp, humidity, windSpeed, solarRadiation } = day;
+
+    if (minTemp === null || maxTemp === null || minTemp === undefined || maxTemp === undefined) {
+      return day.et0 !== null && day.et0 !== undefined ? { et0: round(day.et0), method: 'provider' } : null;
+    }
+
+    const meanTemp = (minTemp + maxTemp) / 2;
+    const ra = this.extraterrestrialRadiation(latitude, day.date);
+
+    if ([humidity, windSpeed, solarRadiation].some(value => value === null || value === undefined)) {
+      const et0 = 0.0023 * 0.408 * ra * (meanTemp + 17.8) * Math.sqrt(Math.max(0, maxTemp - minTemp));
+      return { et0: round(et0), method: 'hargreaves' };
+    }
+
+    const saturation = temp => 0.6108 * Math.exp((17.27 * temp) / (temp + 237.3));
+    const es = (saturation(maxTemp) + saturation(minTemp)) / 2;
+    const ea = es * humidity / 100;
+    const slope = (4098 * saturation(meanTemp)) / (meanTemp + 237.3) ** 2;
+    const gamma = 0.000665 * 101.3;
+    // Ветер провайдера - на высоте 10 м, пересчитываем на 2 м
+    const u2 = windSpeed * 4.87 / Math.log(67.8 * 10 - 5.42);
+
+    const rso = 0.75 * ra;
+    const rns = 0.77 * solarRadiation;
+    const rnl = 4.903e-9 * (((maxTemp + 273.16) ** 4 + (minTemp + 273.16) ** 4) / 2) *
+      (0.34 - 0.14 * Math.sqrt(ea)) * (1.35 * Math.min(1, solarRadiation / rso) - 0.35);
+    const rn = rns - rnl;
+
+    const et0 = (0.408 * slope * rn + gamma * (900 / (meanTemp + 273)) * u2 * (es - ea)) /
+      (slope + gamma * (1 + 0.34 * u2));
+
+    return { et0: round(et0), method: 'penman-monteith' };
+  }
+
+  effectiveRainfall(precipitation) {
+    if (!precipitation || precipitation < EFFECTIVE_RAIN_THRESHOLD_MM) {
+      return 0;
+    }
+    return Math.round(precipitation * EFFECTIVE_RAIN_FACTOR * 100) / 100;
+  }
+
+  // Коэффициент культуры для фазы; неизвестная фаза - коэффициент первой фазы
+  cropCoefficient(cropType, phaseName) {
+    const crop = CROP_PHENOLOGY[cropType];
+    if (!crop) {
+      return null;
+    }
+    const phase = crop.phases.find(item => item.name === phaseName) || crop.phases[0];
+    return phase.kc;
+  }
+
+  // Общий (TAW) и легкодоступный (RAW) запас влаги, мм
+  soilWater(cropType, soilType = DEFAULT_SOIL_TYPE) {
+    const crop = CROP_PHENOLOGY[cropType];
+    const taw = (SOIL_WATER_CAPACITY[soilType] || SOIL_WATER_CAPACITY[DEFAULT_SOIL_TYPE]) * crop.rootDepth;
+    return { taw, raw: taw * crop.depletionFraction };
+  }
+
+  // Суточный баланс: дефицит растет на ETc и уменьшается на эффективные осадки и полив,
+  // оставаясь в пределах 0..TAW (излишек уходит в сток и глубже корней).
+  // days - [{ date, et0, kc, precipitation, irrigation }] в хронологическом порядке
+  runBalance(days, { taw, initialDeficit = 0 }) {
+    const round = value => Math.round(value * 100) / 100;
+    let deficit = initialDeficit;
+
+    return days.map(day => {
+      const etc = day.et0 * day.kc;
+      const effectiveRainfall = this.effectiveRainfall(day.precipitation);
+      const irrigation = day.irrigation || 0;
+
+      deficit = Math.min(taw, Math.max(0, deficit + etc - effectiveRainfall - irrigation));
+
+      return {
+        ...day,
+        etc: round(etc),
+        effectiveRainfall,
+        irrigation: round(irrigation),
+        deficit: round(deficit)
+      };
+    });
+  }
+}
+
+const predictionModels = new PredictionModels();
+const economicCalculator = new EconomicCalculator();
+const waterBalanceCalculator = new WaterBalanceCalculator();
+
+module.exports = {
+  CROP_PHENOLOGY, SOIL_WATER_CAPACITY, DEFAULT_SOIL_TYPE, IRRIGATION_EFFICIENCY, predictionModels,
+  economicCalculator, waterBalanceCalculator
+};
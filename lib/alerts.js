@@ -0,0 +1,228 @@
+// Оповещения и правила оповещений
+
+const { gardenEvents } = require('./events');
+const { pool } = require('./db');
+const { storage } = require('./storage');
+const { schema, defineSchema } = require('./schema');
+const { GARDEN_METRICS } = require('./readings');
+const { RULE_OPERATORS, checkSustainedCondition, describeCondition } = require('./irrigation-rules');
+
+// ==================== ОПОВЕЩЕНИЯ ====================
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Создание оповещения. Если по тому же поводу уже есть нерешенное оповещение - обновляем его
+async function raiseAlert(gardenId, { type, key, severity, title, message, details = null }) {
+  const { alert, created } = await storage.alerts.raise(gardenId, { type, key, severity, title, message, details }, new Date());
+
+  if (created) {
+    console.log(`🔔 Оповещение для сада ${gardenId}: ${title}`);
+    gardenEvents.emit('alert', { gardenId: parseInt(gardenId), alert, action: 'created' });
+  }
+
+  return { alert, created };
+}
+
+// Автоматическое закрытие оповещения, когда условие перестало выполняться
+async function resolveAlert(gardenId, { type, key }) {
+  const resolved = await storage.alerts.resolve(gardenId, { type, key }, new Date());
+
+  for (const alert of resolved) {
+    console.log(`✅ Оповещение ${alert.id} сада ${gardenId} закрыто автоматически`);
+    gardenEvents.emit('alert', { gardenId: parseInt(gardenId), alert, action: 'resolved' });
+  }
+
+  return resolved[0] || null;
+}
+
+// ==================== ПРАВИЛА ОПОВЕЩЕНИЙ ====================
+
+// Как часто проверять правила оповещений
+const ALERT_RULES_CHECK_INTERVAL_MS = parseInt(process.env.ALERT_RULES_CHECK_INTERVAL_MS) || 60000;
+
+const ALERT_RULE_TYPES = ['threshold', 'no_data'];
+const ALERT_SEVERITIES = ['low', 'medium', 'high'];
+
+// Поля правила оповещения: поле API -> колонка alert_rules
+const ALERT_RULE_FIELDS = {
+  name: 'name',
+  type: 'type',
+  enabled: 'enabled',
+  severity: 'severity',
+  metric: 'metric',
+  operator: 'operator',
+  threshold: 'threshold',
+  hysteresis: 'hysteresis',
+  sustainMinutes: 'sustain_minutes',
+  noDataMinutes: 'no_data_minutes'
+};
+
+// Поля, обязательные для типа правила оповещения (остальное проверяет ALERT_RULE_SCHEMA).
+// Возвращает ошибки в формате validate()
+function checkAlertRuleFields(rule) {
+  const required = { threshold: ['metric', 'operator', 'threshold'], no_data: ['noDataMinutes'] }[rule.type];
+  return required
+    .filter(field => rule[field] === null || rule[field] === undefined)
+    .map(field => ({ field, in: 'body', message: `Обязательное поле для правила типа ${rule.type}` }));
+}
+
+const ALERT_RULE_SCHEMA = defineSchema('AlertRuleInput', schema.object({
+  name: schema.string({ minLength: 1, maxLength: 100 }),
+  type: schema.enum(ALERT_RULE_TYPES),
+  enabled: schema.boolean(),
+  severity: schema.enum(ALERT_SEVERITIES),
+  metric: schema.nullable(schema.enum(Object.keys(GARDEN_METRICS))),
+  operator: schema.nullable(schema.enum(RULE_OPERATORS)),
+  threshold: schema.nullable(schema.number()),
+  hysteresis: schema.nullable(schema.number({ minimum: 0 })),
+  sustainMinutes: schema.nullable(schema.integer({ minimum: 0 })),
+  noDataMinutes: schema.nullable(schema.integer({ minimum: 1 }))
+}, { required: ['name', 'type'] }));
+
+// Оценка правила оповещения с учетом текущего состояния.
+// Гистерезис: сработавшее пороговое правило гаснет, только когда значение отойдет от порога на hysteresis
+async function evaluateAlertRule(rule, now = new Date()) {
+  if (rule.type === 'no_data') {
+    const column = rule.metric ? GARDEN_METRICS[rule.metric] : null;
+    const lastReceivedAt = await storage.readings.lastReceivedAt(rule.garden_id, column);
+    // Без единого показания отсчитываем от создания правила
+    const lastAt = lastReceivedAt ? new Date(lastReceivedAt) : new Date(rule.created_at);
+    const silentMinutes = Math.floor((now - lastAt) / 60000);
+
+    return {
+      firing: silentMinutes >= rule.no_data_minutes,
+      reason: lastReceivedAt
+        ? `Нет данных${rule.metric ? ` (${rule.metric})` : ''} ${silentMinutes} мин`
+        : 'Данные ни разу не поступали',
+      value: silentMinutes
+    };
+  }
+
+  const condition = await checkSustainedCondition(rule, now);
+  if (!condition) {
+    // Нет свежих данных - состояние не меняем, за этим следят правила no_data
+    return { firing: rule.state === 'firing', reason: 'Нет свежих данных', value: null };
+  }
+
+  if (rule.state === 'firing') {
+    const threshold = Number(rule.threshold);
+    const hysteresis = Number(rule.hysteresis) || 0;
+    const cleared = rule.operator === '<'
+      ? condition.current > threshold + hysteresis
+      : condition.current < threshold - hysteresis;
+    return { firing: !cleared, reason: describeCondition(rule, condition.current), value: condition.current };
+  }
+
+  return { firing: condition.met, reason: describeCondition(rule, condition.current), value: condition.current };
+}
+
+// Проверка правила и смена состояния: ok -> firing поднимает оповещение, firing -> ok закрывает его
+async function applyAlertRule(rule, now = new Date()) {
+  const evaluation = await evaluateAlertRule(rule, now);
+  const state = evaluation.firing ? 'firing' : 'ok';
+  const alertKey = { type: 'rule', key: `rule-${rule.id}` };
+
+  if (state !== rule.state) {
+    if (state === 'firing') {
+      await raiseAlert(rule.garden_id, {
+        ...alertKey,
+        severity: rule.severity,
+        title: rule.name,
+        message: evaluation.reason,
+        details: { ruleId: rule.id, value: evaluation.value }
+      });
+    } else {
+      await resolveAlert(rule.garden_id, alertKey);
+    }
+    console.log(`📏 Правило оповещения ${rule.id} (сад ${rule.garden_id}): ${state} - ${evaluation.reason}`);
+  }
+
+  await pool.query(
+    `UPDATE alert_rules SET state = $1, state_changed_at = $2, last_evaluated_at = $3 WHERE id = $4`,
+    [state, state !== rule.state ? now : rule.state_changed_at, now, rule.id]
+  );
+
+  return { ...evaluation, state, changed: state !== rule.state };
+}
+
+// Проверка всех включенных правил оповещений
+async function evaluateAlertRules() {
+  const result = await pool.query('SELECT * FROM alert_rules WHERE enabled = true ORDER BY id');
+
+  for (const rule of result.rows) {
+    try {
+      await applyAlertRule(rule);
+    } catch (error) {
+      console.error(`Ошибка проверки правила оповещения ${rule.id}:`, error.message);
+    }
+  }
+}
+
+function startAlertEngine() {
+  const tick = () => evaluateAlertRules().catch(error => {
+    console.error('Alert rules error:', error.message);
+  });
+
+  tick();
+  return setInterval(tick, ALERT_RULES_CHECK_INTERVAL_MS);
+}
+
+// Middleware: загружает правило оповещения текущего сада
+const loadAlertRule = async (req, res, next) => {
+  try {
+    const { gardenId, ruleId } = req.params;
+
+    const result = /^\d+$/.test(ruleId) ? await pool.query(
+      'SELECT * FROM alert_rules WHERE id = $1 AND garden_id = $2',
+      [ruleId, gardenId]
+    ) : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Правило оповещения не найдено'
+      });
+    }
+
+    req.alertRule = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Load alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения правила оповещения: ' + error.message
+    });
+  }
+};
+
+// Сохранение правила оповещения. При изменении условий состояние сбрасывается
+async function saveAlertRule(gardenId, rule, { ruleId = null, userId = null } = {}) {
+  const columns = Object.values(ALERT_RULE_FIELDS);
+  const values = Object.keys(ALERT_RULE_FIELDS).map(field => (rule[field] === undefined ? null : rule[field]));
+  const now = new Date();
+
+  if (ruleId) {
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const result = await pool.query(
+      `UPDATE alert_rules SET ${assignments.join(', ')}, state = 'ok', state_changed_at = $${columns.length + 1}, 
+       updated_at = $${columns.length + 1} 
+       WHERE id = $${columns.length + 2} RETURNING *`,
+      [...values, now, ruleId]
+    );
+    await resolveAlert(gardenId, { type: 'rule', key: `rule-${ruleId}` });
+    return result.rows[0];
+  }
+
+  const placeholders = columns.map((column, index) => `$${index + 2}`);
+  const result = await pool.query(
+    `INSERT INTO alert_rules (garden_id, ${columns.join(', ')}, created_by, created_at, updated_at) 
+     VALUES ($1, ${placeholders.join(', ')}, $${columns.length + 2}, $${columns.length + 3}, $${columns.length + 3}) RETURNING *`,
+    [gardenId, ...values, userId, now]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  ALERT_STATUSES, raiseAlert, resolveAlert, ALERT_SEVERITIES, ALERT_RULE_FIELDS, checkAlertRuleFields,
+  ALERT_RULE_SCHEMA, evaluateAlertRules, startAlertEngine, loadAlertRule, saveAlertRule
+};
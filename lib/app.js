@@ -0,0 +1,31 @@
+// Приложение Express и общие middleware. Маршруты регистрируются в lib/routes и server.js
+
+const express = require('express');
+const cors = require('cors');
+
+const app = express();
+
+// За прокси (Render и т.п.) IP клиента берется из X-Forwarded-For: TRUST_PROXY - число прокси перед сервером
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Middleware
+app.use(cors({
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy']
+}));
+// Исходное тело сохраняется в req.rawBody: подпись устройства проверяется по байтам, а не по разобранному JSON
+app.use(express.json({
+  limit: process.env.JSON_BODY_LIMIT || '2mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
+
+// Middleware для логирования
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  next();
+});
+
+module.exports = { app };
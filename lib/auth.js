@@ -0,0 +1,271 @@
+// Пароли, токены, сессии и доступ к садам
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const { storage } = require('./storage');
+const { schema, sendValidationError } = require('./schema');
+
+// Настройки аутентификации
+const getAuthConfig = () => {
+  let accessSecret = process.env.JWT_SECRET;
+  let refreshSecret = process.env.JWT_REFRESH_SECRET;
+
+  if (!accessSecret || !refreshSecret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET и JWT_REFRESH_SECRET обязательны в production');
+    }
+    // Для локальной разработки генерируем ключи на время жизни процесса
+    console.warn('⚠️  JWT_SECRET не задан - используются временные ключи, токены не переживут перезапуск');
+    accessSecret = accessSecret || crypto.randomBytes(32).toString('hex');
+    refreshSecret = refreshSecret || crypto.randomBytes(32).toString('hex');
+  }
+
+  return {
+    accessSecret,
+    refreshSecret,
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtl: process.env.REFRESH_TOKEN_TTL || '30d',
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10
+  };
+};
+
+const authConfig = getAuthConfig();
+
+// ==================== АУТЕНТИФИКАЦИЯ ====================
+
+// Пароли храним в виде bcrypt-хеша (соль входит в сам хеш)
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
+async function hashPassword(password) {
+  return bcrypt.hash(password, authConfig.bcryptRounds);
+}
+
+// Проверка пароля. Старые записи с паролем в открытом виде
+// сравниваются напрямую и помечаются на перехеширование
+async function verifyPassword(password, storedPassword) {
+  if (BCRYPT_HASH_PATTERN.test(storedPassword)) {
+    return { valid: await bcrypt.compare(password, storedPassword), needsRehash: false };
+  }
+
+  const given = Buffer.from(String(password));
+  const stored = Buffer.from(String(storedPassword));
+  const valid = given.length === stored.length && crypto.timingSafeEqual(given, stored);
+
+  return { valid, needsRehash: valid };
+}
+
+// Хеш для сверки пароля при входе с неизвестным логином
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), authConfig.bcryptRounds);
+
+// Выдача пары токенов и запись сессии в БД
+async function issueTokens(userId) {
+  const tokenId = crypto.randomUUID();
+
+  const accessToken = jwt.sign({ type: 'access' }, authConfig.accessSecret, {
+    subject: String(userId),
+    expiresIn: authConfig.accessTokenTtl
+  });
+
+  const refreshToken = jwt.sign({ type: 'refresh' }, authConfig.refreshSecret, {
+    subject: String(userId),
+    jwtid: tokenId,
+    expiresIn: authConfig.refreshTokenTtl
+  });
+
+  const { exp } = jwt.decode(refreshToken);
+  await storage.sessions.create(userId, tokenId, new Date(exp * 1000));
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+  };
+}
+
+// Проверка refresh-токена: подпись, срок и отсутствие отзыва
+async function verifyRefreshToken(refreshToken) {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, authConfig.refreshSecret);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.type !== 'refresh' || !payload.jti) {
+    return null;
+  }
+
+  const session = await storage.sessions.findActive(payload.jti, new Date());
+  if (!session) {
+    return null;
+  }
+
+  return { userId: parseInt(payload.sub), tokenId: payload.jti };
+}
+
+async function revokeSession(tokenId) {
+  await storage.sessions.revoke(tokenId);
+}
+
+// Проверка access-токена, возвращает id пользователя
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, authConfig.accessSecret);
+  if (payload.type !== 'access') {
+    throw new Error('Неверный тип токена');
+  }
+  return parseInt(payload.sub);
+}
+
+// Владелец access-токена должен существовать и не быть заблокированным: удаление аккаунта
+// и блокировка действуют сразу, а не после истечения токена. Возвращает { user } или { status, error }
+async function loadTokenUser(userId) {
+  const user = await storage.users.findById(userId);
+  if (!user) {
+    return { status: 401, error: 'Пользователь не найден' };
+  }
+  if (user.disabled_at) {
+    return { status: 403, error: 'Аккаунт заблокирован администратором' };
+  }
+  return { user };
+}
+
+// Middleware проверки access-токена
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Требуется авторизация'
+    });
+  }
+
+  let userId;
+  try {
+    userId = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Недействительный или просроченный токен'
+    });
+  }
+
+  try {
+    const { user, status, error } = await loadTokenUser(userId);
+    if (!user) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    req.user = { id: user.id, role: user.role };
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка проверки авторизации: ' + error.message
+    });
+  }
+};
+
+// Middleware: пользователь может работать только со своим аккаунтом
+const authorizeSelf = (req, res, next) => {
+  if (parseInt(req.params.userId) !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'Нет доступа к этому пользователю'
+    });
+  }
+  next();
+};
+
+// Middleware: действие только для администратора. Роль читается из базы в authenticate,
+// поэтому снятие прав действует сразу, а не после истечения access-токена
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Требуются права администратора'
+    });
+  }
+  next();
+};
+requireAdmin.roles = ['admin'];
+
+// ==================== ДОСТУП К САДАМ ====================
+
+const GARDEN_ROLES = ['owner', 'agronomist', 'viewer'];
+
+// Параметр пути с идентификатором сада (проверяется в loadGarden)
+const GARDEN_ID_PARAM = { gardenId: schema.id({ description: 'Идентификатор сада' }) };
+
+// Middleware: загружает сад и роль текущего пользователя в нем
+const loadGarden = async (req, res, next) => {
+  try {
+    const { gardenId } = req.params;
+
+    if (!/^\d+$/.test(gardenId)) {
+      return sendValidationError(res, [{ field: 'gardenId', in: 'params', message: 'Некорректный идентификатор сада' }]);
+    }
+
+    const found = await storage.gardens.findWithRole(gardenId, req.user.id);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Сад не найден'
+      });
+    }
+
+    const { role, ...garden } = found;
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        error: 'Нет доступа к этому саду'
+      });
+    }
+
+    req.garden = garden;
+    req.gardenRole = role;
+    next();
+  } catch (error) {
+    console.error('Garden access error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка проверки доступа к саду: ' + error.message
+    });
+  }
+};
+
+// Middleware: ограничение действий по роли в саду. Роли попадают в описание маршрута в OpenAPI
+const requireGardenRole = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!roles.includes(req.gardenRole)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Недостаточно прав для этого действия'
+      });
+    }
+    next();
+  };
+  middleware.roles = roles;
+  return middleware;
+};
+
+// Сколько владельцев останется у сада, если убрать/понизить пользователя
+async function countOtherOwners(gardenId, userId) {
+  return storage.gardens.countOwners(gardenId, userId);
+}
+
+module.exports = {
+  authConfig, hashPassword, verifyPassword, DUMMY_PASSWORD_HASH, issueTokens, verifyRefreshToken, revokeSession,
+  verifyAccessToken, loadTokenUser, authenticate, authorizeSelf, requireAdmin, GARDEN_ROLES, GARDEN_ID_PARAM,
+  loadGarden, requireGardenRole, countOtherOwners
+};
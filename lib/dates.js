@@ -0,0 +1,86 @@
+// Даты и часовые пояса
+
+function isValidDateString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+}
+
+// Дата в формате ГГГГ-ММ-ДД (DATE из pg приходит как Date в местном времени)
+function toDateString(value) {
+  if (value instanceof Date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+// Дата ГГГГ-ММ-ДД, сдвинутая на days суток
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+}
+
+// Смещение часового пояса от UTC в минутах на заданный момент
+function getTimezoneOffsetMinutes(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Момент в виде ГГГГ-ММ-ДДTЧЧ:ММ:СС±ЧЧ:ММ в заданном часовом поясе
+function formatInTimezone(value, timezone) {
+  const date = new Date(value);
+  const offset = getTimezoneOffsetMinutes(date, timezone);
+  const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+  const pad = number => String(Math.floor(number)).padStart(2, '0');
+  return `${local}${offset >= 0 ? '+' : '-'}${pad(Math.abs(offset) / 60)}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// Местное время без смещения (ГГГГ-ММ-ДД[ ЧЧ:ММ[:СС]]) в часовом поясе -> момент
+function zonedTimeToDate(value, timezone) {
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimezoneOffsetMinutes(new Date(guess), timezone);
+  return new Date(guess - offset * 60000);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Местные дата, день недели (1 - пн) и минуты от начала суток
+function getLocalTime(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23', weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const weekdays = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: weekdays[parts.weekday],
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+module.exports = {
+  isValidDateString, toDateString, addDays, formatInTimezone, zonedTimeToDate, isValidTimezone, getLocalTime
+};
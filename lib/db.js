@@ -0,0 +1,64 @@
+// Пул PostgreSQL, выбор хранилища и разделы, доступные только с PostgreSQL
+
+const { Pool } = require('pg');
+
+// Умное подключение к БД
+const getDatabaseConfig = () => {
+  // Если есть DATABASE_URL (Render) - используем облачную БД с SSL
+  if (process.env.DATABASE_URL) {
+    console.log('🔗 Подключение к облачной БД Render');
+    return {
+      connectionString: process.env.DATABASE_URL,
+      ssl: {
+        rejectUnauthorized: false
+      }
+    };
+  }
+  
+  // Для локальной разработки - используем локальную БД без SSL
+  console.log('💻 Подключение к локальной БД');
+  return {
+    user: process.env.DB_USER || 'postgres',
+    host: process.env.DB_HOST || 'localhost',
+    database: process.env.DB_NAME || 'smart_garden',
+    password: process.env.DB_PASSWORD || '1',
+    port: process.env.DB_PORT || 5432
+  };
+};
+
+// Хранилище: postgres (по умолчанию) или memory - без базы данных, для разработки, демо и автотестов
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'postgres';
+
+// В режиме memory функции, которым нужен PostgreSQL, отвечают понятной ошибкой вместо попыток подключения
+const createUnavailablePool = () => {
+  const unavailable = async () => {
+    throw new Error('функция доступна только с PostgreSQL (STORAGE_BACKEND=memory)');
+  };
+  return { query: unavailable, connect: unavailable, end: async () => {} };
+};
+
+const pool = STORAGE_BACKEND === 'memory' ? createUnavailablePool() : new Pool(getDatabaseConfig());
+
+// Разделы, данные которых хранятся только в PostgreSQL: без базы (STORAGE_BACKEND=memory) отвечают 501
+const POSTGRES_ONLY_PATHS = [
+  ...['fertigation-recipes', 'fertigation-events', 'soil-analyses', 'leaf-analyses', 'nutrient-status', 'ledger',
+    'economics', 'export/ledger', 'water-balance', 'irrigation-rules', 'alert-rules', 'notification-channels',
+    'notifications'].map(section => `/api/garden/:gardenId/${section}`),
+  '/api/users/:userId/push-tokens'
+];
+
+function isPostgresOnlyPath(path) {
+  return POSTGRES_ONLY_PATHS.some(prefix => path === prefix || path.startsWith(prefix + '/'));
+}
+
+const requirePostgres = (req, res, next) => {
+  if (STORAGE_BACKEND !== 'memory') {
+    return next();
+  }
+  res.status(501).json({
+    success: false,
+    error: 'Функция доступна только с PostgreSQL: сервер запущен с STORAGE_BACKEND=memory'
+  });
+};
+
+module.exports = { STORAGE_BACKEND, pool, POSTGRES_ONLY_PATHS, isPostgresOnlyPath, requirePostgres };
@@ -0,0 +1,9 @@
+// Шина событий садов внутри процесса: показания, полив и оповещения
+
+const { EventEmitter } = require('events');
+
+// События садов внутри процесса (полив, новые показания) - на них подписываются MQTT-мост и другие каналы
+const gardenEvents = new EventEmitter();
+gardenEvents.setMaxListeners(0);
+
+module.exports = { gardenEvents };
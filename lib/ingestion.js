@@ -0,0 +1,266 @@
+// Прием показаний: ключи и подписи устройств, проверка и сохранение
+
+const crypto = require('crypto');
+
+const { gardenEvents } = require('./events');
+const { storage } = require('./storage');
+const { schema, defineSchema } = require('./schema');
+
+// ==================== ПРИЕМ ДАННЫХ С УСТРОЙСТВ ====================
+
+// Через сколько минут без данных устройство считается офлайн
+const DEVICE_OFFLINE_MINUTES = parseInt(process.env.DEVICE_OFFLINE_MINUTES) || 15;
+
+const DEVICE_TYPES = ['controller', 'sensor'];
+
+// Ключ устройства показывается один раз, в БД хранится только его SHA-256
+function generateDeviceKey() {
+  const apiKey = `sg_${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    apiKey,
+    hash: hashDeviceKey(apiKey),
+    prefix: apiKey.slice(0, 10)
+  };
+}
+
+function hashDeviceKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+// Окно подписи устройства: насколько X-Timestamp может расходиться с часами сервера.
+// Повтор той же подписи в пределах окна отклоняется
+const DEVICE_SIGNATURE_WINDOW_SECONDS = parseInt(process.env.DEVICE_SIGNATURE_WINDOW_SECONDS) || 300;
+
+// Подписи, принятые за последние два окна: "устройство:подпись" -> когда ее можно забыть.
+// Срок у всех записей одинаковый, поэтому порядок вставки совпадает с порядком истечения
+const seenSignatures = new Map();
+
+// Подпись сообщения устройства: HMAC-SHA256 строки "{timestamp}.{тело}" в hex.
+// Ключ подписи - SHA-256 ключа устройства в hex: сервер хранит только его, а устройство вычисляет из своего ключа,
+// поэтому сам ключ по сети не передается
+function signDeviceMessage(signingKey, timestamp, body) {
+  return crypto.createHmac('sha256', signingKey).update(`${timestamp}.`).update(body).digest('hex');
+}
+
+// Проверка подписи сообщения: { deviceId, timestamp, signature } и тело в том виде, в котором оно подписано.
+// timestamp - unix-время в секундах или миллисекундах. Возвращает { device } или { error }
+async function verifyDeviceSignature({ deviceId, timestamp, signature }, body, now = Date.now()) {
+  const signedAt = /^\d+$/.test(String(timestamp)) ? parseReadingTimestamp(Number(timestamp)) : null;
+  if (!signedAt || Math.abs(now - signedAt) > DEVICE_SIGNATURE_WINDOW_SECONDS * 1000) {
+    return { error: 'Время подписи вне допустимого окна' };
+  }
+
+  const device = /^\d+$/.test(String(deviceId)) ? await storage.devices.findActive(deviceId) : null;
+  const expected = device ? Buffer.from(signDeviceMessage(device.api_key_hash, timestamp, body), 'hex') : null;
+  const actual = Buffer.from(String(signature), 'hex');
+  if (!expected || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { error: 'Недействительная подпись устройства' };
+  }
+
+  for (const [key, expiresAt] of seenSignatures) {
+    if (expiresAt > now) {
+      break;
+    }
+    seenSignatures.delete(key);
+  }
+  const replayKey = `${device.id}:${signature}`;
+  if (seenSignatures.has(replayKey)) {
+    return { error: 'Повтор подписанного сообщения' };
+  }
+  seenSignatures.set(replayKey, now + 2 * DEVICE_SIGNATURE_WINDOW_SECONDS * 1000);
+
+  return { device };
+}
+
+// Middleware проверки подписи устройства: X-Device-Id, X-Timestamp и X-Signature над исходным телом запроса.
+// Устройство может отправлять данные только в свой сад
+const authenticateDevice = async (req, res, next) => {
+  try {
+    const deviceId = req.headers['x-device-id'];
+    const timestamp = req.headers['x-timestamp'];
+    const signature = req.headers['x-signature'];
+
+    if (!deviceId || !timestamp || !signature) {
+      return res.status(401).json({
+        success: false,
+        error: 'Требуется подпись устройства (X-Device-Id, X-Timestamp, X-Signature)'
+      });
+    }
+
+    const { device, error } = await verifyDeviceSignature({ deviceId, timestamp, signature }, req.rawBody || '');
+
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        error
+      });
+    }
+
+    if (String(device.garden_id) !== req.params.gardenId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Устройство не привязано к этому саду'
+      });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Device auth error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка проверки подписи устройства: ' + error.message
+    });
+  }
+};
+
+// Отметка о выходе устройства на связь: время, прошивка и заряд батареи
+async function touchDevice(deviceId, { firmwareVersion, batteryLevel } = {}) {
+  const battery = batteryLevel !== undefined && batteryLevel !== null && Number(batteryLevel) >= 0 && Number(batteryLevel) <= 100
+    ? Math.round(Number(batteryLevel))
+    : null;
+
+  await storage.devices.touch(deviceId, {
+    firmwareVersion: typeof firmwareVersion === 'string' ? firmwareVersion.slice(0, 50) : null,
+    batteryLevel: battery
+  });
+}
+
+// Допустимые диапазоны показаний датчиков
+const METRIC_RANGES = {
+  temperature: { min: -50, max: 70 },
+  humidity: { min: 0, max: 100 },
+  lightLevel: { min: 0, max: 200000, integer: true },
+  soilMoisture: { min: 0, max: 100 },
+  co2Level: { min: 0, max: 10000, integer: true }
+};
+
+// Показание устройства: метрики в пределах METRIC_RANGES (хотя бы одна), время замера необязательно
+const READING_INPUT_SCHEMA = defineSchema('ReadingInput', schema.object({
+  ...Object.fromEntries(Object.entries(METRIC_RANGES).map(([metric, range]) => [
+    metric, schema.nullable(schema.number({ minimum: range.min, maximum: range.max }))
+  ])),
+  weatherDescription: schema.nullable(schema.string({ maxLength: 100 })),
+  timestamp: { description: 'Время замера: ISO 8601 или unix-время в секундах/миллисекундах' },
+  firmwareVersion: schema.string(),
+  batteryLevel: schema.number({ description: 'Заряд батареи, %' })
+}));
+
+// Максимальное число показаний в одном пакете
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 1000;
+
+// Насколько время устройства может опережать время сервера
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Время замера: ISO-строка или unix-время в секундах/миллисекундах
+function parseReadingTimestamp(value) {
+  if (typeof value === 'number') {
+    return new Date(value < 1e12 ? value * 1000 : value);
+  }
+  return new Date(value);
+}
+
+// Проверка показания. Возвращает { errors, values, timestamp }
+function validateReading(reading, { requireTimestamp = false, now = new Date() } = {}) {
+  const errors = [];
+  const values = {};
+
+  if (!reading || typeof reading !== 'object' || Array.isArray(reading)) {
+    return { errors: [{ field: null, message: 'Показание должно быть объектом' }], values };
+  }
+
+  for (const [metric, range] of Object.entries(METRIC_RANGES)) {
+    const value = reading[metric];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push({ field: metric, message: 'Значение должно быть числом' });
+    } else if (value < range.min || value > range.max) {
+      errors.push({ field: metric, message: `Значение вне диапазона ${range.min}..${range.max}` });
+    } else {
+      values[metric] = range.integer ? Math.round(value) : value;
+    }
+  }
+
+  if (reading.weatherDescription !== undefined && reading.weatherDescription !== null) {
+    if (typeof reading.weatherDescription !== 'string' || reading.weatherDescription.length > 100) {
+      errors.push({ field: 'weatherDescription', message: 'Описание погоды - строка до 100 символов' });
+    } else {
+      values.weatherDescription = reading.weatherDescription;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(values).filter(key => METRIC_RANGES[key]).length === 0) {
+    errors.push({ field: null, message: 'Показание не содержит ни одной метрики' });
+  }
+
+  let timestamp = null;
+  if (reading.timestamp !== undefined && reading.timestamp !== null) {
+    timestamp = parseReadingTimestamp(reading.timestamp);
+    if (isNaN(timestamp)) {
+      errors.push({ field: 'timestamp', message: 'Некорректное время замера' });
+    } else if (timestamp - now > MAX_CLOCK_SKEW_MS) {
+      errors.push({ field: 'timestamp', message: 'Время замера в будущем' });
+    }
+  } else if (requireTimestamp) {
+    errors.push({ field: 'timestamp', message: 'Время замера обязательно' });
+  }
+
+  return { errors, values, timestamp };
+}
+
+// Проверка и запись набора показаний одной транзакцией с отчетом по каждому показанию.
+// Используется пакетной загрузкой по HTTP и MQTT-мостом
+async function ingestReadings(gardenId, device, readings, { requireTimestamp = false, onInvalid = 'quarantine' } = {}) {
+  const now = new Date();
+  const results = [];
+  const summary = { received: readings.length, accepted: 0, duplicates: 0, quarantined: 0, rejected: 0 };
+
+  const valid = [];
+  const quarantined = [];
+  for (const [index, reading] of readings.entries()) {
+    const { errors, values, timestamp } = validateReading(reading, { requireTimestamp, now });
+
+    if (errors.length === 0) {
+      valid.push({ index, values, timestamp });
+    } else if (onInvalid === 'quarantine') {
+      quarantined.push({ index, payload: reading, errors });
+    } else {
+      results[index] = { index, status: 'rejected', errors };
+      summary.rejected++;
+    }
+  }
+
+  const { rows, quarantineIds } = await storage.readings.insertBatch(gardenId, device.id, valid, quarantined);
+
+  const inserted = [];
+  valid.forEach(({ index }, position) => {
+    const row = rows[position];
+    if (row) {
+      results[index] = { index, status: 'accepted', id: row.id };
+      inserted.push(row);
+      summary.accepted++;
+    } else {
+      results[index] = { index, status: 'duplicate' };
+      summary.duplicates++;
+    }
+  });
+  quarantined.forEach(({ index, errors }, position) => {
+    results[index] = { index, status: 'quarantined', quarantineId: quarantineIds[position], errors };
+    summary.quarantined++;
+  });
+
+  for (const row of inserted) {
+    gardenEvents.emit('reading', { gardenId: parseInt(gardenId), reading: row });
+  }
+
+  return { summary, results, inserted };
+}
+
+module.exports = {
+  DEVICE_OFFLINE_MINUTES, DEVICE_TYPES, generateDeviceKey, hashDeviceKey, signDeviceMessage, verifyDeviceSignature,
+  authenticateDevice,
+  touchDevice, METRIC_RANGES, READING_INPUT_SCHEMA, MAX_BATCH_SIZE, parseReadingTimestamp, validateReading,
+  ingestReadings
+};
@@ -0,0 +1,326 @@
+// Правила полива по расписанию и по датчикам
+
+const { pool } = require('./db');
+const { getLocalTime } = require('./dates');
+const { storage } = require('./storage');
+const { schema, defineSchema } = require('./schema');
+const { quadroAPI } = require('./weather');
+const { GARDEN_METRICS, describeAge } = require('./readings');
+const { MAX_WATERING_SECONDS, getWateringSettings, formatWateringStatus, startWatering } = require('./watering');
+
+// ==================== ПРАВИЛА ПОЛИВА ====================
+
+// Как часто проверять правила полива
+const RULES_CHECK_INTERVAL_MS = parseInt(process.env.RULES_CHECK_INTERVAL_MS) || 60000;
+
+// Часовой пояс расписаний по умолчанию
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Moscow';
+
+// Сколько минут после времени по расписанию правило еще может сработать (например, после перезапуска)
+const SCHEDULE_GRACE_MINUTES = 15;
+
+const RULE_TYPES = ['schedule', 'threshold'];
+const RULE_OPERATORS = ['<', '>'];
+
+// Поля правила: поле API -> колонка irrigation_rules
+const RULE_FIELDS = {
+  name: 'name',
+  type: 'type',
+  enabled: 'enabled',
+  dryRun: 'dry_run',
+  durationMinutes: 'duration_minutes',
+  timeOfDay: 'time_of_day',
+  daysOfWeek: 'days_of_week',
+  timezone: 'timezone',
+  metric: 'metric',
+  operator: 'operator',
+  threshold: 'threshold',
+  sustainMinutes: 'sustain_minutes',
+  cooldownMinutes: 'cooldown_minutes',
+  skipIfRainMm: 'skip_if_rain_mm',
+  skipIfEtBelowMm: 'skip_if_et_below_mm'
+};
+
+function ruleRowToFields(row) {
+  const fields = {};
+  for (const [field, column] of Object.entries(RULE_FIELDS)) {
+    fields[field] = row[column];
+  }
+  return fields;
+}
+
+// Поля, обязательные для типа правила (остальное проверяет RULE_SCHEMA).
+// Возвращает ошибки в формате validate()
+function checkRuleFields(rule) {
+  const required = { schedule: ['timeOfDay'], threshold: ['metric', 'operator', 'threshold'] }[rule.type];
+  return required
+    .filter(field => rule[field] === null || rule[field] === undefined)
+    .map(field => ({ field, in: 'body', message: `Обязательное поле для правила типа ${rule.type}` }));
+}
+
+const RULE_SCHEMA = defineSchema('IrrigationRuleInput', schema.object({
+  name: schema.string({ minLength: 1, maxLength: 100 }),
+  type: schema.enum(RULE_TYPES),
+  enabled: schema.boolean(),
+  dryRun: schema.boolean({ description: 'Только записывать срабатывания, не поливать' }),
+  durationMinutes: schema.integer({ minimum: 1, maximum: MAX_WATERING_SECONDS / 60 }),
+  timeOfDay: schema.nullable(schema.string({ pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', patternMessage: 'Ожидается время ЧЧ:ММ' })),
+  daysOfWeek: schema.nullable(schema.array(schema.integer({ minimum: 1, maximum: 7 }), { minItems: 1, description: '1 - пн, 7 - вс' })),
+  timezone: schema.nullable(schema.string({ format: 'timezone', description: 'Часовой пояс IANA' })),
+  metric: schema.nullable(schema.enum(Object.keys(GARDEN_METRICS))),
+  operator: schema.nullable(schema.enum(RULE_OPERATORS)),
+  threshold: schema.nullable(schema.number()),
+  sustainMinutes: schema.nullable(schema.integer({ minimum: 0 })),
+  cooldownMinutes: schema.nullable(schema.integer({ minimum: 0 })),
+  skipIfRainMm: schema.nullable(schema.number({ minimum: 0 })),
+  skipIfEtBelowMm: schema.nullable(schema.number({ minimum: 0 }))
+}, { required: ['name', 'type', 'durationMinutes'] }));
+
+// Наступило ли время полива по расписанию и не сработало ли правило сегодня
+function isScheduleDue(rule, now) {
+  const timezone = rule.timezone || DEFAULT_TIMEZONE;
+  const local = getLocalTime(now, timezone);
+  const [hours, minutes] = rule.time_of_day.split(':').map(Number);
+  const scheduledMinutes = hours * 60 + minutes;
+
+  if (rule.days_of_week && !rule.days_of_week.includes(local.weekday)) {
+    return { due: false };
+  }
+  if (local.minutes < scheduledMinutes || local.minutes - scheduledMinutes > SCHEDULE_GRACE_MINUTES) {
+    return { due: false };
+  }
+  if (rule.last_triggered_at) {
+    const last = getLocalTime(new Date(rule.last_triggered_at), timezone);
+    if (last.date === local.date && last.minutes >= scheduledMinutes) {
+      return { due: false };
+    }
+  }
+
+  return { due: true, reason: `Расписание: ${rule.time_of_day} (${timezone})` };
+}
+
+// Выполняется ли условие metric operator threshold непрерывно последние sustain_minutes минут.
+// Возвращает null, если свежих данных нет, иначе { met, current }
+async function checkSustainedCondition(rule, now) {
+  const column = GARDEN_METRICS[rule.metric];
+  const threshold = Number(rule.threshold);
+  const matches = value => (rule.operator === '<' ? Number(value) < threshold : Number(value) > threshold);
+  const windowStart = new Date(now.getTime() - (rule.sustain_minutes || 0) * 60000);
+
+  const { [column]: latest } = await storage.readings.latest(rule.garden_id, [column]);
+
+  if (!latest || describeAge(latest.created_at, now).isStale) {
+    return null;
+  }
+
+  const current = Number(latest.value);
+  if (!matches(current)) {
+    return { met: false, current };
+  }
+
+  if (rule.sustain_minutes > 0) {
+    // Условие должно выполняться и для последнего показания до начала окна, и для всех показаний внутри
+    const before = await storage.readings.valueAt(rule.garden_id, column, windowStart);
+    const window = await storage.readings.range(rule.garden_id, column, windowStart);
+
+    const extreme = rule.operator === '<' ? window.max : window.min;
+    if (!before || !matches(before.value) || (extreme !== null && !matches(extreme))) {
+      return { met: false, current };
+    }
+  }
+
+  return { met: true, current };
+}
+
+function describeCondition(rule, current) {
+  return `${rule.metric} ${rule.operator} ${Number(rule.threshold)}` +
+    (rule.sustain_minutes > 0 ? ` в течение ${rule.sustain_minutes} мин` : '') +
+    ` (сейчас ${current})`;
+}
+
+// Выполняется ли пороговое условие правила полива
+async function isThresholdDue(rule, now) {
+  const condition = await checkSustainedCondition(rule, now);
+  if (!condition || !condition.met) {
+    return { due: false };
+  }
+
+  return { due: true, reason: describeCondition(rule, condition.current) };
+}
+
+// Оценка правила без побочных эффектов: что произошло бы сейчас
+async function evaluateRule(rule, garden, now = new Date()) {
+  if (rule.cooldown_minutes > 0 && rule.last_triggered_at &&
+      now - new Date(rule.last_triggered_at) < rule.cooldown_minutes * 60000) {
+    return { due: false, reason: 'Правило недавно срабатывало' };
+  }
+
+  const trigger = rule.type === 'schedule' ? isScheduleDue(rule, now) : await isThresholdDue(rule, now);
+  if (!trigger.due) {
+    return { due: false, reason: trigger.reason || 'Условие не выполнено' };
+  }
+
+  // Пока идет полив, правило не срабатывает
+  const settings = await getWateringSettings(rule.garden_id);
+  if (formatWateringStatus(settings, now).isWatering) {
+    return { due: false, reason: 'Полив уже идет' };
+  }
+
+  const details = {};
+
+  // Пропуск полива по погоде
+  if (rule.skip_if_rain_mm !== null || rule.skip_if_et_below_mm !== null) {
+    const weather = await quadroAPI.getEnhancedWeatherData(garden.latitude, garden.longitude);
+
+    // Без данных о погоде пропуск по погоде не проверяется, полив идет по условию правила
+    if (!weather) {
+      details.weather = { source: null, available: false };
+      return { due: true, action: 'start', reason: `${trigger.reason}; нет данных о погоде, пропуск по погоде не проверялся`, details };
+    }
+    details.weather = {
+      source: weather.source,
+      stale: weather.stale,
+      rainfall: weather.rainfall,
+      evapotranspiration: weather.evapotranspiration
+    };
+
+    if (rule.skip_if_rain_mm !== null && weather.rainfall >= Number(rule.skip_if_rain_mm)) {
+      return { due: true, action: 'skipped', reason: `${trigger.reason}; пропуск: осадки ${weather.rainfall} мм`, details };
+    }
+    if (rule.skip_if_et_below_mm !== null && weather.evapotranspiration !== null &&
+        weather.evapotranspiration < Number(rule.skip_if_et_below_mm)) {
+      return { due: true, action: 'skipped', reason: `${trigger.reason}; пропуск: ET ${weather.evapotranspiration} мм`, details };
+    }
+  }
+
+  return { due: true, action: 'start', reason: trigger.reason, details };
+}
+
+// Выполнение сработавшего правила и запись в журнал
+async function applyRule(rule, garden, now = new Date()) {
+  const evaluation = await evaluateRule(rule, garden, now);
+  if (!evaluation.due) {
+    return null;
+  }
+
+  let action = evaluation.action;
+  let reason = evaluation.reason;
+  let wateringLogId = null;
+
+  if (action === 'start') {
+    if (rule.dry_run) {
+      action = 'would_start';
+    } else {
+      const started = await startWatering(rule.garden_id, {
+        hours: Math.floor(rule.duration_minutes / 60),
+        minutes: rule.duration_minutes % 60,
+        source: 'rule',
+        ruleId: rule.id
+      });
+      if (started) {
+        action = 'started';
+        wateringLogId = started.run.id;
+      } else {
+        action = 'skipped';
+        reason = `${reason}; пропуск: полив уже идет`;
+      }
+    }
+  }
+
+  await pool.query('UPDATE irrigation_rules SET last_triggered_at = $1 WHERE id = $2', [now, rule.id]);
+
+  const result = await pool.query(
+    `INSERT INTO irrigation_rule_runs (rule_id, garden_id, action, reason, dry_run, watering_log_id, details, evaluated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [rule.id, rule.garden_id, action, reason, rule.dry_run, wateringLogId, JSON.stringify(evaluation.details), now]
+  );
+
+  console.log(`🤖 Правило ${rule.id} (сад ${rule.garden_id}): ${action} - ${reason}`);
+
+  return result.rows[0];
+}
+
+// Проверка всех включенных правил
+async function evaluateIrrigationRules() {
+  const result = await pool.query(
+    `SELECT r.*, g.latitude, g.longitude FROM irrigation_rules r
+     JOIN gardens g ON g.id = r.garden_id
+     WHERE r.enabled = true
+     ORDER BY r.id`
+  );
+
+  for (const row of result.rows) {
+    const { latitude, longitude, ...rule } = row;
+    try {
+      await applyRule(rule, { latitude, longitude });
+    } catch (error) {
+      console.error(`Ошибка проверки правила полива ${rule.id}:`, error.message);
+    }
+  }
+}
+
+function startRulesEngine() {
+  const tick = () => evaluateIrrigationRules().catch(error => {
+    console.error('Irrigation rules error:', error.message);
+  });
+
+  tick();
+  return setInterval(tick, RULES_CHECK_INTERVAL_MS);
+}
+
+// Middleware: загружает правило полива текущего сада
+const loadIrrigationRule = async (req, res, next) => {
+  try {
+    const { gardenId, ruleId } = req.params;
+
+    const result = /^\d+$/.test(ruleId) ? await pool.query(
+      'SELECT * FROM irrigation_rules WHERE id = $1 AND garden_id = $2',
+      [ruleId, gardenId]
+    ) : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Правило полива не найдено'
+      });
+    }
+
+    req.irrigationRule = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Load irrigation rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения правила полива: ' + error.message
+    });
+  }
+};
+
+// Сохранение правила (создание или полная перезапись полей)
+async function saveIrrigationRule(gardenId, rule, ruleId = null) {
+  const columns = Object.values(RULE_FIELDS);
+  const values = Object.keys(RULE_FIELDS).map(field => (rule[field] === undefined ? null : rule[field]));
+
+  if (ruleId) {
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const result = await pool.query(
+      `UPDATE irrigation_rules SET ${assignments.join(', ')}, updated_at = $${columns.length + 1} 
+       WHERE id = $${columns.length + 2} RETURNING *`,
+      [...values, new Date(), ruleId]
+    );
+    return result.rows[0];
+  }
+
+  const placeholders = columns.map((column, index) => `$${index + 2}`);
+  const result = await pool.query(
+    `INSERT INTO irrigation_rules (garden_id, ${columns.join(', ')}) 
+     VALUES ($1, ${placeholders.join(', ')}) RETURNING *`,
+    [gardenId, ...values]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  RULE_OPERATORS, ruleRowToFields, checkRuleFields, RULE_SCHEMA, checkSustainedCondition, describeCondition,
+  evaluateRule, evaluateIrrigationRules, startRulesEngine, loadIrrigationRule, saveIrrigationRule
+};
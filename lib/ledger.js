@@ -0,0 +1,139 @@
+// Журнал доходов и расходов сада
+
+const { pool } = require('./db');
+const { toDateString } = require('./dates');
+const { schema, defineSchema } = require('./schema');
+
+// Категории записей журнала экономики
+const LEDGER_CATEGORIES = {
+  expense: ['fertilizers', 'pesticides', 'water', 'electricity', 'labor', 'fuel', 'equipment', 'other'],
+  income: ['harvest', 'subsidy', 'other']
+};
+
+// Капитальные расходы - учитываются как инвестиции при расчете ROI
+const CAPITAL_EXPENSE_CATEGORIES = ['equipment'];
+
+// Тариф на электроэнергию по умолчанию для расчета стоимости полива
+const ELECTRICITY_RATE = parseFloat(process.env.ELECTRICITY_RATE) || 5.5;
+
+// Поля записи журнала: поле API -> колонка economic_entries
+const LEDGER_FIELDS = {
+  type: 'type',
+  category: 'category',
+  entryDate: 'entry_date',
+  quantity: 'quantity',
+  unit: 'unit',
+  unitPrice: 'unit_price',
+  description: 'description'
+};
+
+// Категория записи должна относиться к ее типу (остальное проверяет LEDGER_SCHEMA).
+// Возвращает ошибки в формате validate()
+function checkLedgerEntry(entry) {
+  if (!LEDGER_CATEGORIES[entry.type].includes(entry.category)) {
+    return [{ field: 'category', in: 'body', message: `Для типа ${entry.type} допустимы категории: ${LEDGER_CATEGORIES[entry.type].join(', ')}` }];
+  }
+  return [];
+}
+
+const LEDGER_SCHEMA = defineSchema('LedgerEntryInput', schema.object({
+  type: schema.enum(Object.keys(LEDGER_CATEGORIES)),
+  category: schema.enum([...new Set(Object.values(LEDGER_CATEGORIES).flat())]),
+  entryDate: schema.date(),
+  quantity: schema.number({ minimum: 0, exclusiveMinimum: true }),
+  unit: schema.nullable(schema.string({ maxLength: 20 })),
+  unitPrice: schema.number({ minimum: 0 }),
+  description: schema.nullable(schema.string())
+}, { required: ['type', 'category', 'entryDate', 'quantity', 'unitPrice'] }));
+
+// Период отчета: from/to или год сезона (см. getSeasonPeriod)
+const SEASON_PERIOD_QUERY = {
+  from: schema.date(),
+  to: schema.date(),
+  season: schema.integer({ minimum: 1901, maximum: 2999, description: 'Год сезона, по умолчанию текущий' })
+};
+
+// Период сезона: from/to из запроса или год season (по умолчанию текущий),
+// начиная с даты начала сезона сада. Форматы проверяет SEASON_PERIOD_QUERY;
+// при from позже to возвращает { errors } в формате validate()
+function getSeasonPeriod(garden, query) {
+  if (query.from || query.to) {
+    const from = query.from || '1970-01-01';
+    const to = query.to || toDateString(new Date());
+    if (from > to) {
+      return { errors: [{ field: 'from', in: 'query', message: 'Начало периода не может быть позже конца (to)' }] };
+    }
+    return { from, to };
+  }
+
+  const year = query.season !== undefined ? parseInt(query.season) : new Date().getFullYear();
+
+  const monthDay = garden.season_start ? toDateString(garden.season_start).slice(5) : '01-01';
+  const start = new Date(`${year}-${monthDay}T00:00:00`);
+  const end = new Date(start);
+  end.setFullYear(end.getFullYear() + 1);
+  end.setDate(end.getDate() - 1);
+
+  return { from: toDateString(start), to: toDateString(end), season: year };
+}
+
+// Сохранение записи журнала (создание или полная перезапись полей)
+async function saveLedgerEntry(gardenId, entry, userId, entryId = null) {
+  const columns = [...Object.values(LEDGER_FIELDS), 'amount'];
+  const values = [
+    ...Object.keys(LEDGER_FIELDS).map(field => (entry[field] === undefined ? null : entry[field])),
+    Math.round(Number(entry.quantity) * Number(entry.unitPrice) * 100) / 100
+  ];
+
+  if (entryId) {
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const result = await pool.query(
+      `UPDATE economic_entries SET ${assignments.join(', ')}, updated_at = $${columns.length + 1} 
+       WHERE id = $${columns.length + 2} RETURNING *`,
+      [...values, new Date(), entryId]
+    );
+    return result.rows[0];
+  }
+
+  const placeholders = columns.map((column, index) => `$${index + 3}`);
+  const result = await pool.query(
+    `INSERT INTO economic_entries (garden_id, created_by, ${columns.join(', ')}) 
+     VALUES ($1, $2, ${placeholders.join(', ')}) RETURNING *`,
+    [gardenId, userId, ...values]
+  );
+  return result.rows[0];
+}
+
+// Страница журнала для выгрузки: по (дата, id) после cursor, границы from и to включительно
+async function listLedgerPage(gardenId, { from, to, cursor, limit }) {
+  const conditions = ['garden_id = $1'];
+  const values = [gardenId];
+
+  if (from) {
+    values.push(from);
+    conditions.push(`entry_date >= $${values.length}`);
+  }
+  if (to) {
+    values.push(to);
+    conditions.push(`entry_date <= $${values.length}`);
+  }
+  if (cursor) {
+    values.push(cursor.time, cursor.id);
+    conditions.push(`(entry_date > $${values.length - 1} OR (entry_date = $${values.length - 1} AND id > $${values.length}))`);
+  }
+
+  values.push(limit);
+  const result = await pool.query(
+    `SELECT * FROM economic_entries 
+     WHERE ${conditions.join(' AND ')} 
+     ORDER BY entry_date, id 
+     LIMIT $${values.length}`,
+    values
+  );
+  return result.rows;
+}
+
+module.exports = {
+  LEDGER_CATEGORIES, CAPITAL_EXPENSE_CATEGORIES, ELECTRICITY_RATE, LEDGER_FIELDS, checkLedgerEntry, LEDGER_SCHEMA,
+  SEASON_PERIOD_QUERY, getSeasonPeriod, saveLedgerEntry, listLedgerPage
+};
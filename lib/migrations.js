@@ -0,0 +1,254 @@
+// Версионные миграции схемы и начальные данные для разработки
+
+const fs = require('fs');
+const path = require('path');
+
+const { STORAGE_BACKEND, pool } = require('./db');
+const { storage } = require('./storage');
+const { hashPassword } = require('./auth');
+
+// ==================== МИГРАЦИИ ====================
+
+// Файлы миграций: migrations/<номер>_<название>.js с функциями up(client) и down(client)
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Ключ advisory-блокировки: миграции одновременно применяет только один экземпляр сервера
+const MIGRATIONS_LOCK_KEY = 72657301;
+
+// Применять миграции при запуске сервера (иначе сервер не стартует, пока есть непримененные)
+const MIGRATE_ON_START = process.env.MIGRATE_ON_START !== 'false';
+
+// Заполнять базу тестовыми данными при запуске (никогда в production)
+const SEED_ON_START = process.env.NODE_ENV !== 'production' && process.env.DB_SEED !== 'false';
+
+// Имя миграции для сообщений: 001_baseline_schema
+function formatMigrationName(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+// Список миграций по возрастанию номера
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Миграция ${file} должна экспортировать функции up и down`);
+      }
+      return {
+        version: parseInt(file, 10),
+        name: file.replace(/^\d+_|\.js$/g, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Две миграции с номером ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+// Выполнение под блокировкой: callback получает соединение и список примененных версий
+async function withMigrationLock(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATIONS_LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(200) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      const applied = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+      return await callback(client, applied.rows);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATIONS_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Одна миграция в своей транзакции вместе с записью в schema_migrations
+async function runMigrationStep(client, migration, direction) {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, new Date()]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Миграция ${formatMigrationName(migration)} (${direction}) не выполнена: ${error.message}`);
+  }
+}
+
+// Применение непримененных миграций (до версии to включительно). Возвращает примененные
+async function migrateUp({ to } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client, applied) => {
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !appliedVersions.has(migration.version) && (to === undefined || migration.version <= to)
+    );
+
+    for (const migration of pending) {
+      console.log(`⬆️  Миграция ${formatMigrationName(migration)}`);
+      await runMigrationStep(client, migration, 'up');
+    }
+    return pending;
+  });
+}
+
+// Откат последних steps примененных миграций. Возвращает откаченные
+async function migrateDown({ steps = 1 } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client, applied) => {
+    const toRollback = applied.slice(-steps).reverse();
+    const rolledBack = [];
+
+    for (const row of toRollback) {
+      const migration = migrations.find(item => item.version === row.version);
+      if (!migration) {
+        throw new Error(`Файл миграции ${formatMigrationName(row)} не найден - откат невозможен`);
+      }
+      console.log(`⬇️  Откат миграции ${formatMigrationName(migration)}`);
+      await runMigrationStep(client, migration, 'down');
+      rolledBack.push(migration);
+    }
+    return rolledBack;
+  });
+}
+
+// Состояние миграций: файлы и записи schema_migrations, для которых файла нет
+async function getMigrationStatus() {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client, applied) => {
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: appliedByVersion.get(migration.version)?.applied_at || null
+    }));
+    const missing = applied.filter(row => !migrations.some(migration => migration.version === row.version));
+    return { status, missing };
+  });
+}
+
+// Тестовые данные для разработки. В production не выполняется никогда
+async function seedDatabase() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Заполнение тестовыми данными запрещено в production');
+  }
+
+  // Проверяем существование тестового пользователя перед созданием
+  const testUser = { email: 'test@example.com', phone: '+79991234567' };
+  
+  if (!await storage.users.existsWithContact(testUser)) {
+    // Создаем тестового пользователя только если его нет
+    await storage.users.create({
+      ...testUser,
+      name: 'Тестовый пользователь',
+      password: await hashPassword('password123')
+    });
+    console.log('✅ Тестовый пользователь создан');
+  } else {
+    console.log('✅ Тестовый пользователь уже существует');
+  }
+}
+
+// Пользователи из ADMIN_LOGINS (email или телефоны через запятую) получают роль администратора при запуске.
+// Роль только выдается: снять ее можно через API
+async function grantConfiguredAdmins() {
+  const logins = (process.env.ADMIN_LOGINS || '').split(',').map(login => login.trim()).filter(Boolean);
+
+  for (const login of logins) {
+    const user = await storage.users.findByLogin(login);
+    if (!user) {
+      console.warn(`⚠️  ADMIN_LOGINS: пользователь ${login} не найден`);
+    } else if (user.role !== 'admin') {
+      await storage.users.update(user.id, { role: 'admin' });
+      console.log(`👑 Роль администратора выдана: ${login}`);
+    }
+  }
+}
+
+// Подготовка базы при запуске: миграции (или проверка, что применены все) и тестовые данные
+async function initializeDatabase() {
+  if (STORAGE_BACKEND === 'memory') {
+    console.log('💾 Хранилище в памяти: данные не сохраняются между перезапусками');
+  } else if (MIGRATE_ON_START) {
+    console.log('🔄 Проверка миграций базы данных...');
+    const applied = await migrateUp();
+    console.log(`✅ Применено миграций: ${applied.length}`);
+  } else {
+    const { status } = await getMigrationStatus();
+    const pending = status.filter(migration => !migration.appliedAt);
+    if (pending.length > 0) {
+      throw new Error(`Не применены миграции: ${pending.map(migration => migration.version).join(', ')} - выполните npm run migrate`);
+    }
+  }
+
+  if (SEED_ON_START) {
+    await seedDatabase();
+  }
+
+  await grantConfiguredAdmins();
+
+  console.log('✅ База данных готова к работе');
+}
+
+// Команды обслуживания базы: node server.js migrate up [версия] | migrate down [количество] | migrate status | seed
+async function runDatabaseCommand(command, args) {
+  const [action, value] = args;
+
+  if (command === 'seed') {
+    await seedDatabase();
+    return;
+  }
+
+  if (STORAGE_BACKEND === 'memory') {
+    throw new Error('Миграции применяются только к PostgreSQL (STORAGE_BACKEND=memory)');
+  }
+
+  if (action === 'up' || action === undefined) {
+    const applied = await migrateUp({ to: value !== undefined ? parseInt(value, 10) : undefined });
+    console.log(applied.length > 0 ? `✅ Применено миграций: ${applied.length}` : '✅ Непримененных миграций нет');
+  } else if (action === 'down') {
+    const steps = value !== undefined ? parseInt(value, 10) : 1;
+    if (!(steps > 0)) {
+      throw new Error('Количество откатываемых миграций должно быть положительным числом');
+    }
+    const rolledBack = await migrateDown({ steps });
+    console.log(`✅ Откачено миграций: ${rolledBack.length}`);
+  } else if (action === 'status') {
+    const { status, missing } = await getMigrationStatus();
+    for (const migration of status) {
+      const state = migration.appliedAt ? `применена ${new Date(migration.appliedAt).toISOString()}` : 'не применена';
+      console.log(`${formatMigrationName(migration)}: ${state}`);
+    }
+    for (const row of missing) {
+      console.log(`${formatMigrationName(row)}: применена, но файл не найден`);
+    }
+  } else {
+    throw new Error(`Неизвестная команда migrate ${action} (up, down, status)`);
+  }
+}
+
+module.exports = { migrateUp, migrateDown, seedDatabase, initializeDatabase, runDatabaseCommand };
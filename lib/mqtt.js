@@ -0,0 +1,146 @@
+// MQTT-мост: показания от устройств и команды полива
+
+const crypto = require('crypto');
+
+const { gardenEvents } = require('./events');
+const { verifyDeviceSignature, touchDevice, MAX_BATCH_SIZE, ingestReadings } = require('./ingestion');
+
+// ==================== MQTT-МОСТ ====================
+
+// Префикс топиков: {prefix}/{gardenId}/telemetry - показания, {prefix}/{gardenId}/cmd - команды полива
+const MQTT_TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'garden';
+
+// Обработка сообщения с показаниями. Формат - подписанный конверт { deviceId, timestamp, signature, payload },
+// где payload - строка JSON с показанием или { readings: [...] }, а signature - подпись payload, как у HTTP
+// (signDeviceMessage). Ключ устройства в сообщениях не передается. Проверка та же, что у POST /api/garden/:gardenId/data
+async function handleMqttTelemetry(gardenId, message) {
+  let envelope;
+  let payload;
+  try {
+    envelope = JSON.parse(message.toString());
+    payload = envelope && typeof envelope.payload === 'string' ? JSON.parse(envelope.payload) : null;
+  } catch (error) {
+    return { success: false, error: 'Сообщение должно быть JSON' };
+  }
+
+  if (!payload || typeof payload !== 'object' || !envelope.deviceId || !envelope.timestamp || !envelope.signature) {
+    return { success: false, error: 'Требуется подписанное сообщение: deviceId, timestamp, signature и payload' };
+  }
+
+  const { device, error } = await verifyDeviceSignature(envelope, envelope.payload);
+  if (!device) {
+    return { success: false, error };
+  }
+  if (String(device.garden_id) !== gardenId) {
+    return { success: false, error: 'Устройство не привязано к этому саду' };
+  }
+
+  await touchDevice(device.id, payload);
+
+  const { readings, firmwareVersion, batteryLevel, ...reading } = payload;
+  const isBatch = Array.isArray(readings);
+  if (isBatch && readings.length > MAX_BATCH_SIZE) {
+    return { success: false, error: `В одном пакете не более ${MAX_BATCH_SIZE} показаний` };
+  }
+
+  const { summary, results } = await ingestReadings(gardenId, device, isBatch ? readings : [reading], {
+    requireTimestamp: isBatch,
+    onInvalid: isBatch ? 'quarantine' : 'reject'
+  });
+
+  return { success: true, summary, results };
+}
+
+// Запуск моста. Без url (MQTT_URL) мост выключен и возвращается null.
+// Для проверки можно указать локальный брокер, например mqtt://localhost:1883 с Aedes.
+// username/password - учетные данные самого моста; устройствам на брокере выдаются свои,
+// с правом публикации только в {prefix}/{gardenId}/telemetry своего сада
+function startMqttBridge({
+  url = process.env.MQTT_URL,
+  username = process.env.MQTT_USERNAME,
+  password = process.env.MQTT_PASSWORD,
+  topicPrefix = MQTT_TOPIC_PREFIX
+} = {}) {
+  if (!url) {
+    return null;
+  }
+
+  const mqtt = require('mqtt');
+  const client = mqtt.connect(url, {
+    username,
+    password,
+    clientId: `smart-garden-backend-${crypto.randomBytes(4).toString('hex')}`,
+    reconnectPeriod: 5000
+  });
+
+  const telemetryTopic = new RegExp(`^${topicPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/(\\d+)/telemetry$`);
+
+  client.on('connect', () => {
+    console.log(`📡 MQTT подключен: ${url}`);
+    client.subscribe(`${topicPrefix}/+/telemetry`, { qos: 1 }, (error) => {
+      if (error) {
+        console.error('MQTT subscribe error:', error.message);
+      }
+    });
+  });
+
+  client.on('message', (topic, message) => {
+    const match = topic.match(telemetryTopic);
+    if (!match) {
+      return;
+    }
+    const gardenId = match[1];
+
+    handleMqttTelemetry(gardenId, message)
+      .catch(error => {
+        console.error('MQTT telemetry error:', error);
+        return { success: false, error: 'Ошибка сохранения данных сада' };
+      })
+      .then(result => {
+        if (!result.success) {
+          console.warn(`MQTT ${topic}: ${result.error}`);
+        }
+        client.publish(`${topicPrefix}/${gardenId}/telemetry/result`, JSON.stringify(result), { qos: 0 });
+      });
+  });
+
+  client.on('error', (error) => {
+    console.error('MQTT error:', error.message);
+  });
+
+  // Команды полива для контроллеров
+  const publishCommand = (gardenId, command) => {
+    client.publish(`${topicPrefix}/${gardenId}/cmd`, JSON.stringify(command), { qos: 1 });
+  };
+
+  const onWateringStart = ({ gardenId, settings, run }) => publishCommand(gardenId, {
+    command: 'start',
+    runId: run.id,
+    durationSeconds: run.duration_seconds,
+    endTime: settings.end_time,
+    source: run.source,
+    timestamp: new Date().toISOString()
+  });
+
+  const onWateringStop = ({ gardenId, reason, run }) => publishCommand(gardenId, {
+    command: 'stop',
+    runId: run ? run.id : null,
+    reason,
+    timestamp: new Date().toISOString()
+  });
+
+  gardenEvents.on('watering:start', onWateringStart);
+  gardenEvents.on('watering:stop', onWateringStop);
+
+  return {
+    client,
+    publishCommand,
+    stop: () => new Promise(resolve => {
+      gardenEvents.off('watering:start', onWateringStart);
+      gardenEvents.off('watering:stop', onWateringStop);
+      client.end(false, {}, resolve);
+    })
+  };
+}
+
+module.exports = { startMqttBridge };
@@ -0,0 +1,387 @@
+// Каналы уведомлений и доставка с повторами
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const { gardenEvents } = require('./events');
+const { STORAGE_BACKEND, pool } = require('./db');
+const { schema, defineSchema, EMAIL_PATTERN } = require('./schema');
+const { ALERT_SEVERITIES } = require('./alerts');
+
+// ==================== УВЕДОМЛЕНИЯ ====================
+
+// Очередь доставки: интервал обработки, число попыток и базовая задержка повтора (удваивается)
+const NOTIFY_CHECK_INTERVAL_MS = parseInt(process.env.NOTIFY_CHECK_INTERVAL_MS) || 15000;
+const NOTIFY_MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const NOTIFY_RETRY_BASE_MS = parseInt(process.env.NOTIFY_RETRY_BASE_MS) || 30000;
+const NOTIFY_TIMEOUT_MS = 10000;
+const NOTIFY_BATCH_SIZE = 50;
+
+const EXPO_PUSH_URL = process.env.EXPO_PUSH_URL || 'https://exp.host/--/api/v2/push/send';
+const EXPO_PUSH_TOKEN_PATTERN = /^Expo(nent)?PushToken\[[^\]]+\]$/;
+
+// Ошибка, после которой повторять доставку бессмысленно
+class PermanentDeliveryError extends Error {}
+
+let smtpTransport = null;
+
+function getSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new PermanentDeliveryError('SMTP не настроен (SMTP_HOST)');
+  }
+  if (!smtpTransport) {
+    const nodemailer = require('nodemailer');
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+  }
+  return smtpTransport;
+}
+
+// Хосты webhook через запятую. Без списка webhook может указывать только на публичные адреса,
+// со списком - только на перечисленные хосты (в том числе внутренние)
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Непубличные адреса: локальные, частные сети, link-local, CGNAT, служебные и групповые
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+  return !NON_PUBLIC_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// Проверка адреса webhook при сохранении канала и перед каждой отправкой. Возвращает текст ошибки или null.
+// Имена хостов окончательно проверяются при соединении (lookupPublicAddress)
+function checkWebhookUrl(target) {
+  let url = null;
+  try {
+    url = new URL(target);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    return 'Для webhook укажите адрес http(s)';
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (WEBHOOK_ALLOWED_HOSTS.length > 0) {
+    return WEBHOOK_ALLOWED_HOSTS.includes(host) ? null : `Webhook разрешен только на хосты: ${WEBHOOK_ALLOWED_HOSTS.join(', ')}`;
+  }
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+    return 'Webhook не может указывать на локальный или внутренний адрес';
+  }
+  return null;
+}
+
+// lookup для http.request: соединение только если все адреса имени публичные
+// (защищает и от DNS-записи, которую поменяли после сохранения канала)
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(new PermanentDeliveryError(`Адрес ${hostname} указывает на внутреннюю сеть`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST JSON с таймаутом, без перехода по редиректам. 3xx и 4xx (кроме 408 и 429) считаются окончательной ошибкой.
+// В текст ошибки попадает только код ответа - тело чужого сервера в журнал доставки не сохраняется.
+// publicOnly - соединяться только с публичными адресами
+function postJson(url, body, headers = {}, { publicOnly = false } = {}) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      timeout: NOTIFY_TIMEOUT_MS,
+      ...(publicOnly ? { lookup: lookupPublicAddress } : {})
+    }, (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('error', reject);
+      response.on('end', () => {
+        const status = response.statusCode;
+        if (status >= 200 && status < 300) {
+          return resolve(Buffer.concat(chunks).toString());
+        }
+        const ErrorClass = status >= 300 && status < 500 && ![408, 429].includes(status) ? PermanentDeliveryError : Error;
+        reject(new ErrorClass(`HTTP ${status}`));
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Нет ответа за ${NOTIFY_TIMEOUT_MS / 1000} с`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Отправители по типу канала. Каждый получает запись доставки и бросает ошибку при неудаче
+const NOTIFICATION_SENDERS = {
+  push: {
+    name: 'Push (Expo)',
+    async send(delivery) {
+      const { title, message, severity, data } = delivery.payload;
+      const headers = process.env.EXPO_ACCESS_TOKEN ? { Authorization: `Bearer ${process.env.EXPO_ACCESS_TOKEN}` } : {};
+      const text = await postJson(EXPO_PUSH_URL, JSON.stringify({
+        to: delivery.target,
+        title,
+        body: message,
+        data,
+        sound: 'default',
+        priority: severity === 'high' ? 'high' : 'default'
+      }), headers);
+
+      const ticket = (JSON.parse(text).data) || {};
+      if (ticket.status === 'error') {
+        if (ticket.details && ticket.details.error === 'DeviceNotRegistered') {
+          await pool.query('UPDATE push_tokens SET disabled_at = $1 WHERE token = $2', [new Date(), delivery.target]);
+          throw new PermanentDeliveryError('Токен больше не зарегистрирован');
+        }
+        throw new Error(ticket.message || 'Ошибка Expo push');
+      }
+    }
+  },
+  email: {
+    name: 'Email (SMTP)',
+    async send(delivery) {
+      const { title, message } = delivery.payload;
+      await getSmtpTransport().sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: delivery.target,
+        subject: `[Smart Garden] ${title}`,
+        text: message
+      });
+    }
+  },
+  webhook: {
+    name: 'Webhook',
+    async send(delivery, channel) {
+      const body = JSON.stringify(delivery.payload);
+      const headers = { 'X-SmartGarden-Event': delivery.event };
+      if (channel && channel.secret) {
+        headers['X-SmartGarden-Signature'] = 'sha256=' + crypto.createHmac('sha256', channel.secret).update(body).digest('hex');
+      }
+
+      // Канал мог быть сохранен до ограничения адресов - проверяем при каждой отправке
+      const urlError = checkWebhookUrl(delivery.target);
+      if (urlError) {
+        throw new PermanentDeliveryError(urlError);
+      }
+      await postJson(delivery.target, body, headers, { publicOnly: WEBHOOK_ALLOWED_HOSTS.length === 0 });
+    }
+  }
+};
+
+// Подключение своего канала: { name, send(delivery, channel) }
+function registerNotificationSender(type, sender) {
+  NOTIFICATION_SENDERS[type] = sender;
+}
+
+// Поля канала: поле API -> колонка notification_channels
+const CHANNEL_FIELDS = {
+  type: 'type',
+  target: 'target',
+  secret: 'secret',
+  minSeverity: 'min_severity',
+  notifyResolved: 'notify_resolved',
+  enabled: 'enabled'
+};
+
+// Адрес канала должен соответствовать его типу (остальное проверяет CHANNEL_SCHEMA).
+// Возвращает ошибки в формате validate()
+function checkChannelFields(channel) {
+  const fail = message => [{ field: 'target', in: 'body', message }];
+
+  if (channel.type === 'push' && channel.target) {
+    return fail('Push-канал рассылает на токены участников сада, адрес не указывается');
+  }
+  if (channel.type === 'email' && !EMAIL_PATTERN.test(channel.target || '')) {
+    return fail('Для email-канала укажите адрес почты');
+  }
+  if (channel.type === 'webhook') {
+    const urlError = checkWebhookUrl(channel.target);
+    if (urlError) {
+      return fail(urlError);
+    }
+  }
+  return [];
+}
+
+const CHANNEL_SCHEMA = defineSchema('NotificationChannelInput', schema.object({
+  type: schema.enum(Object.keys(NOTIFICATION_SENDERS)),
+  target: schema.nullable(schema.string({ maxLength: 500, description: 'Адрес почты или URL webhook; для push не указывается' })),
+  secret: schema.nullable(schema.string({ maxLength: 200, description: 'Ключ подписи webhook' })),
+  minSeverity: schema.enum(ALERT_SEVERITIES),
+  notifyResolved: schema.boolean(),
+  enabled: schema.boolean()
+}, { required: ['type'] }));
+
+// Канал для ответа API: секрет не возвращается
+function formatChannel(channel) {
+  const { secret, ...rest } = channel;
+  return { ...rest, hasSecret: Boolean(secret) };
+}
+
+// Адресаты канала: для push - активные токены всех участников сада
+async function getChannelTargets(channel) {
+  if (channel.type !== 'push') {
+    return [channel.target];
+  }
+  const result = await pool.query(
+    `SELECT t.token FROM push_tokens t 
+     JOIN garden_members m ON m.user_id = t.user_id 
+     WHERE m.garden_id = $1 AND t.disabled_at IS NULL`,
+    [channel.garden_id]
+  );
+  return result.rows.map(row => row.token);
+}
+
+// Постановка уведомлений в очередь по всем подходящим каналам сада
+async function enqueueNotifications(gardenId, { event, alert = null, payload, channels = null }) {
+  const now = new Date();
+
+  if (!channels) {
+    const result = await pool.query(
+      'SELECT * FROM notification_channels WHERE garden_id = $1 AND enabled = true',
+      [gardenId]
+    );
+    channels = result.rows.filter(channel =>
+      ALERT_SEVERITIES.indexOf(payload.severity) >= ALERT_SEVERITIES.indexOf(channel.min_severity) &&
+      (event !== 'resolved' || channel.notify_resolved)
+    );
+  }
+
+  const deliveries = [];
+  for (const channel of channels) {
+    for (const target of await getChannelTargets(channel)) {
+      const result = await pool.query(
+        `INSERT INTO notification_deliveries 
+         (garden_id, alert_id, channel_id, channel_type, target, event, payload, next_attempt_at, created_at) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8) RETURNING *`,
+        [gardenId, alert ? alert.id : null, channel.id, channel.type, target, event, JSON.stringify(payload), now]
+      );
+      deliveries.push(result.rows[0]);
+    }
+  }
+
+  if (deliveries.length > 0) {
+    processNotificationQueue().catch(error => console.error('Notification queue error:', error.message));
+  }
+  return deliveries;
+}
+
+// Содержимое уведомления об оповещении
+function buildAlertPayload(gardenId, alert, event) {
+  return {
+    event,
+    gardenId,
+    severity: ALERT_SEVERITIES.includes(alert.severity) ? alert.severity : 'medium',
+    title: event === 'resolved' ? `Решено: ${alert.title}` : alert.title,
+    message: alert.message || alert.title,
+    data: { alertId: alert.id, gardenId, type: alert.type, key: alert.key, status: alert.status },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Новые оповещения и автоматически закрытые уходят в каналы сада
+// (каналы и очередь доставки хранятся только в PostgreSQL)
+gardenEvents.on('alert', ({ gardenId, alert, action }) => {
+  const event = action === 'created' ? 'created' : (action === 'resolved' && !alert.resolved_by ? 'resolved' : null);
+  if (!event || STORAGE_BACKEND === 'memory') {
+    return;
+  }
+
+  enqueueNotifications(gardenId, { event, alert, payload: buildAlertPayload(gardenId, alert, event) })
+    .catch(error => console.error('Enqueue notifications error:', error.message));
+});
+
+let notificationQueueBusy = false;
+
+// Отправка ожидающих уведомлений с повторами и экспоненциальной задержкой
+async function processNotificationQueue() {
+  if (notificationQueueBusy) {
+    return;
+  }
+  notificationQueueBusy = true;
+
+  try {
+    const now = new Date();
+    const result = await pool.query(
+      `SELECT d.*, c.secret FROM notification_deliveries d 
+       LEFT JOIN notification_channels c ON c.id = d.channel_id 
+       WHERE d.status = 'pending' AND d.next_attempt_at <= $1 
+       ORDER BY d.id 
+       LIMIT $2`,
+      [now, NOTIFY_BATCH_SIZE]
+    );
+
+    for (const { secret, ...delivery } of result.rows) {
+      const attempts = delivery.attempts + 1;
+      const sender = NOTIFICATION_SENDERS[delivery.channel_type];
+
+      try {
+        if (!sender) {
+          throw new PermanentDeliveryError(`Неизвестный тип канала: ${delivery.channel_type}`);
+        }
+        await sender.send(delivery, { secret });
+
+        await pool.query(
+          `UPDATE notification_deliveries SET status = 'sent', attempts = $1, sent_at = $2, last_error = NULL 
+           WHERE id = $3`,
+          [attempts, new Date(), delivery.id]
+        );
+      } catch (error) {
+        const failed = error instanceof PermanentDeliveryError || attempts >= NOTIFY_MAX_ATTEMPTS;
+        const nextAttemptAt = new Date(Date.now() + NOTIFY_RETRY_BASE_MS * 2 ** (attempts - 1));
+
+        await pool.query(
+          `UPDATE notification_deliveries SET status = $1, attempts = $2, last_error = $3, next_attempt_at = $4 
+           WHERE id = $5`,
+          [failed ? 'failed' : 'pending', attempts, error.message, failed ? null : nextAttemptAt, delivery.id]
+        );
+        console.warn(`✉️  Доставка ${delivery.id} (${delivery.channel_type}) не удалась, попытка ${attempts}: ${error.message}`);
+      }
+    }
+  } finally {
+    notificationQueueBusy = false;
+  }
+}
+
+function startNotificationWorker() {
+  const tick = () => processNotificationQueue().catch(error => {
+    console.error('Notification queue error:', error.message);
+  });
+
+  tick();
+  return setInterval(tick, NOTIFY_CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+  EXPO_PUSH_TOKEN_PATTERN, getSmtpTransport, postJson, NOTIFICATION_SENDERS, CHANNEL_FIELDS, checkChannelFields,
+  CHANNEL_SCHEMA, formatChannel, enqueueNotifications, startNotificationWorker
+};
@@ -0,0 +1,413 @@
+// Нормы питания и лабораторные анализы почвы и листьев
+
+const { pool } = require('./db');
+const { toDateString } = require('./dates');
+const { schema } = require('./schema');
+
+// Элементы питания в рецептах фертигации (мг/л в рабочем растворе)
+const FERTIGATION_NUTRIENTS = ['nitrogen', 'phosphorus', 'potassium', 'calcium', 'magnesium'];
+
+// Названия элементов в родительном падеже - для текста рекомендаций
+const NUTRIENT_NAMES = {
+  nitrogen: 'азота',
+  phosphorus: 'фосфора',
+  potassium: 'калия',
+  calcium: 'кальция',
+  magnesium: 'магния'
+};
+
+// Нормы почвенного анализа (органика - %, N, P, K, Ca, Mg - мг/кг, засоленность - дСм/м)
+const SOIL_REFERENCE = {
+  pH: { min: 6.0, max: 7.2 },
+  organicMatter: { min: 2, max: 6 },
+  nitrogen: { min: 20, max: 60 },
+  phosphorus: { min: 25, max: 60 },
+  potassium: { min: 150, max: 300 },
+  calcium: { min: 1000, max: 3000 },
+  magnesium: { min: 120, max: 300 },
+  salinity: { min: 0, max: 2 }
+};
+
+// Нормы листовой диагностики (% сухого вещества)
+const LEAF_REFERENCE = {
+  nitrogen: { min: 2.2, max: 3.0 },
+  phosphorus: { min: 0.2, max: 0.4 },
+  potassium: { min: 1.5, max: 2.5 },
+  calcium: { min: 1.5, max: 3.0 },
+  magnesium: { min: 0.3, max: 0.6 }
+};
+
+// Максимальная разовая корректировка дозы элемента в рецепте
+const MAX_NUTRIENT_CORRECTION = 0.3;
+
+// ==================== ЛАБОРАТОРНЫЕ АНАЛИЗЫ ====================
+
+// Отклонения от норм по культурам - поверх общих SOIL_REFERENCE и LEAF_REFERENCE
+const CROP_NUTRIENT_REFERENCE = {
+  grape: {
+    soil: { pH: { min: 6.0, max: 7.5 } },
+    leaf: {
+      nitrogen: { min: 2.0, max: 2.8 },
+      potassium: { min: 1.2, max: 2.0 },
+      calcium: { min: 1.2, max: 2.5 },
+      magnesium: { min: 0.25, max: 0.5 }
+    }
+  },
+  apple: {
+    soil: { pH: { min: 6.0, max: 7.0 } },
+    leaf: {
+      nitrogen: { min: 1.8, max: 2.4 },
+      phosphorus: { min: 0.15, max: 0.3 },
+      potassium: { min: 1.2, max: 1.8 },
+      calcium: { min: 1.2, max: 1.6 },
+      magnesium: { min: 0.25, max: 0.4 }
+    }
+  },
+  cherry: {
+    soil: { pH: { min: 6.2, max: 7.2 } },
+    leaf: {
+      phosphorus: { min: 0.15, max: 0.3 },
+      potassium: { min: 1.6, max: 3.0 },
+      calcium: { min: 1.4, max: 2.4 },
+      magnesium: { min: 0.3, max: 0.8 }
+    }
+  },
+  strawberry: {
+    soil: { pH: { min: 5.5, max: 6.5 }, potassium: { min: 150, max: 250 } },
+    leaf: {
+      nitrogen: { min: 1.9, max: 2.8 },
+      potassium: { min: 1.1, max: 2.5 },
+      calcium: { min: 0.5, max: 1.5 },
+      magnesium: { min: 0.25, max: 0.5 }
+    }
+  },
+  tomato: {
+    soil: { pH: { min: 6.0, max: 6.8 }, potassium: { min: 200, max: 350 } },
+    leaf: {
+      nitrogen: { min: 3.5, max: 5.0 },
+      phosphorus: { min: 0.3, max: 0.6 },
+      potassium: { min: 3.0, max: 5.0 },
+      calcium: { min: 1.25, max: 3.2 },
+      magnesium: { min: 0.4, max: 0.8 }
+    }
+  }
+};
+
+// Нормы для культуры (без культуры - общие)
+function getNutrientReference(source, cropType) {
+  const base = source === 'soil' ? SOIL_REFERENCE : LEAF_REFERENCE;
+  const crop = CROP_NUTRIENT_REFERENCE[cropType];
+  return { ...base, ...(crop ? crop[source] : {}) };
+}
+
+// Удобрения для пересчета дозы элемента в физический вес (доля элемента в удобрении)
+const FERTILIZER_PRODUCTS = {
+  nitrogen: { name: 'Карбамид (46% N)', content: 0.46 },
+  phosphorus: { name: 'Двойной суперфосфат (46% P₂O₅)', content: 0.2 },
+  potassium: { name: 'Сульфат калия (50% K₂O)', content: 0.415 },
+  calcium: { name: 'Кальциевая селитра (19% Ca)', content: 0.19 },
+  magnesium: { name: 'Сульфат магния (9,9% Mg)', content: 0.099 }
+};
+
+// Плотность почвы (т/м³) для пересчета мг/кг в кг/га и слой по умолчанию, если глубина пробы не указана
+const SOIL_BULK_DENSITY = 1.3;
+const DEFAULT_SAMPLE_DEPTH_CM = 30;
+
+// Поддерживающая доза элемента (кг/га), если дефицит виден только по листьям
+const LEAF_DEFICIT_DOSE = {
+  nitrogen: 30,
+  phosphorus: 15,
+  potassium: 40,
+  calcium: 20,
+  magnesium: 10
+};
+
+// Изменение меньше этой доли между пробами считаем стабильным
+const TREND_STABLE_THRESHOLD = 0.05;
+
+// Типы анализов: таблица, маршрут, поля (поле API -> колонка) и измеряемые показатели с единицами
+const ANALYSIS_TYPES = {
+  soil: {
+    table: 'soil_analyses',
+    route: 'soil-analyses',
+    label: 'почвы',
+    fields: {
+      sampleDate: 'sample_date',
+      depthFromCm: 'depth_from_cm',
+      depthToCm: 'depth_to_cm',
+      pH: 'ph',
+      organicMatter: 'organic_matter',
+      nitrogen: 'nitrogen',
+      phosphorus: 'phosphorus',
+      potassium: 'potassium',
+      calcium: 'calcium',
+      magnesium: 'magnesium',
+      salinity: 'salinity',
+      lab: 'lab',
+      notes: 'notes'
+    },
+    measures: {
+      pH: '',
+      organicMatter: '%',
+      nitrogen: 'мг/кг',
+      phosphorus: 'мг/кг',
+      potassium: 'мг/кг',
+      calcium: 'мг/кг',
+      magnesium: 'мг/кг',
+      salinity: 'дСм/м'
+    }
+  },
+  leaf: {
+    table: 'leaf_analyses',
+    route: 'leaf-analyses',
+    label: 'листьев',
+    fields: {
+      sampleDate: 'sample_date',
+      phase: 'phase',
+      nitrogen: 'nitrogen',
+      phosphorus: 'phosphorus',
+      potassium: 'potassium',
+      calcium: 'calcium',
+      magnesium: 'magnesium',
+      lab: 'lab',
+      notes: 'notes'
+    },
+    measures: {
+      nitrogen: '%',
+      phosphorus: '%',
+      potassium: '%',
+      calcium: '%',
+      magnesium: '%'
+    }
+  }
+};
+
+// Измеренные показатели записи анализа в виде { pH, nitrogen, ... } (незаполненные пропускаются)
+function analysisRowToValues(type, row) {
+  const { fields, measures } = ANALYSIS_TYPES[type];
+  const values = {};
+  for (const measure of Object.keys(measures)) {
+    if (row[fields[measure]] !== null && row[fields[measure]] !== undefined) {
+      values[measure] = Number(row[fields[measure]]);
+    }
+  }
+  return values;
+}
+
+// Проверки анализа, которые не выражаются схемой: дата пробы не в будущем, хотя бы один показатель,
+// нижняя граница пробы глубже верхней. Возвращает ошибки в формате validate()
+function checkAnalysisFields(type, analysis) {
+  const { measures } = ANALYSIS_TYPES[type];
+  const isSet = value => value !== null && value !== undefined;
+  const errors = [];
+
+  if (analysis.sampleDate > toDateString(new Date())) {
+    errors.push({ field: 'sampleDate', in: 'body', message: 'Дата отбора пробы не может быть в будущем' });
+  }
+  if (!Object.keys(measures).some(measure => isSet(analysis[measure]))) {
+    errors.push({ field: null, in: 'body', message: `Укажите хотя бы один показатель: ${Object.keys(measures).join(', ')}` });
+  }
+  if (isSet(analysis.depthFromCm) && isSet(analysis.depthToCm) && Number(analysis.depthToCm) <= Number(analysis.depthFromCm)) {
+    errors.push({ field: 'depthToCm', in: 'body', message: 'Нижняя граница пробы должна быть глубже верхней (depthFromCm)' });
+  }
+
+  return errors;
+}
+
+// Схема тела запроса для анализа типа type. Связи между полями проверяет checkAnalysisFields.
+// pH - от 0 до 14, листовая диагностика - в % сухого вещества (до 100)
+function buildAnalysisSchema(type) {
+  const { fields, measures } = ANALYSIS_TYPES[type];
+  const properties = {};
+  for (const field of Object.keys(fields)) {
+    if (measures[field] !== undefined) {
+      const maximum = field === 'pH' ? 14 : (type === 'leaf' ? 100 : undefined);
+      properties[field] = schema.nullable(schema.number({ minimum: 0, maximum, description: measures[field] || undefined }));
+    } else if (field === 'sampleDate') {
+      properties[field] = schema.date();
+    } else if (field === 'depthFromCm' || field === 'depthToCm') {
+      properties[field] = schema.nullable(schema.integer({ minimum: 0, maximum: 300 }));
+    } else if (field === 'notes') {
+      properties[field] = schema.nullable(schema.string());
+    } else {
+      properties[field] = schema.nullable(schema.string({ maxLength: 100 }));
+    }
+  }
+  return schema.object(properties, { required: ['sampleDate'] });
+}
+
+// Оценка показателей по нормам культуры. Элементы питания: deficient / optimal / excessive,
+// прочие показатели (pH, органика, засоленность): low / optimal / high
+function interpretAnalysis(type, values, cropType) {
+  const reference = getNutrientReference(type, cropType);
+  const { measures } = ANALYSIS_TYPES[type];
+
+  return Object.entries(values)
+    .filter(([measure]) => reference[measure])
+    .map(([measure, value]) => {
+      const range = reference[measure];
+      const isNutrient = FERTIGATION_NUTRIENTS.includes(measure);
+      let status = 'optimal';
+      if (value < range.min) {
+        status = isNutrient ? 'deficient' : 'low';
+      } else if (value > range.max) {
+        status = isNutrient ? 'excessive' : 'high';
+      }
+      return { parameter: measure, value, unit: measures[measure], range, status };
+    });
+}
+
+// Динамика показателей по пробам (rows - записи в хронологическом порядке).
+// perYear - наклон линейного тренда в единицах показателя за год
+function buildAnalysisTrends(type, rows) {
+  const round = value => Math.round(value * 1000) / 1000;
+  const trends = {};
+
+  for (const measure of Object.keys(ANALYSIS_TYPES[type].measures)) {
+    const points = rows
+      .map(row => ({ date: toDateString(row.sample_date), value: analysisRowToValues(type, row)[measure] }))
+      .filter(point => point.value !== undefined);
+    if (points.length < 2) {
+      continue;
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const previous = points[points.length - 2];
+    const change = last.value - previous.value;
+    const relative = previous.value !== 0 ? change / previous.value : (change === 0 ? 0 : 1);
+
+    const xs = points.map(point => new Date(`${point.date}T00:00:00`).getTime() / (365 * 86400000));
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+    const spread = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    const slope = spread > 0
+      ? xs.reduce((sum, x, index) => sum + (x - meanX) * (points[index].value - meanY), 0) / spread
+      : null;
+
+    trends[measure] = {
+      samples: points.length,
+      first,
+      last,
+      change: round(change),
+      changePercent: Math.round(relative * 1000) / 10,
+      direction: Math.abs(relative) < TREND_STABLE_THRESHOLD ? 'stable' : (change > 0 ? 'up' : 'down'),
+      perYear: slope !== null ? round(slope) : null,
+      points
+    };
+  }
+
+  return trends;
+}
+
+// Предложения по удобрениям (кг/га). Почвенный дефицит пересчитывается до нижней границы нормы
+// по массе слоя пробы, дефицит только по листьям - поддерживающей дозой
+function buildFertilizerSuggestions(soilInterpretation, leafInterpretation, depthCm = DEFAULT_SAMPLE_DEPTH_CM) {
+  const round = value => Math.round(value * 10) / 10;
+  // Масса слоя 1 га: глубина (м) * 10 000 м² * плотность (т/м³) = тонны; мг/кг * тонны / 1000 = кг
+  const soilMassTonnes = (depthCm / 100) * 10000 * SOIL_BULK_DENSITY;
+  const suggestions = [];
+
+  for (const item of soilInterpretation.filter(entry => entry.status === 'deficient')) {
+    const nutrientKgHa = ((item.range.min - item.value) * soilMassTonnes) / 1000;
+    suggestions.push({ nutrient: item.parameter, source: 'soil', nutrientKgHa: round(nutrientKgHa) });
+  }
+
+  for (const item of leafInterpretation.filter(entry => entry.status === 'deficient')) {
+    if (!suggestions.some(suggestion => suggestion.nutrient === item.parameter)) {
+      suggestions.push({ nutrient: item.parameter, source: 'leaf', nutrientKgHa: LEAF_DEFICIT_DOSE[item.parameter] });
+    }
+  }
+
+  return suggestions.map(suggestion => {
+    const product = FERTILIZER_PRODUCTS[suggestion.nutrient];
+    const productKgHa = round(suggestion.nutrientKgHa / product.content);
+    return {
+      ...suggestion,
+      fertilizer: product.name,
+      productKgHa,
+      recommendation: `Внесите ${productKgHa} кг/га: ${product.name} (${suggestion.nutrientKgHa} кг/га ${NUTRIENT_NAMES[suggestion.nutrient]})`
+    };
+  });
+}
+
+// Последняя запись анализа сада
+async function getLatestAnalysis(type, gardenId) {
+  const result = await pool.query(
+    `SELECT * FROM ${ANALYSIS_TYPES[type].table} 
+     WHERE garden_id = $1 
+     ORDER BY sample_date DESC, id DESC 
+     LIMIT 1`,
+    [gardenId]
+  );
+  return result.rows[0] || null;
+}
+
+// Сохранение анализа (создание или полная перезапись полей)
+async function saveAnalysis(type, gardenId, analysis, { analysisId = null, userId = null } = {}) {
+  const { table, fields } = ANALYSIS_TYPES[type];
+  const columns = Object.values(fields);
+  const values = Object.keys(fields).map(field => (analysis[field] === undefined ? null : analysis[field]));
+  const now = new Date();
+
+  if (analysisId) {
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const result = await pool.query(
+      `UPDATE ${table} SET ${assignments.join(', ')}, updated_at = $${columns.length + 1} 
+       WHERE id = $${columns.length + 2} RETURNING *`,
+      [...values, now, analysisId]
+    );
+    return result.rows[0];
+  }
+
+  const placeholders = columns.map((column, index) => `$${index + 2}`);
+  const result = await pool.query(
+    `INSERT INTO ${table} (garden_id, ${columns.join(', ')}, created_by, created_at, updated_at) 
+     VALUES ($1, ${placeholders.join(', ')}, $${columns.length + 2}, $${columns.length + 3}, $${columns.length + 3}) RETURNING *`,
+    [gardenId, ...values, userId, now]
+  );
+  return result.rows[0];
+}
+
+// Middleware: загружает анализ текущего сада
+const loadAnalysis = (type) => async (req, res, next) => {
+  try {
+    const { gardenId, analysisId } = req.params;
+
+    const result = /^\d+$/.test(analysisId) ? await pool.query(
+      `SELECT * FROM ${ANALYSIS_TYPES[type].table} WHERE id = $1 AND garden_id = $2`,
+      [analysisId, gardenId]
+    ) : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Анализ не найден'
+      });
+    }
+
+    req.analysis = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Load analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: `Ошибка получения анализа ${ANALYSIS_TYPES[type].label}: ` + error.message
+    });
+  }
+};
+
+// Анализ с оценкой показателей по нормам культуры сада
+function formatAnalysis(type, row, cropType) {
+  return {
+    ...row,
+    interpretation: interpretAnalysis(type, analysisRowToValues(type, row), cropType)
+  };
+}
+
+module.exports = {
+  FERTIGATION_NUTRIENTS, NUTRIENT_NAMES, SOIL_REFERENCE, MAX_NUTRIENT_CORRECTION, CROP_NUTRIENT_REFERENCE,
+  getNutrientReference, DEFAULT_SAMPLE_DEPTH_CM, ANALYSIS_TYPES, analysisRowToValues, checkAnalysisFields,
+  buildAnalysisSchema, interpretAnalysis, buildAnalysisTrends, buildFertilizerSuggestions, getLatestAnalysis,
+  saveAnalysis, loadAnalysis, formatAnalysis
+};
@@ -0,0 +1,171 @@
+// Документ OpenAPI, собранный по маршрутам приложения
+
+const { app } = require('./app');
+const { isPostgresOnlyPath } = require('./db');
+const { API_SCHEMAS, schema } = require('./schema');
+const { authenticateDevice } = require('./ingestion');
+const { authenticate } = require('./auth');
+
+// ==================== ДОКУМЕНТАЦИЯ API ====================
+
+const API_RESPONSE_DESCRIPTIONS = {
+  200: 'Успешно',
+  400: 'Некорректный запрос',
+  401: 'Требуется авторизация',
+  403: 'Недостаточно прав',
+  404: 'Не найдено',
+  409: 'Конфликт с текущим состоянием',
+  413: 'Слишком большой запрос',
+  429: 'Превышен лимит запросов',
+  500: 'Ошибка сервера',
+  501: 'Недоступно без PostgreSQL'
+};
+
+// Схема в формате OpenAPI 3.0: служебные поля валидатора убираются, nullable-ссылки оборачиваются в allOf
+function toOpenApiSchema(definition) {
+  const { patternMessage, lenientItems, required, ...rest } = definition;
+
+  if (rest.$ref && rest.nullable) {
+    return { allOf: [{ $ref: rest.$ref }], nullable: true };
+  }
+
+  const result = { ...rest };
+  if (rest.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(rest.properties).map(([name, property]) => [name, toOpenApiSchema(property)])
+    );
+  }
+  if (rest.items) {
+    result.items = toOpenApiSchema(rest.items);
+  }
+  // У параметров строки запроса required - признак обязательности, а не список полей
+  if (Array.isArray(required) && required.length > 0) {
+    result.required = required;
+  }
+  return result;
+}
+
+function toOpenApiContent(definition) {
+  return definition.contentType
+    ? { [definition.contentType]: { schema: toOpenApiSchema(definition.schema) } }
+    : { 'application/json': { schema: toOpenApiSchema(definition) } };
+}
+
+// Документ OpenAPI по зарегистрированным маршрутам: путь и методы берутся из роутера Express,
+// остальное - из описания validate(), способа авторизации и ролей маршрута
+function buildOpenApiDocument() {
+  const errorResponse = status => ({
+    description: API_RESPONSE_DESCRIPTIONS[status],
+    content: toOpenApiContent(schema.ref(status === 400 ? 'ValidationError' : 'Error'))
+  });
+  const paths = {};
+
+  for (const layer of app.router.stack) {
+    if (!layer.route) {
+      continue;
+    }
+    const { route } = layer;
+    const handlers = route.stack.map(item => item.handle);
+    const spec = (handlers.find(handle => handle.apiSpec) || {}).apiSpec || {};
+    const roles = (handlers.find(handle => handle.roles) || {}).roles;
+
+    let security = spec.security || [];
+    if (handlers.includes(authenticateDevice)) {
+      security = ['deviceSignature'];
+    } else if (handlers.includes(authenticate) || route.path.startsWith('/api/garden/:gardenId')) {
+      security = ['bearer'];
+    }
+
+    const parameters = [
+      ...[...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: toOpenApiSchema((spec.params || {})[name] || schema.string())
+      })),
+      ...Object.entries(spec.query || {}).map(([name, definition]) => ({
+        name,
+        in: 'query',
+        required: Boolean(definition.required),
+        schema: toOpenApiSchema(definition)
+      }))
+    ];
+
+    const responses = {};
+    for (const [status, definition] of Object.entries(spec.responses || {})) {
+      responses[status] = status === '400' || status === '500' || definition.$ref === '#/components/schemas/Error'
+        ? errorResponse(Number(status))
+        : { description: API_RESPONSE_DESCRIPTIONS[status] || 'Ответ', content: toOpenApiContent(definition) };
+    }
+    if (parameters.length > 0 || spec.body) {
+      responses[400] = responses[400] || errorResponse(400);
+    }
+    if (security.length > 0) {
+      responses[401] = responses[401] || errorResponse(401);
+    }
+    if (roles || security.includes('bearer')) {
+      responses[403] = responses[403] || errorResponse(403);
+    }
+    if (route.path !== '/api/health') {
+      responses[429] = responses[429] || errorResponse(429);
+    }
+    responses[500] = errorResponse(500);
+
+    const postgresOnly = isPostgresOnlyPath(route.path);
+    if (postgresOnly) {
+      responses[501] = errorResponse(501);
+    }
+
+    const description = [
+      spec.description,
+      roles && `Доступно ролям: ${roles.join(', ')}.`,
+      postgresOnly && 'Требует PostgreSQL: с STORAGE_BACKEND=memory возвращает 501.'
+    ].filter(Boolean).join('\n\n');
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = paths[openApiPath] || {};
+
+    for (const method of Object.keys(route.methods)) {
+      const operationId = [method, ...route.path.split('/').filter(part => part && part !== 'api').map(part => part.replace(/^:/, 'by-'))]
+        .join('-')
+        .replace(/[-:]+(\w)/g, (match, letter) => letter.toUpperCase());
+
+      paths[openApiPath][method] = {
+        operationId,
+        summary: spec.summary,
+        ...(description ? { description } : {}),
+        tags: spec.tags || [],
+        security: security.map(name => ({ [name]: [] })),
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(spec.body ? { requestBody: { required: true, content: toOpenApiContent(spec.body) } } : {}),
+        responses
+      };
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Smart Garden API',
+      version: require('../package.json').version,
+      description: 'API приложения Smart Garden. Ошибки проверки запроса возвращаются со статусом 400 ' +
+        'и списком полей: { success: false, error, errors: [{ field, in, message }] }.'
+    },
+    paths,
+    components: {
+      schemas: Object.fromEntries(Object.entries(API_SCHEMAS).map(([name, definition]) => [name, toOpenApiSchema(definition)])),
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        deviceSignature: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Signature',
+          description: 'HMAC-SHA256 (hex) строки "{X-Timestamp}.{тело запроса}". Ключ HMAC - SHA-256 (hex) ключа устройства. ' +
+            'Вместе с подписью передаются X-Device-Id (id устройства) и X-Timestamp (unix-время в секундах или миллисекундах); ' +
+            'подпись старше окна DEVICE_SIGNATURE_WINDOW_SECONDS или уже принятая отклоняется'
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,64 @@
+// Фенология сада по сумме активных температур
+
+const { isValidDateString, toDateString } = require('./dates');
+const { getStoredWeather } = require('./weather');
+const { getDailyTemperatures } = require('./readings');
+const { CROP_PHENOLOGY, predictionModels } = require('./agronomy');
+
+// Фенологическая фаза сада по сумме активных температур с начала сезона.
+// cropType и seasonStart переопределяют настройки сада. Возвращает { error } или данные фазы
+async function getGardenPhenology(garden, { cropType = garden.crop_type, seasonStart } = {}) {
+  const crop = CROP_PHENOLOGY[cropType];
+  if (!crop) {
+    return { error: `Укажите культуру сада (cropType): ${Object.keys(CROP_PHENOLOGY).join(', ')}` };
+  }
+
+  seasonStart = seasonStart ||
+    (garden.season_start ? toDateString(garden.season_start) : `${new Date().getFullYear()}-01-01`);
+  if (!isValidDateString(seasonStart)) {
+    return { error: 'Начало сезона должно быть датой в формате ГГГГ-ММ-ДД' };
+  }
+
+  // Дни без показаний датчиков дополняются сохраненной погодой, прогноз уточняет дату следующей фазы
+  const today = toDateString(new Date());
+  const sensorDays = await getDailyTemperatures(garden.id, new Date(`${seasonStart}T00:00:00`));
+  const weatherDays = await getStoredWeather(garden.id, { from: seasonStart });
+
+  const byDate = new Map();
+  for (const day of weatherDays.filter(item => !item.isForecast && item.date <= today)) {
+    byDate.set(day.date, { date: day.date, minTemp: day.minTemp, maxTemp: day.maxTemp, source: 'weather' });
+  }
+  for (const day of sensorDays) {
+    byDate.set(day.date, { ...day, source: 'sensors' });
+  }
+  const days = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  const forecast = weatherDays.filter(item => item.date > today);
+
+  const prediction = predictionModels.predictPhenologicalPhase(days, cropType, forecast);
+
+  let nextPhaseDate = null;
+  if (prediction.daysToNextPhase !== null) {
+    const date = new Date();
+    date.setDate(date.getDate() + prediction.daysToNextPhase);
+    nextPhaseDate = toDateString(date);
+  }
+
+  const seasonDays = Math.max(0, Math.floor((new Date() - new Date(`${seasonStart}T00:00:00`)) / 86400000) + 1);
+
+  return {
+    cropType,
+    cropName: crop.name,
+    baseTemp: crop.baseTemp,
+    seasonStart,
+    daysWithData: days.length,
+    sensorDays: days.filter(day => day.source === 'sensors').length,
+    weatherDays: days.filter(day => day.source === 'weather').length,
+    forecastDays: forecast.length,
+    missingDays: Math.max(0, seasonDays - days.length),
+    ...prediction,
+    nextPhaseDate,
+    phases: crop.phases
+  };
+}
+
+module.exports = { getGardenPhenology };
@@ -0,0 +1,252 @@
+// Квоты запросов и блокировка входа после неудачных попыток
+
+const crypto = require('crypto');
+
+const { STORAGE_BACKEND, pool } = require('./db');
+
+// ==================== ОГРАНИЧЕНИЕ ЧАСТОТЫ ЗАПРОСОВ ====================
+
+// Квоты: общая на API (по IP), отдельная на прием телеметрии (по устройству)
+// и на вход/регистрацию (по IP). Счетчики - фиксированное окно
+const API_RATE_LIMIT = {
+  name: 'api',
+  max: parseInt(process.env.API_RATE_LIMIT_MAX) || 300,
+  windowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS) || 60 * 1000
+};
+const INGEST_RATE_LIMIT = {
+  name: 'ingest',
+  max: parseInt(process.env.INGEST_RATE_LIMIT_MAX) || 120,
+  windowMs: parseInt(process.env.INGEST_RATE_LIMIT_WINDOW_MS) || 60 * 1000
+};
+const AUTH_RATE_LIMIT = {
+  name: 'auth',
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 30,
+  windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000
+};
+
+// Блокировка входа: после maxFailures неудачных попыток за окно вход блокируется.
+// Каждая следующая блокировка за сутки вдвое дольше предыдущей (но не дольше LOGIN_LOCKOUT_MAX_MS)
+const LOGIN_FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || 15 * 60 * 1000;
+const LOGIN_LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MS) || 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_MS) || 60 * 60 * 1000;
+const LOGIN_LOCKOUT_HISTORY_MS = 24 * 60 * 60 * 1000;
+const LOGIN_MAX_FAILURES = {
+  account: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  ip: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20
+};
+
+// Хранилище счетчиков: memory - в процессе (по умолчанию), postgres - общее для нескольких экземпляров
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+// Как часто удалять истекшие счетчики
+const RATE_LIMIT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Счетчики в памяти процесса
+function createMemoryRateLimitStore() {
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, RATE_LIMIT_SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    // Учет запроса. Возвращает { count, resetAt } текущего окна
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = entries.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count++;
+      return { ...entry };
+    },
+    // Текущее окно или null, если счетчика нет или окно истекло
+    async get(key) {
+      const entry = entries.get(key);
+      return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+    },
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// Счетчики в таблице rate_limits - общие для всех экземпляров сервера
+function createPostgresRateLimitStore(db) {
+  let sweep = null;
+  const startSweep = () => {
+    if (sweep) {
+      return;
+    }
+    sweep = setInterval(() => {
+      db.query('DELETE FROM rate_limits WHERE reset_at <= $1', [new Date()])
+        .catch(error => console.error('Rate limit sweep error:', error.message));
+    }, RATE_LIMIT_SWEEP_INTERVAL_MS);
+    sweep.unref();
+  };
+  const toEntry = row => ({ count: row.count, resetAt: new Date(row.reset_at).getTime() });
+
+  return {
+    async hit(key, windowMs) {
+      startSweep();
+      const now = new Date();
+      const result = await db.query(
+        `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, $2) 
+         ON CONFLICT (key) DO UPDATE SET 
+           count = CASE WHEN rate_limits.reset_at <= $3 THEN 1 ELSE rate_limits.count + 1 END, 
+           reset_at = CASE WHEN rate_limits.reset_at <= $3 THEN $2 ELSE rate_limits.reset_at END 
+         RETURNING count, reset_at`,
+        [key, new Date(now.getTime() + windowMs), now]
+      );
+      return toEntry(result.rows[0]);
+    },
+    async get(key) {
+      const result = await db.query(
+        'SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > $2',
+        [key, new Date()]
+      );
+      return result.rows.length > 0 ? toEntry(result.rows[0]) : null;
+    },
+    async reset(key) {
+      await db.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    }
+  };
+}
+
+const RATE_LIMIT_STORES = {
+  memory: () => createMemoryRateLimitStore(),
+  postgres: () => {
+    if (STORAGE_BACKEND === 'memory') {
+      throw new Error('RATE_LIMIT_STORE=postgres требует STORAGE_BACKEND=postgres');
+    }
+    return createPostgresRateLimitStore(pool);
+  }
+};
+
+if (!RATE_LIMIT_STORES[RATE_LIMIT_STORE]) {
+  throw new Error(`RATE_LIMIT_STORE должен быть одним из: ${Object.keys(RATE_LIMIT_STORES).join(', ')}`);
+}
+
+const rateLimitStore = RATE_LIMIT_STORES[RATE_LIMIT_STORE]();
+
+function secondsUntil(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+function sendTooManyRequests(res, resetAt, error) {
+  const retryAfter = secondsUntil(resetAt);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: `${error}. Повторите через ${retryAfter} сек`
+  });
+}
+
+// Middleware ограничения частоты. key(req) - чей это запрос (IP, устройство),
+// skip(req) - запросы, которые не учитываются этой квотой.
+// Заголовки RateLimit-* - по черновику IETF RateLimit header fields
+function rateLimit({ name, max, windowMs }, { key = req => req.ip, skip = () => false } = {}) {
+  return async (req, res, next) => {
+    if (skip(req)) {
+      return next();
+    }
+
+    let entry;
+    try {
+      entry = await rateLimitStore.hit(`${name}:${key(req)}`, windowMs);
+    } catch (error) {
+      // Недоступное хранилище счетчиков не должно останавливать API
+      console.error('Rate limit error:', error.message);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Policy': `${max};w=${Math.round(windowMs / 1000)}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - entry.count)),
+      'RateLimit-Reset': String(secondsUntil(entry.resetAt))
+    });
+
+    if (entry.count > max) {
+      return sendTooManyRequests(res, entry.resetAt, 'Слишком много запросов');
+    }
+    next();
+  };
+}
+
+// Запросы устройств с телеметрией учитываются отдельной квотой
+const INGESTION_PATH_PATTERN = /^\/api\/garden\/[^/]+\/data(\/batch)?\/?$/;
+const isIngestionRequest = req => req.method === 'POST' && INGESTION_PATH_PATTERN.test(req.originalUrl.split('?')[0]);
+
+const apiRateLimit = rateLimit(API_RATE_LIMIT, {
+  skip: req => isIngestionRequest(req) || req.originalUrl.startsWith('/api/health')
+});
+
+// Квота устройства - по id устройства, чтобы устройства за одним NAT не делили ее между собой.
+// Ставится после authenticateDevice: по чужому X-Device-Id без подписи квоту устройства не израсходовать
+const ingestRateLimit = rateLimit(INGEST_RATE_LIMIT, {
+  key: req => (req.device ? `device:${req.device.id}` : `ip:${req.ip}`)
+});
+
+const authRateLimit = rateLimit(AUTH_RATE_LIMIT);
+
+// Счетчики неудачных входов: по аккаунту (введенный логин, даже несуществующий) и по IP.
+// Логин в ключе - хешем: ключ фиксированной длины, сами логины в хранилище счетчиков не попадают
+function getLoginScopes(req, login) {
+  const account = crypto.createHash('sha256').update(String(login).trim().toLowerCase()).digest('hex');
+  return [
+    { key: `account:${account}`, maxFailures: LOGIN_MAX_FAILURES.account },
+    { key: `ip:${req.ip}`, maxFailures: LOGIN_MAX_FAILURES.ip }
+  ];
+}
+
+// Действующая блокировка входа: время ее окончания или null
+async function getLoginLockout(scopes) {
+  let lockedUntil = null;
+  for (const scope of scopes) {
+    const lock = await rateLimitStore.get(`login-lock:${scope.key}`);
+    if (lock && (!lockedUntil || lock.resetAt > lockedUntil)) {
+      lockedUntil = lock.resetAt;
+    }
+  }
+  return lockedUntil;
+}
+
+// Учет неудачного входа. При превышении порога - блокировка, с каждым разом длиннее
+async function registerLoginFailure(scopes) {
+  for (const scope of scopes) {
+    const failures = await rateLimitStore.hit(`login-fail:${scope.key}`, LOGIN_FAILURE_WINDOW_MS);
+    if (failures.count < scope.maxFailures) {
+      continue;
+    }
+
+    const lockouts = await rateLimitStore.hit(`login-lockouts:${scope.key}`, LOGIN_LOCKOUT_HISTORY_MS);
+    const duration = Math.min(LOGIN_LOCKOUT_MS * 2 ** (lockouts.count - 1), LOGIN_LOCKOUT_MAX_MS);
+
+    await rateLimitStore.reset(`login-lock:${scope.key}`);
+    await rateLimitStore.hit(`login-lock:${scope.key}`, duration);
+    await rateLimitStore.reset(`login-fail:${scope.key}`);
+
+    console.warn(`🔒 Вход заблокирован на ${Math.round(duration / 1000)} сек (${scope.key})`);
+  }
+}
+
+// После успешного входа счетчики аккаунта обнуляются. Счетчик IP - нет:
+// иначе перебор можно было бы чередовать со входом в свой аккаунт
+async function clearLoginFailures(scopes) {
+  const [account] = scopes;
+  await rateLimitStore.reset(`login-fail:${account.key}`);
+  await rateLimitStore.reset(`login-lockouts:${account.key}`);
+}
+
+module.exports = {
+  sendTooManyRequests, apiRateLimit, ingestRateLimit, authRateLimit, getLoginScopes, getLoginLockout,
+  registerLoginFailure, clearLoginFailures
+};
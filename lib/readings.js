@@ -0,0 +1,179 @@
+// Текущие показания и история сада
+
+const { toDateString } = require('./dates');
+const { storage } = require('./storage');
+
+// ==================== API ДАННЫХ САДА ====================
+
+// Метрики датчиков: поле API -> колонка garden_data
+const GARDEN_METRICS = {
+  temperature: 'temperature',
+  humidity: 'humidity',
+  lightLevel: 'light_level',
+  soilMoisture: 'soil_moisture',
+  co2Level: 'co2_level'
+};
+
+// Через сколько минут показание считается устаревшим
+const DATA_STALE_MINUTES = parseInt(process.env.DATA_STALE_MINUTES) || 30;
+
+// Последнее непустое значение каждой метрики вместе со временем замера
+async function getLatestReadings(gardenId) {
+  const columns = { ...GARDEN_METRICS, weatherDescription: 'weather_description' };
+  const latest = await storage.readings.latest(gardenId, Object.values(columns));
+
+  return Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, latest[column]]));
+}
+
+// Возраст показания в секундах и признак устаревания
+function describeAge(recordedAt, now = new Date()) {
+  const ageSeconds = Math.max(0, Math.round((now - new Date(recordedAt)) / 1000));
+  return {
+    ageSeconds,
+    isStale: ageSeconds > DATA_STALE_MINUTES * 60
+  };
+}
+
+// Интервалы агрегации истории: параметр API -> единица date_trunc
+const HISTORY_INTERVALS = {
+  hour: 'hour',
+  day: 'day',
+  week: 'week'
+};
+
+// Курсор пагинации: время и id последней отданной записи
+function encodeCursor(createdAt, id) {
+  return Buffer.from(`${new Date(createdAt).toISOString()}|${id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const date = new Date(createdAt);
+  if (isNaN(date) || !/^\d+$/.test(id || '')) {
+    return null;
+  }
+  return { createdAt: date, id: parseInt(id) };
+}
+
+// Разбор параметров истории. Возвращает { error } или настройки запроса
+function parseHistoryQuery(query) {
+  const options = {};
+
+  for (const key of ['from', 'to']) {
+    if (query[key] !== undefined) {
+      const date = new Date(query[key]);
+      if (isNaN(date)) {
+        return { error: `Некорректная дата в параметре ${key}` };
+      }
+      options[key] = date;
+    }
+  }
+
+  if (options.from && options.to && options.from > options.to) {
+    return { error: 'Параметр from должен быть раньше to' };
+  }
+
+  options.metrics = Object.keys(GARDEN_METRICS);
+  if (query.metrics) {
+    options.metrics = String(query.metrics).split(',').map(metric => metric.trim()).filter(Boolean);
+    const unknown = options.metrics.filter(metric => !GARDEN_METRICS[metric]);
+    if (unknown.length > 0 || options.metrics.length === 0) {
+      return { error: `Неизвестные метрики: ${unknown.join(', ')}. Доступны: ${Object.keys(GARDEN_METRICS).join(', ')}` };
+    }
+  }
+
+  if (query.interval !== undefined) {
+    options.interval = HISTORY_INTERVALS[query.interval];
+    if (!options.interval) {
+      return { error: `Интервал должен быть одним из: ${Object.keys(HISTORY_INTERVALS).join(', ')}` };
+    }
+  }
+
+  const maxLimit = options.interval ? 2000 : 1000;
+  options.limit = query.limit !== undefined ? parseInt(query.limit) : (options.interval ? 500 : 50);
+  if (!(options.limit > 0)) {
+    return { error: 'Параметр limit должен быть положительным числом' };
+  }
+  options.limit = Math.min(options.limit, maxLimit);
+
+  if (query.cursor !== undefined) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) {
+      return { error: 'Некорректный курсор' };
+    }
+  }
+
+  return options;
+}
+
+// Сырые показания, от новых к старым
+async function getRawHistory(gardenId, { from, to, metrics, limit, cursor }) {
+  const columns = ['id', 'garden_id', ...metrics.map(metric => GARDEN_METRICS[metric]), 'weather_description', 'created_at'];
+  const found = await storage.readings.list(gardenId, { from, to, columns, limit: limit + 1, cursor });
+
+  const hasMore = found.length > limit;
+  const rows = found.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    data: rows,
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(last.created_at, last.id) : null
+    }
+  };
+}
+
+// Агрегированные показания (min/avg/max по интервалам), от старых к новым - так удобнее строить графики
+async function getAggregatedHistory(gardenId, { from, to, metrics, interval, limit, cursor }) {
+  // Курсор указывает на последний отданный интервал
+  const found = await storage.readings.aggregate(gardenId, {
+    from,
+    to,
+    columns: metrics.map(metric => GARDEN_METRICS[metric]),
+    interval,
+    limit: limit + 1,
+    after: cursor ? cursor.createdAt : null
+  });
+
+  const round = value => (value === null ? null : Math.round(Number(value) * 100) / 100);
+
+  const hasMore = found.length > limit;
+  const buckets = found.slice(0, limit).map(row => {
+    const bucket = { bucket: row.bucket, count: row.count };
+    for (const metric of metrics) {
+      const column = GARDEN_METRICS[metric];
+      bucket[metric] = {
+        min: round(row[`${column}_min`]),
+        avg: round(row[`${column}_avg`]),
+        max: round(row[`${column}_max`])
+      };
+    }
+    return bucket;
+  });
+  const last = buckets[buckets.length - 1];
+
+  return {
+    data: buckets,
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(last.bucket, 0) : null
+    }
+  };
+}
+
+// Суточные минимум и максимум температуры по данным датчиков
+async function getDailyTemperatures(gardenId, since) {
+  const rows = await storage.readings.dailyTemperatures(gardenId, since);
+
+  return rows.map(row => ({
+    date: toDateString(row.day),
+    minTemp: Number(row.min_temp),
+    maxTemp: Number(row.max_temp)
+  }));
+}
+
+module.exports = {
+  GARDEN_METRICS, getLatestReadings, describeAge, HISTORY_INTERVALS, parseHistoryQuery, getRawHistory,
+  getAggregatedHistory, getDailyTemperatures
+};
@@ -0,0 +1,181 @@
+// Маршруты комплексных рекомендаций с риском болезней и фенологии
+
+const { app } = require('../app');
+const { toDateString } = require('../dates');
+const { storage } = require('../storage');
+const { schema, validate } = require('../schema');
+const { GARDEN_ID_PARAM } = require('../auth');
+const { getStoredWeather } = require('../weather');
+const { predictionModels } = require('../agronomy');
+const { getGardenPhenology } = require('../phenology');
+const { raiseAlert } = require('../alerts');
+
+// Окно (в часах), по которому оцениваются условия для болезней
+const DISEASE_WINDOW_HOURS = parseInt(process.env.DISEASE_WINDOW_HOURS) || 24;
+
+// Вероятность болезни (%), начиная с которой создается оповещение
+const DISEASE_ALERT_THRESHOLD = parseFloat(process.env.DISEASE_ALERT_THRESHOLD) || 50;
+
+const RISK_LEVELS = ['none', 'low', 'medium', 'high'];
+const RISK_LEVEL_NAMES = { none: 'отсутствует', low: 'низкий', medium: 'средний', high: 'высокий' };
+
+// Средние температура и влажность за окно и оценка увлажнения листа:
+// число часов, когда средняя влажность была не ниже 90%
+async function getDiseaseConditions(gardenId, now = new Date()) {
+  const since = new Date(now.getTime() - DISEASE_WINDOW_HOURS * 3600000);
+
+  const { temperature, humidity, last_reading: lastReading, wet_hours: wetHours } =
+    await storage.readings.conditions(gardenId, since, 90);
+  if (temperature === null || humidity === null) {
+    // Без показаний датчиков - по сохраненной погоде за сегодня; увлажнение листа оцениваем по средней влажности
+    const [weather] = await getStoredWeather(gardenId, { from: toDateString(now), to: toDateString(now) });
+    if (!weather || weather.meanTemp === null || weather.humidity === null) {
+      return null;
+    }
+
+    return {
+      temperature: weather.meanTemp,
+      humidity: weather.humidity,
+      leafWetness: weather.humidity >= 90 ? DISEASE_WINDOW_HOURS : 0,
+      windowHours: DISEASE_WINDOW_HOURS,
+      lastReading: null,
+      source: 'weather'
+    };
+  }
+
+  return {
+    temperature: Math.round(Number(temperature) * 10) / 10,
+    humidity: Math.round(Number(humidity) * 10) / 10,
+    leafWetness: wetHours,
+    windowHours: DISEASE_WINDOW_HOURS,
+    lastReading,
+    source: 'sensors'
+  };
+}
+
+// Получение рекомендаций и данных о заболеваниях
+app.get('/api/garden/:gardenId/complex-recommendations', validate({
+  summary: 'Риск болезней и комплексные рекомендации',
+  tags: ['Данные'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ data: schema.object() })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    
+    console.log(`Получение рекомендаций для gardenId: ${gardenId}`);
+
+    const conditions = await getDiseaseConditions(gardenId);
+
+    let risks = [];
+    if (conditions) {
+      risks = predictionModels.predictDiseaseRisk(
+        { temperature: conditions.temperature },
+        conditions.humidity,
+        conditions.leafWetness
+      );
+
+      // Оповещения о болезнях с высокой вероятностью
+      for (const risk of risks.filter(item => item.probability >= DISEASE_ALERT_THRESHOLD)) {
+        await raiseAlert(gardenId, {
+          type: 'disease',
+          key: risk.key,
+          severity: risk.riskLevel,
+          title: `Риск заболевания: ${risk.disease}`,
+          message: `Вероятность ${risk.probability}%. ${risk.recommendation}`,
+          details: { ...risk, conditions }
+        });
+      }
+    }
+
+    const diseases = predictionModels.diseaseModels.map(model => {
+      const risk = risks.find(item => item.key === model.key);
+      return risk || { key: model.key, disease: model.name, riskLevel: 'none', probability: 0, recommendation: null };
+    });
+
+    const worst = risks.reduce(
+      (top, risk) => (!top || RISK_LEVELS.indexOf(risk.riskLevel) > RISK_LEVELS.indexOf(top.riskLevel) ||
+        (risk.riskLevel === top.riskLevel && risk.probability > top.probability) ? risk : top),
+      null
+    );
+
+    const activeAlerts = await storage.alerts.list(gardenId, { type: 'disease', unresolved: true });
+
+    let recommendations = 'Профилактическая обработка не требуется. Поддерживайте текущие условия.';
+    if (!conditions) {
+      recommendations = `Нет данных о температуре и влажности за последние ${DISEASE_WINDOW_HOURS} ч - риск оценить невозможно.`;
+    } else if (worst) {
+      recommendations = `${worst.disease}: ${worst.recommendation}`;
+    }
+
+    const diseaseData = {
+      id: parseInt(gardenId),
+      risk: conditions ? RISK_LEVEL_NAMES[worst ? worst.riskLevel : 'none'] : null,
+      recommendations,
+      lastInspection: conditions && conditions.lastReading ? new Date(conditions.lastReading).toISOString().split('T')[0] : null,
+      conditions,
+      diseases,
+      issues: risks,
+      activeIssues: activeAlerts,
+      lastUpdate: new Date().toISOString()
+    };
+
+    res.json({
+      success: true,
+      data: diseaseData
+    });
+  } catch (error) {
+    console.error('Disease data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения данных о заболеваниях: ' + error.message
+    });
+  }
+});
+
+// Фенологическая фаза по сумме активных температур с начала сезона
+// Параметры: seasonStart (ГГГГ-ММ-ДД), cropType - переопределяют настройки сада
+app.get('/api/garden/:gardenId/phenology', validate({
+  summary: 'Фаза развития культуры по сумме активных температур',
+  tags: ['Данные'],
+  params: GARDEN_ID_PARAM,
+  query: {
+    cropType: schema.string({ description: 'По умолчанию культура сада' }),
+    seasonStart: schema.date()
+  },
+  responses: {
+    200: schema.ok({ data: schema.object() })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const phenology = await getGardenPhenology(req.garden, {
+      cropType: req.query.cropType || req.garden.crop_type,
+      seasonStart: req.query.seasonStart
+    });
+    if (phenology.error) {
+      return res.status(400).json({
+        success: false,
+        error: phenology.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: parseInt(gardenId),
+        ...phenology,
+        lastUpdate: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Phenology error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка расчета фенологической фазы: ' + error.message
+    });
+  }
+});
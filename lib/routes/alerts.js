@@ -0,0 +1,255 @@
+// Маршруты оповещений и правил оповещений
+
+const { gardenEvents } = require('../events');
+const { app } = require('../app');
+const { pool } = require('../db');
+const { storage } = require('../storage');
+const { schema, sendValidationError, validate } = require('../schema');
+const { GARDEN_ID_PARAM, requireGardenRole } = require('../auth');
+const {
+  ALERT_STATUSES, resolveAlert, ALERT_RULE_FIELDS, checkAlertRuleFields, ALERT_RULE_SCHEMA, loadAlertRule,
+  saveAlertRule
+} = require('../alerts');
+
+// Список оповещений сада
+app.get('/api/garden/:gardenId/alerts', validate({
+  summary: 'Оповещения сада',
+  tags: ['Оповещения'],
+  params: GARDEN_ID_PARAM,
+  query: {
+    status: schema.enum(ALERT_STATUSES),
+    type: schema.string(),
+    limit: schema.integer({ minimum: 1, description: 'По умолчанию 50, не более 500' })
+  },
+  responses: {
+    200: schema.ok({ alerts: schema.array(schema.ref('Alert')) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const { status, type } = req.query;
+
+    const alerts = await storage.alerts.list(gardenId, { status, type, limit: Math.min(parseInt(req.query.limit) || 50, 500) });
+
+    res.json({
+      success: true,
+      alerts
+    });
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения оповещений: ' + error.message
+    });
+  }
+});
+
+// Смена статуса оповещения: acknowledge - принять к сведению, resolve - закрыть
+const updateAlertStatus = (status) => async (req, res) => {
+  try {
+    const { gardenId, alertId } = req.params;
+    const now = new Date();
+
+    const allowedFrom = status === 'acknowledged' ? ['open'] : ['open', 'acknowledged'];
+
+    const alert = /^\d+$/.test(alertId)
+      ? await storage.alerts.setStatus(gardenId, alertId, { status, userId: req.user.id, allowedFrom, now })
+      : null;
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Оповещение не найдено или уже в этом статусе'
+      });
+    }
+
+    gardenEvents.emit('alert', { gardenId: parseInt(gardenId), alert, action: status });
+
+    res.json({
+      success: true,
+      alert
+    });
+  } catch (error) {
+    console.error('Update alert status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка изменения статуса оповещения: ' + error.message
+    });
+  }
+};
+
+app.post('/api/garden/:gardenId/alerts/:alertId/acknowledge', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Подтверждение оповещения',
+  tags: ['Оповещения'],
+  params: { ...GARDEN_ID_PARAM, alertId: schema.id() },
+  responses: {
+    200: schema.ok({ alert: schema.ref('Alert') }),
+    404: schema.ref('Error')
+  }
+}), updateAlertStatus('acknowledged'));
+app.post('/api/garden/:gardenId/alerts/:alertId/resolve', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Закрытие оповещения',
+  tags: ['Оповещения'],
+  params: { ...GARDEN_ID_PARAM, alertId: schema.id() },
+  responses: {
+    200: schema.ok({ alert: schema.ref('Alert') }),
+    404: schema.ref('Error')
+  }
+}), updateAlertStatus('resolved'));
+
+// Список правил оповещений
+app.get('/api/garden/:gardenId/alert-rules', validate({
+  summary: 'Правила оповещений',
+  tags: ['Оповещения'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ rules: schema.array(schema.ref('Record')) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const result = await pool.query(
+      'SELECT * FROM alert_rules WHERE garden_id = $1 ORDER BY created_at',
+      [gardenId]
+    );
+
+    res.json({
+      success: true,
+      rules: result.rows
+    });
+  } catch (error) {
+    console.error('Get alert rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения правил оповещений: ' + error.message
+    });
+  }
+});
+
+// Создание правила оповещения
+app.post('/api/garden/:gardenId/alert-rules', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Новое правило оповещения: порог метрики или отсутствие данных',
+  tags: ['Оповещения'],
+  params: GARDEN_ID_PARAM,
+  body: ALERT_RULE_SCHEMA,
+  responses: {
+    200: schema.ok({ rule: schema.ref('Record') })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const rule = {
+      enabled: true,
+      severity: 'medium',
+      hysteresis: 0,
+      sustainMinutes: 0,
+      ...req.body
+    };
+
+    const errors = checkAlertRuleFields(rule);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const saved = await saveAlertRule(gardenId, rule, { userId: req.user.id });
+
+    console.log('Правило оповещения создано:', saved.id, 'сад:', gardenId);
+
+    res.json({
+      success: true,
+      rule: saved
+    });
+  } catch (error) {
+    console.error('Create alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания правила оповещения: ' + error.message
+    });
+  }
+});
+
+// Получение правила оповещения
+app.get('/api/garden/:gardenId/alert-rules/:ruleId', validate({
+  summary: 'Правило оповещения',
+  tags: ['Оповещения'],
+  params: { ...GARDEN_ID_PARAM, ruleId: schema.id() },
+  responses: {
+    200: schema.ok({ rule: schema.ref('Record') }),
+    404: schema.ref('Error')
+  }
+}), loadAlertRule, (req, res) => {
+  res.json({
+    success: true,
+    rule: req.alertRule
+  });
+});
+
+// Обновление правила оповещения
+app.put('/api/garden/:gardenId/alert-rules/:ruleId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Изменение правила оповещения',
+  tags: ['Оповещения'],
+  params: { ...GARDEN_ID_PARAM, ruleId: schema.id() },
+  body: schema.partial(ALERT_RULE_SCHEMA),
+  responses: {
+    200: schema.ok({ rule: schema.ref('Record') }),
+    404: schema.ref('Error')
+  }
+}), loadAlertRule, async (req, res) => {
+  try {
+    const { gardenId, ruleId } = req.params;
+
+    const current = {};
+    for (const [field, column] of Object.entries(ALERT_RULE_FIELDS)) {
+      current[field] = req.alertRule[column];
+    }
+    const rule = { ...current, ...req.body };
+
+    const errors = checkAlertRuleFields(rule);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const saved = await saveAlertRule(gardenId, rule, { ruleId });
+
+    res.json({
+      success: true,
+      rule: saved
+    });
+  } catch (error) {
+    console.error('Update alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления правила оповещения: ' + error.message
+    });
+  }
+});
+
+// Удаление правила оповещения (открытое оповещение по нему закрывается)
+app.delete('/api/garden/:gardenId/alert-rules/:ruleId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Удаление правила оповещения',
+  tags: ['Оповещения'],
+  params: { ...GARDEN_ID_PARAM, ruleId: schema.id() },
+  responses: {
+    200: schema.ok(),
+    404: schema.ref('Error')
+  }
+}), loadAlertRule, async (req, res) => {
+  try {
+    const { gardenId, ruleId } = req.params;
+
+    await pool.query('DELETE FROM alert_rules WHERE id = $1', [ruleId]);
+    await resolveAlert(gardenId, { type: 'rule', key: `rule-${ruleId}` });
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Delete alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления правила оповещения: ' + error.message
+    });
+  }
+});
@@ -0,0 +1,221 @@
+// Маршруты анализов почвы и листьев
+
+const { app } = require('../app');
+const { pool } = require('../db');
+const { toDateString } = require('../dates');
+const { schema, defineSchema, sendValidationError, validate } = require('../schema');
+const { GARDEN_ID_PARAM, requireGardenRole } = require('../auth');
+const {
+  CROP_NUTRIENT_REFERENCE, DEFAULT_SAMPLE_DEPTH_CM, ANALYSIS_TYPES, analysisRowToValues, checkAnalysisFields,
+  buildAnalysisSchema, interpretAnalysis, buildAnalysisTrends, buildFertilizerSuggestions, saveAnalysis,
+  loadAnalysis, formatAnalysis
+} = require('../nutrients');
+
+// Маршруты анализов почвы (/soil-analyses) и листьев (/leaf-analyses)
+for (const [type, { table, route, label, fields }] of Object.entries(ANALYSIS_TYPES)) {
+  const analysisSchema = defineSchema(`${type[0].toUpperCase()}${type.slice(1)}AnalysisInput`, buildAnalysisSchema(type));
+
+  // Список анализов, новые пробы первыми
+  app.get(`/api/garden/:gardenId/${route}`, validate({
+    summary: `Анализы ${label}, новые пробы первыми`,
+    tags: ['Анализы'],
+    params: GARDEN_ID_PARAM,
+    responses: {
+      200: schema.ok({ analyses: schema.array(schema.ref('Analysis')) })
+    }
+  }), async (req, res) => {
+    try {
+      const { gardenId } = req.params;
+
+      const result = await pool.query(
+        `SELECT * FROM ${table} WHERE garden_id = $1 ORDER BY sample_date DESC, id DESC`,
+        [gardenId]
+      );
+
+      res.json({
+        success: true,
+        analyses: result.rows.map(row => formatAnalysis(type, row, req.garden.crop_type))
+      });
+    } catch (error) {
+      console.error('Get analyses error:', error);
+      res.status(500).json({
+        success: false,
+        error: `Ошибка получения анализов ${label}: ` + error.message
+      });
+    }
+  });
+
+  // Запись результатов лаборатории
+  app.post(`/api/garden/:gardenId/${route}`, requireGardenRole('owner', 'agronomist'), validate({
+    summary: `Новый анализ ${label}`,
+    tags: ['Анализы'],
+    params: GARDEN_ID_PARAM,
+    body: analysisSchema,
+    responses: {
+      200: schema.ok({ analysis: schema.ref('Analysis') })
+    }
+  }), async (req, res) => {
+    try {
+      const { gardenId } = req.params;
+
+      const errors = checkAnalysisFields(type, req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const saved = await saveAnalysis(type, gardenId, req.body, { userId: req.user.id });
+
+      console.log(`Анализ ${label} записан:`, saved.id, 'сад:', gardenId);
+
+      res.json({
+        success: true,
+        analysis: formatAnalysis(type, saved, req.garden.crop_type)
+      });
+    } catch (error) {
+      console.error('Create analysis error:', error);
+      res.status(500).json({
+        success: false,
+        error: `Ошибка сохранения анализа ${label}: ` + error.message
+      });
+    }
+  });
+
+  app.get(`/api/garden/:gardenId/${route}/:analysisId`, validate({
+    summary: `Анализ ${label} с интерпретацией`,
+    tags: ['Анализы'],
+    params: { ...GARDEN_ID_PARAM, analysisId: schema.id() },
+    responses: {
+      200: schema.ok({ analysis: schema.ref('Analysis') }),
+      404: schema.ref('Error')
+    }
+  }), loadAnalysis(type), (req, res) => {
+    res.json({
+      success: true,
+      analysis: formatAnalysis(type, req.analysis, req.garden.crop_type)
+    });
+  });
+
+  app.put(`/api/garden/:gardenId/${route}/:analysisId`, requireGardenRole('owner', 'agronomist'), validate({
+    summary: `Изменение анализа ${label}`,
+    tags: ['Анализы'],
+    params: { ...GARDEN_ID_PARAM, analysisId: schema.id() },
+    body: schema.partial(analysisSchema),
+    responses: {
+      200: schema.ok({ analysis: schema.ref('Analysis') }),
+      404: schema.ref('Error')
+    }
+  }), loadAnalysis(type), async (req, res) => {
+    try {
+      const { gardenId, analysisId } = req.params;
+
+      const current = {};
+      for (const [field, column] of Object.entries(fields)) {
+        current[field] = column === 'sample_date' ? toDateString(req.analysis[column]) : req.analysis[column];
+      }
+      const analysis = { ...current, ...req.body };
+
+      const errors = checkAnalysisFields(type, analysis);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const saved = await saveAnalysis(type, gardenId, analysis, { analysisId });
+
+      res.json({
+        success: true,
+        analysis: formatAnalysis(type, saved, req.garden.crop_type)
+      });
+    } catch (error) {
+      console.error('Update analysis error:', error);
+      res.status(500).json({
+        success: false,
+        error: `Ошибка обновления анализа ${label}: ` + error.message
+      });
+    }
+  });
+
+  app.delete(`/api/garden/:gardenId/${route}/:analysisId`, requireGardenRole('owner', 'agronomist'), validate({
+    summary: `Удаление анализа ${label}`,
+    tags: ['Анализы'],
+    params: { ...GARDEN_ID_PARAM, analysisId: schema.id() },
+    responses: {
+      200: schema.ok(),
+      404: schema.ref('Error')
+    }
+  }), loadAnalysis(type), async (req, res) => {
+    try {
+      const { analysisId } = req.params;
+
+      await pool.query(`DELETE FROM ${table} WHERE id = $1`, [analysisId]);
+
+      res.json({
+        success: true
+      });
+    } catch (error) {
+      console.error('Delete analysis error:', error);
+      res.status(500).json({
+        success: false,
+        error: `Ошибка удаления анализа ${label}: ` + error.message
+      });
+    }
+  });
+}
+
+// Сводка по питанию: оценка последних анализов по нормам культуры, динамика и удобрения.
+// Параметр cropType переопределяет культуру сада
+app.get('/api/garden/:gardenId/nutrient-status', validate({
+  summary: 'Обеспеченность питанием по последним анализам почвы и листьев',
+  tags: ['Анализы'],
+  params: GARDEN_ID_PARAM,
+  query: { cropType: schema.string({ description: 'По умолчанию культура сада' }) },
+  responses: {
+    200: schema.ok({ data: schema.object() })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const cropType = req.query.cropType || req.garden.crop_type;
+
+    const soilRows = await pool.query(
+      'SELECT * FROM soil_analyses WHERE garden_id = $1 ORDER BY sample_date, id',
+      [gardenId]
+    );
+    const leafRows = await pool.query(
+      'SELECT * FROM leaf_analyses WHERE garden_id = $1 ORDER BY sample_date, id',
+      [gardenId]
+    );
+
+    const latestSoil = soilRows.rows[soilRows.rows.length - 1] || null;
+    const latestLeaf = leafRows.rows[leafRows.rows.length - 1] || null;
+
+    const soil = latestSoil ? interpretAnalysis('soil', analysisRowToValues('soil', latestSoil), cropType) : [];
+    const leaf = latestLeaf ? interpretAnalysis('leaf', analysisRowToValues('leaf', latestLeaf), cropType) : [];
+
+    const depthCm = latestSoil && latestSoil.depth_to_cm !== null
+      ? latestSoil.depth_to_cm - (latestSoil.depth_from_cm || 0)
+      : DEFAULT_SAMPLE_DEPTH_CM;
+
+    res.json({
+      success: true,
+      data: {
+        id: parseInt(gardenId),
+        cropType: cropType || null,
+        referenceCrop: CROP_NUTRIENT_REFERENCE[cropType] ? cropType : null,
+        soil: latestSoil ? { analysisId: latestSoil.id, sampleDate: toDateString(latestSoil.sample_date), depthCm, interpretation: soil } : null,
+        leaf: latestLeaf ? { analysisId: latestLeaf.id, sampleDate: toDateString(latestLeaf.sample_date), interpretation: leaf } : null,
+        trends: {
+          soil: buildAnalysisTrends('soil', soilRows.rows),
+          leaf: buildAnalysisTrends('leaf', leafRows.rows)
+        },
+        fertilizers: buildFertilizerSuggestions(soil, leaf, depthCm),
+        lastUpdate: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Nutrient status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка оценки питания: ' + error.message
+    });
+  }
+});
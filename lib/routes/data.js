@@ -0,0 +1,152 @@
+// Маршруты текущих показаний, карантина и истории
+
+const { app } = require('../app');
+const { storage } = require('../storage');
+const { schema, validate } = require('../schema');
+const { GARDEN_ID_PARAM } = require('../auth');
+const {
+  GARDEN_METRICS, getLatestReadings, describeAge, HISTORY_INTERVALS, parseHistoryQuery, getRawHistory,
+  getAggregatedHistory
+} = require('../readings');
+
+// Получение текущих данных сада
+app.get('/api/garden/:gardenId/current-data', validate({
+  summary: 'Текущие показания сада с отметкой устаревания',
+  tags: ['Данные'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ data: schema.ref('CurrentData') })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    
+    console.log(`Получение данных сада для gardenId: ${gardenId}`);
+    
+    const latest = await getLatestReadings(gardenId);
+    const now = new Date();
+
+    const gardenData = {
+      id: parseInt(gardenId),
+      hasData: false,
+      metrics: {},
+      lastUpdate: null
+    };
+
+    for (const field of Object.keys(GARDEN_METRICS)) {
+      const reading = latest[field];
+      gardenData[field] = reading ? Number(reading.value) : null;
+      gardenData.metrics[field] = reading
+        ? { value: Number(reading.value), recordedAt: reading.created_at, ...describeAge(reading.created_at, now) }
+        : null;
+
+      if (reading && (!gardenData.lastUpdate || reading.created_at > gardenData.lastUpdate)) {
+        gardenData.lastUpdate = reading.created_at;
+      }
+    }
+
+    gardenData.weatherDescription = latest.weatherDescription ? latest.weatherDescription.value : null;
+    gardenData.hasData = gardenData.lastUpdate !== null;
+
+    if (gardenData.hasData) {
+      Object.assign(gardenData, describeAge(gardenData.lastUpdate, now));
+    } else {
+      gardenData.ageSeconds = null;
+      gardenData.isStale = true;
+      gardenData.message = 'Данные с датчиков еще не поступали';
+    }
+
+    console.log('Отправка данных сада:', gardenData);
+
+    res.json({
+      success: true,
+      data: gardenData
+    });
+  } catch (error) {
+    console.error('Garden data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения данных сада: ' + error.message
+    });
+  }
+});
+
+// Показания, отложенные при проверке
+app.get('/api/garden/:gardenId/data/quarantine', validate({
+  summary: 'Показания в карантине',
+  tags: ['Прием данных'],
+  params: GARDEN_ID_PARAM,
+  query: { limit: schema.integer({ minimum: 1, description: 'По умолчанию 50, не более 500' }) },
+  responses: {
+    200: schema.ok({ data: schema.array(schema.ref('Record')) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const data = await storage.readings.listQuarantine(gardenId, limit);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get quarantine error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения отложенных показаний: ' + error.message
+    });
+  }
+});
+
+// Получение истории данных сада
+// Параметры: from, to, metrics (через запятую), interval (hour/day/week), limit, cursor
+app.get('/api/garden/:gardenId/history', validate({
+  summary: 'История показаний: сырые (от новых) или агрегированные по интервалам (от старых)',
+  tags: ['Данные'],
+  params: GARDEN_ID_PARAM,
+  query: {
+    from: schema.string({ description: 'Дата или дата и время' }),
+    to: schema.string({ description: 'Дата или дата и время' }),
+    metrics: schema.string({ description: `Через запятую: ${Object.keys(GARDEN_METRICS).join(', ')}` }),
+    interval: schema.enum(Object.keys(HISTORY_INTERVALS)),
+    limit: schema.integer({ minimum: 1 }),
+    cursor: schema.string({ description: 'pagination.nextCursor предыдущей страницы' })
+  },
+  responses: {
+    200: schema.ok({
+      interval: schema.nullable(schema.string()),
+      data: schema.array(schema.object()),
+      pagination: schema.object({ hasMore: schema.boolean(), nextCursor: schema.nullable(schema.string()) })
+    })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const options = parseHistoryQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error
+      });
+    }
+
+    const history = options.interval
+      ? await getAggregatedHistory(gardenId, options)
+      : await getRawHistory(gardenId, options);
+
+    res.json({
+      success: true,
+      interval: options.interval || null,
+      ...history
+    });
+  } catch (error) {
+    console.error('Get garden history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения истории данных'
+    });
+  }
+});
@@ -0,0 +1,240 @@
+// Маршруты реестра устройств
+
+const { app } = require('../app');
+const { storage } = require('../storage');
+const { schema, validate } = require('../schema');
+const { DEVICE_OFFLINE_MINUTES, DEVICE_TYPES, generateDeviceKey } = require('../ingestion');
+const { GARDEN_ID_PARAM, requireGardenRole } = require('../auth');
+
+// ==================== УСТРОЙСТВА ====================
+
+// Устройство для ответа API: без хеша ключа, с признаком связи
+function formatDevice(device, now = new Date()) {
+  const { api_key_hash: _, ...rest } = device;
+
+  let status = 'online';
+  if (device.revoked_at) {
+    status = 'revoked';
+  } else if (!device.last_seen_at) {
+    status = 'never_seen';
+  } else if (now - new Date(device.last_seen_at) > DEVICE_OFFLINE_MINUTES * 60000) {
+    status = 'offline';
+  }
+
+  return { ...rest, status, online: status === 'online' };
+}
+
+// Middleware: загружает устройство текущего сада
+const loadDevice = async (req, res, next) => {
+  try {
+    const { gardenId, deviceId } = req.params;
+
+    const device = /^\d+$/.test(deviceId) ? await storage.devices.findInGarden(deviceId, gardenId) : null;
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Устройство не найдено'
+      });
+    }
+
+    req.gardenDevice = device;
+    next();
+  } catch (error) {
+    console.error('Load device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения устройства: ' + error.message
+    });
+  }
+};
+
+// Список устройств сада с признаком офлайн
+app.get('/api/garden/:gardenId/devices', validate({
+  summary: 'Устройства сада и список не выходящих на связь',
+  tags: ['Устройства'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ devices: schema.array(schema.ref('Device')), offline: schema.array(schema.id()) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const now = new Date();
+    const devices = (await storage.devices.listByGarden(gardenId)).map(device => formatDevice(device, now));
+
+    res.json({
+      success: true,
+      devices,
+      offline: devices.filter(device => device.status === 'offline' || device.status === 'never_seen').map(device => device.id)
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения устройств: ' + error.message
+    });
+  }
+});
+
+// Регистрация устройства. Ключ возвращается только в этом ответе
+app.post('/api/garden/:gardenId/devices', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Регистрация устройства. Ключ API показывается один раз',
+  tags: ['Устройства'],
+  params: GARDEN_ID_PARAM,
+  body: schema.object({
+    name: schema.string({ minLength: 1, maxLength: 100 }),
+    type: schema.enum(DEVICE_TYPES)
+  }, { required: ['name'] }),
+  responses: {
+    200: schema.ok({
+      device: schema.ref('Device'),
+      apiKey: schema.string({ description: 'Ключ устройства: его SHA-256 (hex) - ключ подписи показаний (X-Signature)' })
+    })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const { name, type = 'sensor' } = req.body;
+
+    const key = generateDeviceKey();
+
+    const device = await storage.devices.create({ gardenId, name, type, keyHash: key.hash, keyPrefix: key.prefix });
+
+    console.log('Устройство зарегистрировано:', device.id, 'сад:', gardenId);
+
+    res.json({
+      success: true,
+      device: formatDevice(device),
+      apiKey: key.apiKey
+    });
+  } catch (error) {
+    console.error('Create device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка регистрации устройства: ' + error.message
+    });
+  }
+});
+
+// Переименование устройства
+app.put('/api/garden/:gardenId/devices/:deviceId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Переименование устройства',
+  tags: ['Устройства'],
+  params: { ...GARDEN_ID_PARAM, deviceId: schema.id() },
+  body: schema.object({
+    name: schema.string({ minLength: 1, maxLength: 100 })
+  }, { required: ['name'] }),
+  responses: {
+    200: schema.ok({ device: schema.ref('Device') }),
+    404: schema.ref('Error')
+  }
+}), loadDevice, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { name } = req.body;
+
+    const device = await storage.devices.rename(deviceId, name);
+
+    res.json({
+      success: true,
+      device: formatDevice(device)
+    });
+  } catch (error) {
+    console.error('Update device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления устройства: ' + error.message
+    });
+  }
+});
+
+// Выпуск нового ключа устройства (старый сразу перестает действовать)
+app.post('/api/garden/:gardenId/devices/:deviceId/rotate-key', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Выпуск нового ключа устройства (старый перестает действовать)',
+  tags: ['Устройства'],
+  params: { ...GARDEN_ID_PARAM, deviceId: schema.id() },
+  responses: {
+    200: schema.ok({ device: schema.ref('Device'), apiKey: schema.string() }),
+    404: schema.ref('Error')
+  }
+}), loadDevice, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const key = generateDeviceKey();
+
+    const device = await storage.devices.setKey(deviceId, key.hash, key.prefix);
+
+    console.log('Ключ устройства обновлен:', deviceId);
+
+    res.json({
+      success: true,
+      device: formatDevice(device),
+      apiKey: key.apiKey
+    });
+  } catch (error) {
+    console.error('Rotate device key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления ключа устройства: ' + error.message
+    });
+  }
+});
+
+// Отзыв ключа устройства
+app.post('/api/garden/:gardenId/devices/:deviceId/revoke', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Отзыв ключа устройства',
+  tags: ['Устройства'],
+  params: { ...GARDEN_ID_PARAM, deviceId: schema.id() },
+  responses: {
+    200: schema.ok({ device: schema.ref('Device') }),
+    404: schema.ref('Error')
+  }
+}), loadDevice, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const device = await storage.devices.revoke(deviceId);
+
+    console.log('Ключ устройства отозван:', deviceId);
+
+    res.json({
+      success: true,
+      device: formatDevice(device)
+    });
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка отзыва ключа устройства: ' + error.message
+    });
+  }
+});
+
+// Удаление устройства (данные датчиков сохраняются)
+app.delete('/api/garden/:gardenId/devices/:deviceId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Удаление устройства (показания сохраняются)',
+  tags: ['Устройства'],
+  params: { ...GARDEN_ID_PARAM, deviceId: schema.id() },
+  responses: {
+    200: schema.ok(),
+    404: schema.ref('Error')
+  }
+}), loadDevice, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    await storage.devices.delete(deviceId);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Delete device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления устройства: ' + error.message
+    });
+  }
+});
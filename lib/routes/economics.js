@@ -0,0 +1,343 @@
+// Маршруты журнала и экономики сезона
+
+const { app } = require('../app');
+const { pool } = require('../db');
+const { toDateString } = require('../dates');
+const { schema, sendValidationError, validate } = require('../schema');
+const { GARDEN_ID_PARAM, requireGardenRole } = require('../auth');
+const { IRRIGATION_EFFICIENCY, economicCalculator } = require('../agronomy');
+const {
+  LEDGER_CATEGORIES, CAPITAL_EXPENSE_CATEGORIES, ELECTRICITY_RATE, LEDGER_FIELDS, checkLedgerEntry, LEDGER_SCHEMA,
+  SEASON_PERIOD_QUERY, getSeasonPeriod, saveLedgerEntry
+} = require('../ledger');
+
+// Журнал доходов и расходов
+app.get('/api/garden/:gardenId/ledger', validate({
+  summary: 'Журнал доходов и расходов за период',
+  tags: ['Экономика'],
+  params: GARDEN_ID_PARAM,
+  query: {
+    ...SEASON_PERIOD_QUERY,
+    type: schema.enum(Object.keys(LEDGER_CATEGORIES)),
+    category: schema.string()
+  },
+  responses: {
+    200: schema.ok({ period: schema.object(), entries: schema.array(schema.ref('Record')) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const period = getSeasonPeriod(req.garden, req.query);
+    if (period.errors) {
+      return sendValidationError(res, period.errors);
+    }
+
+    const conditions = ['garden_id = $1', 'entry_date >= $2', 'entry_date <= $3'];
+    const values = [gardenId, period.from, period.to];
+
+    if (req.query.type) {
+      values.push(req.query.type);
+      conditions.push(`type = $${values.length}`);
+    }
+    if (req.query.category) {
+      values.push(req.query.category);
+      conditions.push(`category = $${values.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM economic_entries 
+       WHERE ${conditions.join(' AND ')} 
+       ORDER BY entry_date DESC, id DESC`,
+      values
+    );
+
+    res.json({
+      success: true,
+      period,
+      entries: result.rows
+    });
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения журнала экономики: ' + error.message
+    });
+  }
+});
+
+// Middleware: загружает запись журнала текущего сада
+const loadLedgerEntry = async (req, res, next) => {
+  try {
+    const { gardenId, entryId } = req.params;
+
+    const result = /^\d+$/.test(entryId) ? await pool.query(
+      'SELECT * FROM economic_entries WHERE id = $1 AND garden_id = $2',
+      [entryId, gardenId]
+    ) : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Запись журнала не найдена'
+      });
+    }
+
+    req.ledgerEntry = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Load ledger entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения записи журнала: ' + error.message
+    });
+  }
+};
+
+// Добавление записи журнала
+app.post('/api/garden/:gardenId/ledger', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Новая запись журнала',
+  tags: ['Экономика'],
+  params: GARDEN_ID_PARAM,
+  body: LEDGER_SCHEMA,
+  responses: {
+    200: schema.ok({ entry: schema.ref('Record') })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const errors = checkLedgerEntry(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const entry = await saveLedgerEntry(gardenId, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      entry
+    });
+  } catch (error) {
+    console.error('Create ledger entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка добавления записи журнала: ' + error.message
+    });
+  }
+});
+
+// Обновление записи журнала
+app.put('/api/garden/:gardenId/ledger/:entryId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Изменение записи журнала',
+  tags: ['Экономика'],
+  params: { ...GARDEN_ID_PARAM, entryId: schema.id() },
+  body: schema.partial(LEDGER_SCHEMA),
+  responses: {
+    200: schema.ok({ entry: schema.ref('Record') }),
+    404: schema.ref('Error')
+  }
+}), loadLedgerEntry, async (req, res) => {
+  try {
+    const { gardenId, entryId } = req.params;
+
+    const current = {};
+    for (const [field, column] of Object.entries(LEDGER_FIELDS)) {
+      current[field] = column === 'entry_date' ? toDateString(req.ledgerEntry[column]) : req.ledgerEntry[column];
+    }
+    const entry = { ...current, ...req.body };
+
+    const errors = checkLedgerEntry(entry);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const saved = await saveLedgerEntry(gardenId, entry, req.user.id, entryId);
+
+    res.json({
+      success: true,
+      entry: saved
+    });
+  } catch (error) {
+    console.error('Update ledger entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления записи журнала: ' + error.message
+    });
+  }
+});
+
+// Удаление записи журнала
+app.delete('/api/garden/:gardenId/ledger/:entryId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Удаление записи журнала',
+  tags: ['Экономика'],
+  params: { ...GARDEN_ID_PARAM, entryId: schema.id() },
+  responses: {
+    200: schema.ok(),
+    404: schema.ref('Error')
+  }
+}), loadLedgerEntry, async (req, res) => {
+  try {
+    const { entryId } = req.params;
+
+    await pool.query('DELETE FROM economic_entries WHERE id = $1', [entryId]);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Delete ledger entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления записи журнала: ' + error.message
+    });
+  }
+});
+
+// Получение экономических данных за сезон
+// Параметры: season (год) или from/to, electricityRate, laborCost - для расчета стоимости полива
+app.get('/api/garden/:gardenId/economics', validate({
+  summary: 'Экономика сезона: затраты, доходы, ROI',
+  tags: ['Экономика'],
+  params: GARDEN_ID_PARAM,
+  query: {
+    ...SEASON_PERIOD_QUERY,
+    electricityRate: schema.number({ minimum: 0, description: 'Тариф на электроэнергию за кВт·ч' }),
+    laborCost: schema.number({ minimum: 0 })
+  },
+  responses: {
+    200: schema.ok({ data: schema.object() })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    
+    console.log(`Получение экономических данных для gardenId: ${gardenId}`);
+
+    const period = getSeasonPeriod(req.garden, req.query);
+    if (period.errors) {
+      return sendValidationError(res, period.errors);
+    }
+
+    const electricityRate = req.query.electricityRate !== undefined ? parseFloat(req.query.electricityRate) : ELECTRICITY_RATE;
+    const laborCost = req.query.laborCost !== undefined ? parseFloat(req.query.laborCost) : 0;
+
+    const totals = await pool.query(
+      `SELECT type, category, SUM(amount) AS amount, SUM(quantity) AS quantity, 
+              SUM(CASE WHEN unit = 'kg' THEN quantity ELSE 0 END) AS kg 
+       FROM economic_entries 
+       WHERE garden_id = $1 AND entry_date >= $2 AND entry_date <= $3 
+       GROUP BY type, category`,
+      [gardenId, period.from, period.to]
+    );
+
+    // Фактический объем воды по журналу поливов
+    const watering = await pool.query(
+      `SELECT COUNT(*)::int AS runs, COALESCE(SUM(water_volume), 0) AS water_volume 
+       FROM watering_log 
+       WHERE garden_id = $1 AND started_at >= $2 AND started_at < $3`,
+      [gardenId, new Date(`${period.from}T00:00:00`), new Date(new Date(`${period.to}T00:00:00`).getTime() + 86400000)]
+    );
+
+    // Потребность в поливе по водному балансу: ETc за вычетом эффективных осадков
+    const requirement = await pool.query(
+      `SELECT etc, effective_rainfall FROM water_balance_daily 
+       WHERE garden_id = $1 AND date >= $2 AND date <= $3`,
+      [gardenId, period.from, period.to]
+    );
+
+    const expensesByCategory = {};
+    const incomeByCategory = {};
+    let capitalCosts = 0;
+    let operationalCosts = 0;
+    let revenue = 0;
+    let harvestRevenue = 0;
+    let yieldKg = 0;
+
+    for (const row of totals.rows) {
+      const amount = Number(row.amount);
+      if (row.type === 'expense') {
+        expensesByCategory[row.category] = amount;
+        if (CAPITAL_EXPENSE_CATEGORIES.includes(row.category)) {
+          capitalCosts += amount;
+        } else {
+          operationalCosts += amount;
+        }
+      } else {
+        incomeByCategory[row.category] = amount;
+        revenue += amount;
+        if (row.category === 'harvest') {
+          harvestRevenue += amount;
+          yieldKg += Number(row.kg);
+        }
+      }
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+
+    const waterVolume = Number(watering.rows[0].water_volume);
+    const irrigationCost = economicCalculator.calculateIrrigationCost(waterVolume, electricityRate, laborCost);
+    const irrigation = {
+      runs: watering.rows[0].runs,
+      waterVolume,
+      electricityRate,
+      waterCost: round(irrigationCost.waterCost),
+      electricityCost: round(irrigationCost.electricityCost),
+      laborCost: round(irrigationCost.laborCost),
+      totalCost: round(irrigationCost.totalCost),
+      costPerHectare: req.garden.area_hectares ? round(irrigationCost.totalCost / Number(req.garden.area_hectares)) : null,
+      requiredWaterVolume: null,
+      requiredCost: null
+    };
+    if (req.garden.area_hectares && requirement.rows.length > 0) {
+      const requiredDepth = requirement.rows.reduce(
+        (sum, row) => sum + Math.max(0, Number(row.etc) - Number(row.effective_rainfall)), 0
+      );
+      irrigation.requiredWaterVolume = round(requiredDepth / IRRIGATION_EFFICIENCY * Number(req.garden.area_hectares) * 10);
+      irrigation.requiredCost = round(
+        economicCalculator.calculateIrrigationCost(irrigation.requiredWaterVolume, electricityRate, 0).totalCost
+      );
+    }
+    operationalCosts += irrigationCost.totalCost;
+    const costs = operationalCosts + capitalCosts;
+    const profit = revenue - costs;
+
+    const production = yieldKg > 0
+      ? economicCalculator.calculateProductionCost(operationalCosts, yieldKg, capitalCosts)
+      : null;
+
+    const roi = capitalCosts > 0 && yieldKg > 0
+      ? economicCalculator.calculateROI(capitalCosts, yieldKg, harvestRevenue / yieldKg, operationalCosts)
+      : null;
+
+    const economicsData = {
+      id: parseInt(gardenId),
+      period,
+      costs: round(costs),
+      operationalCosts: round(operationalCosts),
+      capitalCosts: round(capitalCosts),
+      revenue: round(revenue),
+      profit: round(profit),
+      yield: yieldKg,
+      costPerKg: production ? production.costPerKg : null,
+      efficiency: costs > 0 ? round((profit / costs) * 100) : null,
+      roi: roi ? roi.roi : null,
+      paybackPeriod: roi && roi.netProfit > 0 ? round(roi.paybackPeriod) : null,
+      expensesByCategory,
+      incomeByCategory,
+      irrigation,
+      lastUpdate: new Date().toISOString()
+    };
+
+    res.json({
+      success: true,
+      data: economicsData
+    });
+  } catch (error) {
+    console.error('Economics data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения экономических данных: ' + error.message
+    });
+  }
+});
@@ -0,0 +1,545 @@
+// Маршруты экспорта и импорта данных сада
+
+const { app } = require('../app');
+const { isValidDateString, toDateString, addDays, formatInTimezone, zonedTimeToDate } = require('../dates');
+const { storage } = require('../storage');
+const { schema, validate } = require('../schema');
+const { METRIC_RANGES, parseReadingTimestamp, validateReading } = require('../ingestion');
+const { GARDEN_ID_PARAM, requireGardenRole } = require('../auth');
+const { GARDEN_METRICS } = require('../readings');
+const { listLedgerPage } = require('../ledger');
+
+// ==================== ЭКСПОРТ И ИМПОРТ ====================
+
+// Сколько строк читать из БД за один запрос при выгрузке
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE) || 1000;
+
+// Импорт: строк в одной транзакции, предельный размер файла и сколько отклоненных строк описывать в отчете
+const IMPORT_CHUNK_SIZE = parseInt(process.env.IMPORT_CHUNK_SIZE) || 500;
+const IMPORT_MAX_BYTES = parseInt(process.env.IMPORT_MAX_BYTES) || 50 * 1024 * 1024;
+const IMPORT_MAX_REPORTED_ERRORS = 1000;
+
+const CSV_DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+// Наборы данных для выгрузки: чтение страницы, колонка времени и колонки (поле выгрузки -> колонка).
+// dateOnly - время хранится датой (журнал экономики)
+const EXPORT_DATASETS = {
+  readings: {
+    page: (gardenId, options) => storage.readings.exportPage(gardenId, options),
+    timeColumn: 'created_at',
+    columns: {
+      timestamp: 'created_at',
+      id: 'id',
+      deviceId: 'device_id',
+      ...GARDEN_METRICS,
+      weatherDescription: 'weather_description'
+    }
+  },
+  watering: {
+    page: (gardenId, options) => storage.watering.exportPage(gardenId, options),
+    timeColumn: 'started_at',
+    columns: {
+      id: 'id',
+      startedAt: 'started_at',
+      plannedEndAt: 'planned_end_at',
+      endedAt: 'ended_at',
+      durationSeconds: 'duration_seconds',
+      actualSeconds: 'actual_seconds',
+      waterVolume: 'water_volume',
+      source: 'source',
+      stopReason: 'stop_reason',
+      ruleId: 'rule_id',
+      userId: 'user_id'
+    }
+  },
+  ledger: {
+    page: listLedgerPage,
+    timeColumn: 'entry_date',
+    dateOnly: true,
+    columns: {
+      id: 'id',
+      entryDate: 'entry_date',
+      type: 'type',
+      category: 'category',
+      quantity: 'quantity',
+      unit: 'unit',
+      unitPrice: 'unit_price',
+      amount: 'amount',
+      description: 'description',
+      createdBy: 'created_by'
+    }
+  }
+};
+
+// Время из файла: число - unix-время, строка со смещением или Z - как есть, без смещения - в поясе timezone
+function parseImportTimestamp(value, timezone) {
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return parseReadingTimestamp(Number(value));
+  }
+  return zonedTimeToDate(value, timezone) || new Date(value);
+}
+
+function escapeCsvValue(value, delimiter) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Потоковый разбор CSV: push(текст) возвращает готовые записи { line, fields }, end() - последнюю.
+// Поддерживает кавычки, удвоенные кавычки и переводы строк внутри кавычек
+function createCsvParser(delimiter) {
+  let field = '';
+  let fields = [];
+  let quoted = false;
+  let afterQuote = false;
+  let line = 1;
+  let recordLine = 1;
+  let pendingCr = false;
+
+  const finishRecord = (records) => {
+    fields.push(field);
+    if (!(fields.length === 1 && fields[0] === '')) {
+      records.push({ line: recordLine, fields });
+    }
+    field = '';
+    fields = [];
+    afterQuote = false;
+  };
+
+  return {
+    push(text) {
+      const records = [];
+      for (const char of text) {
+        if (pendingCr) {
+          pendingCr = false;
+          if (char === '\n') {
+            continue;
+          }
+        }
+        if (quoted) {
+          if (char === '"') {
+            quoted = false;
+            afterQuote = true;
+          } else {
+            if (char === '\n') {
+              line++;
+            }
+            field += char;
+          }
+          continue;
+        }
+        if (char === '"') {
+          // Удвоенная кавычка внутри поля - сама кавычка
+          if (afterQuote) {
+            field += '"';
+          }
+          quoted = true;
+          afterQuote = false;
+        } else if (char === delimiter) {
+          fields.push(field);
+          field = '';
+          afterQuote = false;
+        } else if (char === '\n' || char === '\r') {
+          finishRecord(records);
+          pendingCr = char === '\r';
+          line++;
+          recordLine = line;
+        } else {
+          field += char;
+          afterQuote = false;
+        }
+      }
+      return records;
+    },
+    end() {
+      const records = [];
+      if (field !== '' || fields.length > 0) {
+        finishRecord(records);
+      }
+      return records;
+    }
+  };
+}
+
+// Общие параметры выгрузки и загрузки (проверены схемой запроса): часовой пояс и разделитель CSV
+function parseCsvOptions(query) {
+  return {
+    timezone: query.timezone || 'UTC',
+    delimiter: CSV_DELIMITERS[query.delimiter || 'comma']
+  };
+}
+
+// Запись в ответ с учетом backpressure
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await new Promise(resolve => {
+      res.once('drain', resolve);
+      res.once('close', resolve);
+    });
+  }
+}
+
+// Выгрузка данных сада в CSV или NDJSON потоком.
+// dataset: readings, watering, ledger. Параметры: from, to (ГГГГ-ММ-ДД в поясе timezone или ISO-время),
+// format (csv | ndjson), columns (через запятую), timezone (по умолчанию UTC), delimiter, bom (true - BOM для Excel)
+app.get('/api/garden/:gardenId/export/:dataset', validate({
+  summary: 'Потоковая выгрузка данных в CSV или NDJSON',
+  tags: ['Экспорт и импорт'],
+  params: { ...GARDEN_ID_PARAM, dataset: schema.enum(Object.keys(EXPORT_DATASETS)) },
+  query: {
+    format: schema.enum(['csv', 'ndjson']),
+    columns: schema.string({ description: 'Колонки через запятую' }),
+    from: schema.string(),
+    to: schema.string(),
+    timezone: schema.string({ format: 'timezone', description: 'Часовой пояс IANA, по умолчанию UTC' }),
+    delimiter: schema.enum(Object.keys(CSV_DELIMITERS)),
+    bom: schema.boolean()
+  },
+  responses: {
+    200: schema.content('text/csv')
+  }
+}), async (req, res) => {
+  const { gardenId, dataset: datasetName } = req.params;
+  const dataset = EXPORT_DATASETS[datasetName];
+  const format = req.query.format || 'csv';
+
+  const { timezone, delimiter } = parseCsvOptions(req.query);
+
+  const columns = req.query.columns
+    ? String(req.query.columns).split(',').map(column => column.trim()).filter(Boolean)
+    : Object.keys(dataset.columns);
+  const unknown = columns.filter(column => !dataset.columns[column]);
+  if (unknown.length > 0 || columns.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Неизвестные колонки: ${unknown.join(', ')}. Доступны: ${Object.keys(dataset.columns).join(', ')}`
+    });
+  }
+
+  // Границы периода: дата - начало суток from и конец суток to в поясе timezone
+  const bounds = {};
+  for (const key of ['from', 'to']) {
+    const value = req.query[key];
+    if (value === undefined) {
+      continue;
+    }
+    if (dataset.dateOnly) {
+      if (!isValidDateString(value)) {
+        return res.status(400).json({
+          success: false,
+          error: `Параметр ${key} должен быть датой в формате ГГГГ-ММ-ДД`
+        });
+      }
+      bounds[key] = value;
+      continue;
+    }
+    const date = isValidDateString(value)
+      ? zonedTimeToDate(key === 'to' ? addDays(value, 1) : value, timezone)
+      : new Date(value);
+    if (isNaN(date)) {
+      return res.status(400).json({
+        success: false,
+        error: `Параметр ${key} должен быть датой ГГГГ-ММ-ДД или временем ISO 8601`
+      });
+    }
+    bounds[key] = date;
+  }
+
+  const timeColumn = dataset.timeColumn;
+  const timeColumns = new Set(['created_at', 'started_at', 'planned_end_at', 'ended_at']);
+  const formatValue = (column, value) => {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (column === 'entry_date') {
+      return toDateString(value);
+    }
+    if (timeColumns.has(column)) {
+      return formatInTimezone(value, timezone);
+    }
+    return typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+  };
+
+  const extension = format === 'csv' ? 'csv' : 'ndjson';
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="garden-${gardenId}-${datasetName}.${extension}"`);
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  try {
+    if (format === 'csv') {
+      await writeChunk(res, (req.query.bom === 'true' ? '﻿' : '') + columns.join(delimiter) + '\r\n');
+    }
+
+    // Постраничное чтение по (время, id), чтобы не держать всю выборку в памяти
+    let cursor = null;
+    let exported = 0;
+    while (!closed) {
+      const rows = await dataset.page(gardenId, { ...bounds, cursor, limit: EXPORT_BATCH_SIZE });
+
+      let chunk = '';
+      for (const row of rows) {
+        if (format === 'csv') {
+          chunk += columns
+            .map(column => escapeCsvValue(formatValue(dataset.columns[column], row[dataset.columns[column]]), delimiter))
+            .join(delimiter) + '\r\n';
+        } else {
+          const record = {};
+          for (const column of columns) {
+            record[column] = formatValue(dataset.columns[column], row[dataset.columns[column]]);
+          }
+          chunk += JSON.stringify(record) + '\n';
+        }
+      }
+      if (chunk) {
+        await writeChunk(res, chunk);
+      }
+
+      exported += rows.length;
+      if (rows.length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+      const last = rows[rows.length - 1];
+      cursor = { time: last[timeColumn], id: last.id };
+    }
+
+    console.log(`📤 Выгрузка ${datasetName} сада ${gardenId}: ${exported} строк (${format})`);
+    res.end();
+  } catch (error) {
+    console.error('Export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Ошибка выгрузки данных: ' + error.message
+      });
+    } else {
+      // Заголовки уже отправлены - обрываем поток, чтобы клиент не принял неполный файл за целый
+      res.destroy(error);
+    }
+  }
+});
+
+// Загрузка показаний из CSV (тело запроса - сам файл, Content-Type: text/csv).
+// Параметры: mapping - JSON { "колонка файла": "метрика" } (timestamp, temperature, humidity, lightLevel,
+// soilMoisture, co2Level, weatherDescription); без mapping колонки сопоставляются по названию.
+// timezone - пояс для времени без смещения, delimiter, deviceId - устройство-источник.
+// Повторы отсеиваются по устройству и времени, а без deviceId - по саду и времени.
+// Файл пишется частями по IMPORT_CHUNK_SIZE строк: если загрузка оборвалась после записи части строк,
+// ответ - 200 с complete: false, ошибкой и итогами уже записанного
+app.post('/api/garden/:gardenId/import/readings', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Импорт показаний из CSV',
+  tags: ['Экспорт и импорт'],
+  params: GARDEN_ID_PARAM,
+  query: {
+    mapping: schema.string({ description: 'JSON: колонка файла -> поле показания' }),
+    timezone: schema.string({ format: 'timezone', description: 'Часовой пояс IANA для времени без смещения, по умолчанию UTC' }),
+    delimiter: schema.enum(Object.keys(CSV_DELIMITERS)),
+    deviceId: schema.id()
+  },
+  body: schema.content('text/csv'),
+  responses: {
+    200: schema.ok({
+      summary: schema.object({
+        lines: schema.integer(),
+        imported: schema.integer(),
+        duplicates: schema.integer(),
+        rejected: schema.integer()
+      }),
+      rejected: schema.array(schema.object()),
+      rejectedTruncated: schema.boolean(),
+      complete: schema.boolean({ description: 'false - загрузка прервана, записана только часть файла' }),
+      error: schema.string({ description: 'Причина прерывания загрузки' })
+    }),
+    413: schema.ref('Error')
+  }
+}), async (req, res) => {
+  const { gardenId } = req.params;
+
+  // Заведомо большой файл отклоняется до чтения тела
+  if (parseInt(req.headers['content-length']) > IMPORT_MAX_BYTES) {
+    return res.status(413).json({
+      success: false,
+      error: `Файл больше ${Math.round(IMPORT_MAX_BYTES / 1024 / 1024)} МБ`
+    });
+  }
+
+  const { timezone, delimiter } = parseCsvOptions(req.query);
+
+  const targets = ['timestamp', ...Object.keys(METRIC_RANGES), 'weatherDescription'];
+  let mapping = null;
+  if (req.query.mapping !== undefined) {
+    try {
+      mapping = JSON.parse(req.query.mapping);
+    } catch (error) {
+      mapping = null;
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) ||
+        Object.values(mapping).some(target => !targets.includes(target))) {
+      return res.status(400).json({
+        success: false,
+        error: `mapping - JSON-объект { "колонка": "поле" }, поля: ${targets.join(', ')}`
+      });
+    }
+  }
+
+  let deviceId = null;
+  if (req.query.deviceId !== undefined) {
+    const device = /^\d+$/.test(req.query.deviceId)
+      ? await storage.devices.findInGarden(req.query.deviceId, gardenId)
+      : null;
+    if (!device) {
+      return res.status(400).json({
+        success: false,
+        error: 'Устройство не найдено в этом саду'
+      });
+    }
+    deviceId = device.id;
+  }
+
+  const parser = createCsvParser(delimiter);
+  const summary = { lines: 0, imported: 0, duplicates: 0, rejected: 0 };
+  const rejected = [];
+  let columnTargets = null;
+  let chunk = [];
+  let bytes = 0;
+  const now = new Date();
+
+  const reject = (line, errors) => {
+    summary.rejected++;
+    if (rejected.length < IMPORT_MAX_REPORTED_ERRORS) {
+      rejected.push({ line, errors });
+    }
+  };
+
+  // Запись накопленных строк одной транзакцией
+  const flush = async () => {
+    if (chunk.length === 0) {
+      return;
+    }
+    const readings = chunk;
+    chunk = [];
+
+    const { rows } = await storage.readings.insertBatch(gardenId, deviceId, readings);
+    for (const row of rows) {
+      if (row) {
+        summary.imported++;
+      } else {
+        summary.duplicates++;
+      }
+    }
+  };
+
+  const handleRecord = async ({ line, fields }) => {
+    // Первая запись - заголовок
+    if (!columnTargets) {
+      const normalize = name => name.replace(/^﻿/, '').trim();
+      const byName = Object.fromEntries(targets.map(target => [target.toLowerCase(), target]));
+      columnTargets = fields.map(name => {
+        const column = normalize(name);
+        if (mapping) {
+          return mapping[column] || null;
+        }
+        return byName[column.toLowerCase().replace(/[_\s]/g, '')] ||
+          Object.entries(GARDEN_METRICS).find(([, dbColumn]) => dbColumn === column.toLowerCase())?.[0] ||
+          null;
+      });
+      if (!columnTargets.includes('timestamp')) {
+        throw Object.assign(new Error('В файле не найдена колонка времени (timestamp) - задайте mapping'), { status: 400 });
+      }
+      return;
+    }
+
+    summary.lines++;
+    const reading = {};
+    fields.forEach((value, index) => {
+      const target = columnTargets[index];
+      const text = value.trim();
+      if (!target || text === '') {
+        return;
+      }
+      if (target === 'timestamp') {
+        reading.timestamp = parseImportTimestamp(text, timezone);
+      } else if (target === 'weatherDescription') {
+        reading.weatherDescription = text;
+      } else {
+        // Десятичная запятая из Excel допустима, если она не разделитель колонок
+        const number = Number(delimiter === ',' ? text : text.replace(',', '.'));
+        reading[target] = Number.isFinite(number) ? number : text;
+      }
+    });
+
+    const { errors, values, timestamp } = validateReading(reading, { requireTimestamp: true, now });
+    if (errors.length > 0) {
+      reject(line, errors);
+      return;
+    }
+
+    chunk.push({ values, timestamp });
+    if (chunk.length >= IMPORT_CHUNK_SIZE) {
+      await flush();
+    }
+  };
+
+  try {
+    req.setEncoding('utf8');
+    for await (const text of req) {
+      bytes += Buffer.byteLength(text);
+      if (bytes > IMPORT_MAX_BYTES) {
+        throw Object.assign(new Error(`Файл больше ${Math.round(IMPORT_MAX_BYTES / 1024 / 1024)} МБ`), { status: 413 });
+      }
+      for (const record of parser.push(text)) {
+        await handleRecord(record);
+      }
+    }
+    for (const record of parser.end()) {
+      await handleRecord(record);
+    }
+    if (!columnTargets) {
+      throw Object.assign(new Error('Файл пуст'), { status: 400 });
+    }
+    await flush();
+
+    console.log(`📥 Импорт показаний сада ${gardenId}:`, summary);
+
+    res.json({
+      success: true,
+      complete: true,
+      summary,
+      rejected,
+      rejectedTruncated: summary.rejected > rejected.length
+    });
+  } catch (error) {
+    // Часть файла уже записана - это не ошибка всего запроса: сообщаем, сколько загружено и на чем прервались
+    if (summary.imported + summary.duplicates > 0) {
+      if (!error.status) {
+        console.error('Import readings error:', error);
+      }
+      return res.json({
+        success: true,
+        complete: false,
+        error: error.status ? error.message : 'Ошибка загрузки показаний: ' + error.message,
+        summary,
+        rejected,
+        rejectedTruncated: summary.rejected > rejected.length
+      });
+    }
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        summary
+      });
+    }
+    console.error('Import readings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка загрузки показаний: ' + error.message,
+      summary
+    });
+  }
+});
@@ -0,0 +1,461 @@
+// Маршруты рецептов и событий фертигации
+
+const { app } = require('../app');
+const { pool } = require('../db');
+const { schema, defineSchema, sendValidationError, validate } = require('../schema');
+const { GARDEN_ID_PARAM, requireGardenRole } = require('../auth');
+const {
+  FERTIGATION_NUTRIENTS, NUTRIENT_NAMES, SOIL_REFERENCE, MAX_NUTRIENT_CORRECTION, getNutrientReference
+} = require('../nutrients');
+const { quadroAPI } = require('../weather');
+const { CROP_PHENOLOGY } = require('../agronomy');
+const { getGardenPhenology } = require('../phenology');
+
+// Сравнение рецепта с почвенным и листовым анализом.
+// Возвращает найденные отклонения с предлагаемыми корректировками и итоговый текст
+function buildFertigationRecommendations(recipe, soil, leaf, cropType = null) {
+  const issues = [];
+  const corrections = {};
+  const hasAnalyses = Boolean(soil || leaf);
+  soil = soil || {};
+  leaf = leaf || {};
+
+  const check = (source, reference, values) => {
+    for (const [nutrient, range] of Object.entries(reference)) {
+      const value = values[nutrient];
+      if (value === undefined || value === null || !FERTIGATION_NUTRIENTS.includes(nutrient)) {
+        continue;
+      }
+      if (value < range.min) {
+        const deficit = (range.min - value) / range.min;
+        corrections[nutrient] = Math.max(corrections[nutrient] || 0, Math.min(MAX_NUTRIENT_CORRECTION, deficit));
+        issues.push({ source, nutrient, value, range, status: 'deficient' });
+      } else if (value > range.max) {
+        const excess = (value - range.max) / range.max;
+        corrections[nutrient] = Math.min(corrections[nutrient] || 0, -Math.min(MAX_NUTRIENT_CORRECTION, excess));
+        issues.push({ source, nutrient, value, range, status: 'excessive' });
+      }
+    }
+  };
+
+  check('soil', getNutrientReference('soil', cropType), soil);
+  check('leaf', getNutrientReference('leaf', cropType), leaf);
+
+  const messages = [];
+
+  for (const issue of issues) {
+    const name = NUTRIENT_NAMES[issue.nutrient];
+    const where = issue.source === 'soil' ? 'в почве' : 'в листьях';
+    const state = issue.status === 'deficient' ? 'Дефицит' : 'Избыток';
+    messages.push(`${state} ${name} ${where}: ${issue.value} при норме ${issue.range.min}-${issue.range.max}.`);
+  }
+
+  const adjustments = [];
+  if (recipe) {
+    for (const [nutrient, change] of Object.entries(corrections)) {
+      const current = Number(recipe[nutrient]) || 0;
+      const suggested = Math.round(current * (1 + change));
+      const percent = Math.round(change * 100);
+      adjustments.push({ nutrient, current, suggested, changePercent: percent });
+      messages.push(`${percent > 0 ? 'Увеличьте' : 'Уменьшите'} дозу ${NUTRIENT_NAMES[nutrient]} в рецепте с ${current} до ${suggested} мг/л (${percent > 0 ? '+' : ''}${percent}%).`);
+    }
+
+    if (soil.pH !== undefined && soil.pH > getNutrientReference('soil', cropType).pH.max && Number(recipe.target_ph) > 6.0) {
+      adjustments.push({ parameter: 'pH', current: Number(recipe.target_ph), suggested: 5.8 });
+      messages.push(`Почва подщелочена (pH ${soil.pH}) - снизьте pH раствора до 5.8.`);
+    }
+    if (soil.salinity !== undefined && soil.salinity > SOIL_REFERENCE.salinity.max) {
+      const suggested = Math.round(Number(recipe.target_ec) * 0.9 * 100) / 100;
+      adjustments.push({ parameter: 'ec', current: Number(recipe.target_ec), suggested });
+      messages.push(`Высокая засоленность почвы (${soil.salinity} дСм/м) - снизьте EC раствора до ${suggested}.`);
+    }
+  } else if (issues.length > 0) {
+    messages.push('Для сада нет подходящего рецепта фертигации - создайте рецепт, чтобы получить корректировки доз.');
+  }
+
+  return {
+    issues,
+    adjustments,
+    text: messages.length > 0
+      ? messages.join(' ')
+      : (hasAnalyses
+        ? 'Все показатели в норме. Продолжайте текущий режим фертигации.'
+        : 'Нет результатов анализов почвы и листьев - внесите их, чтобы получить рекомендации.')
+  };
+}
+
+// Поля рецепта: поле API -> колонка fertigation_recipes
+const RECIPE_FIELDS = {
+  name: 'name',
+  targetPh: 'target_ph',
+  targetEc: 'target_ec',
+  nitrogen: 'nitrogen',
+  phosphorus: 'phosphorus',
+  potassium: 'potassium',
+  calcium: 'calcium',
+  magnesium: 'magnesium',
+  schedule: 'schedule',
+  cropType: 'crop_type',
+  phase: 'phase',
+  active: 'active'
+};
+
+// Фаза рецепта должна быть фазой его культуры (остальное проверяет RECIPE_SCHEMA).
+// Возвращает ошибки в формате validate()
+function checkRecipeFields(recipe) {
+  if (recipe.phase && recipe.cropType &&
+      !CROP_PHENOLOGY[recipe.cropType].phases.some(phase => phase.name === recipe.phase)) {
+    return [{ field: 'phase', in: 'body', message: 'Фаза не найдена среди фаз выбранной культуры' }];
+  }
+  return [];
+}
+
+const RECIPE_SCHEMA = defineSchema('FertigationRecipeInput', schema.object({
+  name: schema.string({ minLength: 1, maxLength: 100 }),
+  targetPh: schema.number({ minimum: 3, maximum: 9 }),
+  targetEc: schema.number({ minimum: 0, exclusiveMinimum: true, maximum: 10, description: 'мСм/см' }),
+  ...Object.fromEntries(FERTIGATION_NUTRIENTS.map(nutrient => [nutrient, schema.nullable(schema.number({ minimum: 0 }))])),
+  schedule: schema.nullable(schema.string({ maxLength: 100 })),
+  cropType: schema.nullable(schema.enum(Object.keys(CROP_PHENOLOGY))),
+  phase: schema.nullable(schema.string()),
+  active: schema.boolean()
+}, { required: ['name', 'targetPh', 'targetEc'] }));
+
+// Рецепт, подходящий саду по культуре и текущей фазе: точное совпадение важнее общего рецепта
+function selectApplicableRecipe(recipes, cropType, phase) {
+  const candidates = recipes.filter(recipe =>
+    recipe.active &&
+    (!recipe.crop_type || recipe.crop_type === cropType) &&
+    (!recipe.phase || recipe.phase === phase)
+  );
+
+  const specificity = recipe => (recipe.crop_type ? 1 : 0) + (recipe.phase ? 2 : 0);
+  return candidates.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+}
+
+// Получение данных фертигации: подходящий рецепт, рекомендации и список рецептов
+app.get('/api/garden/:gardenId/fertigation-recipes', validate({
+  summary: 'Рекомендации по фертигации и рецепты сада',
+  tags: ['Фертигация'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ data: schema.object(), recipes: schema.array(schema.ref('Record')) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    
+    console.log(`Получение данных фертигации для gardenId: ${gardenId}`);
+
+    const recipesResult = await pool.query(
+      'SELECT * FROM fertigation_recipes WHERE garden_id = $1 ORDER BY created_at',
+      [gardenId]
+    );
+
+    const phenology = await getGardenPhenology(req.garden);
+    const phase = phenology.error ? null : phenology.currentPhase;
+    const recipe = selectApplicableRecipe(recipesResult.rows, req.garden.crop_type, phase);
+
+    const soil = await quadroAPI.getSoilAnalysis(gardenId);
+    const leaf = await quadroAPI.getLeafAnalysis(gardenId);
+    const recommendations = buildFertigationRecommendations(recipe, soil, leaf, req.garden.crop_type);
+
+    const fertigationData = {
+      id: parseInt(gardenId),
+      recipeId: recipe ? recipe.id : null,
+      recipeName: recipe ? recipe.name : null,
+      phase,
+      pH: recipe ? Number(recipe.target_ph) : null,
+      ec: recipe ? Number(recipe.target_ec) : null,
+      nutrients: recipe
+        ? Object.fromEntries(FERTIGATION_NUTRIENTS.map(nutrient => [nutrient, Number(recipe[nutrient])]))
+        : null,
+      schedule: recipe ? recipe.schedule : null,
+      recommendations: recommendations.text,
+      issues: recommendations.issues,
+      adjustments: recommendations.adjustments,
+      analysis: { soil, leaf },
+      lastUpdate: new Date().toISOString()
+    };
+
+    res.json({
+      success: true,
+      data: fertigationData,
+      recipes: recipesResult.rows
+    });
+  } catch (error) {
+    console.error('Fertigation data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения данных фертигации: ' + error.message
+    });
+  }
+});
+
+// Сохранение рецепта (создание или полная перезапись полей)
+async function saveFertigationRecipe(gardenId, recipe, recipeId = null) {
+  const columns = Object.values(RECIPE_FIELDS);
+  const values = Object.keys(RECIPE_FIELDS).map(field => (recipe[field] === undefined ? null : recipe[field]));
+
+  if (recipeId) {
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const result = await pool.query(
+      `UPDATE fertigation_recipes SET ${assignments.join(', ')}, updated_at = $${columns.length + 1} 
+       WHERE id = $${columns.length + 2} RETURNING *`,
+      [...values, new Date(), recipeId]
+    );
+    return result.rows[0];
+  }
+
+  const placeholders = columns.map((column, index) => `$${index + 2}`);
+  const result = await pool.query(
+    `INSERT INTO fertigation_recipes (garden_id, ${columns.join(', ')}) 
+     VALUES ($1, ${placeholders.join(', ')}) RETURNING *`,
+    [gardenId, ...values]
+  );
+  return result.rows[0];
+}
+
+// Middleware: загружает рецепт фертигации текущего сада
+const loadFertigationRecipe = async (req, res, next) => {
+  try {
+    const { gardenId, recipeId } = req.params;
+
+    const result = /^\d+$/.test(recipeId) ? await pool.query(
+      'SELECT * FROM fertigation_recipes WHERE id = $1 AND garden_id = $2',
+      [recipeId, gardenId]
+    ) : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Рецепт фертигации не найден'
+      });
+    }
+
+    req.fertigationRecipe = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Load fertigation recipe error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения рецепта фертигации: ' + error.message
+    });
+  }
+};
+
+// Создание рецепта фертигации
+app.post('/api/garden/:gardenId/fertigation-recipes', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Создание рецепта фертигации',
+  tags: ['Фертигация'],
+  params: GARDEN_ID_PARAM,
+  body: RECIPE_SCHEMA,
+  responses: {
+    200: schema.ok({ recipe: schema.ref('Record') })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const recipe = {
+      nitrogen: 0,
+      phosphorus: 0,
+      potassium: 0,
+      calcium: 0,
+      magnesium: 0,
+      active: true,
+      ...req.body
+    };
+
+    const errors = checkRecipeFields(recipe);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const saved = await saveFertigationRecipe(gardenId, recipe);
+
+    res.json({
+      success: true,
+      recipe: saved
+    });
+  } catch (error) {
+    console.error('Create fertigation recipe error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания рецепта фертигации: ' + error.message
+    });
+  }
+});
+
+// Получение рецепта фертигации
+app.get('/api/garden/:gardenId/fertigation-recipes/:recipeId', validate({
+  summary: 'Рецепт фертигации',
+  tags: ['Фертигация'],
+  params: { ...GARDEN_ID_PARAM, recipeId: schema.id() },
+  responses: {
+    200: schema.ok({ recipe: schema.ref('Record') }),
+    404: schema.ref('Error')
+  }
+}), loadFertigationRecipe, (req, res) => {
+  res.json({
+    success: true,
+    recipe: req.fertigationRecipe
+  });
+});
+
+// Обновление рецепта фертигации
+app.put('/api/garden/:gardenId/fertigation-recipes/:recipeId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Изменение рецепта фертигации',
+  tags: ['Фертигация'],
+  params: { ...GARDEN_ID_PARAM, recipeId: schema.id() },
+  body: schema.partial(RECIPE_SCHEMA),
+  responses: {
+    200: schema.ok({ recipe: schema.ref('Record') }),
+    404: schema.ref('Error')
+  }
+}), loadFertigationRecipe, async (req, res) => {
+  try {
+    const { gardenId, recipeId } = req.params;
+
+    const current = {};
+    for (const [field, column] of Object.entries(RECIPE_FIELDS)) {
+      current[field] = req.fertigationRecipe[column];
+    }
+    const recipe = { ...current, ...req.body };
+
+    const errors = checkRecipeFields(recipe);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const saved = await saveFertigationRecipe(gardenId, recipe, recipeId);
+
+    res.json({
+      success: true,
+      recipe: saved
+    });
+  } catch (error) {
+    console.error('Update fertigation recipe error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления рецепта фертигации: ' + error.message
+    });
+  }
+});
+
+// Удаление рецепта фертигации
+app.delete('/api/garden/:gardenId/fertigation-recipes/:recipeId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Удаление рецепта фертигации',
+  tags: ['Фертигация'],
+  params: { ...GARDEN_ID_PARAM, recipeId: schema.id() },
+  responses: {
+    200: schema.ok(),
+    404: schema.ref('Error')
+  }
+}), loadFertigationRecipe, async (req, res) => {
+  try {
+    const { recipeId } = req.params;
+
+    await pool.query('DELETE FROM fertigation_recipes WHERE id = $1', [recipeId]);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Delete fertigation recipe error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления рецепта фертигации: ' + error.message
+    });
+  }
+});
+
+// Журнал внесений по фертигации
+app.get('/api/garden/:gardenId/fertigation-events', validate({
+  summary: 'Журнал внесения удобрений',
+  tags: ['Фертигация'],
+  params: GARDEN_ID_PARAM,
+  query: { limit: schema.integer({ minimum: 1, description: 'По умолчанию 50, не более 500' }) },
+  responses: {
+    200: schema.ok({ events: schema.array(schema.ref('Record')) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const result = await pool.query(
+      `SELECT e.*, r.name AS recipe_name FROM fertigation_events e
+       LEFT JOIN fertigation_recipes r ON r.id = e.recipe_id
+       WHERE e.garden_id = $1
+       ORDER BY e.applied_at DESC
+       LIMIT $2`,
+      [gardenId, limit]
+    );
+
+    res.json({
+      success: true,
+      events: result.rows
+    });
+  } catch (error) {
+    console.error('Get fertigation events error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения журнала фертигации: ' + error.message
+    });
+  }
+});
+
+// Запись фактического внесения
+app.post('/api/garden/:gardenId/fertigation-events', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Запись о внесении удобрений',
+  tags: ['Фертигация'],
+  params: GARDEN_ID_PARAM,
+  body: schema.object({
+    recipeId: schema.nullable(schema.id()),
+    appliedAt: schema.dateTime(),
+    volumeLiters: schema.number({ minimum: 0, exclusiveMinimum: true }),
+    actualPh: schema.nullable(schema.number({ minimum: 0, maximum: 14 })),
+    actualEc: schema.nullable(schema.number({ minimum: 0 })),
+    notes: schema.nullable(schema.string())
+  }, { required: ['volumeLiters'] }),
+  responses: {
+    200: schema.ok({ event: schema.ref('Record') }),
+    404: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const { recipeId, appliedAt, volumeLiters, actualPh, actualEc, notes } = req.body;
+
+    if (recipeId !== undefined && recipeId !== null) {
+      const recipe = await pool.query(
+        'SELECT id FROM fertigation_recipes WHERE id = $1 AND garden_id = $2',
+        [recipeId, gardenId]
+      );
+      if (recipe.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Рецепт фертигации не найден'
+        });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO fertigation_events (garden_id, recipe_id, applied_at, volume_liters, actual_ph, actual_ec, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [gardenId, recipeId ?? null, appliedAt ? new Date(appliedAt) : new Date(), volumeLiters, actualPh ?? null, actualEc ?? null, notes ?? null, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      event: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create fertigation event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка записи внесения: ' + error.message
+    });
+  }
+});
@@ -0,0 +1,334 @@
+// Маршруты садов и участников
+
+const { app } = require('../app');
+const { GARDEN_FIELDS } = require('../storage/columns');
+const { storage } = require('../storage');
+const { schema, defineSchema, validate } = require('../schema');
+const { authenticate, GARDEN_ROLES, GARDEN_ID_PARAM, requireGardenRole, countOtherOwners } = require('../auth');
+const { SOIL_WATER_CAPACITY } = require('../agronomy');
+
+// ==================== API САДОВ ====================
+
+// Поля сада в запросах создания и обновления
+const GARDEN_SCHEMA = defineSchema('GardenInput', schema.object({
+  name: schema.string({ minLength: 1, maxLength: 100 }),
+  latitude: schema.nullable(schema.number({ minimum: -90, maximum: 90 })),
+  longitude: schema.nullable(schema.number({ minimum: -180, maximum: 180 })),
+  areaHectares: schema.nullable(schema.number({ minimum: 0, exclusiveMinimum: true })),
+  cropType: schema.nullable(schema.string({ maxLength: 50 })),
+  seasonStart: schema.nullable(schema.date()),
+  irrigationFlowRate: schema.nullable(schema.number({ minimum: 0, exclusiveMinimum: true, description: 'Расход системы полива, м³/ч' })),
+  soilType: schema.nullable(schema.enum(Object.keys(SOIL_WATER_CAPACITY)))
+}, { required: ['name'] }));
+
+// Список садов текущего пользователя
+app.get('/api/gardens', authenticate, validate({
+  summary: 'Сады текущего пользователя',
+  tags: ['Сады'],
+  responses: {
+    200: schema.ok({ gardens: schema.array(schema.ref('Garden')) })
+  }
+}), async (req, res) => {
+  try {
+    const gardens = await storage.gardens.listForUser(req.user.id);
+
+    res.json({
+      success: true,
+      gardens
+    });
+  } catch (error) {
+    console.error('Get gardens error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения садов: ' + error.message
+    });
+  }
+});
+
+// Создание сада (создатель становится владельцем)
+app.post('/api/gardens', authenticate, validate({
+  summary: 'Создание сада (создатель становится владельцем)',
+  tags: ['Сады'],
+  body: GARDEN_SCHEMA,
+  responses: {
+    200: schema.ok({ garden: schema.ref('Garden') })
+  }
+}), async (req, res) => {
+  try {
+    const fields = Object.fromEntries(
+      Object.entries(GARDEN_FIELDS).map(([field, column]) => [column, field === 'name' ? req.body.name.trim() : req.body[field] ?? null])
+    );
+
+    const garden = await storage.gardens.create(fields, req.user.id);
+
+    console.log('Сад создан:', garden.id, 'владелец:', req.user.id);
+
+    res.json({
+      success: true,
+      garden: { ...garden, role: 'owner' }
+    });
+  } catch (error) {
+    console.error('Create garden error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания сада: ' + error.message
+    });
+  }
+});
+
+// Получение сада
+app.get('/api/garden/:gardenId', validate({
+  summary: 'Сад и роль текущего пользователя в нем',
+  tags: ['Сады'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ garden: schema.ref('Garden') })
+  }
+}), (req, res) => {
+  res.json({
+    success: true,
+    garden: { ...req.garden, role: req.gardenRole }
+  });
+});
+
+// Обновление сада
+app.put('/api/garden/:gardenId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Обновление сада',
+  tags: ['Сады'],
+  params: GARDEN_ID_PARAM,
+  body: schema.partial(GARDEN_SCHEMA),
+  responses: {
+    200: schema.ok({ garden: schema.ref('Garden') })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    // Обновляем только переданные поля
+    const fields = {};
+    for (const [field, column] of Object.entries(GARDEN_FIELDS)) {
+      if (req.body[field] !== undefined) {
+        fields[column] = field === 'name' ? req.body.name.trim() : req.body[field];
+      }
+    }
+
+    const garden = await storage.gardens.update(gardenId, fields);
+
+    console.log('Сад обновлен:', gardenId);
+
+    res.json({
+      success: true,
+      garden: { ...garden, role: req.gardenRole }
+    });
+  } catch (error) {
+    console.error('Update garden error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления сада: ' + error.message
+    });
+  }
+});
+
+// Удаление сада вместе со всеми данными
+app.delete('/api/garden/:gardenId', requireGardenRole('owner'), validate({
+  summary: 'Удаление сада со всеми данными',
+  tags: ['Сады'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok()
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    await storage.gardens.delete(gardenId);
+
+    console.log('Сад удален:', gardenId);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Delete garden error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления сада: ' + error.message
+    });
+  }
+});
+
+// Список участников сада
+app.get('/api/garden/:gardenId/members', validate({
+  summary: 'Участники сада',
+  tags: ['Участники'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ members: schema.array(schema.ref('Member')) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const members = await storage.gardens.listMembers(gardenId);
+
+    res.json({
+      success: true,
+      members
+    });
+  } catch (error) {
+    console.error('Get garden members error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения участников сада: ' + error.message
+    });
+  }
+});
+
+// Добавление участника по email или телефону
+app.post('/api/garden/:gardenId/members', requireGardenRole('owner'), validate({
+  summary: 'Приглашение пользователя в сад',
+  tags: ['Участники'],
+  params: GARDEN_ID_PARAM,
+  body: schema.object({
+    login: schema.string({ minLength: 1, description: 'Email или телефон пользователя' }),
+    role: schema.enum(GARDEN_ROLES)
+  }, { required: ['login', 'role'] }),
+  responses: {
+    200: schema.ok({ member: schema.ref('Member') }),
+    404: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const { login, role } = req.body;
+
+    const user = await storage.users.findByLogin(login);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Пользователь не найден'
+      });
+    }
+
+    const member = { id: user.id, name: user.name, email: user.email, phone: user.phone };
+
+    if (await storage.gardens.findMember(gardenId, member.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Пользователь уже является участником сада'
+      });
+    }
+
+    await storage.gardens.addMember(gardenId, member.id, role);
+
+    console.log('Участник добавлен в сад:', gardenId, member.id, role);
+
+    res.json({
+      success: true,
+      member: { ...member, role }
+    });
+  } catch (error) {
+    console.error('Add garden member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка добавления участника: ' + error.message
+    });
+  }
+});
+
+// Изменение роли участника
+app.put('/api/garden/:gardenId/members/:userId', requireGardenRole('owner'), validate({
+  summary: 'Изменение роли участника',
+  tags: ['Участники'],
+  params: { ...GARDEN_ID_PARAM, userId: schema.id() },
+  body: schema.object({
+    role: schema.enum(GARDEN_ROLES)
+  }, { required: ['role'] }),
+  responses: {
+    200: schema.ok({
+      member: schema.object({ garden_id: schema.id(), user_id: schema.id(), role: schema.enum(GARDEN_ROLES) })
+    }),
+    404: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId, userId } = req.params;
+    const { role } = req.body;
+
+    if (role !== 'owner' && await countOtherOwners(gardenId, userId) === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'У сада должен остаться хотя бы один владелец'
+      });
+    }
+
+    const member = await storage.gardens.setMemberRole(gardenId, userId, role);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Участник не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      member
+    });
+  } catch (error) {
+    console.error('Update garden member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка изменения роли участника: ' + error.message
+    });
+  }
+});
+
+// Удаление участника (владелец может удалить любого, участник - только себя)
+app.delete('/api/garden/:gardenId/members/:userId', validate({
+  summary: 'Удаление участника или выход из сада',
+  tags: ['Участники'],
+  params: { ...GARDEN_ID_PARAM, userId: schema.id() },
+  responses: {
+    200: schema.ok(),
+    404: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId, userId } = req.params;
+
+    if (req.gardenRole !== 'owner' && parseInt(userId) !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Недостаточно прав для этого действия'
+      });
+    }
+
+    if (await countOtherOwners(gardenId, userId) === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'У сада должен остаться хотя бы один владелец'
+      });
+    }
+
+    const removed = await storage.gardens.removeMember(gardenId, userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Участник не найден'
+      });
+    }
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Remove garden member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления участника: ' + error.message
+    });
+  }
+});
@@ -0,0 +1,121 @@
+// Маршруты приема показаний от устройств
+
+const { gardenEvents } = require('../events');
+const { app } = require('../app');
+const { storage } = require('../storage');
+const { schema, validate } = require('../schema');
+const {
+  authenticateDevice, touchDevice, READING_INPUT_SCHEMA, MAX_BATCH_SIZE, validateReading, ingestReadings
+} = require('../ingestion');
+const { ingestRateLimit } = require('../rate-limit');
+const { GARDEN_ID_PARAM } = require('../auth');
+
+// Сохранение данных сада в БД (только от зарегистрированных устройств)
+app.post('/api/garden/:gardenId/data', authenticateDevice, ingestRateLimit, validate({
+  summary: 'Показание устройства',
+  tags: ['Прием данных'],
+  params: GARDEN_ID_PARAM,
+  body: READING_INPUT_SCHEMA,
+  responses: {
+    200: schema.ok({ data: schema.ref('Reading') }),
+    409: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    await touchDevice(req.device.id, req.body);
+
+    const { errors, values, timestamp } = validateReading(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Некорректное показание',
+        errors
+      });
+    }
+
+    const row = await storage.readings.insert(gardenId, req.device.id, values, timestamp);
+    if (!row) {
+      return res.status(409).json({
+        success: false,
+        error: 'Показание с таким временем уже сохранено'
+      });
+    }
+
+    gardenEvents.emit('reading', { gardenId: parseInt(gardenId), reading: row });
+
+    res.json({
+      success: true,
+      data: row
+    });
+  } catch (error) {
+    console.error('Save garden data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сохранения данных сада'
+    });
+  }
+});
+
+// Пакетная загрузка накопленных показаний: { readings: [{ timestamp, temperature, ... }], onInvalid }
+// onInvalid: 'quarantine' (по умолчанию) - сохранить некорректные показания отдельно, 'reject' - отбросить
+app.post('/api/garden/:gardenId/data/batch', authenticateDevice, ingestRateLimit, validate({
+  summary: 'Пакетная загрузка накопленных показаний',
+  description: 'Некорректные показания сохраняются в карантин (onInvalid=quarantine) или отбрасываются (onInvalid=reject). Результат - по каждому показанию.',
+  tags: ['Прием данных'],
+  params: GARDEN_ID_PARAM,
+  body: schema.object({
+    readings: schema.array(READING_INPUT_SCHEMA, {
+      minItems: 1,
+      lenientItems: true,
+      description: `Не более ${MAX_BATCH_SIZE} показаний, у каждого обязателен timestamp`
+    }),
+    onInvalid: schema.enum(['quarantine', 'reject']),
+    firmwareVersion: schema.string(),
+    batteryLevel: schema.number()
+  }, { required: ['readings'] }),
+  responses: {
+    200: schema.ok({
+      summary: schema.object({
+        received: schema.integer(),
+        accepted: schema.integer(),
+        duplicates: schema.integer(),
+        quarantined: schema.integer(),
+        rejected: schema.integer()
+      }),
+      results: schema.array(schema.object())
+    })
+  }
+}), async (req, res) => {
+  const { gardenId } = req.params;
+  const { readings, onInvalid = 'quarantine' } = req.body;
+
+  // Слишком большой пакет - 413, а не ошибка проверки: устройство должно разбить его на части
+  if (readings.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({
+      success: false,
+      error: `В одном пакете не более ${MAX_BATCH_SIZE} показаний`
+    });
+  }
+
+  try {
+    await touchDevice(req.device.id, req.body);
+
+    const { summary, results } = await ingestReadings(gardenId, req.device, readings, { requireTimestamp: true, onInvalid });
+
+    console.log(`📦 Пакет от устройства ${req.device.id} (сад ${gardenId}):`, summary);
+
+    res.json({
+      success: true,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('Batch ingestion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка пакетной загрузки данных: ' + error.message
+    });
+  }
+});
@@ -0,0 +1,237 @@
+// Маршруты правил полива
+
+const { app } = require('../app');
+const { pool } = require('../db');
+const { schema, sendValidationError, validate } = require('../schema');
+const { GARDEN_ID_PARAM, requireGardenRole } = require('../auth');
+const {
+  ruleRowToFields, checkRuleFields, RULE_SCHEMA, evaluateRule, loadIrrigationRule, saveIrrigationRule
+} = require('../irrigation-rules');
+
+// Список правил полива
+app.get('/api/garden/:gardenId/irrigation-rules', validate({
+  summary: 'Правила автоматического полива',
+  tags: ['Правила полива'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ rules: schema.array(schema.ref('Record')) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const result = await pool.query(
+      'SELECT * FROM irrigation_rules WHERE garden_id = $1 ORDER BY created_at',
+      [gardenId]
+    );
+
+    res.json({
+      success: true,
+      rules: result.rows
+    });
+  } catch (error) {
+    console.error('Get irrigation rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения правил полива: ' + error.message
+    });
+  }
+});
+
+// Создание правила полива
+app.post('/api/garden/:gardenId/irrigation-rules', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Новое правило полива: по расписанию или по порогу метрики',
+  tags: ['Правила полива'],
+  params: GARDEN_ID_PARAM,
+  body: RULE_SCHEMA,
+  responses: {
+    200: schema.ok({ rule: schema.ref('Record') })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const rule = {
+      enabled: true,
+      dryRun: false,
+      sustainMinutes: 0,
+      cooldownMinutes: 60,
+      ...req.body
+    };
+
+    const errors = checkRuleFields(rule);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const saved = await saveIrrigationRule(gardenId, rule);
+
+    console.log('Правило полива создано:', saved.id, 'сад:', gardenId);
+
+    res.json({
+      success: true,
+      rule: saved
+    });
+  } catch (error) {
+    console.error('Create irrigation rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания правила полива: ' + error.message
+    });
+  }
+});
+
+// Получение правила полива
+app.get('/api/garden/:gardenId/irrigation-rules/:ruleId', validate({
+  summary: 'Правило полива',
+  tags: ['Правила полива'],
+  params: { ...GARDEN_ID_PARAM, ruleId: schema.id() },
+  responses: {
+    200: schema.ok({ rule: schema.ref('Record') }),
+    404: schema.ref('Error')
+  }
+}), loadIrrigationRule, (req, res) => {
+  res.json({
+    success: true,
+    rule: req.irrigationRule
+  });
+});
+
+// Обновление правила полива
+app.put('/api/garden/:gardenId/irrigation-rules/:ruleId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Изменение правила полива',
+  tags: ['Правила полива'],
+  params: { ...GARDEN_ID_PARAM, ruleId: schema.id() },
+  body: schema.partial(RULE_SCHEMA),
+  responses: {
+    200: schema.ok({ rule: schema.ref('Record') }),
+    404: schema.ref('Error')
+  }
+}), loadIrrigationRule, async (req, res) => {
+  try {
+    const { gardenId, ruleId } = req.params;
+
+    const rule = { ...ruleRowToFields(req.irrigationRule), ...req.body };
+
+    const errors = checkRuleFields(rule);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const saved = await saveIrrigationRule(gardenId, rule, ruleId);
+
+    res.json({
+      success: true,
+      rule: saved
+    });
+  } catch (error) {
+    console.error('Update irrigation rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления правила полива: ' + error.message
+    });
+  }
+});
+
+// Удаление правила полива
+app.delete('/api/garden/:gardenId/irrigation-rules/:ruleId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Удаление правила полива',
+  tags: ['Правила полива'],
+  params: { ...GARDEN_ID_PARAM, ruleId: schema.id() },
+  responses: {
+    200: schema.ok(),
+    404: schema.ref('Error')
+  }
+}), loadIrrigationRule, async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    await pool.query('DELETE FROM irrigation_rules WHERE id = $1', [ruleId]);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Delete irrigation rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления правила полива: ' + error.message
+    });
+  }
+});
+
+// Журнал срабатываний правила
+app.get('/api/garden/:gardenId/irrigation-rules/:ruleId/runs', validate({
+  summary: 'Срабатывания правила полива',
+  tags: ['Правила полива'],
+  params: { ...GARDEN_ID_PARAM, ruleId: schema.id() },
+  query: { limit: schema.integer({ minimum: 1, description: 'По умолчанию 50, не более 500' }) },
+  responses: {
+    200: schema.ok({ data: schema.array(schema.ref('Record')) }),
+    404: schema.ref('Error')
+  }
+}), loadIrrigationRule, async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const result = await pool.query(
+      `SELECT * FROM irrigation_rule_runs 
+       WHERE rule_id = $1 
+       ORDER BY evaluated_at DESC 
+       LIMIT $2`,
+      [ruleId, limit]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get irrigation rule runs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения журнала правила: ' + error.message
+    });
+  }
+});
+
+// Пробная оценка правила прямо сейчас - ничего не запускает и не записывает
+app.post('/api/garden/:gardenId/irrigation-rules/:ruleId/evaluate', validate({
+  summary: 'Проверка правила без запуска полива',
+  tags: ['Правила полива'],
+  params: { ...GARDEN_ID_PARAM, ruleId: schema.id() },
+  responses: {
+    200: schema.ok({
+      data: schema.object({
+        ruleId: schema.id(),
+        wouldTrigger: schema.boolean(),
+        action: schema.string(),
+        reason: schema.nullable(schema.string()),
+        details: schema.object()
+      })
+    }),
+    404: schema.ref('Error')
+  }
+}), loadIrrigationRule, async (req, res) => {
+  try {
+    const evaluation = await evaluateRule(req.irrigationRule, req.garden);
+
+    res.json({
+      success: true,
+      data: {
+        ruleId: req.irrigationRule.id,
+        wouldTrigger: evaluation.due,
+        action: evaluation.due ? evaluation.action : 'none',
+        reason: evaluation.reason,
+        details: evaluation.details || {}
+      }
+    });
+  } catch (error) {
+    console.error('Evaluate irrigation rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка проверки правила полива: ' + error.message
+    });
+  }
+});
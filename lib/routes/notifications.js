@@ -0,0 +1,375 @@
+// Маршруты каналов уведомлений, push-токенов и журнала доставки
+
+const { app } = require('../app');
+const { pool } = require('../db');
+const { schema, sendValidationError, validate } = require('../schema');
+const { authenticate, authorizeSelf, GARDEN_ID_PARAM, requireGardenRole } = require('../auth');
+const {
+  EXPO_PUSH_TOKEN_PATTERN, NOTIFICATION_SENDERS, CHANNEL_FIELDS, checkChannelFields, CHANNEL_SCHEMA, formatChannel,
+  enqueueNotifications
+} = require('../notifications');
+
+// Регистрация push-токена устройства пользователя
+app.post('/api/users/:userId/push-tokens', authenticate, authorizeSelf, validate({
+  summary: 'Регистрация push-токена Expo',
+  tags: ['Уведомления'],
+  params: { userId: schema.id() },
+  body: schema.object({
+    token: schema.string({ pattern: EXPO_PUSH_TOKEN_PATTERN.source, patternMessage: 'Ожидается push-токен Expo (ExponentPushToken[...])' }),
+    platform: schema.nullable(schema.string({ maxLength: 20 }))
+  }, { required: ['token'] }),
+  responses: {
+    200: schema.ok({ pushToken: schema.ref('Record') })
+  }
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { token, platform = null } = req.body;
+
+    const now = new Date();
+    // Токен мог принадлежать другому аккаунту на том же телефоне - переносим его
+    const result = await pool.query(
+      `INSERT INTO push_tokens (user_id, token, platform, created_at, updated_at) 
+       VALUES ($1, $2, $3, $4, $4) 
+       ON CONFLICT (token) DO UPDATE SET user_id = $1, platform = $3, disabled_at = NULL, updated_at = $4 
+       RETURNING *`,
+      [userId, token, platform, now]
+    );
+
+    res.json({
+      success: true,
+      pushToken: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Register push token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка регистрации push-токена: ' + error.message
+    });
+  }
+});
+
+// Удаление push-токена (выход из приложения)
+app.delete('/api/users/:userId/push-tokens/:token', authenticate, authorizeSelf, validate({
+  summary: 'Удаление push-токена',
+  tags: ['Уведомления'],
+  params: { userId: schema.id(), token: schema.string() },
+  responses: {
+    200: schema.ok(),
+    404: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { userId, token } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM push_tokens WHERE user_id = $1 AND token = $2 RETURNING id',
+      [userId, token]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Push-токен не найден'
+      });
+    }
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Delete push token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления push-токена: ' + error.message
+    });
+  }
+});
+
+// Middleware: загружает канал уведомлений текущего сада
+const loadNotificationChannel = async (req, res, next) => {
+  try {
+    const { gardenId, channelId } = req.params;
+
+    const result = /^\d+$/.test(channelId) ? await pool.query(
+      'SELECT * FROM notification_channels WHERE id = $1 AND garden_id = $2',
+      [channelId, gardenId]
+    ) : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Канал уведомлений не найден'
+      });
+    }
+
+    req.notificationChannel = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Load notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения канала уведомлений: ' + error.message
+    });
+  }
+};
+
+// Сохранение канала (создание или полная перезапись полей)
+async function saveNotificationChannel(gardenId, channel, { channelId = null, userId = null } = {}) {
+  const columns = Object.values(CHANNEL_FIELDS);
+  const values = Object.keys(CHANNEL_FIELDS).map(field => (channel[field] === undefined ? null : channel[field]));
+  const now = new Date();
+
+  if (channelId) {
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const result = await pool.query(
+      `UPDATE notification_channels SET ${assignments.join(', ')}, updated_at = $${columns.length + 1} 
+       WHERE id = $${columns.length + 2} RETURNING *`,
+      [...values, now, channelId]
+    );
+    return result.rows[0];
+  }
+
+  const placeholders = columns.map((column, index) => `$${index + 2}`);
+  const result = await pool.query(
+    `INSERT INTO notification_channels (garden_id, ${columns.join(', ')}, created_by, created_at, updated_at) 
+     VALUES ($1, ${placeholders.join(', ')}, $${columns.length + 2}, $${columns.length + 3}, $${columns.length + 3}) RETURNING *`,
+    [gardenId, ...values, userId, now]
+  );
+  return result.rows[0];
+}
+
+// Список каналов уведомлений
+app.get('/api/garden/:gardenId/notification-channels', validate({
+  summary: 'Каналы уведомлений сада и доступные типы',
+  tags: ['Уведомления'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({
+      channels: schema.array(schema.ref('Record')),
+      availableTypes: schema.array(schema.object({ type: schema.string(), name: schema.string() }))
+    })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const result = await pool.query(
+      'SELECT * FROM notification_channels WHERE garden_id = $1 ORDER BY created_at',
+      [gardenId]
+    );
+
+    res.json({
+      success: true,
+      channels: result.rows.map(formatChannel),
+      availableTypes: Object.entries(NOTIFICATION_SENDERS).map(([type, sender]) => ({ type, name: sender.name }))
+    });
+  } catch (error) {
+    console.error('Get notification channels error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения каналов уведомлений: ' + error.message
+    });
+  }
+});
+
+// Создание канала уведомлений
+app.post('/api/garden/:gardenId/notification-channels', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Новый канал уведомлений',
+  tags: ['Уведомления'],
+  params: GARDEN_ID_PARAM,
+  body: CHANNEL_SCHEMA,
+  responses: {
+    200: schema.ok({ channel: schema.ref('Record') })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const channel = {
+      minSeverity: 'low',
+      notifyResolved: true,
+      enabled: true,
+      ...req.body
+    };
+
+    const errors = checkChannelFields(channel);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const saved = await saveNotificationChannel(gardenId, channel, { userId: req.user.id });
+
+    console.log('Канал уведомлений создан:', saved.id, saved.type, 'сад:', gardenId);
+
+    res.json({
+      success: true,
+      channel: formatChannel(saved)
+    });
+  } catch (error) {
+    console.error('Create notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания канала уведомлений: ' + error.message
+    });
+  }
+});
+
+// Обновление канала уведомлений
+app.put('/api/garden/:gardenId/notification-channels/:channelId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Изменение канала уведомлений',
+  tags: ['Уведомления'],
+  params: { ...GARDEN_ID_PARAM, channelId: schema.id() },
+  body: schema.partial(CHANNEL_SCHEMA),
+  responses: {
+    200: schema.ok({ channel: schema.ref('Record') }),
+    404: schema.ref('Error')
+  }
+}), loadNotificationChannel, async (req, res) => {
+  try {
+    const { gardenId, channelId } = req.params;
+
+    const current = {};
+    for (const [field, column] of Object.entries(CHANNEL_FIELDS)) {
+      current[field] = req.notificationChannel[column];
+    }
+    const channel = { ...current, ...req.body };
+
+    const errors = checkChannelFields(channel);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const saved = await saveNotificationChannel(gardenId, channel, { channelId });
+
+    res.json({
+      success: true,
+      channel: formatChannel(saved)
+    });
+  } catch (error) {
+    console.error('Update notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления канала уведомлений: ' + error.message
+    });
+  }
+});
+
+// Удаление канала уведомлений (журнал доставки сохраняется)
+app.delete('/api/garden/:gardenId/notification-channels/:channelId', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Удаление канала уведомлений',
+  tags: ['Уведомления'],
+  params: { ...GARDEN_ID_PARAM, channelId: schema.id() },
+  responses: {
+    200: schema.ok(),
+    404: schema.ref('Error')
+  }
+}), loadNotificationChannel, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+
+    await pool.query('DELETE FROM notification_channels WHERE id = $1', [channelId]);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Delete notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления канала уведомлений: ' + error.message
+    });
+  }
+});
+
+// Тестовое уведомление в канал
+app.post('/api/garden/:gardenId/notification-channels/:channelId/test', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Тестовое уведомление через канал',
+  tags: ['Уведомления'],
+  params: { ...GARDEN_ID_PARAM, channelId: schema.id() },
+  responses: {
+    200: schema.ok({ deliveries: schema.array(schema.ref('Record')) }),
+    404: schema.ref('Error')
+  }
+}), loadNotificationChannel, async (req, res) => {
+  try {
+    const gardenId = parseInt(req.params.gardenId);
+
+    const deliveries = await enqueueNotifications(gardenId, {
+      event: 'test',
+      channels: [req.notificationChannel],
+      payload: {
+        event: 'test',
+        gardenId,
+        severity: 'low',
+        title: 'Тестовое уведомление',
+        message: `Канал уведомлений сада «${req.garden.name}» работает`,
+        data: { gardenId },
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    res.json({
+      success: true,
+      deliveries
+    });
+  } catch (error) {
+    console.error('Test notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка отправки тестового уведомления: ' + error.message
+    });
+  }
+});
+
+// Журнал доставки уведомлений
+app.get('/api/garden/:gardenId/notifications', validate({
+  summary: 'Журнал доставки уведомлений',
+  tags: ['Уведомления'],
+  params: GARDEN_ID_PARAM,
+  query: {
+    status: schema.enum(['pending', 'sent', 'failed']),
+    alertId: schema.id(),
+    limit: schema.integer({ minimum: 1, description: 'По умолчанию 50, не более 500' })
+  },
+  responses: {
+    200: schema.ok({ data: schema.array(schema.ref('Record')) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const { status, alertId } = req.query;
+
+    const conditions = ['garden_id = $1'];
+    const values = [gardenId];
+
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+    if (alertId !== undefined) {
+      values.push(alertId);
+      conditions.push(`alert_id = $${values.length}`);
+    }
+
+    values.push(Math.min(parseInt(req.query.limit) || 50, 500));
+    const result = await pool.query(
+      `SELECT * FROM notification_deliveries 
+       WHERE ${conditions.join(' AND ')} 
+       ORDER BY created_at DESC, id DESC 
+       LIMIT $${values.length}`,
+      values
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения журнала уведомлений: ' + error.message
+    });
+  }
+});
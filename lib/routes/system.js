@@ -0,0 +1,104 @@
+// Служебные маршруты: документация API, проверка состояния и тестовый ответ
+
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+
+const { app } = require('../app');
+const { STORAGE_BACKEND, pool } = require('../db');
+const { schema, validate } = require('../schema');
+const { buildOpenApiDocument } = require('../openapi');
+
+// Документ строится при первом запросе, когда все маршруты уже зарегистрированы
+let openApiDocument = null;
+
+app.get('/api/openapi.json', validate({
+  summary: 'Спецификация API в формате OpenAPI 3',
+  tags: ['Система'],
+  responses: {
+    200: schema.object({ openapi: schema.string(), info: schema.object(), paths: schema.object() }, { required: ['openapi', 'paths'] })
+  }
+}), (req, res) => {
+  openApiDocument = openApiDocument || buildOpenApiDocument();
+  res.json(openApiDocument);
+});
+
+// Интерактивная документация (Swagger UI) по /api/openapi.json
+app.use('/api/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+app.get('/api/docs', validate({
+  summary: 'Интерактивная документация API',
+  tags: ['Система'],
+  responses: {
+    200: schema.content('text/html')
+  }
+}), (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Smart Garden API</title>
+  <link rel="stylesheet" href="/api/docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/assets/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+});
+
+// Health check
+app.get('/api/health', validate({
+  summary: 'Состояние сервера и базы данных',
+  tags: ['Система'],
+  responses: {
+    200: schema.object({
+      success: schema.boolean(),
+      status: schema.enum(['healthy', 'unhealthy']),
+      database: schema.enum(['connected', 'memory', 'disconnected']),
+      error: schema.string(),
+      timestamp: schema.dateTime(),
+      environment: schema.string()
+    }, { required: ['success', 'status', 'database'] })
+  }
+}), async (req, res) => {
+  try {
+    if (STORAGE_BACKEND !== 'memory') {
+      await pool.query('SELECT 1');
+    }
+    res.json({
+      success: true,
+      status: 'healthy',
+      database: STORAGE_BACKEND === 'memory' ? 'memory' : 'connected',
+      timestamp: new Date(),
+      environment: process.env.NODE_ENV || 'development'
+    });
+  } catch (error) {
+    res.json({
+      success: false,
+      status: 'unhealthy',
+      database: 'disconnected',
+      error: error.message,
+      timestamp: new Date(),
+      environment: process.env.NODE_ENV || 'development'
+    });
+  }
+});
+
+// Test endpoint
+app.get('/api/test', validate({
+  summary: 'Проверка доступности',
+  tags: ['Система'],
+  responses: {
+    200: schema.ok({ message: schema.string(), timestamp: schema.dateTime(), environment: schema.string() })
+  }
+}), (req, res) => {
+  res.json({ 
+    success: true,
+    message: 'Backend работает!',
+    timestamp: new Date(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
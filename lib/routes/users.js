@@ -0,0 +1,560 @@
+// Маршруты /api/users: регистрация, вход, сессии и управление пользователями
+
+const bcrypt = require('bcryptjs');
+
+const { app } = require('../app');
+const { USER_SORT_COLUMNS } = require('../storage/columns');
+const { storage } = require('../storage');
+const { API_SCHEMAS, schema, validate } = require('../schema');
+const {
+  sendTooManyRequests, authRateLimit, getLoginScopes, getLoginLockout, registerLoginFailure, clearLoginFailures
+} = require('../rate-limit');
+const {
+  hashPassword, verifyPassword, DUMMY_PASSWORD_HASH, issueTokens, verifyRefreshToken, revokeSession, authenticate,
+  authorizeSelf, requireAdmin, countOtherOwners
+} = require('../auth');
+
+// ==================== API ПОЛЬЗОВАТЕЛЕЙ ====================
+
+const USER_PHONE_SCHEMA = schema.string({
+  maxLength: 20,
+  pattern: '^\\+?[0-9][0-9 ()-]{4,19}$',
+  patternMessage: 'Некорректный номер телефона'
+});
+
+// Регистрация пользователя
+app.post('/api/users/register', authRateLimit, validate({
+  summary: 'Регистрация пользователя',
+  tags: ['Пользователи'],
+  body: schema.object({
+    name: schema.string({ minLength: 1, maxLength: 100 }),
+    email: schema.string({ format: 'email', maxLength: 100 }),
+    phone: USER_PHONE_SCHEMA,
+    password: schema.string({ minLength: 1 })
+  }, { required: ['name', 'password'] }),
+  responses: {
+    200: schema.ok({ user: schema.ref('User'), ...API_SCHEMAS.Tokens.properties })
+  }
+}), async (req, res) => {
+  try {
+    const { name, email, phone, password } = req.body;
+
+    console.log('Регистрация пользователя:', { name, email, phone });
+
+    // Проверяем существование пользователя
+    if (await storage.users.existsWithContact({ email, phone })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Пользователь с таким email или телефоном уже существует'
+      });
+    }
+
+    // Создаем пользователя
+    const newUser = await storage.users.create({ name, email, phone, password: await hashPassword(password) });
+    
+    console.log('Пользователь создан:', newUser.id);
+
+    const tokens = await issueTokens(newUser.id);
+
+    res.json({
+      success: true,
+      user: newUser,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка регистрации: ' + error.message 
+    });
+  }
+});
+
+// Вход пользователя
+app.post('/api/users/login', authRateLimit, validate({
+  summary: 'Вход по email или телефону',
+  tags: ['Пользователи'],
+  body: schema.object({
+    login: schema.string({ minLength: 1, maxLength: 100, description: 'Email или телефон' }),
+    password: schema.string({ minLength: 1 })
+  }, { required: ['login', 'password'] }),
+  responses: {
+    200: schema.ok({ user: schema.ref('User'), ...API_SCHEMAS.Tokens.properties }),
+    401: schema.ref('Error'),
+    403: schema.ref('Error'),
+    429: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { login, password } = req.body;
+
+    console.log('Попытка входа:', login);
+
+    const scopes = getLoginScopes(req, login);
+    const lockedUntil = await getLoginLockout(scopes);
+    if (lockedUntil) {
+      return sendTooManyRequests(res, lockedUntil, 'Слишком много неудачных попыток входа');
+    }
+
+    // Ищем пользователя по email или телефону. Если его нет, пароль все равно сверяется
+    // с заглушкой: по времени ответа нельзя понять, зарегистрирован ли логин
+    const user = await storage.users.findByLogin(login);
+    let valid = false;
+    let needsRehash = false;
+    if (user) {
+      ({ valid, needsRehash } = await verifyPassword(password, user.password));
+    } else {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    }
+
+    // Один ответ для неизвестного логина и неверного пароля
+    if (!valid) {
+      await registerLoginFailure(scopes);
+      return res.status(401).json({
+        success: false,
+        error: 'Неверный логин или пароль'
+      });
+    }
+
+    await clearLoginFailures(scopes);
+
+    // О блокировке сообщаем только после проверки пароля
+    if (user.disabled_at) {
+      return res.status(403).json({
+        success: false,
+        error: 'Аккаунт заблокирован администратором'
+      });
+    }
+
+    // Пароль хранился в открытом виде - сохраняем хеш
+    if (needsRehash) {
+      await storage.users.setPassword(user.id, await hashPassword(password));
+      console.log('Пароль пользователя перехеширован:', user.id);
+    }
+
+    // Убираем пароль из ответа
+    const { password: _, ...userWithoutPassword } = user;
+
+    const tokens = await issueTokens(user.id);
+
+    console.log('Успешный вход:', user.id);
+
+    res.json({
+      success: true,
+      user: userWithoutPassword,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка входа: ' + error.message 
+    });
+  }
+});
+
+// Обновление токенов по refresh-токену
+app.post('/api/users/refresh', authRateLimit, validate({
+  summary: 'Обновление пары токенов',
+  tags: ['Пользователи'],
+  body: schema.object({
+    refreshToken: schema.string({ minLength: 1 })
+  }, { required: ['refreshToken'] }),
+  responses: {
+    200: schema.ok(API_SCHEMAS.Tokens.properties),
+    401: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const session = refreshToken && await verifyRefreshToken(refreshToken);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Недействительный refresh-токен'
+      });
+    }
+
+    // Ротация: старый refresh-токен больше не действует
+    await revokeSession(session.tokenId);
+    const tokens = await issueTokens(session.userId);
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка обновления токена: ' + error.message 
+    });
+  }
+});
+
+// Выход пользователя
+app.post('/api/users/logout', validate({
+  summary: 'Выход: отзыв refresh-токена',
+  tags: ['Пользователи'],
+  body: schema.object({
+    refreshToken: schema.string()
+  }),
+  responses: {
+    200: schema.ok()
+  }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const session = refreshToken && await verifyRefreshToken(refreshToken);
+    if (session) {
+      await revokeSession(session.tokenId);
+      console.log('Выход пользователя:', session.userId);
+    }
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка выхода: ' + error.message 
+    });
+  }
+});
+
+// Получение пользователя по ID
+app.get('/api/users/:userId', authenticate, authorizeSelf, validate({
+  summary: 'Профиль пользователя',
+  tags: ['Пользователи'],
+  params: { userId: schema.id() },
+  responses: {
+    200: schema.ok({ user: schema.ref('User') }),
+    404: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await storage.users.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Пользователь не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка получения пользователя: ' + error.message 
+    });
+  }
+});
+
+// Обновление пользователя
+app.put('/api/users/:userId', authenticate, authorizeSelf, validate({
+  summary: 'Обновление профиля',
+  tags: ['Пользователи'],
+  params: { userId: schema.id() },
+  body: schema.object({
+    name: schema.string({ minLength: 1, maxLength: 100 }),
+    email: schema.string({ format: 'email', maxLength: 100 }),
+    phone: USER_PHONE_SCHEMA
+  }),
+  responses: {
+    200: schema.ok({ user: schema.ref('User') }),
+    404: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { name, email, phone } = req.body;
+
+    console.log('Обновление пользователя:', userId, { name, email, phone });
+
+    // Проверяем существование пользователя
+    const user = await storage.users.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Пользователь не найден'
+      });
+    }
+
+    // Проверяем уникальность email и телефона
+    if ((email || phone) && await storage.users.existsWithContact({ email, phone, excludeId: userId })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Пользователь с таким email или телефоном уже существует'
+      });
+    }
+
+    // Обновляем только переданные поля
+    const fields = {};
+    if (name) {
+      fields.name = name;
+    }
+    // Новый контакт нужно подтвердить заново
+    if (email && email !== user.email) {
+      fields.email = email;
+      fields.email_verified_at = null;
+    }
+    if (phone && phone !== user.phone) {
+      fields.phone = phone;
+      fields.phone_verified_at = null;
+    }
+
+    const updatedUser = await storage.users.update(userId, fields);
+
+    console.log('Пользователь обновлен:', updatedUser.id);
+
+    res.json({
+      success: true,
+      user: updatedUser
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка обновления пользователя: ' + error.message 
+    });
+  }
+});
+
+// Удаление своего аккаунта. Сады, где пользователь единственный владелец и других участников нет,
+// удаляются вместе с ним. Если в таком саду есть другие участники, сначала нужно передать права владельца
+app.delete('/api/users/:userId', authenticate, authorizeSelf, authRateLimit, validate({
+  summary: 'Удаление своего аккаунта',
+  description: 'Удаляет персональные данные, участие в садах и сессии. В журналах садов ссылка на пользователя обнуляется.',
+  tags: ['Пользователи'],
+  params: { userId: schema.id() },
+  body: schema.object({
+    password: schema.string({ minLength: 1, description: 'Текущий пароль для подтверждения' })
+  }, { required: ['password'] }),
+  responses: {
+    200: schema.ok({ deletedGardens: schema.array(schema.id()) }),
+    404: schema.ref('Error'),
+    409: schema.object({
+      success: schema.boolean({ enum: [false] }),
+      error: schema.string(),
+      gardens: schema.array(schema.object({ id: schema.id(), name: schema.string() }))
+    }, { required: ['success', 'error'] })
+  }
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { password } = req.body;
+
+    const user = await storage.users.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Пользователь не найден'
+      });
+    }
+
+    const { valid } = await verifyPassword(password, await storage.users.getPassword(user.id));
+    if (!valid) {
+      return res.status(403).json({
+        success: false,
+        error: 'Неверный пароль'
+      });
+    }
+
+    if (user.role === 'admin' && await storage.users.countAdmins(user.id) === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Нельзя удалить последнего администратора'
+      });
+    }
+
+    // Сады, которые останутся без владельца
+    const soleOwned = [];
+    for (const garden of await storage.gardens.listForUser(user.id)) {
+      if (garden.role === 'owner' && await countOtherOwners(garden.id, user.id) === 0) {
+        const members = await storage.gardens.listMembers(garden.id);
+        soleOwned.push({ id: garden.id, name: garden.name, shared: members.length > 1 });
+      }
+    }
+
+    const shared = soleOwned.filter(garden => garden.shared);
+    if (shared.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Передайте права владельца другим участникам этих садов или удалите сады',
+        gardens: shared.map(({ id, name }) => ({ id, name }))
+      });
+    }
+
+    const gardenIds = soleOwned.map(garden => garden.id);
+    await storage.users.delete(user.id, { gardenIds });
+
+    console.log('Аккаунт удален:', user.id, 'удалено садов:', gardenIds.length);
+
+    res.json({
+      success: true,
+      deletedGardens: gardenIds
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка удаления аккаунта: ' + error.message 
+    });
+  }
+});
+
+// Список пользователей (для администраторов): поиск по имени, email и телефону, сортировка и постраничный вывод
+app.get('/api/users', authenticate, requireAdmin, validate({
+  summary: 'Список пользователей',
+  tags: ['Администрирование'],
+  query: {
+    search: schema.string({ maxLength: 100, description: 'Часть имени, email или телефона' }),
+    sort: schema.enum(USER_SORT_COLUMNS, { description: 'По умолчанию created_at' }),
+    order: schema.enum(['asc', 'desc'], { description: 'По умолчанию desc' }),
+    limit: schema.integer({ minimum: 1, description: 'По умолчанию 50, не более 200' }),
+    offset: schema.integer({ minimum: 0 })
+  },
+  responses: {
+    200: schema.ok({
+      users: schema.array(schema.ref('User')),
+      total: schema.integer(),
+      limit: schema.integer(),
+      offset: schema.integer()
+    })
+  }
+}), async (req, res) => {
+  try {
+    const { search, sort, order } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { users, total } = await storage.users.list({ search: search || null, sort, order, limit, offset });
+    
+    res.json({
+      success: true,
+      users,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка получения пользователей: ' + error.message 
+    });
+  }
+});
+
+// Блокировка и разблокировка аккаунта администратором. При блокировке отзываются все сессии;
+// вход заблокированного пользователя отклоняется
+for (const action of ['disable', 'enable']) {
+  app.post(`/api/users/:userId/${action}`, authenticate, requireAdmin, validate({
+    summary: action === 'disable' ? 'Блокировка аккаунта' : 'Разблокировка аккаунта',
+    tags: ['Администрирование'],
+    params: { userId: schema.id() },
+    responses: {
+      200: schema.ok({ user: schema.ref('User') }),
+      404: schema.ref('Error')
+    }
+  }), async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      if (action === 'disable' && parseInt(userId) === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Нельзя заблокировать свой аккаунт'
+        });
+      }
+
+      const user = await storage.users.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'Пользователь не найден'
+        });
+      }
+
+      let updatedUser = user;
+      if (action === 'disable' && !user.disabled_at) {
+        updatedUser = await storage.users.update(user.id, { disabled_at: new Date() });
+        await storage.sessions.revokeAllForUser(user.id);
+      } else if (action === 'enable' && user.disabled_at) {
+        updatedUser = await storage.users.update(user.id, { disabled_at: null });
+      }
+
+      console.log(action === 'disable' ? 'Аккаунт заблокирован:' : 'Аккаунт разблокирован:', user.id, 'админ:', req.user.id);
+
+      res.json({
+        success: true,
+        user: updatedUser
+      });
+    } catch (error) {
+      console.error(`User ${action} error:`, error);
+      res.status(500).json({ 
+        success: false, 
+        error: (action === 'disable' ? 'Ошибка блокировки аккаунта: ' : 'Ошибка разблокировки аккаунта: ') + error.message 
+      });
+    }
+  });
+}
+
+// Назначение и снятие роли администратора
+app.put('/api/users/:userId/role', authenticate, requireAdmin, validate({
+  summary: 'Изменение роли пользователя',
+  tags: ['Администрирование'],
+  params: { userId: schema.id() },
+  body: schema.object({
+    role: schema.enum(['user', 'admin'])
+  }, { required: ['role'] }),
+  responses: {
+    200: schema.ok({ user: schema.ref('User') }),
+    404: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const user = await storage.users.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Пользователь не найден'
+      });
+    }
+
+    if (role !== 'admin' && await storage.users.countAdmins(user.id) === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Должен остаться хотя бы один администратор'
+      });
+    }
+
+    const updatedUser = await storage.users.update(user.id, { role });
+
+    console.log('Роль пользователя изменена:', user.id, role, 'админ:', req.user.id);
+
+    res.json({
+      success: true,
+      user: updatedUser
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка изменения роли: ' + error.message 
+    });
+  }
+});
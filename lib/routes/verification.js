@@ -0,0 +1,226 @@
+// Маршруты подтверждения контактов и сброса пароля
+
+const { app } = require('../app');
+const { storage } = require('../storage');
+const { schema, validate } = require('../schema');
+const { sendTooManyRequests, authRateLimit, getLoginScopes, clearLoginFailures } = require('../rate-limit');
+const { hashPassword, authenticate, authorizeSelf } = require('../auth');
+const {
+  CONTACT_CHANNELS, issueVerificationCode, getCodeResendLock, checkVerificationCode, VERIFICATION_CODE_SCHEMA,
+  getLoginChannel
+} = require('../verification');
+
+// Запрос кода подтверждения email или телефона
+app.post('/api/users/:userId/verification', authenticate, authorizeSelf, validate({
+  summary: 'Отправка кода подтверждения email или телефона',
+  tags: ['Пользователи'],
+  params: { userId: schema.id() },
+  body: schema.object({
+    channel: schema.enum(Object.keys(CONTACT_CHANNELS))
+  }, { required: ['channel'] }),
+  responses: {
+    200: schema.ok({ channel: schema.string(), expiresAt: schema.dateTime() }),
+    400: schema.ref('Error'),
+    404: schema.ref('Error'),
+    409: schema.ref('Error'),
+    429: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { channel } = req.body;
+    const { column, verifiedColumn } = CONTACT_CHANNELS[channel];
+
+    const user = await storage.users.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Пользователь не найден'
+      });
+    }
+
+    if (!user[column]) {
+      return res.status(400).json({
+        success: false,
+        error: channel === 'email' ? 'У пользователя не указан email' : 'У пользователя не указан телефон'
+      });
+    }
+
+    if (user[verifiedColumn]) {
+      return res.status(409).json({
+        success: false,
+        error: channel === 'email' ? 'Email уже подтвержден' : 'Телефон уже подтвержден'
+      });
+    }
+
+    const resendAt = await getCodeResendLock(user.id, 'verify', channel);
+    if (resendAt) {
+      return sendTooManyRequests(res, resendAt, 'Код уже отправлен');
+    }
+
+    const code = await issueVerificationCode(user, 'verify', channel);
+
+    console.log('Код подтверждения отправлен:', user.id, channel);
+
+    res.json({
+      success: true,
+      channel,
+      expiresAt: code.expires_at
+    });
+  } catch (error) {
+    console.error('Send verification code error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка отправки кода: ' + error.message 
+    });
+  }
+});
+
+// Подтверждение email или телефона кодом
+app.post('/api/users/:userId/verification/confirm', authenticate, authorizeSelf, validate({
+  summary: 'Подтверждение email или телефона кодом',
+  tags: ['Пользователи'],
+  params: { userId: schema.id() },
+  body: schema.object({
+    channel: schema.enum(Object.keys(CONTACT_CHANNELS)),
+    code: VERIFICATION_CODE_SCHEMA
+  }, { required: ['channel', 'code'] }),
+  responses: {
+    200: schema.ok({ user: schema.ref('User') }),
+    400: schema.ref('Error'),
+    404: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { channel, code } = req.body;
+
+    const user = await storage.users.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Пользователь не найден'
+      });
+    }
+
+    const { valid, attemptsLeft } = await checkVerificationCode(user, 'verify', channel, code);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: attemptsLeft > 0
+          ? `Неверный код. Осталось попыток: ${attemptsLeft}`
+          : 'Код недействителен или просрочен, запросите новый'
+      });
+    }
+
+    const updatedUser = await storage.users.update(user.id, { [CONTACT_CHANNELS[channel].verifiedColumn]: new Date() });
+
+    console.log('Контакт подтвержден:', user.id, channel);
+
+    res.json({
+      success: true,
+      user: updatedUser
+    });
+  } catch (error) {
+    console.error('Confirm verification code error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка подтверждения: ' + error.message 
+    });
+  }
+});
+
+// Запрос сброса пароля. Ответ одинаковый для любого логина: по нему нельзя понять,
+// зарегистрирован ли пользователь. Код отправляется на тот контакт, который введен как логин
+app.post('/api/users/password-reset', authRateLimit, validate({
+  summary: 'Запрос кода для сброса пароля',
+  tags: ['Пользователи'],
+  body: schema.object({
+    login: schema.string({ minLength: 1, maxLength: 100, description: 'Email или телефон' })
+  }, { required: ['login'] }),
+  responses: {
+    200: schema.ok({ message: schema.string() }),
+    429: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { login } = req.body;
+
+    const user = await storage.users.findByLogin(login);
+    if (user && !user.disabled_at) {
+      const channel = getLoginChannel(user, login);
+      if (!await getCodeResendLock(user.id, 'password_reset', channel)) {
+        // Отправку не ждем - время ответа тоже не должно выдавать существование аккаунта
+        issueVerificationCode(user, 'password_reset', channel)
+          .then(() => console.log('Код сброса пароля отправлен:', user.id, channel))
+          .catch(error => console.error('Password reset delivery error:', error.message));
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Если аккаунт существует, на указанный контакт отправлен код'
+    });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка запроса сброса пароля: ' + error.message 
+    });
+  }
+});
+
+// Сброс пароля кодом. Все refresh-токены пользователя отзываются;
+// уже выданные access-токены действуют до конца своего короткого срока
+app.post('/api/users/password-reset/confirm', authRateLimit, validate({
+  summary: 'Установка нового пароля по коду',
+  tags: ['Пользователи'],
+  body: schema.object({
+    login: schema.string({ minLength: 1, maxLength: 100, description: 'Email или телефон' }),
+    code: VERIFICATION_CODE_SCHEMA,
+    password: schema.string({ minLength: 1 })
+  }, { required: ['login', 'code', 'password'] }),
+  responses: {
+    200: schema.ok({ message: schema.string() }),
+    400: schema.ref('Error'),
+    429: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { login, code, password } = req.body;
+
+    const user = await storage.users.findByLogin(login);
+    const channel = user && getLoginChannel(user, login);
+    const { valid } = user
+      ? await checkVerificationCode(user, 'password_reset', channel, code)
+      : { valid: false };
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Неверный или просроченный код'
+      });
+    }
+
+    // Код пришел на этот контакт - значит, он заодно подтвержден
+    await storage.users.update(user.id, {
+      password: await hashPassword(password),
+      [CONTACT_CHANNELS[channel].verifiedColumn]: user[CONTACT_CHANNELS[channel].verifiedColumn] || new Date()
+    });
+    const revoked = await storage.sessions.revokeAllForUser(user.id);
+    await clearLoginFailures(getLoginScopes(req, login));
+
+    console.log('Пароль сброшен:', user.id, 'отозвано сессий:', revoked);
+
+    res.json({
+      success: true,
+      message: 'Пароль изменен, войдите с новым паролем'
+    });
+  } catch (error) {
+    console.error('Password reset confirm error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Ошибка сброса пароля: ' + error.message 
+    });
+  }
+});
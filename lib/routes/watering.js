@@ -0,0 +1,148 @@
+// Маршруты управления поливом
+
+const { app } = require('../app');
+const { storage } = require('../storage');
+const { schema, sendValidationError, validate } = require('../schema');
+const { GARDEN_ID_PARAM, requireGardenRole } = require('../auth');
+const {
+  MAX_WATERING_SECONDS, getWateringSettings, formatWateringStatus, startWatering, stopWatering
+} = require('../watering');
+
+// Текущее состояние полива
+app.get('/api/garden/:gardenId/watering', validate({
+  summary: 'Состояние полива',
+  tags: ['Полив'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ data: schema.ref('WateringStatus') })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const settings = await getWateringSettings(gardenId);
+
+    res.json({
+      success: true,
+      data: formatWateringStatus(settings)
+    });
+  } catch (error) {
+    console.error('Get watering status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения состояния полива: ' + error.message
+    });
+  }
+});
+
+// Запуск полива на выбранное время
+app.post('/api/garden/:gardenId/watering/start', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Запуск полива на заданное время',
+  tags: ['Полив'],
+  params: GARDEN_ID_PARAM,
+  body: schema.object({
+    hours: schema.integer({ minimum: 0, maximum: 24 }),
+    minutes: schema.integer({ minimum: 0, maximum: 59 })
+  }),
+  responses: {
+    200: schema.ok({ data: schema.ref('WateringStatus'), run: schema.ref('WateringRun') }),
+    409: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const { hours = 0, minutes = 0 } = req.body;
+
+    // Диапазоны полей проверяет схема, здесь - общая длительность
+    const durationSeconds = (hours * 60 + minutes) * 60;
+    if (durationSeconds <= 0 || durationSeconds > MAX_WATERING_SECONDS) {
+      return sendValidationError(res, [
+        { field: null, in: 'body', message: 'Длительность полива - от 1 минуты до 24 часов' }
+      ]);
+    }
+
+    const started = await startWatering(gardenId, { hours, minutes, userId: req.user.id });
+    if (!started) {
+      return res.status(409).json({
+        success: false,
+        error: 'Полив уже идет'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatWateringStatus(started.settings),
+      run: started.run
+    });
+  } catch (error) {
+    console.error('Start watering error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка запуска полива: ' + error.message
+    });
+  }
+});
+
+// Остановка полива
+app.post('/api/garden/:gardenId/watering/stop', requireGardenRole('owner', 'agronomist'), validate({
+  summary: 'Остановка полива',
+  tags: ['Полив'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ data: schema.ref('WateringStatus'), run: schema.nullable(schema.ref('WateringRun')) }),
+    409: schema.ref('Error')
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const stopped = await stopWatering(gardenId, { reason: 'manual' });
+    if (!stopped) {
+      return res.status(409).json({
+        success: false,
+        error: 'Полив не запущен'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatWateringStatus(stopped.settings),
+      run: stopped.run
+    });
+  } catch (error) {
+    console.error('Stop watering error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка остановки полива: ' + error.message
+    });
+  }
+});
+
+// Журнал поливов сада
+app.get('/api/garden/:gardenId/watering/log', validate({
+  summary: 'Журнал поливов',
+  tags: ['Полив'],
+  params: GARDEN_ID_PARAM,
+  query: { limit: schema.integer({ minimum: 1, description: 'По умолчанию 50, не более 500' }) },
+  responses: {
+    200: schema.ok({ data: schema.array(schema.ref('WateringRun')) })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const data = await storage.watering.listLog(gardenId, limit);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get watering log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения журнала поливов: ' + error.message
+    });
+  }
+});
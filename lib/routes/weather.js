@@ -0,0 +1,98 @@
+// Маршруты погоды и водного баланса
+
+const { app } = require('../app');
+const { addDays } = require('../dates');
+const { schema, validate } = require('../schema');
+const { GARDEN_ID_PARAM } = require('../auth');
+const { getStoredWeather, syncGardenWeather } = require('../weather');
+const { calculateGardenWaterBalance } = require('../water-balance');
+
+// Текущая погода и прогноз по координатам сада.
+// Параметр historyDays - сколько прошедших суток вернуть из сохраненной истории (по умолчанию 7, до 366)
+app.get('/api/garden/:gardenId/weather', validate({
+  summary: 'Погода: текущая, прогноз и история осадков',
+  tags: ['Погода и водный баланс'],
+  params: GARDEN_ID_PARAM,
+  query: { historyDays: schema.integer({ description: 'Глубина истории в днях, 1-366 (по умолчанию 7)' }) },
+  responses: {
+    200: schema.ok({ data: schema.object() })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+    const garden = req.garden;
+
+    if (garden.latitude === null || garden.longitude === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Укажите координаты сада (latitude, longitude)'
+      });
+    }
+
+    const historyDays = Math.min(Math.max(parseInt(req.query.historyDays) || 7, 1), 366);
+
+    const weather = await syncGardenWeather(garden);
+    const today = weather.current.date;
+
+    const history = await getStoredWeather(gardenId, { from: addDays(today, -historyDays), to: today });
+
+    res.json({
+      success: true,
+      data: {
+        id: parseInt(gardenId),
+        location: { latitude: Number(garden.latitude), longitude: Number(garden.longitude) },
+        provider: weather.provider,
+        fetchedAt: weather.fetchedAt,
+        cached: weather.cached,
+        stale: weather.stale,
+        current: weather.current,
+        today: weather.daily.find(day => day.date === today) || null,
+        forecast: weather.daily.filter(day => day.date > today),
+        history: history.filter(day => day.date < today)
+      }
+    });
+  } catch (error) {
+    console.error('Get weather error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения погоды: ' + error.message
+    });
+  }
+});
+
+// Водный баланс и рекомендуемая норма полива на сегодня (FAO-56)
+app.get('/api/garden/:gardenId/water-balance', validate({
+  summary: 'Водный баланс (FAO-56) и рекомендация по поливу',
+  tags: ['Погода и водный баланс'],
+  params: GARDEN_ID_PARAM,
+  responses: {
+    200: schema.ok({ data: schema.object() })
+  }
+}), async (req, res) => {
+  try {
+    const { gardenId } = req.params;
+
+    const balance = await calculateGardenWaterBalance(req.garden);
+    if (balance.error) {
+      return res.status(400).json({
+        success: false,
+        error: balance.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: parseInt(gardenId),
+        ...balance,
+        lastUpdate: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Water balance error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка расчета водного баланса: ' + error.message
+    });
+  }
+});
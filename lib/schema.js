@@ -0,0 +1,439 @@
+// Схемы запросов и ответов и middleware validate
+
+const { isValidDateString, isValidTimezone } = require('./dates');
+
+// ==================== СХЕМЫ ЗАПРОСОВ ====================
+
+// Запросы и ответы каждого маршрута описываются подмножеством JSON Schema (как в OpenAPI 3.0).
+// По этим описаниям проверяются входящие данные и строится документ /api/openapi.json
+
+// Проверять ли ответы по схемам (несоответствия пишутся в лог) - для разработки и автотестов
+const VALIDATE_RESPONSES = process.env.VALIDATE_RESPONSES === 'true';
+
+// Именованные схемы: components.schemas документа OpenAPI
+const API_SCHEMAS = {};
+
+const schema = {
+  string: (options = {}) => ({ type: 'string', ...options }),
+  integer: (options = {}) => ({ type: 'integer', ...options }),
+  number: (options = {}) => ({ type: 'number', ...options }),
+  boolean: (options = {}) => ({ type: 'boolean', ...options }),
+  // Идентификатор записи: целое положительное число
+  id: (options = {}) => ({ type: 'integer', minimum: 1, ...options }),
+  enum: (values, options = {}) => ({ type: 'string', enum: values, ...options }),
+  date: (options = {}) => ({ type: 'string', format: 'date', ...options }),
+  dateTime: (options = {}) => ({ type: 'string', format: 'date-time', ...options }),
+  // DECIMAL-колонки PostgreSQL приходят строкой, чтобы не терять точность
+  decimal: (options = {}) => ({ type: 'string', format: 'decimal', nullable: true, ...options }),
+  object: (properties = {}, options = {}) => ({ type: 'object', properties, ...options }),
+  array: (items, options = {}) => ({ type: 'array', items, ...options }),
+  nullable: (definition) => ({ ...definition, nullable: true }),
+  ref: (name) => ({ $ref: `#/components/schemas/${name}` }),
+  // Та же схема объекта без обязательных полей - для частичного обновления
+  partial: (definition) => {
+    const { required, ...rest } = resolveSchema(definition);
+    return rest;
+  },
+  // Успешный ответ: { success: true, ...properties }
+  ok: (properties = {}, options = {}) => ({
+    type: 'object',
+    properties: { success: { type: 'boolean', enum: [true] }, ...properties },
+    required: ['success', ...(options.required || Object.keys(properties))]
+  }),
+  // Ответ не в JSON (CSV, HTML, поток событий)
+  content: (contentType, definition = { type: 'string' }) => ({ contentType, schema: definition })
+};
+
+// Регистрация именованной схемы. Возвращает ссылку на нее
+function defineSchema(name, definition) {
+  API_SCHEMAS[name] = definition;
+  return schema.ref(name);
+}
+
+defineSchema('Error', schema.object({
+  success: schema.boolean({ enum: [false] }),
+  error: schema.string()
+}, { required: ['success', 'error'] }));
+
+defineSchema('ValidationError', schema.object({
+  success: schema.boolean({ enum: [false] }),
+  error: schema.string(),
+  errors: schema.array(schema.object({
+    field: schema.nullable(schema.string()),
+    in: schema.enum(['params', 'query', 'body']),
+    message: schema.string()
+  }, { required: ['field', 'in', 'message'] }))
+}, { required: ['success', 'error', 'errors'] }));
+
+defineSchema('User', schema.object({
+  id: schema.id(),
+  name: schema.string(),
+  email: schema.nullable(schema.string()),
+  phone: schema.nullable(schema.string()),
+  email_verified_at: schema.nullable(schema.dateTime()),
+  phone_verified_at: schema.nullable(schema.dateTime()),
+  role: schema.enum(['user', 'admin']),
+  disabled_at: schema.nullable(schema.dateTime()),
+  created_at: schema.dateTime(),
+  updated_at: schema.dateTime()
+}, { required: ['id', 'name'] }));
+
+defineSchema('Tokens', schema.object({
+  accessToken: schema.string(),
+  refreshToken: schema.string(),
+  tokenType: schema.enum(['Bearer']),
+  expiresIn: schema.integer({ description: 'Срок действия access-токена, сек' })
+}, { required: ['accessToken', 'refreshToken', 'tokenType', 'expiresIn'] }));
+
+defineSchema('Garden', schema.object({
+  id: schema.id(),
+  name: schema.string(),
+  latitude: schema.decimal(),
+  longitude: schema.decimal(),
+  area_hectares: schema.decimal(),
+  crop_type: schema.nullable(schema.string()),
+  season_start: schema.nullable(schema.dateTime()),
+  irrigation_flow_rate: schema.decimal(),
+  soil_type: schema.nullable(schema.string()),
+  role: schema.enum(['owner', 'agronomist', 'viewer']),
+  created_at: schema.dateTime(),
+  updated_at: schema.dateTime()
+}, { required: ['id', 'name'] }));
+
+defineSchema('Member', schema.object({
+  id: schema.id(),
+  name: schema.string(),
+  email: schema.nullable(schema.string()),
+  phone: schema.nullable(schema.string()),
+  role: schema.enum(['owner', 'agronomist', 'viewer']),
+  created_at: schema.dateTime()
+}, { required: ['id', 'role'] }));
+
+defineSchema('Device', schema.object({
+  id: schema.id(),
+  garden_id: schema.id(),
+  name: schema.string(),
+  type: schema.enum(['controller', 'sensor']),
+  api_key_prefix: schema.string(),
+  firmware_version: schema.nullable(schema.string()),
+  battery_level: schema.nullable(schema.integer()),
+  last_seen_at: schema.nullable(schema.dateTime()),
+  revoked_at: schema.nullable(schema.dateTime()),
+  status: schema.enum(['online', 'offline', 'never_seen', 'revoked']),
+  online: schema.boolean(),
+  created_at: schema.dateTime(),
+  updated_at: schema.dateTime()
+}, { required: ['id', 'name', 'type', 'status'] }));
+
+defineSchema('Reading', schema.object({
+  id: schema.id(),
+  garden_id: schema.id(),
+  device_id: schema.nullable(schema.integer()),
+  temperature: schema.decimal(),
+  humidity: schema.decimal(),
+  light_level: schema.nullable(schema.integer()),
+  soil_moisture: schema.decimal(),
+  co2_level: schema.nullable(schema.integer()),
+  weather_description: schema.nullable(schema.string()),
+  created_at: schema.dateTime()
+}, { required: ['id', 'created_at'] }));
+
+// Текущие показания: по каждой метрике значение, время замера и признак устаревания
+const METRIC_STATE_SCHEMA = schema.nullable(schema.object({
+  value: schema.number(),
+  recordedAt: schema.dateTime(),
+  ageSeconds: schema.integer(),
+  isStale: schema.boolean()
+}));
+
+defineSchema('CurrentData', schema.object({
+  id: schema.id(),
+  hasData: schema.boolean(),
+  metrics: schema.object({
+    temperature: METRIC_STATE_SCHEMA,
+    humidity: METRIC_STATE_SCHEMA,
+    lightLevel: METRIC_STATE_SCHEMA,
+    soilMoisture: METRIC_STATE_SCHEMA,
+    co2Level: METRIC_STATE_SCHEMA
+  }),
+  lastUpdate: schema.nullable(schema.dateTime()),
+  ageSeconds: schema.nullable(schema.integer()),
+  isStale: schema.boolean(),
+  // Плоские поля - для совместимости со старыми версиями приложения
+  temperature: schema.nullable(schema.number()),
+  humidity: schema.nullable(schema.number()),
+  lightLevel: schema.nullable(schema.number()),
+  soilMoisture: schema.nullable(schema.number()),
+  co2Level: schema.nullable(schema.number()),
+  weatherDescription: schema.nullable(schema.string()),
+  message: schema.string()
+}, { required: ['id', 'hasData'] }));
+
+defineSchema('WateringStatus', schema.object({
+  gardenId: schema.id(),
+  isWatering: schema.boolean(),
+  timeLeft: schema.integer({ description: 'Сколько секунд осталось' }),
+  endTime: schema.nullable(schema.dateTime()),
+  selectedHours: schema.nullable(schema.integer()),
+  selectedMinutes: schema.nullable(schema.integer()),
+  updatedAt: schema.nullable(schema.dateTime())
+}, { required: ['gardenId', 'isWatering', 'timeLeft'] }));
+
+defineSchema('WateringRun', schema.object({
+  id: schema.id(),
+  garden_id: schema.id(),
+  user_id: schema.nullable(schema.integer()),
+  rule_id: schema.nullable(schema.integer()),
+  source: schema.string(),
+  started_at: schema.dateTime(),
+  planned_end_at: schema.dateTime(),
+  ended_at: schema.nullable(schema.dateTime()),
+  duration_seconds: schema.integer(),
+  actual_seconds: schema.nullable(schema.integer()),
+  stop_reason: schema.nullable(schema.string()),
+  water_volume: schema.decimal()
+}, { required: ['id', 'started_at'] }));
+
+defineSchema('Alert', schema.object({
+  id: schema.id(),
+  garden_id: schema.id(),
+  type: schema.string(),
+  key: schema.string(),
+  severity: schema.enum(['low', 'medium', 'high']),
+  title: schema.string(),
+  message: schema.nullable(schema.string()),
+  details: schema.nullable(schema.object()),
+  status: schema.enum(['open', 'acknowledged', 'resolved']),
+  acknowledged_at: schema.nullable(schema.dateTime()),
+  resolved_at: schema.nullable(schema.dateTime()),
+  created_at: schema.dateTime(),
+  updated_at: schema.dateTime()
+}, { required: ['id', 'type', 'severity', 'status'] }));
+
+// Запись таблицы в том виде, в каком ее отдает БД (колонки snake_case)
+defineSchema('Record', schema.object({
+  id: schema.id()
+}, { description: 'Запись с колонками таблицы в snake_case' }));
+
+defineSchema('Analysis', schema.object({
+  id: schema.id(),
+  garden_id: schema.id(),
+  sample_date: schema.dateTime(),
+  interpretation: schema.array(schema.object({
+    parameter: schema.string(),
+    value: schema.number(),
+    unit: schema.string(),
+    range: schema.object({ min: schema.number(), max: schema.number() }),
+    status: schema.enum(['deficient', 'low', 'optimal', 'high', 'excessive'])
+  }), { description: 'Оценка показателей по нормам культуры' })
+}, { required: ['id', 'sample_date', 'interpretation'] }));
+
+const SCHEMA_TYPE_NAMES = {
+  string: 'строка',
+  integer: 'целое число',
+  number: 'число',
+  boolean: 'логическое значение (true/false)',
+  object: 'объект',
+  array: 'массив'
+};
+
+function resolveSchema(definition) {
+  while (definition && definition.$ref) {
+    definition = API_SCHEMAS[definition.$ref.split('/').pop()];
+  }
+  return definition || {};
+}
+
+// Значения параметров пути и строки запроса приходят строками - приводим их к типу схемы.
+// undefined - строку нельзя привести к нужному типу
+function parseParameterValue(type, value) {
+  if (type === 'integer') {
+    return /^-?\d+$/.test(value) ? Number(value) : undefined;
+  }
+  if (type === 'number') {
+    return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined;
+  }
+  if (type === 'boolean') {
+    return value === 'true' ? true : value === 'false' ? false : undefined;
+  }
+  return value;
+}
+
+function isValidSchemaFormat(format, value) {
+  switch (format) {
+    case 'email':
+      return EMAIL_PATTERN.test(value);
+    case 'date':
+      return isValidDateString(value);
+    case 'date-time':
+      return /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(new Date(value));
+    case 'decimal':
+      return value.trim() !== '' && Number.isFinite(Number(value));
+    case 'timezone':
+      return isValidTimezone(value);
+    default:
+      return true;
+  }
+}
+
+// Проверка значения по схеме. Ошибки добавляются в errors в виде { field, in, message }
+function validateSchemaValue(definition, value, { field, location, errors, fromString = false }) {
+  const nullable = definition.nullable;
+  definition = resolveSchema(definition);
+  const fail = (message) => errors.push({ field, in: location, message });
+
+  if (value === null) {
+    if (!nullable && !definition.nullable) {
+      fail('Значение не может быть null');
+    }
+    return;
+  }
+
+  if (fromString && typeof value === 'string' && definition.type) {
+    value = parseParameterValue(definition.type, value);
+    if (value === undefined) {
+      return fail(`Ожидается ${SCHEMA_TYPE_NAMES[definition.type]}`);
+    }
+  }
+
+  const typeMatches = {
+    string: typeof value === 'string',
+    integer: Number.isInteger(value),
+    number: typeof value === 'number' && Number.isFinite(value),
+    boolean: typeof value === 'boolean',
+    object: typeof value === 'object' && !Array.isArray(value),
+    array: Array.isArray(value)
+  };
+  if (definition.type && !typeMatches[definition.type]) {
+    return fail(`Ожидается ${SCHEMA_TYPE_NAMES[definition.type]}`);
+  }
+
+  if (definition.enum && !definition.enum.includes(value)) {
+    return fail(`Допустимые значения: ${definition.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (definition.minimum !== undefined && (definition.exclusiveMinimum ? value <= definition.minimum : value < definition.minimum)) {
+      return fail(definition.exclusiveMinimum ? `Значение должно быть больше ${definition.minimum}` : `Значение не меньше ${definition.minimum}`);
+    }
+    if (definition.maximum !== undefined && value > definition.maximum) {
+      return fail(`Значение не больше ${definition.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (definition.minLength !== undefined && value.trim().length < definition.minLength) {
+      return fail(definition.minLength === 1 ? 'Значение не может быть пустым' : `Не короче ${definition.minLength} символов`);
+    }
+    if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+      return fail(`Не длиннее ${definition.maxLength} символов`);
+    }
+    if (definition.format && !isValidSchemaFormat(definition.format, value)) {
+      return fail({
+        email: 'Некорректный адрес email',
+        date: 'Ожидается дата в формате ГГГГ-ММ-ДД',
+        'date-time': 'Ожидается дата и время в формате ISO 8601',
+        decimal: 'Ожидается число',
+        timezone: 'Неизвестный часовой пояс'
+      }[definition.format] || 'Некорректный формат');
+    }
+    if (definition.pattern && !new RegExp(definition.pattern).test(value)) {
+      return fail(definition.patternMessage || 'Некорректный формат');
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (definition.minItems !== undefined && value.length < definition.minItems) {
+      return fail(`Не меньше ${definition.minItems} элементов`);
+    }
+    if (definition.maxItems !== undefined && value.length > definition.maxItems) {
+      return fail(`Не больше ${definition.maxItems} элементов`);
+    }
+    if (definition.items && !definition.lenientItems) {
+      value.forEach((item, index) => validateSchemaValue(definition.items, item, {
+        field: `${field || ''}[${index}]`, location, errors
+      }));
+    }
+  }
+
+  if (definition.type === 'object') {
+    const childField = name => (field ? `${field}.${name}` : name);
+    for (const name of definition.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: childField(name), in: location, message: 'Обязательное поле' });
+      }
+    }
+    for (const [name, property] of Object.entries(definition.properties || {})) {
+      if (value[name] !== undefined) {
+        validateSchemaValue(property, value[name], { field: childField(name), location, errors });
+      }
+    }
+  }
+}
+
+// Ответ 400 со списком всех ошибочных полей
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Некорректный запрос',
+    errors
+  });
+}
+
+// Проверка параметров пути, строки запроса и тела по описанию маршрута.
+// spec: { summary, description, tags, params, query, body, responses, security }
+// params и query - объекты { имя: схема }, у параметра query может быть required: true.
+// У массива с lenientItems элементы не проверяются - их разбирает сам обработчик (например, карантин показаний).
+// Описание сохраняется в apiSpec - по нему строится документ OpenAPI
+function validate(spec) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    for (const [name, definition] of Object.entries(spec.params || {})) {
+      validateSchemaValue(definition, req.params[name], { field: name, location: 'params', errors, fromString: true });
+    }
+
+    for (const [name, definition] of Object.entries(spec.query || {})) {
+      const value = req.query[name];
+      if (value === undefined) {
+        if (definition.required) {
+          errors.push({ field: name, in: 'query', message: 'Обязательный параметр' });
+        }
+        continue;
+      }
+      validateSchemaValue(definition, value, { field: name, location: 'query', errors, fromString: true });
+    }
+
+    if (spec.body && !spec.body.contentType) {
+      validateSchemaValue(spec.body, req.body === undefined ? {} : req.body, { field: null, location: 'body', errors });
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (VALIDATE_RESPONSES) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const definition = (spec.responses || {})[res.statusCode];
+        if (definition && !definition.contentType) {
+          const responseErrors = [];
+          validateSchemaValue(definition, JSON.parse(JSON.stringify(body)), { field: null, location: 'response', errors: responseErrors });
+          if (responseErrors.length > 0) {
+            console.warn(`⚠️  Ответ ${req.method} ${req.route.path} (${res.statusCode}) не соответствует схеме:`, responseErrors);
+          }
+        }
+        return json(body);
+      };
+    }
+
+    next();
+  };
+  middleware.apiSpec = spec;
+  return middleware;
+}
+
+// Адрес электронной почты: проверка формата email в схемах и каналах уведомлений
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+module.exports = { API_SCHEMAS, schema, defineSchema, sendValidationError, validate, EMAIL_PATTERN };
@@ -0,0 +1,18 @@
+// Поля API и колонки таблиц, общие для обеих реализаций хранилища
+
+// Колонки, по которым можно сортировать список пользователей
+const USER_SORT_COLUMNS = ['created_at', 'name', 'email', 'phone'];
+
+// Поля сада: поле API -> колонка gardens
+const GARDEN_FIELDS = {
+  name: 'name',
+  latitude: 'latitude',
+  longitude: 'longitude',
+  areaHectares: 'area_hectares',
+  cropType: 'crop_type',
+  seasonStart: 'season_start',
+  irrigationFlowRate: 'irrigation_flow_rate',
+  soilType: 'soil_type'
+};
+
+module.exports = { USER_SORT_COLUMNS, GARDEN_FIELDS };
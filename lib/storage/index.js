@@ -0,0 +1,22 @@
+// Хранилище, выбранное переменной STORAGE_BACKEND
+
+const { STORAGE_BACKEND, pool } = require('../db');
+const { createPostgresStorage } = require('./postgres');
+const { createMemoryStorage } = require('./memory');
+
+// ==================== ХРАНИЛИЩЕ ====================
+
+// Хранилище пользователей, садов, устройств, показаний и состояния полива.
+// Обе реализации возвращают строки в виде PostgreSQL: snake_case, время - Date, DECIMAL - строки
+const STORAGE_BACKENDS = {
+  postgres: () => createPostgresStorage(pool),
+  memory: () => createMemoryStorage()
+};
+
+if (!STORAGE_BACKENDS[STORAGE_BACKEND]) {
+  throw new Error(`STORAGE_BACKEND должен быть одним из: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+}
+
+const storage = STORAGE_BACKENDS[STORAGE_BACKEND]();
+
+module.exports = { storage };
@@ -0,0 +1,677 @@
+// Хранилище в памяти процесса (STORAGE_BACKEND=memory)
+
+const { toDateString } = require('../dates');
+const { USER_SORT_COLUMNS, GARDEN_FIELDS } = require('./columns');
+
+// Хранилище в памяти процесса: для разработки, демо и автотестов без базы данных.
+// Повторяет ограничения схемы (уникальность, каскадное удаление) и типы колонок PostgreSQL
+function createMemoryStorage() {
+  const tables = {
+    users: [],
+    user_sessions: [],
+    verification_codes: [],
+    gardens: [],
+    garden_members: [],
+    devices: [],
+    garden_data: [],
+    garden_data_quarantine: [],
+    watering_settings: [],
+    watering_log: [],
+    weather_daily: [],
+    alerts: []
+  };
+  const sequences = {};
+
+  const insert = (table, row) => {
+    sequences[table] = (sequences[table] || 0) + 1;
+    const stored = { id: sequences[table], ...row };
+    tables[table].push(stored);
+    return { ...stored };
+  };
+  const find = (table, predicate) => {
+    const row = tables[table].find(predicate);
+    return row ? { ...row } : null;
+  };
+  const update = (table, predicate, changes) => {
+    const row = tables[table].find(predicate);
+    if (!row) {
+      return null;
+    }
+    Object.assign(row, changes);
+    return { ...row };
+  };
+  const remove = (table, predicate) => {
+    const removed = tables[table].filter(predicate);
+    tables[table] = tables[table].filter(row => !predicate(row));
+    return removed;
+  };
+
+  // Приведение значений к типам колонок, как это делает PostgreSQL
+  const decimal = (value, scale) => (value === null || value === undefined ? null : Number(value).toFixed(scale));
+  const date = value => (value === null || value === undefined ? null : new Date(`${toDateString(value)}T00:00:00`));
+  const COLUMN_TYPES = {
+    gardens: {
+      latitude: value => decimal(value, 6),
+      longitude: value => decimal(value, 6),
+      area_hectares: value => decimal(value, 2),
+      irrigation_flow_rate: value => decimal(value, 3),
+      season_start: date
+    },
+    garden_data: {
+      temperature: value => decimal(value, 2),
+      humidity: value => decimal(value, 2),
+      soil_moisture: value => decimal(value, 2)
+    },
+    weather_daily: {
+      date,
+      ...Object.fromEntries(['min_temp', 'max_temp', 'mean_temp', 'precipitation', 'et0', 'humidity', 'wind_speed', 'solar_radiation']
+        .map(column => [column, value => decimal(value, 2)]))
+    }
+  };
+  const castRow = (table, fields) => Object.fromEntries(
+    Object.entries(fields).map(([column, value]) => [column, COLUMN_TYPES[table]?.[column] ? COLUMN_TYPES[table][column](value) : value])
+  );
+
+  const same = (a, b) => String(a) === String(b);
+  const publicUser = ({ password: _, ...user }) => user;
+  const time = value => new Date(value).getTime();
+
+  // Сад и все его данные (ON DELETE CASCADE)
+  const removeGarden = (gardenId) => {
+    remove('gardens', row => same(row.id, gardenId));
+    for (const table of ['garden_members', 'devices', 'garden_data', 'garden_data_quarantine', 'watering_settings', 'watering_log', 'weather_daily', 'alerts']) {
+      remove(table, row => same(row.garden_id, gardenId));
+    }
+  };
+
+  // date_trunc в местном времени процесса - так же, как PostgreSQL для TIMESTAMP без пояса
+  const truncate = (value, interval) => {
+    const bucket = new Date(value);
+    if (interval === 'hour') {
+      bucket.setMinutes(0, 0, 0);
+    } else {
+      bucket.setHours(0, 0, 0, 0);
+      if (interval === 'week') {
+        bucket.setDate(bucket.getDate() - ((bucket.getDay() + 6) % 7));
+      }
+    }
+    return bucket;
+  };
+
+  const getWateringSettings = (gardenId) => {
+    const existing = tables.watering_settings.find(row => same(row.garden_id, gardenId));
+    if (existing) {
+      return { ...existing };
+    }
+    const now = new Date();
+    return insert('watering_settings', {
+      garden_id: Number(gardenId), is_watering: false, time_left: 0, end_time: null,
+      selected_hours: 0, selected_minutes: 10, created_at: now, updated_at: now
+    });
+  };
+
+  // Остановка полива: сброс состояния и закрытие открытой записи журнала. Возвращает { settings, run } или null, если полив не шел
+  const stopWatering = (gardenId, { reason, endedAt, waterVolume }) => {
+    const current = tables.watering_settings.find(row => same(row.garden_id, gardenId));
+    if (!current || !current.is_watering) {
+      return null;
+    }
+    const settings = update('watering_settings', row => row === current, {
+      is_watering: false, time_left: 0, end_time: null, updated_at: new Date()
+    });
+
+    const [openRun] = tables.watering_log
+      .filter(row => same(row.garden_id, gardenId) && !row.ended_at)
+      .sort((a, b) => time(b.started_at) - time(a.started_at));
+
+    let run = null;
+    if (openRun) {
+      const actualSeconds = Math.max(0, Math.round((endedAt - new Date(openRun.started_at)) / 1000));
+      const garden = tables.gardens.find(row => same(row.id, gardenId));
+      run = update('watering_log', row => row === openRun, {
+        ended_at: endedAt,
+        actual_seconds: actualSeconds,
+        stop_reason: reason,
+        water_volume: decimal(waterVolume(actualSeconds, garden), 3)
+      });
+    }
+
+    return { settings, run };
+  };
+
+  const insertReading = (gardenId, deviceId, values, timestamp) => {
+    const createdAt = timestamp ? new Date(timestamp) : new Date();
+    // Уникальность (device_id, created_at), а для показаний без устройства - (garden_id, created_at)
+    const withoutDevice = deviceId === null || deviceId === undefined;
+    if (tables.garden_data.some(row => time(row.created_at) === createdAt.getTime() && (withoutDevice
+      ? row.device_id === null && same(row.garden_id, gardenId)
+      : same(row.device_id, deviceId)))) {
+      return null;
+    }
+    return insert('garden_data', castRow('garden_data', {
+      garden_id: Number(gardenId),
+      temperature: values.temperature ?? null,
+      humidity: values.humidity ?? null,
+      light_level: values.lightLevel ?? null,
+      soil_moisture: values.soilMoisture ?? null,
+      co2_level: values.co2Level ?? null,
+      weather_description: values.weatherDescription ?? null,
+      created_at: createdAt,
+      device_id: deviceId ?? null
+    }));
+  };
+
+  // Непустые значения колонки показаний сада
+  const readingValues = (gardenId, column, predicate = () => true) => tables.garden_data
+    .filter(row => same(row.garden_id, gardenId) && row[column] !== null && row[column] !== undefined && predicate(row));
+
+  const newestFirst = (a, b) => time(b.created_at) - time(a.created_at) || b.id - a.id;
+
+  const listPage = (table, timeColumn, gardenId, { from, to, cursor, limit }) => tables[table]
+    .filter(row => same(row.garden_id, gardenId) &&
+      (!from || time(row[timeColumn]) >= time(from)) &&
+      (!to || time(row[timeColumn]) < time(to)) &&
+      (!cursor || time(row[timeColumn]) > time(cursor.time) ||
+        (time(row[timeColumn]) === time(cursor.time) && row.id > cursor.id)))
+    .sort((a, b) => time(a[timeColumn]) - time(b[timeColumn]) || a.id - b.id)
+    .slice(0, limit)
+    .map(row => ({ ...row }));
+
+  const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+  const checkUniqueContact = ({ email, phone }, excludeId = null) => {
+    const conflict = tables.users.find(user => !same(user.id, excludeId) &&
+      ((email && user.email === email) || (phone && user.phone === phone)));
+    if (conflict) {
+      throw new Error('duplicate key value violates unique constraint "users_email_key"');
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    users: {
+      async findById(id) {
+        const user = find('users', row => same(row.id, id));
+        return user && publicUser(user);
+      },
+      async findByLogin(login) {
+        return find('users', row => login !== undefined && login !== null && (row.email === login || row.phone === login));
+      },
+      async existsWithContact({ email, phone, excludeId = null }) {
+        return tables.users.some(user => !same(user.id, excludeId) &&
+          ((email && user.email === email) || (phone && user.phone === phone)));
+      },
+      async create({ name, email, phone, password }) {
+        checkUniqueContact({ email, phone });
+        const now = new Date();
+        return publicUser(insert('users', {
+          name, email: email ?? null, phone: phone ?? null, password,
+          email_verified_at: null, phone_verified_at: null, role: 'user', disabled_at: null, created_at: now, updated_at: now
+        }));
+      },
+      async update(id, fields) {
+        checkUniqueContact(fields, id);
+        const user = update('users', row => same(row.id, id), { ...fields, updated_at: new Date() });
+        return user && publicUser(user);
+      },
+      async getPassword(id) {
+        const user = find('users', row => same(row.id, id));
+        return user ? user.password : null;
+      },
+      async setPassword(id, password) {
+        update('users', row => same(row.id, id), { password });
+      },
+      async list({ search = null, sort = 'created_at', order = 'desc', limit = 50, offset = 0 } = {}) {
+        const needle = search ? search.toLowerCase() : null;
+        const column = USER_SORT_COLUMNS.includes(sort) ? sort : 'created_at';
+        const direction = order === 'asc' ? 1 : -1;
+        const value = row => (column === 'created_at' ? time(row.created_at) : row[column]);
+
+        const found = tables.users
+          .filter(row => !needle || [row.name, row.email, row.phone].some(field => field && field.toLowerCase().includes(needle)))
+          .sort((a, b) => {
+            // NULLS LAST в обоих направлениях, как в запросе PostgreSQL
+            if (value(a) === null || value(b) === null) {
+              return (value(a) === null) - (value(b) === null) || direction * (a.id - b.id);
+            }
+            return direction * (value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : a.id - b.id);
+          });
+        return { users: found.slice(offset, offset + limit).map(publicUser), total: found.length };
+      },
+      async countAdmins(exceptUserId = 0) {
+        return tables.users.filter(row => row.role === 'admin' && !row.disabled_at && !same(row.id, exceptUserId)).length;
+      },
+      async delete(id, { gardenIds = [] } = {}) {
+        if (remove('users', row => same(row.id, id)).length === 0) {
+          return false;
+        }
+        gardenIds.forEach(removeGarden);
+        for (const table of ['garden_members', 'user_sessions', 'verification_codes']) {
+          remove(table, row => same(row.user_id, id));
+        }
+        tables.watering_log
+          .filter(row => same(row.user_id, id))
+          .forEach(row => { row.user_id = null; });
+        for (const column of ['acknowledged_by', 'resolved_by']) {
+          tables.alerts
+            .filter(row => same(row[column], id))
+            .forEach(row => { row[column] = null; });
+        }
+        return true;
+      }
+    },
+
+    sessions: {
+      async create(userId, tokenId, expiresAt) {
+        insert('user_sessions', {
+          user_id: Number(userId), token_id: tokenId, expires_at: expiresAt, revoked_at: null, created_at: new Date()
+        });
+      },
+      async findActive(tokenId, now = new Date()) {
+        return find('user_sessions', row => row.token_id === tokenId && !row.revoked_at && time(row.expires_at) > now.getTime());
+      },
+      async revoke(tokenId) {
+        update('user_sessions', row => row.token_id === tokenId && !row.revoked_at, { revoked_at: new Date() });
+      },
+      async revokeAllForUser(userId) {
+        const now = new Date();
+        const active = tables.user_sessions.filter(row => same(row.user_id, userId) && !row.revoked_at);
+        active.forEach(row => { row.revoked_at = now; });
+        return active.length;
+      }
+    },
+
+    verificationCodes: {
+      async create({ userId, purpose, channel, target, codeHash, expiresAt }) {
+        const now = new Date();
+        tables.verification_codes
+          .filter(row => same(row.user_id, userId) && row.purpose === purpose && row.channel === channel && !row.consumed_at)
+          .forEach(row => { row.consumed_at = now; });
+        return insert('verification_codes', {
+          user_id: Number(userId), purpose, channel, target, code_hash: codeHash,
+          attempts: 0, expires_at: expiresAt, consumed_at: null, created_at: now
+        });
+      },
+      async findLatest(userId, purpose, channel) {
+        const codes = tables.verification_codes
+          .filter(row => same(row.user_id, userId) && row.purpose === purpose && row.channel === channel);
+        return codes.length > 0 ? { ...codes[codes.length - 1] } : null;
+      },
+      async findActive(userId, purpose, channel, now = new Date()) {
+        const codes = tables.verification_codes.filter(row => same(row.user_id, userId) && row.purpose === purpose &&
+          row.channel === channel && !row.consumed_at && time(row.expires_at) > now.getTime());
+        return codes.length > 0 ? { ...codes[codes.length - 1] } : null;
+      },
+      async registerFailedAttempt(id, maxAttempts) {
+        const code = tables.verification_codes.find(row => same(row.id, id));
+        if (!code) {
+          return null;
+        }
+        code.attempts++;
+        if (code.attempts >= maxAttempts) {
+          code.consumed_at = code.consumed_at || new Date();
+        }
+        return { ...code };
+      },
+      async consume(id) {
+        return Boolean(update('verification_codes', row => same(row.id, id) && !row.consumed_at, { consumed_at: new Date() }));
+      }
+    },
+
+    gardens: {
+      async findWithRole(gardenId, userId) {
+        const garden = find('gardens', row => same(row.id, gardenId));
+        if (!garden) {
+          return null;
+        }
+        const member = tables.garden_members.find(row => same(row.garden_id, gardenId) && same(row.user_id, userId));
+        return { ...garden, role: member ? member.role : null };
+      },
+      async listForUser(userId) {
+        return tables.garden_members
+          .filter(member => same(member.user_id, userId))
+          .map(member => ({ ...tables.gardens.find(garden => garden.id === member.garden_id), role: member.role }))
+          .sort((a, b) => time(b.created_at) - time(a.created_at));
+      },
+      async listMemberGardenIds(userId) {
+        return tables.garden_members.filter(member => same(member.user_id, userId)).map(member => member.garden_id);
+      },
+      async listWithLocation() {
+        return tables.gardens
+          .filter(row => row.latitude !== null && row.longitude !== null)
+          .sort((a, b) => a.id - b.id)
+          .map(row => ({ ...row }));
+      },
+      async create(fields, ownerId) {
+        const now = new Date();
+        const garden = insert('gardens', {
+          ...castRow('gardens', Object.fromEntries(Object.values(GARDEN_FIELDS).map(column => [column, null]))),
+          ...castRow('gardens', fields),
+          created_at: now,
+          updated_at: now
+        });
+        tables.garden_members.push({ garden_id: garden.id, user_id: Number(ownerId), role: 'owner', created_at: now });
+        return garden;
+      },
+      async update(gardenId, fields) {
+        return update('gardens', row => same(row.id, gardenId), { ...castRow('gardens', fields), updated_at: new Date() });
+      },
+      // Каскадное удаление, как ON DELETE CASCADE в схеме
+      async delete(gardenId) {
+        removeGarden(gardenId);
+      },
+      async listMembers(gardenId) {
+        return tables.garden_members
+          .filter(member => same(member.garden_id, gardenId))
+          .sort((a, b) => time(a.created_at) - time(b.created_at))
+          .map(member => {
+            const user = tables.users.find(row => row.id === member.user_id);
+            return { id: user.id, name: user.name, email: user.email, phone: user.phone, role: member.role, created_at: member.created_at };
+          });
+      },
+      async findMember(gardenId, userId) {
+        return find('garden_members', row => same(row.garden_id, gardenId) && same(row.user_id, userId));
+      },
+      async addMember(gardenId, userId, role) {
+        const member = { garden_id: Number(gardenId), user_id: Number(userId), role, created_at: new Date() };
+        tables.garden_members.push(member);
+        return { ...member };
+      },
+      async setMemberRole(gardenId, userId, role) {
+        return update('garden_members', row => same(row.garden_id, gardenId) && same(row.user_id, userId), { role });
+      },
+      async removeMember(gardenId, userId) {
+        const [member] = remove('garden_members', row => same(row.garden_id, gardenId) && same(row.user_id, userId));
+        return member || null;
+      },
+      async countOwners(gardenId, exceptUserId = 0) {
+        return tables.garden_members.filter(member =>
+          same(member.garden_id, gardenId) && member.role === 'owner' && !same(member.user_id, exceptUserId)
+        ).length;
+      }
+    },
+
+    devices: {
+      async findActive(deviceId) {
+        return find('devices', row => same(row.id, deviceId) && !row.revoked_at);
+      },
+      async findInGarden(deviceId, gardenId) {
+        return find('devices', row => same(row.id, deviceId) && same(row.garden_id, gardenId));
+      },
+      async listByGarden(gardenId) {
+        return tables.devices
+          .filter(row => same(row.garden_id, gardenId))
+          .sort((a, b) => time(a.created_at) - time(b.created_at))
+          .map(row => ({ ...row }));
+      },
+      async create({ gardenId, name, type, keyHash, keyPrefix }) {
+        if (tables.devices.some(row => row.api_key_hash === keyHash)) {
+          throw new Error('duplicate key value violates unique constraint "devices_api_key_hash_key"');
+        }
+        const now = new Date();
+        return insert('devices', {
+          garden_id: Number(gardenId), name, type, api_key_hash: keyHash, api_key_prefix: keyPrefix,
+          firmware_version: null, battery_level: null, last_seen_at: null, revoked_at: null, created_at: now, updated_at: now
+        });
+      },
+      async touch(deviceId, { firmwareVersion = null, batteryLevel = null } = {}) {
+        const device = tables.devices.find(row => same(row.id, deviceId));
+        if (device) {
+          Object.assign(device, {
+            last_seen_at: new Date(),
+            firmware_version: firmwareVersion ?? device.firmware_version,
+            battery_level: batteryLevel ?? device.battery_level
+          });
+        }
+      },
+      async rename(deviceId, name) {
+        return update('devices', row => same(row.id, deviceId), { name, updated_at: new Date() });
+      },
+      async setKey(deviceId, keyHash, keyPrefix) {
+        return update('devices', row => same(row.id, deviceId), {
+          api_key_hash: keyHash, api_key_prefix: keyPrefix, revoked_at: null, updated_at: new Date()
+        });
+      },
+      async revoke(deviceId) {
+        const now = new Date();
+        const device = tables.devices.find(row => same(row.id, deviceId));
+        return device ? update('devices', row => row === device, { revoked_at: device.revoked_at || now, updated_at: now }) : null;
+      },
+      // Показания устройства остаются (ON DELETE SET NULL)
+      async delete(deviceId) {
+        remove('devices', row => same(row.id, deviceId));
+        for (const table of ['garden_data', 'garden_data_quarantine']) {
+          for (const row of tables[table].filter(item => same(item.device_id, deviceId))) {
+            row.device_id = null;
+          }
+        }
+      }
+    },
+
+    readings: {
+      async insert(gardenId, deviceId, values, timestamp) {
+        return insertReading(gardenId, deviceId, values, timestamp);
+      },
+      async insertBatch(gardenId, deviceId, readings, quarantined = []) {
+        const rows = readings.map(({ values, timestamp }) => insertReading(gardenId, deviceId, values, timestamp));
+        const quarantineIds = quarantined.map(({ payload, errors }) => insert('garden_data_quarantine', {
+          garden_id: Number(gardenId), device_id: deviceId ?? null,
+          payload: JSON.parse(JSON.stringify(payload)), errors: JSON.parse(JSON.stringify(errors)), received_at: new Date()
+        }).id);
+        return { rows, quarantineIds };
+      },
+      async latest(gardenId, columns) {
+        const rows = tables.garden_data
+          .filter(row => same(row.garden_id, gardenId))
+          .sort((a, b) => time(b.created_at) - time(a.created_at) || b.id - a.id);
+        return Object.fromEntries(columns.map(column => {
+          const row = rows.find(item => item[column] !== null && item[column] !== undefined);
+          return [column, row ? { value: row[column], created_at: row.created_at } : null];
+        }));
+      },
+      async list(gardenId, { from, to, columns, limit, cursor }) {
+        return tables.garden_data
+          .filter(row => same(row.garden_id, gardenId) &&
+            (!from || time(row.created_at) >= time(from)) &&
+            (!to || time(row.created_at) <= time(to)) &&
+            (!cursor || time(row.created_at) < time(cursor.createdAt) ||
+              (time(row.created_at) === time(cursor.createdAt) && row.id < cursor.id)))
+          .sort((a, b) => time(b.created_at) - time(a.created_at) || b.id - a.id)
+          .slice(0, limit)
+          .map(row => Object.fromEntries(columns.map(column => [column, row[column]])));
+      },
+      async aggregate(gardenId, { from, to, columns, interval, limit, after }) {
+        const buckets = new Map();
+        for (const row of tables.garden_data) {
+          if (!same(row.garden_id, gardenId) ||
+              (from && time(row.created_at) < time(from)) ||
+              (to && time(row.created_at) > time(to))) {
+            continue;
+          }
+          const bucket = truncate(row.created_at, interval);
+          if (after && bucket.getTime() <= time(after)) {
+            continue;
+          }
+          if (!buckets.has(bucket.getTime())) {
+            buckets.set(bucket.getTime(), { bucket, rows: [] });
+          }
+          buckets.get(bucket.getTime()).rows.push(row);
+        }
+
+        return [...buckets.values()]
+          .sort((a, b) => a.bucket - b.bucket)
+          .slice(0, limit)
+          .map(({ bucket, rows }) => {
+            const result = { bucket, count: rows.length };
+            for (const column of columns) {
+              const values = rows.map(row => row[column]).filter(value => value !== null).map(Number);
+              result[`${column}_min`] = values.length > 0 ? Math.min(...values) : null;
+              result[`${column}_avg`] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+              result[`${column}_max`] = values.length > 0 ? Math.max(...values) : null;
+            }
+            return result;
+          });
+      },
+      async valueAt(gardenId, column, at) {
+        const [row] = readingValues(gardenId, column, item => time(item.created_at) <= time(at)).sort(newestFirst);
+        return row ? { value: row[column], created_at: row.created_at } : null;
+      },
+      async range(gardenId, column, after) {
+        const values = readingValues(gardenId, column, row => time(row.created_at) > time(after)).map(row => Number(row[column]));
+        return {
+          min: values.length > 0 ? Math.min(...values) : null,
+          max: values.length > 0 ? Math.max(...values) : null
+        };
+      },
+      async lastReceivedAt(gardenId, column = null) {
+        const rows = tables.garden_data.filter(row => same(row.garden_id, gardenId) &&
+          (!column || (row[column] !== null && row[column] !== undefined)));
+        return rows.length > 0 ? new Date(Math.max(...rows.map(row => time(row.created_at)))) : null;
+      },
+      async dailyTemperatures(gardenId, since) {
+        const days = new Map();
+        for (const row of readingValues(gardenId, 'temperature', item => time(item.created_at) >= time(since))) {
+          const day = truncate(row.created_at, 'day').getTime();
+          days.set(day, [...(days.get(day) || []), Number(row.temperature)]);
+        }
+        return [...days.entries()]
+          .sort(([a], [b]) => a - b)
+          .map(([day, values]) => ({ day: new Date(day), min_temp: Math.min(...values), max_temp: Math.max(...values) }));
+      },
+      async conditions(gardenId, since, wetHumidity) {
+        const rows = tables.garden_data.filter(row => same(row.garden_id, gardenId) && time(row.created_at) >= time(since));
+        const numbers = column => rows.map(row => row[column]).filter(value => value !== null && value !== undefined).map(Number);
+
+        const hourly = new Map();
+        for (const row of rows.filter(item => item.humidity !== null && item.humidity !== undefined)) {
+          const hour = truncate(row.created_at, 'hour').getTime();
+          hourly.set(hour, [...(hourly.get(hour) || []), Number(row.humidity)]);
+        }
+
+        return {
+          temperature: average(numbers('temperature')),
+          humidity: average(numbers('humidity')),
+          last_reading: rows.length > 0 ? new Date(Math.max(...rows.map(row => time(row.created_at)))) : null,
+          wet_hours: [...hourly.values()].filter(values => average(values) >= wetHumidity).length
+        };
+      },
+      async exportPage(gardenId, options) {
+        return listPage('garden_data', 'created_at', gardenId, options);
+      },
+      async listQuarantine(gardenId, limit) {
+        return tables.garden_data_quarantine
+          .filter(row => same(row.garden_id, gardenId))
+          .sort((a, b) => time(b.received_at) - time(a.received_at) || b.id - a.id)
+          .slice(0, limit)
+          .map(row => ({ ...row }));
+      }
+    },
+
+    watering: {
+      async getSettings(gardenId) {
+        return getWateringSettings(gardenId);
+      },
+      async start(gardenId, { hours, minutes, durationSeconds, startedAt, endTime, userId, source, ruleId, waterVolume }) {
+        const current = getWateringSettings(gardenId);
+        let completed = null;
+        if (current.is_watering && current.end_time && time(current.end_time) <= startedAt.getTime()) {
+          completed = stopWatering(gardenId, { reason: 'completed', endedAt: new Date(current.end_time), waterVolume });
+        } else if (current.is_watering) {
+          return null;
+        }
+        const settings = update('watering_settings', row => same(row.garden_id, gardenId), {
+          is_watering: true, time_left: durationSeconds, end_time: endTime,
+          selected_hours: hours, selected_minutes: minutes, updated_at: startedAt
+        });
+        const run = insert('watering_log', {
+          garden_id: Number(gardenId), user_id: userId, source, started_at: startedAt, planned_end_at: endTime,
+          ended_at: null, duration_seconds: durationSeconds, actual_seconds: null, stop_reason: null,
+          water_volume: null, created_at: new Date(), rule_id: ruleId
+        });
+        return { settings, run, completed };
+      },
+      async stop(gardenId, { reason, endedAt, waterVolume }) {
+        return stopWatering(gardenId, { reason, endedAt, waterVolume });
+      },
+      async listExpired(now) {
+        return tables.watering_settings
+          .filter(row => row.is_watering && row.end_time && time(row.end_time) <= now.getTime())
+          .map(row => ({ garden_id: row.garden_id, end_time: row.end_time }));
+      },
+      async listLog(gardenId, limit) {
+        return tables.watering_log
+          .filter(row => same(row.garden_id, gardenId))
+          .sort((a, b) => time(b.started_at) - time(a.started_at) || b.id - a.id)
+          .slice(0, limit)
+          .map(row => ({ ...row }));
+      },
+      async exportPage(gardenId, options) {
+        return listPage('watering_log', 'started_at', gardenId, options);
+      }
+    },
+
+    weather: {
+      async upsertDaily(gardenId, days) {
+        for (const day of days) {
+          const row = castRow('weather_daily', day);
+          const existing = tables.weather_daily.find(item => same(item.garden_id, gardenId) && time(item.date) === time(row.date));
+          if (existing) {
+            Object.assign(existing, row);
+          } else {
+            insert('weather_daily', { garden_id: Number(gardenId), ...row });
+          }
+        }
+      },
+      async listDaily(gardenId, { from = null, to = null } = {}) {
+        return tables.weather_daily
+          .filter(row => same(row.garden_id, gardenId) &&
+            (!from || toDateString(row.date) >= from) &&
+            (!to || toDateString(row.date) <= to))
+          .sort((a, b) => time(a.date) - time(b.date))
+          .map(row => ({ ...row }));
+      }
+    },
+
+    alerts: {
+      async raise(gardenId, { type, key, severity, title, message, details }, now) {
+        const changes = { severity, title, message, details: JSON.parse(JSON.stringify(details)), updated_at: now };
+        const existing = update('alerts', row => same(row.garden_id, gardenId) && row.type === type &&
+          row.key === key && row.status !== 'resolved', changes);
+        if (existing) {
+          return { alert: existing, created: false };
+        }
+
+        const alert = insert('alerts', {
+          garden_id: Number(gardenId), type, key, ...changes, status: 'open',
+          acknowledged_at: null, acknowledged_by: null, resolved_at: null, resolved_by: null, created_at: now
+        });
+        return { alert, created: true };
+      },
+      async resolve(gardenId, { type, key }, now) {
+        return tables.alerts
+          .filter(row => same(row.garden_id, gardenId) && row.type === type && row.key === key && row.status !== 'resolved')
+          .map(row => Object.assign(row, { status: 'resolved', resolved_at: now, updated_at: now }))
+          .map(row => ({ ...row }));
+      },
+      async list(gardenId, { status, type, unresolved = false, limit = null }) {
+        return tables.alerts
+          .filter(row => same(row.garden_id, gardenId) &&
+            (!status || row.status === status) &&
+            (!type || row.type === type) &&
+            (!unresolved || row.status !== 'resolved'))
+          .sort((a, b) => time(b.created_at) - time(a.created_at) || b.id - a.id)
+          .slice(0, limit === null ? undefined : limit)
+          .map(row => ({ ...row }));
+      },
+      async setStatus(gardenId, alertId, { status, userId, allowedFrom, now }) {
+        const userColumn = status === 'acknowledged' ? 'acknowledged' : 'resolved';
+        return update('alerts', row => same(row.id, alertId) && same(row.garden_id, gardenId) && allowedFrom.includes(row.status), {
+          status, [`${userColumn}_at`]: now, [`${userColumn}_by`]: userId, updated_at: now
+        });
+      }
+    }
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,845 @@
+// Хранилище на PostgreSQL
+
+const { USER_SORT_COLUMNS } = require('./columns');
+
+function createPostgresStorage(db) {
+  const transaction = async (callback) => {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  const USER_COLUMNS = 'id, name, email, phone, email_verified_at, phone_verified_at, role, disabled_at, created_at, updated_at';
+
+  // Настройки полива сада (строка создается при первом обращении)
+  const getWateringSettings = async (client, gardenId) => {
+    await client.query(
+      'INSERT INTO watering_settings (garden_id) VALUES ($1) ON CONFLICT (garden_id) DO NOTHING',
+      [gardenId]
+    );
+    const result = await client.query('SELECT * FROM watering_settings WHERE garden_id = $1', [gardenId]);
+    return result.rows[0];
+  };
+
+  // Остановка полива в транзакции client: сброс состояния и закрытие открытой записи журнала.
+  // waterVolume(actualSeconds, garden) - объем воды, expiredBy - остановить, только если полив закончился к этому моменту.
+  // Возвращает { settings, run } или null, если полив не шел
+  const stopWatering = async (client, gardenId, { reason, endedAt, waterVolume, expiredBy = null }) => {
+    const result = await client.query(
+      `UPDATE watering_settings 
+       SET is_watering = false, time_left = 0, end_time = NULL, updated_at = $1 
+       WHERE garden_id = $2 AND is_watering = true${expiredBy ? ' AND end_time <= $3' : ''} 
+       RETURNING *`,
+      expiredBy ? [new Date(), gardenId, expiredBy] : [new Date(), gardenId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const openRun = await client.query(
+      `SELECT * FROM watering_log 
+       WHERE garden_id = $1 AND ended_at IS NULL 
+       ORDER BY started_at DESC 
+       LIMIT 1`,
+      [gardenId]
+    );
+
+    let run = null;
+    if (openRun.rows.length > 0) {
+      const { id, started_at: startedAt } = openRun.rows[0];
+      const actualSeconds = Math.max(0, Math.round((endedAt - new Date(startedAt)) / 1000));
+
+      const gardenResult = await client.query('SELECT * FROM gardens WHERE id = $1', [gardenId]);
+
+      const logResult = await client.query(
+        `UPDATE watering_log SET ended_at = $1, actual_seconds = $2, stop_reason = $3, water_volume = $4 
+         WHERE id = $5 RETURNING *`,
+        [endedAt, actualSeconds, reason, waterVolume(actualSeconds, gardenResult.rows[0]), id]
+      );
+      run = logResult.rows[0];
+    }
+
+    return { settings: result.rows[0], run };
+  };
+
+  const insertReading = async (client, gardenId, deviceId, values, timestamp) => {
+    const result = await client.query(
+      `INSERT INTO garden_data (garden_id, device_id, temperature, humidity, light_level, soil_moisture, co2_level, weather_description, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, CURRENT_TIMESTAMP)) 
+       ON CONFLICT DO NOTHING 
+       RETURNING *`,
+      [
+        gardenId, deviceId,
+        values.temperature ?? null, values.humidity ?? null, values.lightLevel ?? null,
+        values.soilMoisture ?? null, values.co2Level ?? null, values.weatherDescription ?? null,
+        timestamp
+      ]
+    );
+    return result.rows[0] || null;
+  };
+
+  // Страница строк сада от старых к новым по (время, id): from включительно, to - нет, cursor - { time, id } последней строки
+  const listPage = async (table, timeColumn, gardenId, { from, to, cursor, limit }) => {
+    const conditions = ['garden_id = $1'];
+    const values = [gardenId];
+
+    if (from) {
+      values.push(from);
+      conditions.push(`${timeColumn} >= $${values.length}`);
+    }
+    if (to) {
+      values.push(to);
+      conditions.push(`${timeColumn} < $${values.length}`);
+    }
+    if (cursor) {
+      values.push(cursor.time, cursor.id);
+      conditions.push(`(${timeColumn} > $${values.length - 1} OR (${timeColumn} = $${values.length - 1} AND id > $${values.length}))`);
+    }
+
+    values.push(limit);
+    const result = await db.query(
+      `SELECT * FROM ${table} 
+       WHERE ${conditions.join(' AND ')} 
+       ORDER BY ${timeColumn}, id 
+       LIMIT $${values.length}`,
+      values
+    );
+    return result.rows;
+  };
+
+  return {
+    name: 'postgres',
+
+    users: {
+      async findById(id) {
+        const result = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+      },
+      // Вместе с хешем пароля - для входа
+      async findByLogin(login) {
+        const result = await db.query('SELECT * FROM users WHERE email = $1 OR phone = $1', [login]);
+        return result.rows[0] || null;
+      },
+      async existsWithContact({ email, phone, excludeId = null }) {
+        const result = await db.query(
+          'SELECT 1 FROM users WHERE (email = $1 OR phone = $2) AND id != $3',
+          [email ?? null, phone ?? null, excludeId ?? 0]
+        );
+        return result.rows.length > 0;
+      },
+      async create({ name, email, phone, password }) {
+        const result = await db.query(
+          `INSERT INTO users (name, email, phone, password, created_at, updated_at) 
+           VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${USER_COLUMNS}`,
+          [name, email ?? null, phone ?? null, password, new Date(), new Date()]
+        );
+        return result.rows[0];
+      },
+      // fields - { колонка: значение }
+      async update(id, fields) {
+        const columns = Object.keys(fields);
+        const result = await db.query(
+          `UPDATE users 
+           SET ${[...columns, 'updated_at'].map((column, index) => `${column} = $${index + 1}`).join(', ')} 
+           WHERE id = $${columns.length + 2} 
+           RETURNING ${USER_COLUMNS}`,
+          [...Object.values(fields), new Date(), id]
+        );
+        return result.rows[0] || null;
+      },
+      async getPassword(id) {
+        const result = await db.query('SELECT password FROM users WHERE id = $1', [id]);
+        return result.rows[0] ? result.rows[0].password : null;
+      },
+      async setPassword(id, password) {
+        await db.query('UPDATE users SET password = $1 WHERE id = $2', [password, id]);
+      },
+      // Страница списка с поиском по имени, email и телефону. Возвращает { users, total }
+      async list({ search = null, sort = 'created_at', order = 'desc', limit = 50, offset = 0 } = {}) {
+        const values = [];
+        let where = '';
+        if (search) {
+          values.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+          where = 'WHERE name ILIKE $1 OR email ILIKE $1 OR phone ILIKE $1';
+        }
+        const column = USER_SORT_COLUMNS.includes(sort) ? sort : 'created_at';
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+        const count = await db.query(`SELECT COUNT(*)::int AS count FROM users ${where}`, values);
+        const result = await db.query(
+          `SELECT ${USER_COLUMNS} FROM users ${where} 
+           ORDER BY ${column} ${direction} NULLS LAST, id ${direction} 
+           LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+          [...values, limit, offset]
+        );
+        return { users: result.rows, total: count.rows[0].count };
+      },
+      // Число действующих администраторов, не считая пользователя exceptUserId
+      async countAdmins(exceptUserId = 0) {
+        const result = await db.query(
+          `SELECT COUNT(*)::int AS count FROM users 
+           WHERE role = 'admin' AND disabled_at IS NULL AND id != $1`,
+          [exceptUserId]
+        );
+        return result.rows[0].count;
+      },
+      // Удаление аккаунта вместе с садами gardenIds. Участие в садах, сессии и коды удаляются каскадно,
+      // в журналах и записях садов ссылка на пользователя обнуляется (ON DELETE SET NULL)
+      async delete(id, { gardenIds = [] } = {}) {
+        return transaction(async (client) => {
+          const found = await client.query('SELECT email FROM users WHERE id = $1', [id]);
+          if (found.rows.length === 0) {
+            return false;
+          }
+          for (const gardenId of gardenIds) {
+            await client.query('DELETE FROM gardens WHERE id = $1', [gardenId]);
+          }
+          // Каналы оповещений на личный email пользователя
+          if (found.rows[0].email) {
+            await client.query(
+              'DELETE FROM notification_channels WHERE created_by = $1 AND target = $2',
+              [id, found.rows[0].email]
+            );
+          }
+          await client.query('DELETE FROM users WHERE id = $1', [id]);
+          return true;
+        });
+      }
+    },
+
+    sessions: {
+      async create(userId, tokenId, expiresAt) {
+        await db.query(
+          'INSERT INTO user_sessions (user_id, token_id, expires_at) VALUES ($1, $2, $3)',
+          [userId, tokenId, expiresAt]
+        );
+      },
+      async findActive(tokenId, now = new Date()) {
+        const result = await db.query(
+          `SELECT * FROM user_sessions 
+           WHERE token_id = $1 AND revoked_at IS NULL AND expires_at > $2`,
+          [tokenId, now]
+        );
+        return result.rows[0] || null;
+      },
+      async revoke(tokenId) {
+        await db.query(
+          'UPDATE user_sessions SET revoked_at = $1 WHERE token_id = $2 AND revoked_at IS NULL',
+          [new Date(), tokenId]
+        );
+      },
+      // Отзыв всех сессий пользователя. Возвращает число отозванных
+      async revokeAllForUser(userId) {
+        const result = await db.query(
+          'UPDATE user_sessions SET revoked_at = $1 WHERE user_id = $2 AND revoked_at IS NULL',
+          [new Date(), userId]
+        );
+        return result.rowCount;
+      }
+    },
+
+    verificationCodes: {
+      // Новый код заменяет все действующие коды пользователя с тем же назначением и каналом
+      async create({ userId, purpose, channel, target, codeHash, expiresAt }) {
+        return transaction(async (client) => {
+          const now = new Date();
+          await client.query(
+            `UPDATE verification_codes SET consumed_at = $1 
+             WHERE user_id = $2 AND purpose = $3 AND channel = $4 AND consumed_at IS NULL`,
+            [now, userId, purpose, channel]
+          );
+          const result = await client.query(
+            `INSERT INTO verification_codes (user_id, purpose, channel, target, code_hash, expires_at, created_at) 
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+            [userId, purpose, channel, target, codeHash, expiresAt, now]
+          );
+          return result.rows[0];
+        });
+      },
+      // Последний выданный код (в том числе использованный) - для ограничения повторной отправки
+      async findLatest(userId, purpose, channel) {
+        const result = await db.query(
+          `SELECT * FROM verification_codes WHERE user_id = $1 AND purpose = $2 AND channel = $3 
+           ORDER BY created_at DESC, id DESC LIMIT 1`,
+          [userId, purpose, channel]
+        );
+        return result.rows[0] || null;
+      },
+      async findActive(userId, purpose, channel, now = new Date()) {
+        const result = await db.query(
+          `SELECT * FROM verification_codes 
+           WHERE user_id = $1 AND purpose = $2 AND channel = $3 AND consumed_at IS NULL AND expires_at > $4 
+           ORDER BY created_at DESC, id DESC LIMIT 1`,
+          [userId, purpose, channel, now]
+        );
+        return result.rows[0] || null;
+      },
+      // Неверный ввод: счетчик попыток, по достижении maxAttempts код гасится
+      async registerFailedAttempt(id, maxAttempts) {
+        const result = await db.query(
+          `UPDATE verification_codes SET attempts = attempts + 1, 
+             consumed_at = CASE WHEN attempts + 1 >= $2 THEN $3 ELSE consumed_at END 
+           WHERE id = $1 RETURNING *`,
+          [id, maxAttempts, new Date()]
+        );
+        return result.rows[0] || null;
+      },
+      // Гашение кода. false - код уже использован (повторное или параллельное подтверждение)
+      async consume(id) {
+        const result = await db.query(
+          'UPDATE verification_codes SET consumed_at = $1 WHERE id = $2 AND consumed_at IS NULL',
+          [new Date(), id]
+        );
+        return result.rowCount > 0;
+      }
+    },
+
+    gardens: {
+      // Сад с ролью пользователя (role = null, если он не участник)
+      async findWithRole(gardenId, userId) {
+        const result = await db.query(
+          `SELECT g.*, m.role FROM gardens g
+           LEFT JOIN garden_members m ON m.garden_id = g.id AND m.user_id = $2
+           WHERE g.id = $1`,
+          [gardenId, userId]
+        );
+        return result.rows[0] || null;
+      },
+      async listForUser(userId) {
+        const result = await db.query(
+          `SELECT g.*, m.role FROM gardens g
+           JOIN garden_members m ON m.garden_id = g.id
+           WHERE m.user_id = $1
+           ORDER BY g.created_at DESC`,
+          [userId]
+        );
+        return result.rows;
+      },
+      async listMemberGardenIds(userId) {
+        const result = await db.query('SELECT garden_id FROM garden_members WHERE user_id = $1', [userId]);
+        return result.rows.map(row => row.garden_id);
+      },
+      // Сады с координатами - для обновления погоды
+      async listWithLocation() {
+        const result = await db.query('SELECT * FROM gardens WHERE latitude IS NOT NULL AND longitude IS NOT NULL ORDER BY id');
+        return result.rows;
+      },
+      // Создание сада вместе с владельцем. fields - { колонка: значение }
+      async create(fields, ownerId) {
+        return transaction(async (client) => {
+          const columns = Object.keys(fields);
+          const result = await client.query(
+            `INSERT INTO gardens (${columns.join(', ')}, created_at, updated_at)
+             VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')}, $${columns.length + 1}, $${columns.length + 2}) RETURNING *`,
+            [...Object.values(fields), new Date(), new Date()]
+          );
+          const garden = result.rows[0];
+
+          await client.query(
+            'INSERT INTO garden_members (garden_id, user_id, role) VALUES ($1, $2, $3)',
+            [garden.id, ownerId, 'owner']
+          );
+          return garden;
+        });
+      },
+      async update(gardenId, fields) {
+        const columns = Object.keys(fields);
+        const result = await db.query(
+          `UPDATE gardens 
+           SET ${[...columns, 'updated_at'].map((column, index) => `${column} = $${index + 1}`).join(', ')} 
+           WHERE id = $${columns.length + 2} RETURNING *`,
+          [...Object.values(fields), new Date(), gardenId]
+        );
+        return result.rows[0] || null;
+      },
+      async delete(gardenId) {
+        await db.query('DELETE FROM gardens WHERE id = $1', [gardenId]);
+      },
+      async listMembers(gardenId) {
+        const result = await db.query(
+          `SELECT u.id, u.name, u.email, u.phone, m.role, m.created_at FROM garden_members m
+           JOIN users u ON u.id = m.user_id
+           WHERE m.garden_id = $1
+           ORDER BY m.created_at`,
+          [gardenId]
+        );
+        return result.rows;
+      },
+      async findMember(gardenId, userId) {
+        const result = await db.query(
+          'SELECT * FROM garden_members WHERE garden_id = $1 AND user_id = $2',
+          [gardenId, userId]
+        );
+        return result.rows[0] || null;
+      },
+      async addMember(gardenId, userId, role) {
+        const result = await db.query(
+          'INSERT INTO garden_members (garden_id, user_id, role) VALUES ($1, $2, $3) RETURNING *',
+          [gardenId, userId, role]
+        );
+        return result.rows[0];
+      },
+      async setMemberRole(gardenId, userId, role) {
+        const result = await db.query(
+          'UPDATE garden_members SET role = $1 WHERE garden_id = $2 AND user_id = $3 RETURNING *',
+          [role, gardenId, userId]
+        );
+        return result.rows[0] || null;
+      },
+      async removeMember(gardenId, userId) {
+        const result = await db.query(
+          'DELETE FROM garden_members WHERE garden_id = $1 AND user_id = $2 RETURNING *',
+          [gardenId, userId]
+        );
+        return result.rows[0] || null;
+      },
+      // Число владельцев сада, не считая пользователя exceptUserId
+      async countOwners(gardenId, exceptUserId = 0) {
+        const result = await db.query(
+          `SELECT COUNT(*)::int AS count FROM garden_members
+           WHERE garden_id = $1 AND role = 'owner' AND user_id != $2`,
+          [gardenId, exceptUserId]
+        );
+        return result.rows[0].count;
+      }
+    },
+
+    devices: {
+      // Действующее (не отозванное) устройство по id
+      async findActive(deviceId) {
+        const result = await db.query(
+          'SELECT * FROM devices WHERE id = $1 AND revoked_at IS NULL',
+          [deviceId]
+        );
+        return result.rows[0] || null;
+      },
+      async findInGarden(deviceId, gardenId) {
+        const result = await db.query('SELECT * FROM devices WHERE id = $1 AND garden_id = $2', [deviceId, gardenId]);
+        return result.rows[0] || null;
+      },
+      async listByGarden(gardenId) {
+        const result = await db.query('SELECT * FROM devices WHERE garden_id = $1 ORDER BY created_at', [gardenId]);
+        return result.rows;
+      },
+      async create({ gardenId, name, type, keyHash, keyPrefix }) {
+        const result = await db.query(
+          `INSERT INTO devices (garden_id, name, type, api_key_hash, api_key_prefix, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+          [gardenId, name, type, keyHash, keyPrefix, new Date(), new Date()]
+        );
+        return result.rows[0];
+      },
+      async touch(deviceId, { firmwareVersion = null, batteryLevel = null } = {}) {
+        await db.query(
+          `UPDATE devices SET last_seen_at = $1, 
+             firmware_version = COALESCE($2, firmware_version), 
+             battery_level = COALESCE($3, battery_level) 
+           WHERE id = $4`,
+          [new Date(), firmwareVersion, batteryLevel, deviceId]
+        );
+      },
+      async rename(deviceId, name) {
+        const result = await db.query(
+          'UPDATE devices SET name = $1, updated_at = $2 WHERE id = $3 RETURNING *',
+          [name, new Date(), deviceId]
+        );
+        return result.rows[0] || null;
+      },
+      // Новый ключ заодно снимает отзыв
+      async setKey(deviceId, keyHash, keyPrefix) {
+        const result = await db.query(
+          `UPDATE devices SET api_key_hash = $1, api_key_prefix = $2, revoked_at = NULL, updated_at = $3 
+           WHERE id = $4 RETURNING *`,
+          [keyHash, keyPrefix, new Date(), deviceId]
+        );
+        return result.rows[0] || null;
+      },
+      async revoke(deviceId) {
+        const result = await db.query(
+          'UPDATE devices SET revoked_at = COALESCE(revoked_at, $1), updated_at = $1 WHERE id = $2 RETURNING *',
+          [new Date(), deviceId]
+        );
+        return result.rows[0] || null;
+      },
+      async delete(deviceId) {
+        await db.query('DELETE FROM devices WHERE id = $1', [deviceId]);
+      }
+    },
+
+    readings: {
+      // Запись показания. Возвращает строку или null, если показание с этим временем уже есть у устройства (без устройства - у сада)
+      async insert(gardenId, deviceId, values, timestamp) {
+        return insertReading(db, gardenId, deviceId, values, timestamp);
+      },
+      // Запись показаний и отложенных (некорректных) показаний одной транзакцией.
+      // readings - [{ values, timestamp }], quarantined - [{ payload, errors }].
+      // Возвращает { rows: строка или null (повтор) по каждому показанию, quarantineIds }
+      async insertBatch(gardenId, deviceId, readings, quarantined = []) {
+        return transaction(async (client) => {
+          const rows = [];
+          for (const { values, timestamp } of readings) {
+            rows.push(await insertReading(client, gardenId, deviceId, values, timestamp));
+          }
+
+          const quarantineIds = [];
+          for (const { payload, errors } of quarantined) {
+            const result = await client.query(
+              `INSERT INTO garden_data_quarantine (garden_id, device_id, payload, errors, received_at)
+               VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+              [gardenId, deviceId, JSON.stringify(payload), JSON.stringify(errors), new Date()]
+            );
+            quarantineIds.push(result.rows[0].id);
+          }
+
+          return { rows, quarantineIds };
+        });
+      },
+      // Последнее непустое значение каждой колонки: { колонка: { value, created_at } | null }
+      async latest(gardenId, columns) {
+        const entries = await Promise.all(
+          columns.map(async (column) => {
+            const result = await db.query(
+              `SELECT ${column} AS value, created_at FROM garden_data 
+               WHERE garden_id = $1 AND ${column} IS NOT NULL 
+               ORDER BY created_at DESC, id DESC 
+               LIMIT 1`,
+              [gardenId]
+            );
+            return [column, result.rows[0] || null];
+          })
+        );
+        return Object.fromEntries(entries);
+      },
+      // Показания от новых к старым. cursor - { createdAt, id } последней отданной строки
+      async list(gardenId, { from, to, columns, limit, cursor }) {
+        const conditions = ['garden_id = $1'];
+        const values = [gardenId];
+
+        if (from) {
+          values.push(from);
+          conditions.push(`created_at >= $${values.length}`);
+        }
+        if (to) {
+          values.push(to);
+          conditions.push(`created_at <= $${values.length}`);
+        }
+        if (cursor) {
+          values.push(cursor.createdAt, cursor.id);
+          conditions.push(`(created_at < $${values.length - 1} OR (created_at = $${values.length - 1} AND id < $${values.length}))`);
+        }
+
+        values.push(limit);
+        const result = await db.query(
+          `SELECT ${columns.join(', ')} FROM garden_data 
+           WHERE ${conditions.join(' AND ')} 
+           ORDER BY created_at DESC, id DESC 
+           LIMIT $${values.length}`,
+          values
+        );
+        return result.rows;
+      },
+      // min/avg/max колонок по интервалам date_trunc, от старых к новым.
+      // Строки: { bucket, count, <колонка>_min, <колонка>_avg, <колонка>_max }
+      async aggregate(gardenId, { from, to, columns, interval, limit, after }) {
+        const conditions = ['garden_id = $1'];
+        const values = [gardenId, interval];
+
+        if (from) {
+          values.push(from);
+          conditions.push(`created_at >= $${values.length}`);
+        }
+        if (to) {
+          values.push(to);
+          conditions.push(`created_at <= $${values.length}`);
+        }
+
+        const aggregates = columns.map(column =>
+          `MIN(${column}) AS ${column}_min, AVG(${column}) AS ${column}_avg, MAX(${column}) AS ${column}_max`
+        );
+
+        const bucketConditions = [];
+        if (after) {
+          values.push(after);
+          bucketConditions.push(`bucket > $${values.length}`);
+        }
+
+        values.push(limit);
+        const result = await db.query(
+          `SELECT bucket, COUNT(*)::int AS count, ${aggregates.join(', ')} 
+           FROM (
+             SELECT date_trunc($2, created_at) AS bucket, ${columns.join(', ')} 
+             FROM garden_data 
+             WHERE ${conditions.join(' AND ')}
+           ) samples 
+           ${bucketConditions.length > 0 ? `WHERE ${bucketConditions.join(' AND ')}` : ''} 
+           GROUP BY bucket 
+           ORDER BY bucket 
+           LIMIT $${values.length}`,
+          values
+        );
+        return result.rows;
+      },
+      // Последнее непустое значение колонки на момент at: { value, created_at } или null
+      async valueAt(gardenId, column, at) {
+        const result = await db.query(
+          `SELECT ${column} AS value, created_at FROM garden_data 
+           WHERE garden_id = $1 AND ${column} IS NOT NULL AND created_at <= $2 
+           ORDER BY created_at DESC, id DESC 
+           LIMIT 1`,
+          [gardenId, at]
+        );
+        return result.rows[0] || null;
+      },
+      // Минимум и максимум колонки по показаниям позже after: { min, max }
+      async range(gardenId, column, after) {
+        const result = await db.query(
+          `SELECT MIN(${column}) AS min, MAX(${column}) AS max FROM garden_data 
+           WHERE garden_id = $1 AND ${column} IS NOT NULL AND created_at > $2`,
+          [gardenId, after]
+        );
+        return result.rows[0];
+      },
+      // Время последнего показания (с непустой колонкой column, если она задана) или null
+      async lastReceivedAt(gardenId, column = null) {
+        const result = await db.query(
+          `SELECT MAX(created_at) AS last_at FROM garden_data 
+           WHERE garden_id = $1${column ? ` AND ${column} IS NOT NULL` : ''}`,
+          [gardenId]
+        );
+        return result.rows[0].last_at;
+      },
+      // Суточные минимум и максимум температуры с момента since: [{ day, min_temp, max_temp }]
+      async dailyTemperatures(gardenId, since) {
+        const result = await db.query(
+          `SELECT day, MIN(temperature) AS min_temp, MAX(temperature) AS max_temp 
+           FROM (
+             SELECT date_trunc('day', created_at) AS day, temperature 
+             FROM garden_data 
+             WHERE garden_id = $1 AND temperature IS NOT NULL AND created_at >= $2
+           ) samples 
+           GROUP BY day 
+           ORDER BY day`,
+          [gardenId, since]
+        );
+        return result.rows;
+      },
+      // Средние температура и влажность с момента since и число часов, когда средняя влажность была не ниже wetHumidity:
+      // { temperature, humidity, last_reading, wet_hours }
+      async conditions(gardenId, since, wetHumidity) {
+        const averages = await db.query(
+          `SELECT AVG(temperature) AS temperature, AVG(humidity) AS humidity, MAX(created_at) AS last_reading 
+           FROM garden_data 
+           WHERE garden_id = $1 AND created_at >= $2`,
+          [gardenId, since]
+        );
+        const wetness = await db.query(
+          `SELECT COUNT(*)::int AS hours FROM (
+             SELECT date_trunc('hour', created_at) AS hour, AVG(humidity) AS humidity 
+             FROM garden_data 
+             WHERE garden_id = $1 AND created_at >= $2 AND humidity IS NOT NULL 
+             GROUP BY hour
+           ) hourly 
+           WHERE humidity >= $3`,
+          [gardenId, since, wetHumidity]
+        );
+        return { ...averages.rows[0], wet_hours: wetness.rows[0].hours };
+      },
+      async exportPage(gardenId, options) {
+        return listPage('garden_data', 'created_at', gardenId, options);
+      },
+      async listQuarantine(gardenId, limit) {
+        const result = await db.query(
+          `SELECT * FROM garden_data_quarantine 
+           WHERE garden_id = $1 
+           ORDER BY received_at DESC 
+           LIMIT $2`,
+          [gardenId, limit]
+        );
+        return result.rows;
+      }
+    },
+
+    watering: {
+      async getSettings(gardenId) {
+        return getWateringSettings(db, gardenId);
+      },
+      // Запуск: состояние и запись журнала. Полив, время которого истекло, но который таймер еще не закрыл,
+      // завершается в той же транзакции (completed). Возвращает { settings, run, completed } или null, если полив уже идет
+      async start(gardenId, { hours, minutes, durationSeconds, startedAt, endTime, userId, source, ruleId, waterVolume }) {
+        return transaction(async (client) => {
+          const current = await getWateringSettings(client, gardenId);
+
+          let completed = null;
+          if (current.is_watering && current.end_time && new Date(current.end_time) <= startedAt) {
+            completed = await stopWatering(client, gardenId, {
+              reason: 'completed', endedAt: new Date(current.end_time), waterVolume, expiredBy: startedAt
+            });
+          }
+
+          const result = await client.query(
+            `UPDATE watering_settings 
+             SET is_watering = true, time_left = $1, end_time = $2, selected_hours = $3, selected_minutes = $4, updated_at = $5 
+             WHERE garden_id = $6 AND is_watering = false 
+             RETURNING *`,
+            [durationSeconds, endTime, hours, minutes, startedAt, gardenId]
+          );
+
+          if (result.rows.length === 0) {
+            return null;
+          }
+
+          const logResult = await client.query(
+            `INSERT INTO watering_log (garden_id, user_id, rule_id, source, started_at, planned_end_at, duration_seconds)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+            [gardenId, userId, ruleId, source, startedAt, endTime, durationSeconds]
+          );
+
+          return { settings: result.rows[0], run: logResult.rows[0], completed };
+        });
+      },
+      // Остановка: сброс состояния и закрытие открытой записи журнала. Возвращает { settings, run } или null, если полив не шел
+      async stop(gardenId, { reason, endedAt, waterVolume }) {
+        return transaction(client => stopWatering(client, gardenId, { reason, endedAt, waterVolume }));
+      },
+      // Поливы, время которых истекло к моменту now
+      async listExpired(now) {
+        const result = await db.query(
+          'SELECT garden_id, end_time FROM watering_settings WHERE is_watering = true AND end_time <= $1',
+          [now]
+        );
+        return result.rows;
+      },
+      async listLog(gardenId, limit) {
+        const result = await db.query(
+          `SELECT * FROM watering_log 
+           WHERE garden_id = $1 
+           ORDER BY started_at DESC 
+           LIMIT $2`,
+          [gardenId, limit]
+        );
+        return result.rows;
+      },
+      async exportPage(gardenId, options) {
+        return listPage('watering_log', 'started_at', gardenId, options);
+      }
+    },
+
+    weather: {
+      // Запись суток погоды: days - строки weather_daily без garden_id. Сутки, которые уже есть, перезаписываются
+      async upsertDaily(gardenId, days) {
+        for (const day of days) {
+          const columns = Object.keys(day);
+          await db.query(
+            `INSERT INTO weather_daily (garden_id, ${columns.join(', ')}) 
+             VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')}) 
+             ON CONFLICT (garden_id, date) DO UPDATE SET 
+             ${columns.filter(column => column !== 'date').map(column => `${column} = EXCLUDED.${column}`).join(', ')}`,
+            [gardenId, ...Object.values(day)]
+          );
+        }
+      },
+      // Сохраненные сутки сада по возрастанию даты (from/to - ГГГГ-ММ-ДД включительно)
+      async listDaily(gardenId, { from = null, to = null } = {}) {
+        const conditions = ['garden_id = $1'];
+        const values = [gardenId];
+
+        if (from) {
+          values.push(from);
+          conditions.push(`date >= $${values.length}`);
+        }
+        if (to) {
+          values.push(to);
+          conditions.push(`date <= $${values.length}`);
+        }
+
+        const result = await db.query(
+          `SELECT * FROM weather_daily WHERE ${conditions.join(' AND ')} ORDER BY date`,
+          values
+        );
+        return result.rows;
+      }
+    },
+
+    alerts: {
+      // Нерешенное оповещение по тому же поводу (type, key) обновляется, иначе создается новое. Возвращает { alert, created }
+      async raise(gardenId, { type, key, severity, title, message, details }, now) {
+        const existing = await db.query(
+          `UPDATE alerts SET severity = $1, title = $2, message = $3, details = $4, updated_at = $5 
+           WHERE garden_id = $6 AND type = $7 AND key = $8 AND status != 'resolved' 
+           RETURNING *`,
+          [severity, title, message, JSON.stringify(details), now, gardenId, type, key]
+        );
+        if (existing.rows.length > 0) {
+          return { alert: existing.rows[0], created: false };
+        }
+
+        const result = await db.query(
+          `INSERT INTO alerts (garden_id, type, key, severity, title, message, details, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+          [gardenId, type, key, severity, title, message, JSON.stringify(details), now, now]
+        );
+        return { alert: result.rows[0], created: true };
+      },
+      // Закрытие нерешенных оповещений по поводу (type, key). Возвращает закрытые
+      async resolve(gardenId, { type, key }, now) {
+        const result = await db.query(
+          `UPDATE alerts SET status = 'resolved', resolved_at = $1, updated_at = $1 
+           WHERE garden_id = $2 AND type = $3 AND key = $4 AND status != 'resolved' 
+           RETURNING *`,
+          [now, gardenId, type, key]
+        );
+        return result.rows;
+      },
+      // Оповещения сада от новых к старым. unresolved - только нерешенные
+      async list(gardenId, { status, type, unresolved = false, limit = null }) {
+        const conditions = ['garden_id = $1'];
+        const values = [gardenId];
+
+        if (status) {
+          values.push(status);
+          conditions.push(`status = $${values.length}`);
+        }
+        if (type) {
+          values.push(type);
+          conditions.push(`type = $${values.length}`);
+        }
+        if (unresolved) {
+          conditions.push(`status != 'resolved'`);
+        }
+
+        values.push(limit);
+        const result = await db.query(
+          `SELECT * FROM alerts 
+           WHERE ${conditions.join(' AND ')} 
+           ORDER BY created_at DESC 
+           LIMIT $${values.length}`,
+          values
+        );
+        return result.rows;
+      },
+      // Смена статуса оповещения, если текущий статус - один из allowedFrom. Возвращает оповещение или null
+      async setStatus(gardenId, alertId, { status, userId, allowedFrom, now }) {
+        const userColumn = status === 'acknowledged' ? 'acknowledged' : 'resolved';
+        const result = await db.query(
+          `UPDATE alerts SET status = $1, ${userColumn}_at = $2, ${userColumn}_by = $3, updated_at = $2 
+           WHERE id = $4 AND garden_id = $5 AND status = ANY($6) 
+           RETURNING *`,
+          [status, now, userId, alertId, gardenId, allowedFrom]
+        );
+        return result.rows[0] || null;
+      }
+    }
+  };
+}
+
+module.exports = { createPostgresStorage };
@@ -0,0 +1,236 @@
+// Поток событий сада (SSE)
+
+const jwt = require('jsonwebtoken');
+
+const { gardenEvents } = require('./events');
+const { app } = require('./app');
+const { storage } = require('./storage');
+const { schema, validate } = require('./schema');
+const { verifyAccessToken, loadTokenUser } = require('./auth');
+const { getWateringSettings, formatWateringStatus } = require('./watering');
+
+// ==================== ПОТОК СОБЫТИЙ (SSE) ====================
+
+// Интервалы: комментарий-heartbeat и перепроверка членства, отсчет оставшегося времени полива
+const STREAM_HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 25000;
+const STREAM_COUNTDOWN_MS = parseInt(process.env.STREAM_COUNTDOWN_MS) || 5000;
+const STREAM_RETRY_MS = 5000;
+// Сколько последних событий хранится для догоняющей отправки по Last-Event-ID
+const STREAM_BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE) || 500;
+
+const streamBuffer = [];
+let streamEventId = 0;
+const streamClients = new Set();
+
+// Событие получает сквозной id, попадает в буфер и рассылается подписчикам сада
+function publishStreamEvent(gardenId, event, data) {
+  const entry = { id: ++streamEventId, gardenId, event, data: { gardenId, ...data } };
+
+  streamBuffer.push(entry);
+  if (streamBuffer.length > STREAM_BUFFER_SIZE) {
+    streamBuffer.shift();
+  }
+
+  for (const client of streamClients) {
+    if (client.gardenIds.has(gardenId)) {
+      client.send(entry);
+    }
+  }
+}
+
+gardenEvents.on('reading', ({ gardenId, reading }) => {
+  publishStreamEvent(gardenId, 'reading', { reading });
+});
+gardenEvents.on('watering:start', ({ gardenId, settings }) => {
+  publishStreamEvent(gardenId, 'watering', { action: 'start', watering: formatWateringStatus(settings) });
+});
+gardenEvents.on('watering:stop', ({ gardenId, settings, reason }) => {
+  publishStreamEvent(gardenId, 'watering', { action: 'stop', reason, watering: formatWateringStatus(settings) });
+});
+gardenEvents.on('alert', ({ gardenId, alert, action }) => {
+  publishStreamEvent(gardenId, 'alert', { action, alert });
+});
+
+// Сады пользователя (все или только запрошенные)
+async function getMemberGardenIds(userId, requested = null) {
+  const ids = await storage.gardens.listMemberGardenIds(userId);
+  return requested ? ids.filter(id => requested.includes(id)) : ids;
+}
+
+// Поток событий по садам пользователя.
+// Токен передается в заголовке Authorization или в параметре access_token (EventSource не умеет заголовки).
+// Параметр gardenId - список садов через запятую, по умолчанию все сады пользователя
+app.get('/api/stream', validate({
+  summary: 'Поток событий садов (Server-Sent Events)',
+  description: 'События: ready (поток открыт), reading, watering (action: start, stop или countdown - оставшееся время идущего полива), ' +
+    'alert, revoked (пользователя исключили из сада) и expired (истек срок access-токена, поток закрывается - переподключитесь с новым токеном). ' +
+    'Токен - в заголовке Authorization или параметре access_token (EventSource не умеет передавать заголовки).',
+  tags: ['Система'],
+  security: ['bearer'],
+  query: {
+    access_token: schema.string(),
+    gardenId: schema.string({ description: 'Идентификаторы садов через запятую, по умолчанию все сады пользователя' }),
+    lastEventId: schema.integer({ description: 'Альтернатива заголовку Last-Event-ID' })
+  },
+  responses: {
+    200: schema.content('text/event-stream')
+  }
+}), async (req, res) => {
+  let userId;
+  let tokenExpiresAt;
+  try {
+    const header = req.headers.authorization || '';
+    const [scheme, headerToken] = header.split(' ');
+    const token = scheme === 'Bearer' && headerToken ? headerToken : req.query.access_token;
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Требуется авторизация'
+      });
+    }
+    userId = verifyAccessToken(token);
+    tokenExpiresAt = jwt.decode(token).exp * 1000;
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Недействительный или просроченный токен'
+    });
+  }
+
+  try {
+    const { user, status, error } = await loadTokenUser(userId);
+    if (!user) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    let requested = null;
+    if (req.query.gardenId !== undefined) {
+      requested = String(req.query.gardenId).split(',').map(id => id.trim());
+      if (requested.some(id => !/^\d+$/.test(id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'gardenId - список идентификаторов садов через запятую'
+        });
+      }
+      requested = requested.map(id => parseInt(id));
+    }
+
+    const gardenIds = await getMemberGardenIds(userId, requested);
+
+    if (requested && gardenIds.length < requested.length) {
+      return res.status(403).json({
+        success: false,
+        error: 'Нет доступа к одному или нескольким садам'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // Обработчик закрытия - до первого await: клиент может отключиться, пока готовится снимок полива.
+    // После закрытия запись в поток пропускается
+    let countdownTimer = null;
+    let heartbeatTimer = null;
+    const write = chunk => {
+      if (!res.writableEnded && !res.destroyed) {
+        res.write(chunk);
+      }
+    };
+    const client = {
+      userId,
+      gardenIds: new Set(gardenIds),
+      send: (entry) => {
+        write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+      }
+    };
+    const closeStream = () => {
+      clearInterval(countdownTimer);
+      clearInterval(heartbeatTimer);
+      streamClients.delete(client);
+    };
+    const isClosed = () => res.writableEnded || res.destroyed || !res.socket || res.socket.destroyed;
+    req.on('close', closeStream);
+    if (isClosed()) {
+      return;
+    }
+
+    write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    // После переподключения досылаем пропущенные события из буфера
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId);
+    const missed = lastEventId ? streamBuffer.filter(entry => entry.id > lastEventId && client.gardenIds.has(entry.gardenId)) : [];
+    missed.forEach(client.send);
+
+    streamClients.add(client);
+
+    // Снимок текущего состояния полива
+    const sendWateringSnapshot = async () => {
+      for (const gardenId of client.gardenIds) {
+        const settings = await getWateringSettings(gardenId);
+        const watering = formatWateringStatus(settings);
+        if (watering.isWatering) {
+          write(`event: watering\ndata: ${JSON.stringify({ gardenId, action: 'countdown', watering })}\n\n`);
+        }
+      }
+    };
+
+    write(`event: ready\ndata: ${JSON.stringify({ gardenIds: [...client.gardenIds], lastEventId: streamEventId, replayed: missed.length })}\n\n`);
+    await sendWateringSnapshot();
+    if (isClosed()) {
+      closeStream();
+      return;
+    }
+
+    countdownTimer = setInterval(() => {
+      sendWateringSnapshot().catch(error => console.error('Stream countdown error:', error));
+    }, STREAM_COUNTDOWN_MS);
+
+    // Heartbeat держит соединение открытым; заодно убираем сады, из которых пользователя исключили,
+    // и закрываем поток удаленного или заблокированного пользователя и поток с истекшим токеном
+    heartbeatTimer = setInterval(async () => {
+      if (Date.now() >= tokenExpiresAt) {
+        write(`event: expired\ndata: ${JSON.stringify({ reason: 'Срок действия токена истек' })}\n\n`);
+        closeStream();
+        res.end();
+        return;
+      }
+
+      write(`: ping ${new Date().toISOString()}\n\n`);
+      try {
+        if (!(await loadTokenUser(userId)).user) {
+          closeStream();
+          res.end();
+          return;
+        }
+
+        const current = await getMemberGardenIds(userId);
+        for (const gardenId of client.gardenIds) {
+          if (!current.includes(gardenId)) {
+            client.gardenIds.delete(gardenId);
+            write(`event: revoked\ndata: ${JSON.stringify({ gardenId })}\n\n`);
+          }
+        }
+      } catch (error) {
+        console.error('Stream membership check error:', error);
+      }
+    }, STREAM_HEARTBEAT_MS);
+  } catch (error) {
+    console.error('Stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Ошибка открытия потока событий: ' + error.message
+      });
+    } else {
+      res.end();
+    }
+  }
+});
@@ -0,0 +1,168 @@
+// Одноразовые коды подтверждения контактов и сброса пароля
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const { storage } = require('./storage');
+const { schema } = require('./schema');
+const { authConfig } = require('./auth');
+const { getSmtpTransport, postJson } = require('./notifications');
+
+// ==================== ПОДТВЕРЖДЕНИЕ КОНТАКТОВ И СБРОС ПАРОЛЯ ====================
+
+// Одноразовые коды: срок действия, число попыток ввода и пауза перед повторной отправкой
+const VERIFICATION_CODE_TTL_MS = parseInt(process.env.VERIFICATION_CODE_TTL_MS) || 10 * 60 * 1000;
+const VERIFICATION_CODE_MAX_ATTEMPTS = parseInt(process.env.VERIFICATION_CODE_MAX_ATTEMPTS) || 5;
+const VERIFICATION_CODE_RESEND_MS = parseInt(process.env.VERIFICATION_CODE_RESEND_MS) || 60 * 1000;
+const VERIFICATION_CODE_LENGTH = 6;
+
+// Канал -> колонки users и отправитель по умолчанию
+const CONTACT_CHANNELS = {
+  email: { column: 'email', verifiedColumn: 'email_verified_at', senderEnv: 'EMAIL_CODE_SENDER', defaultSender: 'smtp' },
+  phone: { column: 'phone', verifiedColumn: 'phone_verified_at', senderEnv: 'SMS_CODE_SENDER', defaultSender: 'sms' }
+};
+
+const CODE_MESSAGES = {
+  verify: code => `Код подтверждения Smart Garden: ${code}`,
+  password_reset: code => `Код для сброса пароля Smart Garden: ${code}. Если вы не запрашивали сброс, проигнорируйте это сообщение`
+};
+
+// Отправители кодов. send({ channel, target, purpose, text }) бросает ошибку при неудаче,
+// configured() - хватает ли настроек, чтобы выбрать отправитель по умолчанию
+const CODE_SENDERS = {
+  smtp: {
+    name: 'Email (SMTP)',
+    channels: ['email'],
+    configured: () => Boolean(process.env.SMTP_HOST),
+    async send({ target, text }) {
+      await getSmtpTransport().sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: target,
+        subject: '[Smart Garden] Код подтверждения',
+        text
+      });
+    }
+  },
+  // HTTP-шлюз SMS: POST { to, text } на SMS_GATEWAY_URL
+  sms: {
+    name: 'SMS-шлюз',
+    channels: ['phone'],
+    configured: () => Boolean(process.env.SMS_GATEWAY_URL),
+    async send({ target, text }) {
+      if (!process.env.SMS_GATEWAY_URL) {
+        throw new Error('SMS-шлюз не настроен (SMS_GATEWAY_URL)');
+      }
+      const headers = process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {};
+      await postJson(process.env.SMS_GATEWAY_URL, JSON.stringify({ to: target, text }), headers);
+    }
+  },
+  // Для локальной разработки: код пишется в лог и, если задан CODE_SENDER_FILE, в файл (NDJSON)
+  console: {
+    name: 'Консоль / файл',
+    channels: ['email', 'phone'],
+    configured: () => true,
+    async send({ channel, target, purpose, text }) {
+      console.log(`✉️  Код (${purpose}) для ${target}: ${text}`);
+      if (process.env.CODE_SENDER_FILE) {
+        const line = JSON.stringify({ channel, target, purpose, text, sentAt: new Date().toISOString() });
+        await fs.promises.appendFile(process.env.CODE_SENDER_FILE, line + '\n');
+      }
+    }
+  }
+};
+
+// Подключение своего отправителя: { name, channels, configured(), send(message) }
+function registerCodeSender(type, sender) {
+  CODE_SENDERS[type] = sender;
+}
+
+// Отправитель задается EMAIL_CODE_SENDER / SMS_CODE_SENDER. Без настройки вне production,
+// пока SMTP или SMS-шлюз не настроены, коды уходят в консоль
+function getCodeSender(channel) {
+  const { senderEnv, defaultSender } = CONTACT_CHANNELS[channel];
+  let type = process.env[senderEnv];
+  if (!type) {
+    type = process.env.NODE_ENV === 'production' || CODE_SENDERS[defaultSender].configured() ? defaultSender : 'console';
+  }
+
+  const sender = CODE_SENDERS[type];
+  if (!sender || !sender.channels.includes(channel)) {
+    throw new Error(`Неизвестный отправитель кодов для канала ${channel}: ${type}`);
+  }
+  return sender;
+}
+
+// Хранится только HMAC кода: утечка таблицы не раскрывает действующие коды
+function hashVerificationCode(code) {
+  return crypto.createHmac('sha256', authConfig.accessSecret).update(String(code)).digest('hex');
+}
+
+function verificationCodeMatches(code, codeHash) {
+  const given = Buffer.from(hashVerificationCode(code));
+  const stored = Buffer.from(String(codeHash));
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
+
+// Генерация и отправка кода. Запись создается после успешной отправки,
+// чтобы неудачная доставка не блокировала повторный запрос паузой
+async function issueVerificationCode(user, purpose, channel) {
+  const target = user[CONTACT_CHANNELS[channel].column];
+  const code = String(crypto.randomInt(0, 10 ** VERIFICATION_CODE_LENGTH)).padStart(VERIFICATION_CODE_LENGTH, '0');
+  const minutes = Math.round(VERIFICATION_CODE_TTL_MS / 60000);
+
+  await getCodeSender(channel).send({
+    channel,
+    target,
+    purpose,
+    text: `${CODE_MESSAGES[purpose](code)}. Код действует ${minutes} мин.`
+  });
+
+  return storage.verificationCodes.create({
+    userId: user.id,
+    purpose,
+    channel,
+    target,
+    codeHash: hashVerificationCode(code),
+    expiresAt: new Date(Date.now() + VERIFICATION_CODE_TTL_MS)
+  });
+}
+
+// Время, до которого повторная отправка недоступна, или null
+async function getCodeResendLock(userId, purpose, channel) {
+  const latest = await storage.verificationCodes.findLatest(userId, purpose, channel);
+  if (!latest) {
+    return null;
+  }
+  const resendAt = new Date(latest.created_at).getTime() + VERIFICATION_CODE_RESEND_MS;
+  return resendAt > Date.now() ? resendAt : null;
+}
+
+// Проверка введенного кода. Код действителен, только пока контакт пользователя не менялся.
+// Возвращает { valid, attemptsLeft }; верный код сразу гасится
+async function checkVerificationCode(user, purpose, channel, code) {
+  const active = await storage.verificationCodes.findActive(user.id, purpose, channel, new Date());
+  if (!active || active.target !== user[CONTACT_CHANNELS[channel].column]) {
+    return { valid: false, attemptsLeft: 0 };
+  }
+
+  if (!verificationCodeMatches(code, active.code_hash)) {
+    const updated = await storage.verificationCodes.registerFailedAttempt(active.id, VERIFICATION_CODE_MAX_ATTEMPTS);
+    return { valid: false, attemptsLeft: Math.max(0, VERIFICATION_CODE_MAX_ATTEMPTS - (updated ? updated.attempts : VERIFICATION_CODE_MAX_ATTEMPTS)) };
+  }
+
+  // consume вернет false, если тот же код уже подтвердили параллельным запросом
+  return { valid: await storage.verificationCodes.consume(active.id), attemptsLeft: 0 };
+}
+
+const VERIFICATION_CODE_SCHEMA = schema.string({
+  pattern: `^[0-9]{${VERIFICATION_CODE_LENGTH}}$`,
+  patternMessage: `Код должен состоять из ${VERIFICATION_CODE_LENGTH} цифр`
+});
+
+// Канал, по которому пользователь ввел логин
+const getLoginChannel = (user, login) => (user.email === login ? 'email' : 'phone');
+
+module.exports = {
+  CONTACT_CHANNELS, issueVerificationCode, getCodeResendLock, checkVerificationCode, VERIFICATION_CODE_SCHEMA,
+  getLoginChannel
+};
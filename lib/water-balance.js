@@ -0,0 +1,179 @@
+// Водный баланс сада по FAO-56
+
+const { pool } = require('./db');
+const { toDateString, addDays } = require('./dates');
+const { getStoredWeather, syncGardenWeather } = require('./weather');
+const {
+  CROP_PHENOLOGY, DEFAULT_SOIL_TYPE, IRRIGATION_EFFICIENCY, economicCalculator, waterBalanceCalculator
+} = require('./agronomy');
+const { getGardenPhenology } = require('./phenology');
+const { ELECTRICITY_RATE } = require('./ledger');
+
+// ==================== ВОДНЫЙ БАЛАНС ====================
+
+// Сколько последних суток пересчитывать заново (погода и журнал поливов за них могли уточниться)
+const WATER_BALANCE_RECALC_DAYS = 7;
+// С какой глубины начинать, если баланс сада еще не считался
+const WATER_BALANCE_MAX_DAYS = 60;
+
+// Фактический полив по журналу, мм нетто по суткам. Без площади сада объем в слой не пересчитать
+async function getIrrigationDepths(garden, from) {
+  const depths = new Map();
+  if (!garden.area_hectares) {
+    return depths;
+  }
+
+  const result = await pool.query(
+    `SELECT started_at, water_volume FROM watering_log 
+     WHERE garden_id = $1 AND started_at >= $2 AND water_volume IS NOT NULL`,
+    [garden.id, new Date(`${from}T00:00:00`)]
+  );
+
+  for (const row of result.rows) {
+    const date = toDateString(new Date(row.started_at));
+    // 1 мм слоя на 1 га - 10 м³
+    const depth = Number(row.water_volume) * IRRIGATION_EFFICIENCY / (Number(garden.area_hectares) * 10);
+    depths.set(date, (depths.get(date) || 0) + depth);
+  }
+  return depths;
+}
+
+// Водный баланс сада с рекомендацией полива на сегодня. Возвращает { error } или данные
+async function calculateGardenWaterBalance(garden) {
+  if (garden.latitude === null || garden.longitude === null) {
+    return { error: 'Укажите координаты сада (latitude, longitude)' };
+  }
+
+  const phenology = await getGardenPhenology(garden);
+  if (phenology.error) {
+    return { error: phenology.error };
+  }
+
+  // Если провайдер погоды недоступен, считаем по сохраненной погоде
+  let today = toDateString(new Date());
+  try {
+    const weather = await syncGardenWeather(garden);
+    today = weather.current.date;
+  } catch (error) {
+    console.warn(`Погода для водного баланса сада ${garden.id} не обновлена:`, error.message);
+  }
+
+  const { cropType } = phenology;
+  const kc = waterBalanceCalculator.cropCoefficient(cropType, phenology.currentPhase);
+  const soilType = garden.soil_type || DEFAULT_SOIL_TYPE;
+  const { taw, raw } = waterBalanceCalculator.soilWater(cropType, soilType);
+
+  // Начальный дефицит берем из сохраненного баланса до окна пересчета,
+  // иначе считаем, что к началу расчета почва увлажнена до полной влагоемкости
+  const previous = await pool.query(
+    `SELECT date, deficit_mm FROM water_balance_daily 
+     WHERE garden_id = $1 AND date < $2 
+     ORDER BY date DESC 
+     LIMIT 1`,
+    [garden.id, addDays(today, -WATER_BALANCE_RECALC_DAYS)]
+  );
+
+  let from;
+  let initialDeficit = 0;
+  if (previous.rows.length > 0) {
+    from = addDays(toDateString(previous.rows[0].date), 1);
+    initialDeficit = Number(previous.rows[0].deficit_mm);
+  } else {
+    const earliest = addDays(today, -WATER_BALANCE_MAX_DAYS);
+    from = phenology.seasonStart > earliest ? phenology.seasonStart : earliest;
+  }
+
+  const weatherDays = await getStoredWeather(garden.id, { from });
+  const irrigation = await getIrrigationDepths(garden, from);
+
+  const days = [];
+  for (const day of weatherDays) {
+    const reference = waterBalanceCalculator.referenceEvapotranspiration(day, Number(garden.latitude));
+    if (!reference) {
+      continue;
+    }
+    days.push({
+      date: day.date,
+      isForecast: day.date > today,
+      et0: reference.et0,
+      et0Method: reference.method,
+      kc,
+      precipitation: day.precipitation || 0,
+      irrigation: irrigation.get(day.date) || 0
+    });
+  }
+
+  const balance = waterBalanceCalculator.runBalance(days, { taw, initialDeficit });
+
+  // Сохраняем завершившиеся сутки
+  const now = new Date();
+  for (const day of balance.filter(item => item.date < today)) {
+    await pool.query(
+      `INSERT INTO water_balance_daily 
+       (garden_id, date, et0, et0_method, kc, etc, precipitation, effective_rainfall, irrigation_mm, deficit_mm, updated_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
+       ON CONFLICT (garden_id, date) DO UPDATE SET 
+       et0 = EXCLUDED.et0, et0_method = EXCLUDED.et0_method, kc = EXCLUDED.kc, etc = EXCLUDED.etc, 
+       precipitation = EXCLUDED.precipitation, effective_rainfall = EXCLUDED.effective_rainfall, 
+       irrigation_mm = EXCLUDED.irrigation_mm, deficit_mm = EXCLUDED.deficit_mm, updated_at = EXCLUDED.updated_at`,
+      [garden.id, day.date, day.et0, day.et0Method, day.kc, day.etc, day.precipitation, day.effectiveRainfall,
+        day.irrigation, day.deficit, now]
+    );
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+  const past = balance.filter(day => day.date < today);
+  const todayBalance = balance.find(day => day.date === today);
+  const currentDeficit = past.length > 0 ? past[past.length - 1].deficit : initialDeficit;
+  const expectedDeficit = todayBalance ? todayBalance.deficit : currentDeficit;
+
+  // Поливаем, когда к концу дня будет израсходована легкодоступная влага, - до полной влагоемкости
+  const irrigate = expectedDeficit >= raw;
+  const netDepth = irrigate ? expectedDeficit : 0;
+  const grossDepth = netDepth / IRRIGATION_EFFICIENCY;
+  const area = garden.area_hectares ? Number(garden.area_hectares) : null;
+  const flowRate = garden.irrigation_flow_rate ? Number(garden.irrigation_flow_rate) : null;
+  const waterVolume = area ? round(grossDepth * area * 10) : null;
+  const runMinutes = waterVolume !== null && flowRate ? Math.ceil((waterVolume / flowRate) * 60) : null;
+  const cost = waterVolume !== null ? economicCalculator.calculateIrrigationCost(waterVolume, ELECTRICITY_RATE, 0) : null;
+
+  // Прогноз дефицита на следующие дни - без учета будущих поливов
+  const nextIrrigation = irrigate ? todayBalance || { date: today } : balance.find(day => day.isForecast && day.deficit >= raw);
+
+  const warnings = [];
+  if (!area) {
+    warnings.push('Не задана площадь сада: объем воды не рассчитан, поливы из журнала не учтены');
+  }
+  if (!flowRate) {
+    warnings.push('Не задан расход системы полива: длительность полива не рассчитана');
+  }
+  if (!todayBalance) {
+    warnings.push('Нет погоды на сегодня: рекомендация по состоянию на конец вчерашнего дня');
+  }
+
+  return {
+    cropType,
+    phase: phenology.currentPhase,
+    kc,
+    soilType,
+    rootDepth: CROP_PHENOLOGY[cropType].rootDepth,
+    totalAvailableWater: round(taw),
+    readilyAvailableWater: round(raw),
+    efficiency: IRRIGATION_EFFICIENCY,
+    deficit: round(currentDeficit),
+    expectedDeficit: round(expectedDeficit),
+    recommendation: {
+      irrigate,
+      netDepthMm: round(netDepth),
+      grossDepthMm: round(grossDepth),
+      waterVolume,
+      runMinutes,
+      cost: cost ? round(cost.totalCost) : null,
+      nextIrrigationDate: nextIrrigation ? nextIrrigation.date : null
+    },
+    days: balance,
+    warnings
+  };
+}
+
+module.exports = { calculateGardenWaterBalance };
@@ -0,0 +1,107 @@
+// Ручной полив: запуск, остановка и окончание по таймеру
+
+const { gardenEvents } = require('./events');
+const { storage } = require('./storage');
+
+// ==================== API ПОЛИВА ====================
+
+// Как часто проверять завершившиеся поливы
+const WATERING_CHECK_INTERVAL_MS = parseInt(process.env.WATERING_CHECK_INTERVAL_MS) || 10000;
+
+// Максимальная длительность одного полива
+const MAX_WATERING_SECONDS = 24 * 60 * 60;
+
+// Настройки полива сада (строка создается при первом обращении)
+async function getWateringSettings(gardenId) {
+  return storage.watering.getSettings(gardenId);
+}
+
+// Состояние полива с оставшимся временем, вычисленным от end_time
+function formatWateringStatus(settings, now = new Date()) {
+  const timeLeft = settings.is_watering && settings.end_time
+    ? Math.max(0, Math.ceil((new Date(settings.end_time) - now) / 1000))
+    : 0;
+
+  return {
+    gardenId: settings.garden_id,
+    isWatering: settings.is_watering && timeLeft > 0,
+    timeLeft,
+    endTime: settings.is_watering ? settings.end_time : null,
+    selectedHours: settings.selected_hours,
+    selectedMinutes: settings.selected_minutes,
+    updatedAt: settings.updated_at
+  };
+}
+
+// Запуск полива. Полив, время которого уже истекло, закрывается как завершенный, не дожидаясь таймера.
+// Возвращает null, если полив еще идет
+async function startWatering(gardenId, { hours, minutes, userId = null, source = 'manual', ruleId = null }) {
+  const durationSeconds = (hours * 60 + minutes) * 60;
+  const now = new Date();
+  const endTime = new Date(now.getTime() + durationSeconds * 1000);
+
+  const started = await storage.watering.start(gardenId, {
+    hours, minutes, durationSeconds, startedAt: now, endTime, userId, source, ruleId, waterVolume: calculateWaterVolume
+  });
+  if (!started) {
+    return null;
+  }
+
+  if (started.completed) {
+    console.log(`💧 Полив сада ${gardenId} остановлен (completed)`);
+    gardenEvents.emit('watering:stop', { gardenId: parseInt(gardenId), reason: 'completed', ...started.completed });
+  }
+
+  console.log(`💧 Полив сада ${gardenId} запущен на ${durationSeconds} сек (${source})`);
+
+  gardenEvents.emit('watering:start', { gardenId: parseInt(gardenId), ...started });
+
+  return started;
+}
+
+// Объем воды за полив по расходу системы полива сада (м³/ч), если он задан
+function calculateWaterVolume(actualSeconds, garden) {
+  const flowRate = garden && garden.irrigation_flow_rate;
+  return flowRate ? Math.round(Number(flowRate) * actualSeconds / 3600 * 1000) / 1000 : null;
+}
+
+// Остановка полива. endedAt позволяет закрыть просроченный полив его фактическим временем окончания.
+// Возвращает null, если полив не шел
+async function stopWatering(gardenId, { reason = 'manual', endedAt = new Date() } = {}) {
+  const stopped = await storage.watering.stop(gardenId, { reason, endedAt, waterVolume: calculateWaterVolume });
+  if (!stopped) {
+    return null;
+  }
+
+  console.log(`💧 Полив сада ${gardenId} остановлен (${reason})`);
+
+  gardenEvents.emit('watering:stop', { gardenId: parseInt(gardenId), reason, ...stopped });
+
+  return stopped;
+}
+
+// Завершение поливов, время которых истекло (в том числе во время простоя сервера)
+async function completeExpiredWatering() {
+  const expired = await storage.watering.listExpired(new Date());
+
+  for (const { garden_id: gardenId, end_time: endTime } of expired) {
+    try {
+      await stopWatering(gardenId, { reason: 'completed', endedAt: new Date(endTime) });
+    } catch (error) {
+      console.error(`Ошибка завершения полива сада ${gardenId}:`, error.message);
+    }
+  }
+}
+
+function startWateringTimer() {
+  const tick = () => completeExpiredWatering().catch(error => {
+    console.error('Watering timer error:', error.message);
+  });
+
+  tick();
+  return setInterval(tick, WATERING_CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+  MAX_WATERING_SECONDS, getWateringSettings, formatWateringStatus, startWatering, stopWatering, startWateringTimer
+};
@@ -0,0 +1,315 @@
+// Провайдеры погоды, кэш и сохраненная погода садов
+
+const fs = require('fs');
+
+const { toDateString } = require('./dates');
+const { storage } = require('./storage');
+const { analysisRowToValues, getLatestAnalysis } = require('./nutrients');
+
+// ==================== ПОГОДА: ПРОВАЙДЕРЫ ====================
+
+// Сколько хранить ответ провайдера для одной точки (кэш по округленным координатам)
+const WEATHER_CACHE_TTL_MS = parseInt(process.env.WEATHER_CACHE_TTL_MS) || 30 * 60 * 1000;
+const WEATHER_PAST_DAYS = 7;
+const WEATHER_FORECAST_DAYS = 7;
+
+const OPEN_METEO_URL = process.env.OPEN_METEO_URL || 'https://api.open-meteo.com/v1/forecast';
+
+// Точка росы по формуле Магнуса
+function calculateDewPoint(temperature, humidity) {
+  const a = 17.62;
+  const b = 243.12;
+  const gamma = Math.log(humidity / 100) + (a * temperature) / (b + temperature);
+  return Math.round(((b * gamma) / (a - gamma)) * 10) / 10;
+}
+
+// Провайдеры погоды: fetchWeather(lat, lon, { pastDays, forecastDays }) возвращает
+// { current: { date, temperature, humidity, rainfall, windSpeed, solarRadiation, dewPoint }, daily: [...] },
+// где сутки - { date, minTemp, maxTemp, meanTemp, precipitation, et0, humidity, windSpeed, solarRadiation }.
+// Даты - ГГГГ-ММ-ДД в местном времени точки, осадки и ET0 - мм, радиация - МДж/м² за сутки
+const WEATHER_PROVIDERS = {
+  'open-meteo': {
+    name: 'Open-Meteo',
+    async fetchWeather(lat, lon, { pastDays, forecastDays }) {
+      const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        current: 'temperature_2m,relative_humidity_2m,precipitation,wind_speed_10m,dew_point_2m',
+        daily: 'temperature_2m_min,temperature_2m_max,temperature_2m_mean,precipitation_sum,' +
+          'et0_fao_evapotranspiration,relative_humidity_2m_mean,wind_speed_10m_mean,shortwave_radiation_sum',
+        wind_speed_unit: 'ms',
+        timezone: 'auto',
+        past_days: pastDays,
+        forecast_days: forecastDays
+      });
+
+      const response = await fetch(`${OPEN_METEO_URL}?${params}`, { signal: AbortSignal.timeout(10000) });
+      if (!response.ok) {
+        throw new Error(`Open-Meteo: HTTP ${response.status}`);
+      }
+      const body = await response.json();
+      const { current, daily } = body;
+
+      return {
+        current: {
+          date: current.time.slice(0, 10),
+          temperature: current.temperature_2m,
+          humidity: current.relative_humidity_2m,
+          rainfall: current.precipitation,
+          windSpeed: current.wind_speed_10m,
+          dewPoint: current.dew_point_2m,
+          observedAt: current.time
+        },
+        daily: daily.time.map((date, index) => ({
+          date,
+          minTemp: daily.temperature_2m_min[index],
+          maxTemp: daily.temperature_2m_max[index],
+          meanTemp: daily.temperature_2m_mean[index],
+          precipitation: daily.precipitation_sum[index],
+          et0: daily.et0_fao_evapotranspiration[index],
+          humidity: daily.relative_humidity_2m_mean[index],
+          windSpeed: daily.wind_speed_10m_mean[index],
+          solarRadiation: daily.shortwave_radiation_sum[index]
+        })).filter(day => day.minTemp !== null && day.maxTemp !== null)
+      };
+    }
+  },
+
+  // Постоянная погода без сети - для разработки и как запасной вариант
+  stub: {
+    name: 'Заглушка',
+    async fetchWeather(lat, lon, { pastDays, forecastDays }) {
+      const daily = [];
+      for (let offset = -pastDays; offset < forecastDays; offset++) {
+        const date = new Date();
+        date.setDate(date.getDate() + offset);
+        daily.push({
+          date: toDateString(date),
+          minTemp: 14,
+          maxTemp: 26,
+          meanTemp: 20,
+          precipitation: 0,
+          et0: 4.2,
+          humidity: 65,
+          windSpeed: 2.5,
+          solarRadiation: 18.5
+        });
+      }
+
+      return {
+        current: {
+          date: toDateString(new Date()),
+          temperature: 22,
+          humidity: 65,
+          rainfall: 0,
+          windSpeed: 2.5,
+          dewPoint: 15,
+          observedAt: new Date().toISOString()
+        },
+        daily
+      };
+    }
+  },
+
+  // Воспроизведение записанного ответа из файла WEATHER_REPLAY_FILE ({ current, daily } в формате провайдера)
+  replay: {
+    name: 'Файл',
+    async fetchWeather() {
+      if (!process.env.WEATHER_REPLAY_FILE) {
+        throw new Error('Не задан WEATHER_REPLAY_FILE');
+      }
+      const data = JSON.parse(await fs.promises.readFile(process.env.WEATHER_REPLAY_FILE, 'utf8'));
+      if (!data.current || !Array.isArray(data.daily)) {
+        throw new Error('Файл погоды должен содержать current и daily');
+      }
+      return data;
+    }
+  }
+};
+
+class QuadroAPIService {
+  constructor({ weatherProvider = process.env.WEATHER_PROVIDER || 'open-meteo', cacheTtlMs = WEATHER_CACHE_TTL_MS } = {}) {
+    this.setWeatherProvider(weatherProvider);
+    this.cacheTtlMs = cacheTtlMs;
+    this.weatherCache = new Map();
+  }
+
+  // Провайдер по имени из WEATHER_PROVIDERS или собственный объект с fetchWeather()
+  setWeatherProvider(provider) {
+    if (typeof provider === 'string') {
+      if (!WEATHER_PROVIDERS[provider]) {
+        throw new Error(`Неизвестный провайдер погоды: ${provider}. Доступны: ${Object.keys(WEATHER_PROVIDERS).join(', ')}`);
+      }
+      this.weatherProviderName = provider;
+      this.weatherProvider = WEATHER_PROVIDERS[provider];
+    } else {
+      if (!provider || typeof provider.fetchWeather !== 'function') {
+        throw new Error('Провайдер погоды должен содержать fetchWeather()');
+      }
+      this.weatherProviderName = provider.name || 'custom';
+      this.weatherProvider = provider;
+    }
+    this.weatherCache = new Map();
+  }
+
+  // Погода для точки: из кэша, если ответ не старше TTL. Если провайдер недоступен,
+  // возвращается устаревший ответ из кэша (stale: true), а без него - ошибка
+  async getWeather(lat, lon) {
+    const key = `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+    const cached = this.weatherCache.get(key);
+
+    if (cached && cached.data && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+      return { ...cached.data, cached: true, stale: false };
+    }
+    // Параллельные запросы к одной точке ждут один ответ провайдера
+    if (cached && cached.pending) {
+      return cached.pending;
+    }
+
+    const pending = this.weatherProvider
+      .fetchWeather(Number(lat), Number(lon), { pastDays: WEATHER_PAST_DAYS, forecastDays: WEATHER_FORECAST_DAYS })
+      .then(weather => {
+        const data = {
+          ...weather,
+          provider: this.weatherProviderName,
+          fetchedAt: new Date().toISOString()
+        };
+        this.weatherCache.set(key, { data, fetchedAt: Date.now() });
+        return { ...data, cached: false, stale: false };
+      })
+      .catch(error => {
+        if (cached && cached.data) {
+          this.weatherCache.set(key, { data: cached.data, fetchedAt: cached.fetchedAt });
+          console.warn(`Провайдер погоды недоступен (${error.message}), используется кэш`);
+          return { ...cached.data, cached: true, stale: true };
+        }
+        this.weatherCache.delete(key);
+        throw error;
+      });
+
+    this.weatherCache.set(key, { ...cached, pending });
+    return pending;
+  }
+
+  // Текущие условия с суточными осадками и ET0 - для правил полива.
+  // Если координаты не заданы или провайдер недоступен (и кэша нет) - null: подставлять выдуманную погоду нельзя
+  async getEnhancedWeatherData(lat, lon) {
+    if (lat === null || lat === undefined || lon === null || lon === undefined) {
+      return null;
+    }
+
+    let weather;
+    try {
+      weather = await this.getWeather(lat, lon);
+    } catch (error) {
+      console.warn('Погода недоступна:', error.message);
+      return null;
+    }
+    const today = weather.daily.find(day => day.date === weather.current.date) || {};
+
+    return {
+      temperature: weather.current.temperature,
+      humidity: weather.current.humidity,
+      rainfall: today.precipitation !== undefined ? today.precipitation : weather.current.rainfall,
+      windSpeed: weather.current.windSpeed,
+      solarRadiation: today.solarRadiation !== undefined ? today.solarRadiation : null,
+      dewPoint: weather.current.dewPoint !== undefined && weather.current.dewPoint !== null
+        ? weather.current.dewPoint
+        : calculateDewPoint(weather.current.temperature, weather.current.humidity),
+      evapotranspiration: today.et0 !== undefined ? today.et0 : null,
+      source: weather.provider,
+      stale: weather.stale
+    };
+  }
+
+  // Показатели последнего почвенного анализа сада или null, если анализов нет
+  async getSoilAnalysis(gardenId) {
+    const row = await getLatestAnalysis('soil', gardenId);
+    return row ? analysisRowToValues('soil', row) : null;
+  }
+
+  // Показатели последней листовой диагностики сада или null
+  async getLeafAnalysis(gardenId) {
+    const row = await getLatestAnalysis('leaf', gardenId);
+    return row ? analysisRowToValues('leaf', row) : null;
+  }
+}
+const quadroAPI = new QuadroAPIService();
+
+// ==================== ПОГОДА ====================
+
+// Как часто обновлять сохраненную погоду всех садов
+const WEATHER_SYNC_INTERVAL_MS = parseInt(process.env.WEATHER_SYNC_INTERVAL_MS) || 3 * 60 * 60 * 1000;
+
+const WEATHER_DAILY_COLUMNS = {
+  minTemp: 'min_temp',
+  maxTemp: 'max_temp',
+  meanTemp: 'mean_temp',
+  precipitation: 'precipitation',
+  et0: 'et0',
+  humidity: 'humidity',
+  windSpeed: 'wind_speed',
+  solarRadiation: 'solar_radiation'
+};
+
+// Запись суточной погоды сада. Фактические данные заменяют прежний прогноз на ту же дату
+async function storeDailyWeather(gardenId, weather) {
+  const now = new Date();
+
+  await storage.weather.upsertDaily(gardenId, weather.daily.map(day => ({
+    date: day.date,
+    ...Object.fromEntries(Object.entries(WEATHER_DAILY_COLUMNS).map(([field, column]) => [column, day[field] === undefined ? null : day[field]])),
+    is_forecast: day.date > weather.current.date,
+    source: weather.provider,
+    fetched_at: now
+  })));
+}
+
+// Сохраненная суточная погода сада в хронологическом порядке (from/to - ГГГГ-ММ-ДД включительно)
+async function getStoredWeather(gardenId, { from = null, to = null } = {}) {
+  const rows = await storage.weather.listDaily(gardenId, { from, to });
+
+  return rows.map(row => {
+    const day = { date: toDateString(row.date), isForecast: row.is_forecast, source: row.source };
+    for (const [field, column] of Object.entries(WEATHER_DAILY_COLUMNS)) {
+      day[field] = row[column] === null ? null : Number(row[column]);
+    }
+    return day;
+  });
+}
+
+// Когда в БД последний раз записывался ответ провайдера для сада (один ответ кэша может служить нескольким садам)
+const weatherStoredAt = new Map();
+
+// Погода по координатам сада с записью суток в БД
+async function syncGardenWeather(garden) {
+  const weather = await quadroAPI.getWeather(garden.latitude, garden.longitude);
+  if (weatherStoredAt.get(garden.id) !== weather.fetchedAt) {
+    await storeDailyWeather(garden.id, weather);
+    weatherStoredAt.set(garden.id, weather.fetchedAt);
+  }
+  return weather;
+}
+
+async function syncAllGardensWeather() {
+  const gardens = await storage.gardens.listWithLocation();
+
+  for (const garden of gardens) {
+    try {
+      await syncGardenWeather(garden);
+    } catch (error) {
+      console.error(`Ошибка обновления погоды сада ${garden.id}:`, error.message);
+    }
+  }
+}
+
+function startWeatherSync() {
+  const tick = () => syncAllGardensWeather().catch(error => {
+    console.error('Weather sync error:', error.message);
+  });
+
+  tick();
+  return setInterval(tick, WEATHER_SYNC_INTERVAL_MS);
+}
+
+module.exports = { quadroAPI, getStoredWeather, syncGardenWeather, startWeatherSync };
@@ -0,0 +1,52 @@
+// Исходная схема базы данных - таблицы, которые создавал сервер до появления миграций.
+// На уже развернутой базе миграция ничего не меняет и только фиксирует версию
+
+module.exports = {
+  async up(client) {
+    // Таблица пользователей
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        email VARCHAR(100) UNIQUE,
+        phone VARCHAR(20) UNIQUE,
+        password VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Таблица данных сада
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS garden_data (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL,
+        temperature DECIMAL(4,2),
+        humidity DECIMAL(4,2),
+        light_level INTEGER,
+        soil_moisture DECIMAL(4,2),
+        co2_level INTEGER,
+        weather_description VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Таблица настроек полива
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS watering_settings (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL,
+        is_watering BOOLEAN DEFAULT false,
+        time_left INTEGER DEFAULT 0,
+        end_time TIMESTAMP,
+        selected_hours INTEGER DEFAULT 0,
+        selected_minutes INTEGER DEFAULT 10,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  // Эти таблицы существовали до миграций и хранят данные пользователей: откат их не удаляет
+  async down() {}
+};
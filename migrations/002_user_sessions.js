@@ -0,0 +1,20 @@
+// Сессии пользователей: refresh-токены с возможностью отзыва
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_id VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS user_sessions');
+  }
+};
@@ -0,0 +1,63 @@
+// Сады и участники с ролями. Показания и настройки полива, записанные до появления садов,
+// ссылались на произвольные garden_id: для них заводятся сады-заглушки и добавляются внешние ключи
+
+const LEGACY_TABLES = ['garden_data', 'watering_settings'];
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gardens (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        latitude DECIMAL(9,6),
+        longitude DECIMAL(9,6),
+        area_hectares DECIMAL(10,2),
+        crop_type VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Роли: owner, agronomist, viewer
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS garden_members (
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'agronomist', 'viewer')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (garden_id, user_id)
+      )
+    `);
+
+    await client.query(`
+      INSERT INTO gardens (id, name)
+      SELECT DISTINCT garden_id, 'Сад #' || garden_id::text FROM (
+        SELECT garden_id FROM garden_data
+        UNION SELECT garden_id FROM watering_settings
+      ) legacy
+      WHERE garden_id NOT IN (SELECT id FROM gardens)
+    `);
+    await client.query(`
+      SELECT setval(pg_get_serial_sequence('gardens', 'id'), COALESCE((SELECT MAX(id) FROM gardens), 0) + 1, false)
+    `);
+    for (const table of LEGACY_TABLES) {
+      await client.query(`
+        DO $$
+        BEGIN
+          IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = '${table}_garden_id_fkey') THEN
+            ALTER TABLE ${table} ADD CONSTRAINT ${table}_garden_id_fkey
+              FOREIGN KEY (garden_id) REFERENCES gardens(id) ON DELETE CASCADE;
+          END IF;
+        END $$
+      `);
+    }
+  },
+
+  async down(client) {
+    for (const table of LEGACY_TABLES) {
+      await client.query(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_garden_id_fkey`);
+    }
+    await client.query('DROP TABLE IF EXISTS garden_members');
+    await client.query('DROP TABLE IF EXISTS gardens');
+  }
+};
@@ -0,0 +1,42 @@
+// Ручной полив: одна строка настроек на сад и журнал поливов
+
+module.exports = {
+  async up(client) {
+    // До уникального индекса в таблице могли накопиться повторы: оставляем последнюю измененную строку сада
+    await client.query(`
+      DELETE FROM watering_settings
+      WHERE id IN (
+        SELECT id FROM (
+          SELECT id, ROW_NUMBER() OVER (PARTITION BY garden_id ORDER BY updated_at DESC NULLS LAST, id DESC) AS position
+          FROM watering_settings
+        ) ranked
+        WHERE position > 1
+      )
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS watering_settings_garden_id_key ON watering_settings (garden_id)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS watering_log (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'manual',
+        started_at TIMESTAMP NOT NULL,
+        planned_end_at TIMESTAMP NOT NULL,
+        ended_at TIMESTAMP,
+        duration_seconds INTEGER NOT NULL,
+        actual_seconds INTEGER,
+        stop_reason VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  // Удаленные повторы настроек не восстанавливаются
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS watering_log');
+    await client.query('DROP INDEX IF EXISTS watering_settings_garden_id_key');
+  }
+};
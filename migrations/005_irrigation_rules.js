@@ -0,0 +1,55 @@
+// Правила автоматического полива (по расписанию или по порогу датчика) и журнал их срабатываний
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS irrigation_rules (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('schedule', 'threshold')),
+        enabled BOOLEAN DEFAULT true,
+        dry_run BOOLEAN DEFAULT false,
+        duration_minutes INTEGER NOT NULL,
+        time_of_day VARCHAR(5),
+        days_of_week INTEGER[],
+        timezone VARCHAR(50),
+        metric VARCHAR(30),
+        operator VARCHAR(2),
+        threshold DECIMAL(10,2),
+        sustain_minutes INTEGER DEFAULT 0,
+        cooldown_minutes INTEGER DEFAULT 60,
+        skip_if_rain_mm DECIMAL(6,2),
+        skip_if_et_below_mm DECIMAL(6,2),
+        last_triggered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Полив, запущенный правилом
+    await client.query(`
+      ALTER TABLE watering_log ADD COLUMN IF NOT EXISTS rule_id INTEGER REFERENCES irrigation_rules(id) ON DELETE SET NULL
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS irrigation_rule_runs (
+        id SERIAL PRIMARY KEY,
+        rule_id INTEGER NOT NULL REFERENCES irrigation_rules(id) ON DELETE CASCADE,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL,
+        reason TEXT,
+        dry_run BOOLEAN DEFAULT false,
+        watering_log_id INTEGER REFERENCES watering_log(id) ON DELETE SET NULL,
+        details JSONB,
+        evaluated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS irrigation_rule_runs');
+    await client.query('ALTER TABLE watering_log DROP COLUMN IF EXISTS rule_id');
+    await client.query('DROP TABLE IF EXISTS irrigation_rules');
+  }
+};
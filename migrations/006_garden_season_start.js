@@ -0,0 +1,11 @@
+// Дата начала сезона сада - от нее считаются суммы активных температур (фенология)
+
+module.exports = {
+  async up(client) {
+    await client.query('ALTER TABLE gardens ADD COLUMN IF NOT EXISTS season_start DATE');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE gardens DROP COLUMN IF EXISTS season_start');
+  }
+};
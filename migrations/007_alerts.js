@@ -0,0 +1,29 @@
+// Оповещения по саду (жизненный цикл: open -> acknowledged -> resolved)
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alerts (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        type VARCHAR(30) NOT NULL,
+        key VARCHAR(50) NOT NULL,
+        severity VARCHAR(20) NOT NULL,
+        title VARCHAR(200) NOT NULL,
+        message TEXT,
+        details JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+        acknowledged_at TIMESTAMP,
+        acknowledged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
+        resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS alerts');
+  }
+};
@@ -0,0 +1,33 @@
+// Журнал доходов и расходов сада, расход воды насосом и объем воды каждого полива
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS economic_entries (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        type VARCHAR(10) NOT NULL CHECK (type IN ('expense', 'income')),
+        category VARCHAR(30) NOT NULL,
+        entry_date DATE NOT NULL,
+        quantity DECIMAL(12,3) NOT NULL,
+        unit VARCHAR(20),
+        unit_price DECIMAL(12,2) NOT NULL,
+        amount DECIMAL(14,2) NOT NULL,
+        description TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Расход системы полива, м³/ч
+    await client.query('ALTER TABLE gardens ADD COLUMN IF NOT EXISTS irrigation_flow_rate DECIMAL(10,3)');
+    await client.query('ALTER TABLE watering_log ADD COLUMN IF NOT EXISTS water_volume DECIMAL(12,3)');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE watering_log DROP COLUMN IF EXISTS water_volume');
+    await client.query('ALTER TABLE gardens DROP COLUMN IF EXISTS irrigation_flow_rate');
+    await client.query('DROP TABLE IF EXISTS economic_entries');
+  }
+};
@@ -0,0 +1,46 @@
+// Рецепты фертигации и журнал фактических внесений
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fertigation_recipes (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        target_ph DECIMAL(4,2) NOT NULL,
+        target_ec DECIMAL(5,2) NOT NULL,
+        nitrogen DECIMAL(8,2) DEFAULT 0,
+        phosphorus DECIMAL(8,2) DEFAULT 0,
+        potassium DECIMAL(8,2) DEFAULT 0,
+        calcium DECIMAL(8,2) DEFAULT 0,
+        magnesium DECIMAL(8,2) DEFAULT 0,
+        schedule VARCHAR(100),
+        crop_type VARCHAR(50),
+        phase VARCHAR(100),
+        active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fertigation_events (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        recipe_id INTEGER REFERENCES fertigation_recipes(id) ON DELETE SET NULL,
+        applied_at TIMESTAMP NOT NULL,
+        volume_liters DECIMAL(10,2) NOT NULL,
+        actual_ph DECIMAL(4,2),
+        actual_ec DECIMAL(5,2),
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS fertigation_events');
+    await client.query('DROP TABLE IF EXISTS fertigation_recipes');
+  }
+};
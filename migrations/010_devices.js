@@ -0,0 +1,31 @@
+// Устройства (контроллеры и узлы датчиков) с собственными API-ключами; показание помнит, с какого устройства пришло
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS devices (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL DEFAULT 'sensor' CHECK (type IN ('controller', 'sensor')),
+        api_key_hash VARCHAR(64) UNIQUE NOT NULL,
+        api_key_prefix VARCHAR(12) NOT NULL,
+        firmware_version VARCHAR(50),
+        battery_level INTEGER,
+        last_seen_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE garden_data ADD COLUMN IF NOT EXISTS device_id INTEGER REFERENCES devices(id) ON DELETE SET NULL
+    `);
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE garden_data DROP COLUMN IF EXISTS device_id');
+    await client.query('DROP TABLE IF EXISTS devices');
+  }
+};
@@ -0,0 +1,36 @@
+// Проверка показаний при приеме: точность колонок, защита от повторной отправки и карантин
+
+module.exports = {
+  async up(client) {
+    // DECIMAL(4,2) переполнялся на влажности 100%
+    await client.query(`
+      ALTER TABLE garden_data
+        ALTER COLUMN temperature TYPE DECIMAL(5,2),
+        ALTER COLUMN humidity TYPE DECIMAL(5,2),
+        ALTER COLUMN soil_moisture TYPE DECIMAL(5,2)
+    `);
+
+    // Повторная отправка показания устройством не создает дубликат
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS garden_data_device_time_key ON garden_data (device_id, created_at)
+    `);
+
+    // Показания, не прошедшие проверку
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS garden_data_quarantine (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        device_id INTEGER REFERENCES devices(id) ON DELETE SET NULL,
+        payload JSONB NOT NULL,
+        errors JSONB NOT NULL,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  // Точность колонок не сужается: значения от 100 не поместятся в DECIMAL(4,2)
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS garden_data_quarantine');
+    await client.query('DROP INDEX IF EXISTS garden_data_device_time_key');
+  }
+};
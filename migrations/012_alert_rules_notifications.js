@@ -0,0 +1,84 @@
+// Правила оповещений и доставка уведомлений: push-токены, каналы сада и очередь отправки с повторами
+
+module.exports = {
+  async up(client) {
+    // Порог по метрике или отсутствие данных
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('threshold', 'no_data')),
+        enabled BOOLEAN DEFAULT true,
+        severity VARCHAR(20) NOT NULL DEFAULT 'medium',
+        metric VARCHAR(30),
+        operator VARCHAR(2),
+        threshold DECIMAL(10,2),
+        hysteresis DECIMAL(10,2) DEFAULT 0,
+        sustain_minutes INTEGER DEFAULT 0,
+        no_data_minutes INTEGER,
+        state VARCHAR(10) NOT NULL DEFAULT 'ok' CHECK (state IN ('ok', 'firing')),
+        state_changed_at TIMESTAMP,
+        last_evaluated_at TIMESTAMP,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Push-токены Expo, зарегистрированные приложением
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS push_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token VARCHAR(255) UNIQUE NOT NULL,
+        platform VARCHAR(20),
+        disabled_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_channels (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        type VARCHAR(20) NOT NULL,
+        target VARCHAR(500),
+        secret VARCHAR(200),
+        min_severity VARCHAR(20) NOT NULL DEFAULT 'low',
+        notify_resolved BOOLEAN DEFAULT true,
+        enabled BOOLEAN DEFAULT true,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        alert_id INTEGER REFERENCES alerts(id) ON DELETE SET NULL,
+        channel_id INTEGER REFERENCES notification_channels(id) ON DELETE SET NULL,
+        channel_type VARCHAR(20) NOT NULL,
+        target VARCHAR(500),
+        event VARCHAR(20) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS notification_deliveries');
+    await client.query('DROP TABLE IF EXISTS notification_channels');
+    await client.query('DROP TABLE IF EXISTS push_tokens');
+    await client.query('DROP TABLE IF EXISTS alert_rules');
+  }
+};
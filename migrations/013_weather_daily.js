@@ -0,0 +1,29 @@
+// Суточная погода по местоположению сада: фактическая и прогноз
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS weather_daily (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        min_temp DECIMAL(5,2),
+        max_temp DECIMAL(5,2),
+        mean_temp DECIMAL(5,2),
+        precipitation DECIMAL(6,2),
+        et0 DECIMAL(5,2),
+        humidity DECIMAL(5,2),
+        wind_speed DECIMAL(5,2),
+        solar_radiation DECIMAL(6,2),
+        is_forecast BOOLEAN NOT NULL DEFAULT false,
+        source VARCHAR(30),
+        fetched_at TIMESTAMP,
+        UNIQUE (garden_id, date)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS weather_daily');
+  }
+};
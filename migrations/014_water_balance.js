@@ -0,0 +1,30 @@
+// Суточный водный баланс сада (дефицит влаги корнеобитаемого слоя) и тип почвы сада
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS water_balance_daily (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        et0 DECIMAL(5,2),
+        et0_method VARCHAR(20),
+        kc DECIMAL(4,2),
+        etc DECIMAL(5,2),
+        precipitation DECIMAL(6,2),
+        effective_rainfall DECIMAL(6,2),
+        irrigation_mm DECIMAL(6,2),
+        deficit_mm DECIMAL(6,2),
+        updated_at TIMESTAMP,
+        UNIQUE (garden_id, date)
+      )
+    `);
+
+    await client.query('ALTER TABLE gardens ADD COLUMN IF NOT EXISTS soil_type VARCHAR(20)');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE gardens DROP COLUMN IF EXISTS soil_type');
+    await client.query('DROP TABLE IF EXISTS water_balance_daily');
+  }
+};
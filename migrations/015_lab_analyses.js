@@ -0,0 +1,53 @@
+// Лабораторные анализы: почвенные (показатели - мг/кг, органика - %, засоленность - дСм/м)
+// и листовая диагностика (% сухого вещества)
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS soil_analyses (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        sample_date DATE NOT NULL,
+        depth_from_cm INTEGER,
+        depth_to_cm INTEGER,
+        ph DECIMAL(4,2),
+        organic_matter DECIMAL(5,2),
+        nitrogen DECIMAL(8,2),
+        phosphorus DECIMAL(8,2),
+        potassium DECIMAL(8,2),
+        calcium DECIMAL(8,2),
+        magnesium DECIMAL(8,2),
+        salinity DECIMAL(6,2),
+        lab VARCHAR(100),
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS leaf_analyses (
+        id SERIAL PRIMARY KEY,
+        garden_id INTEGER NOT NULL REFERENCES gardens(id) ON DELETE CASCADE,
+        sample_date DATE NOT NULL,
+        phase VARCHAR(100),
+        nitrogen DECIMAL(5,2),
+        phosphorus DECIMAL(5,2),
+        potassium DECIMAL(5,2),
+        calcium DECIMAL(5,2),
+        magnesium DECIMAL(5,2),
+        lab VARCHAR(100),
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS leaf_analyses');
+    await client.query('DROP TABLE IF EXISTS soil_analyses');
+  }
+};
@@ -0,0 +1,23 @@
+// Индексы под частые выборки: показания и журналы сада за период, открытые оповещения, очередь уведомлений
+
+const INDEXES = {
+  garden_data_garden_time_idx: 'garden_data (garden_id, created_at)',
+  watering_log_garden_started_idx: 'watering_log (garden_id, started_at)',
+  alerts_garden_status_idx: 'alerts (garden_id, status)',
+  economic_entries_garden_date_idx: 'economic_entries (garden_id, entry_date)',
+  notification_deliveries_queue_idx: 'notification_deliveries (status, next_attempt_at)'
+};
+
+module.exports = {
+  async up(client) {
+    for (const [name, definition] of Object.entries(INDEXES)) {
+      await client.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${definition}`);
+    }
+  },
+
+  async down(client) {
+    for (const name of Object.keys(INDEXES)) {
+      await client.query(`DROP INDEX IF EXISTS ${name}`);
+    }
+  }
+};
@@ -0,0 +1,19 @@
+// Общее хранилище счетчиков ограничения частоты запросов (RATE_LIMIT_STORE=postgres):
+// счетчики и блокировки входа видны всем экземплярам сервера
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key VARCHAR(200) PRIMARY KEY,
+        count INTEGER NOT NULL DEFAULT 0,
+        reset_at TIMESTAMP NOT NULL
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS rate_limits_reset_idx ON rate_limits (reset_at)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS rate_limits');
+  }
+};
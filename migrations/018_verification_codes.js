@@ -0,0 +1,33 @@
+// Подтверждение email/телефона и восстановление пароля одноразовыми кодами.
+// Код хранится только в виде HMAC, число попыток ввода ограничено
+
+module.exports = {
+  async up(client) {
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS verification_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify', 'password_reset')),
+        channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'phone')),
+        target VARCHAR(100) NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        consumed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(
+      'CREATE INDEX IF NOT EXISTS verification_codes_user_purpose_idx ON verification_codes (user_id, purpose, channel)'
+    );
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS verification_codes');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS phone_verified_at');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at');
+  }
+};
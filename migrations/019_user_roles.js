@@ -0,0 +1,18 @@
+// Роль администратора и блокировка аккаунтов
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+        CHECK (role IN ('user', 'admin'))
+    `);
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP');
+    await client.query('CREATE INDEX IF NOT EXISTS users_created_at_idx ON users (created_at)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS users_created_at_idx');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS disabled_at');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS role');
+  }
+};
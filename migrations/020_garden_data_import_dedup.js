@@ -0,0 +1,23 @@
+// Защита от повторов для показаний без устройства (импорт из файла без deviceId): уникальны сад и время.
+// Уже загруженные дважды строки удаляются - остается первая
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      DELETE FROM garden_data duplicate
+      USING garden_data original
+      WHERE duplicate.device_id IS NULL AND original.device_id IS NULL
+        AND duplicate.garden_id = original.garden_id
+        AND duplicate.created_at = original.created_at
+        AND duplicate.id > original.id
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS garden_data_garden_time_no_device_key
+        ON garden_data (garden_id, created_at) WHERE device_id IS NULL
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS garden_data_garden_time_no_device_key');
+  }
+};
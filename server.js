@@ -1,742 +1,52 @@
 // server.js
-const express = require('express');
-const cors = require('cors');
-const { Pool } = require('pg');
-require('dotenv').config();
 
-const app = express();
+require('dotenv').config();
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+const { gardenEvents } = require('./lib/events');
+const { app } = require('./lib/app');
+const { STORAGE_BACKEND, pool, POSTGRES_ONLY_PATHS, requirePostgres } = require('./lib/db');
+const { storage } = require('./lib/storage');
+const { apiRateLimit } = require('./lib/rate-limit');
+const { authenticate, loadGarden } = require('./lib/auth');
+const { migrateUp, migrateDown, seedDatabase, initializeDatabase, runDatabaseCommand } = require('./lib/migrations');
+const { startWeatherSync } = require('./lib/weather');
+const { startWateringTimer } = require('./lib/watering');
+const { evaluateIrrigationRules, startRulesEngine } = require('./lib/irrigation-rules');
+const { evaluateAlertRules, startAlertEngine } = require('./lib/alerts');
+const { startNotificationWorker } = require('./lib/notifications');
+const { startMqttBridge } = require('./lib/mqtt');
 
 // Авто-определение порта для Render
 const PORT = process.env.PORT || 3000;
 
-// Умное подключение к БД
-const getDatabaseConfig = () => {
-  // Если есть DATABASE_URL (Render) - используем облачную БД с SSL
-  if (process.env.DATABASE_URL) {
-    console.log('🔗 Подключение к облачной БД Render');
-    return {
-      connectionString: process.env.DATABASE_URL,
-      ssl: {
-        rejectUnauthorized: false
-      }
-    };
-  }
-  
-  // Для локальной разработки - используем локальную БД без SSL
-  console.log('💻 Подключение к локальной БД');
-  return {
-    user: process.env.DB_USER || 'postgres',
-    host: process.env.DB_HOST || 'localhost',
-    database: process.env.DB_NAME || 'smart_garden',
-    password: process.env.DB_PASSWORD || '1',
-    port: process.env.DB_PORT || 5432
-  };
-};
-
-const pool = new Pool(getDatabaseConfig());
-
-// Функция инициализации базы данных
-async function initializeDatabase() {
-  const client = await pool.connect();
-  try {
-    console.log('🔄 Проверка и создание таблиц в базе данных...');
-    
-    // Таблица пользователей
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) UNIQUE,
-        phone VARCHAR(20) UNIQUE,
-        password VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Таблица данных сада
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS garden_data (
-        id SERIAL PRIMARY KEY,
-        garden_id INTEGER NOT NULL,
-        temperature DECIMAL(4,2),
-        humidity DECIMAL(4,2),
-        light_level INTEGER,
-        soil_moisture DECIMAL(4,2),
-        co2_level INTEGER,
-        weather_description VARCHAR(100),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Таблица настроек полива
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS watering_settings (
-        id SERIAL PRIMARY KEY,
-        garden_id INTEGER NOT NULL,
-        is_watering BOOLEAN DEFAULT false,
-        time_left INTEGER DEFAULT 0,
-        end_time TIMESTAMP,
-        selected_hours INTEGER DEFAULT 0,
-        selected_minutes INTEGER DEFAULT 10,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Проверяем существование тестового пользователя перед созданием
-    const userCheck = await client.query(
-      'SELECT id FROM users WHERE phone = $1 OR email = $2',
-      ['+79991234567', 'test@example.com']
-    );
-    
-    if (userCheck.rows.length === 0) {
-      // Создаем тестового пользователя только если его нет
-      await client.query(`
-        INSERT INTO users (name, email, phone, password) 
-        VALUES ('Тестовый пользователь', 'test@example.com', '+79991234567', 'password123')
-      `);
-      console.log('✅ Тестовый пользователь создан');
-    } else {
-      console.log('✅ Тестовый пользователь уже существует');
-    }
-    
-    console.log('✅ База данных готова к работе');
-    
-  } catch (error) {
-    console.error('❌ Ошибка инициализации базы данных:', error.message);
-  } finally {
-    client.release();
-  }
-}
-
-// МОДЕЛИ
-class PredictionModels {
-  predictPhenologicalPhase(weatherData, cropType) {
-    const baseTemp = 10;
-    let gdd = 0;
-    
-    weatherData.forEach(day => {
-      const avgTemp = (day.maxTemp + day.minTemp) / 2;
-      if (avgTemp > baseTemp) {
-        gdd += avgTemp - baseTemp;
-      }
-    });
-
-    const phases = {
-      0: 'Покой',
-      100: 'Набухание почек',
-      200: 'Распускание почек', 
-      300: 'Появление листьев',
-      500: 'Цветение',
-      800: 'Формирование ягод',
-      1200: 'Веризон (созревание)',
-      1600: 'Полная зрелость'
-    };
-
-    let currentPhase = 'Покой';
-    let nextPhase = 'Набухание почек';
-    let progress = 0;
-
-    for (const [threshold, phase] of Object.entries(phases)) {
-      if (gdd >= parseInt(threshold)) {
-        currentPhase = phase;
-      } else {
-        nextPhase = phase;
-        const prevThreshold = Object.keys(phases)[Object.keys(phases).indexOf(threshold) - 1] || 0;
-        progress = ((gdd - prevThreshold) / (threshold - prevThreshold)) * 100;
-        break;
-      }
-    }
-
-    return {
-      currentPhase,
-      nextPhase,
-      progress: Math.min(100, Math.max(0, progress)),
-      gdd,
-      daysToNextPhase: Math.ceil((Object.keys(phases).find(k => phases[k] === nextPhase) - gdd) / 10)
-    };
-  }
-
-  predictDiseaseRisk(weatherData, humidity, leafWetness) {
-    const risks = [];
-    
-    if (humidity > 90 && weatherData.temperature > 10 && weatherData.temperature < 25) {
-      const riskScore = (humidity - 85) * 0.1 + (leafWetness / 10);
-      risks.push({
-        disease: 'Парша',
-        riskLevel: riskScore > 7 ? 'high' : riskScore > 4 ? 'medium' : 'low',
-        probability: Math.min(95, riskScore * 10),
-        recommendation: riskScore > 7 ? 'Срочная обработка фунгицидом' : 'Профилактическая обработка'
-      });
-    }
-
-    if (weatherData.temperature > 15 && weatherData.temperature < 30 && humidity > 70) {
-      const riskScore = (weatherData.temperature - 15) * 0.5 + (humidity - 70) * 0.3;
-      risks.push({
-        disease: 'Мучнистая роса',
-        riskLevel: riskScore > 6 ? 'high' : riskScore > 3 ? 'medium' : 'low',
-        probability: Math.min(90, riskScore * 12),
-        recommendation: 'Обработка серосодержащими препаратами'
-      });
-    }
-
-    return risks;
-  }
-}
-
-class EconomicCalculator {
-  calculateIrrigationCost(waterVolume, electricityRate, laborCost) {
-    const waterCost = waterVolume * 0.15;
-    const electricityCost = (waterVolume * 0.1) * electricityRate;
-    const totalCost = waterCost + electricityCost + laborCost;
-    
-    return {
-      waterCost,
-      electricityCost, 
-      laborCost,
-      totalCost,
-      costPerHectare: totalCost
-    };
-  }
-
-  calculateROI(initialInvestment, yieldIncrease, productPrice, operationalCosts) {
-    const additionalRevenue = yieldIncrease * productPrice;
-    const netProfit = additionalRevenue - operationalCosts;
-    const roi = (netProfit / initialInvestment) * 100;
-    
-    return {
-      additionalRevenue,
-      netProfit,
-      roi: Math.round(roi * 100) / 100,
-      paybackPeriod: initialInvestment / netProfit
-    };
-  }
-
-  calculateProductionCost(operationalCosts, yieldAmount, fixedCosts = 0) {
-    const totalCost = operationalCosts + fixedCosts;
-    const costPerKg = totalCost / yieldAmount;
-    
-    return {
-      totalCost,
-      costPerKg: Math.round(costPerKg * 100) / 100,
-      operationalCosts,
-      fixedCosts
-    };
-  }
-}
-
-class QuadroAPIService {
-  async getEnhancedWeatherData(lat, lon) {
-    try {
-      return {
-        temperature: 22,
-        humidity: 65,
-        rainfall: 0,
-        windSpeed: 2.5,
-        solarRadiation: 18.5,
-        dewPoint: 15,
-        leafWetness: 4,
-        soilMoisture: 62,
-        evapotranspiration: 4.2
-      };
-    } catch (error) {
-      return this.getBasicWeatherData(lat, lon);
-    }
-  }
-
-  async getSoilAnalysis(gardenId) {
-    return {
-      pH: 6.8,
-      organicMatter: 2.3,
-      nitrogen: 45,
-      phosphorus: 35,
-      potassium: 120,
-      salinity: 0.8
-    };
-  }
-
-  async getLeafAnalysis(gardenId) {
-    return {
-      nitrogen: 2.8,
-      phosphorus: 0.3,
-      potassium: 1.9,
-      calcium: 1.2,
-      magnesium: 0.4
-    };
-  }
-}
-
-const predictionModels = new PredictionModels();
-const economicCalculator = new EconomicCalculator();
-const quadroAPI = new QuadroAPIService();
-
-// Middleware для логирования
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
-
-// ==================== API ПОЛЬЗОВАТЕЛЕЙ ====================
-
-// Регистрация пользователя
-app.post('/api/users/register', async (req, res) => {
-  try {
-    const { name, email, phone, password } = req.body;
-
-    console.log('Регистрация пользователя:', { name, email, phone });
-
-    // Проверяем обязательные поля
-    if (!name || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Имя и пароль обязательны для заполнения'
-      });
-    }
-
-    // Проверяем существование пользователя
-    const userExists = await pool.query(
-      'SELECT * FROM users WHERE email = $1 OR phone = $2',
-      [email, phone]
-    );
-
-    if (userExists.rows.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Пользователь с таким email или телефоном уже существует'
-      });
-    }
-
-    // Создаем пользователя
-    const result = await pool.query(
-      `INSERT INTO users (name, email, phone, password, created_at, updated_at) 
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, name, email, phone, created_at, updated_at`,
-      [name, email, phone, password, new Date(), new Date()]
-    );
-
-    const newUser = result.rows[0];
-    
-    console.log('Пользователь создан:', newUser.id);
-
-    res.json({
-      success: true,
-      user: newUser
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Ошибка регистрации: ' + error.message 
-    });
-  }
-});
-
-// Вход пользователя
-app.post('/api/users/login', async (req, res) => {
-  try {
-    const { login, password } = req.body;
-
-    console.log('Попытка входа:', login);
-
-    // Ищем пользователя по email или телефону
-    const result = await pool.query(
-      'SELECT * FROM users WHERE email = $1 OR phone = $1',
-      [login]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        error: 'Пользователь не найден'
-      });
-    }
-
-    const user = result.rows[0];
-
-    // Проверяем пароль
-    if (user.password !== password) {
-      return res.status(401).json({
-        success: false,
-        error: 'Неверный пароль'
-      });
-    }
-
-    // Убираем пароль из ответа
-    const { password: _, ...userWithoutPassword } = user;
-
-    console.log('Успешный вход:', user.id);
-
-    res.json({
-      success: true,
-      user: userWithoutPassword
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Ошибка входа: ' + error.message 
-    });
-  }
-});
-
-// Получение пользователя по ID
-app.get('/api/users/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-
-    const result = await pool.query(
-      'SELECT id, name, email, phone, created_at, updated_at FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Пользователь не найден'
-      });
-    }
-
-    res.json({
-      success: true,
-      user: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Ошибка получения пользователя: ' + error.message 
-    });
-  }
-});
-
-// Обновление пользователя
-app.put('/api/users/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { name, email, phone } = req.body;
-
-    console.log('Обновление пользователя:', userId, { name, email, phone });
-
-    // Проверяем существование пользователя
-    const userExists = await pool.query(
-      'SELECT * FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (userExists.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Пользователь не найден'
-      });
-    }
-
-    // Проверяем уникальность email и телефона
-    if (email || phone) {
-      const duplicateCheck = await pool.query(
-        'SELECT * FROM users WHERE (email = $1 OR phone = $2) AND id != $3',
-        [email, phone, userId]
-      );
-
-      if (duplicateCheck.rows.length > 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Пользователь с таким email или телефоном уже существует'
-        });
-      }
-    }
-
-    // Строим запрос динамически
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
-
-    if (name) {
-      updates.push(`name = $${paramCount}`);
-      values.push(name);
-      paramCount++;
-    }
-    if (email) {
-      updates.push(`email = $${paramCount}`);
-      values.push(email);
-      paramCount++;
-    }
-    if (phone) {
-      updates.push(`phone = $${paramCount}`);
-      values.push(phone);
-      paramCount++;
-    }
-
-    updates.push(`updated_at = $${paramCount}`);
-    values.push(new Date());
-    paramCount++;
-
-    values.push(userId);
-
-    const query = `
-      UPDATE users 
-      SET ${updates.join(', ')} 
-      WHERE id = $${paramCount} 
-      RETURNING id, name, email, phone, created_at, updated_at
-    `;
-
-    const result = await pool.query(query, values);
-    const updatedUser = result.rows[0];
-
-    console.log('Пользователь обновлен:', updatedUser.id);
-
-    res.json({
-      success: true,
-      user: updatedUser
-    });
-  } catch (error) {
-    console.error('Update user error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Ошибка обновления пользователя: ' + error.message 
-    });
-  }
-});
-
-// Получение всех пользователей
-app.get('/api/users', async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT id, name, email, phone, created_at, updated_at FROM users ORDER BY created_at DESC'
-    );
-    
-    res.json({
-      success: true,
-      users: result.rows
-    });
-  } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Ошибка получения пользователей: ' + error.message 
-    });
-  }
-});
-
-// ==================== API ДАННЫХ САДА ====================
-
-// Получение текущих данных сада
-app.get('/api/garden/:gardenId/current-data', async (req, res) => {
-  try {
-    const { gardenId } = req.params;
-    
-    console.log(`Получение данных сада для gardenId: ${gardenId}`);
-    
-    // В реальном приложении здесь будет запрос к БД
-    // Пока используем реалистичные мок-данные
-    const gardenData = {
-      id: parseInt(gardenId),
-      temperature: 24 + Math.floor(Math.random() * 5),
-      humidity: 65 + Math.floor(Math.random() * 10),
-      lightLevel: 1200 + Math.floor(Math.random() * 200),
-      soilMoisture: 45 + Math.floor(Math.random() * 10),
-      co2Level: 420 + Math.floor(Math.random() * 30),
-      weatherDescription: 'ясно',
-      lastUpdate: new Date().toISOString()
-    };
-
-    console.log('Отправка данных сада:', gardenData);
-
-    res.json({
-      success: true,
-      data: gardenData
-    });
-  } catch (error) {
-    console.error('Garden data error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка получения данных сада: ' + error.message
-    });
-  }
-});
-
-// Получение данных фертигации
-app.get('/api/garden/:gardenId/fertigation-recipes', async (req, res) => {
-  try {
-    const { gardenId } = req.params;
-    
-    console.log(`Получение данных фертигации для gardenId: ${gardenId}`);
-    
-    const fertigationData = {
-      id: parseInt(gardenId),
-      pH: 6.5,
-      ec: 2.1,
-      nutrients: {
-        nitrogen: 150,
-        phosphorus: 50,
-        potassium: 200,
-        calcium: 120,
-        magnesium: 60
-      },
-      schedule: 'каждые 4 часа',
-      recommendations: 'Все показатели в норме. Продолжайте текущий режим фертигации.',
-      lastUpdate: new Date().toISOString()
-    };
-
-    res.json({
-      success: true,
-      data: fertigationData
-    });
-  } catch (error) {
-    console.error('Fertigation data error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка получения данных фертигации: ' + error.message
-    });
-  }
-});
-
-// Получение экономических данных
-app.get('/api/garden/:gardenId/economics', async (req, res) => {
-  try {
-    const { gardenId } = req.params;
-    
-    console.log(`Получение экономических данных для gardenId: ${gardenId}`);
-    
-    const economicsData = {
-      id: parseInt(gardenId),
-      costs: 15000,
-      revenue: 45000,
-      profit: 30000,
-      yield: 1200,
-      efficiency: 85,
-      lastUpdate: new Date().toISOString()
-    };
-
-    res.json({
-      success: true,
-      data: economicsData
-    });
-  } catch (error) {
-    console.error('Economics data error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка получения экономических данных: ' + error.message
-    });
-  }
-});
-
-// Получение рекомендаций и данных о заболеваниях
-app.get('/api/garden/:gardenId/complex-recommendations', async (req, res) => {
-  try {
-    const { gardenId } = req.params;
-    
-    console.log(`Получение рекомендаций для gardenId: ${gardenId}`);
-    
-    const diseaseData = {
-      id: parseInt(gardenId),
-      risk: 'низкий',
-      recommendations: 'Профилактическая обработка не требуется. Поддерживайте текущие условия.',
-      lastInspection: new Date().toISOString().split('T')[0],
-      issues: [],
-      activeIssues: [],
-      lastUpdate: new Date().toISOString()
-    };
-
-    res.json({
-      success: true,
-      data: diseaseData
-    });
-  } catch (error) {
-    console.error('Disease data error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка получения данных о заболеваниях: ' + error.message
-    });
-  }
-});
-
-// Сохранение данных сада в БД
-app.post('/api/garden/:gardenId/data', async (req, res) => {
-  try {
-    const { gardenId } = req.params;
-    const { temperature, humidity, lightLevel, soilMoisture, co2Level, weatherDescription } = req.body;
-
-    const result = await pool.query(
-      `INSERT INTO garden_data (garden_id, temperature, humidity, light_level, soil_moisture, co2_level, weather_description)
-       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
-      [gardenId, temperature, humidity, lightLevel, soilMoisture, co2Level, weatherDescription]
-    );
-
-    res.json({
-      success: true,
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Save garden data error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка сохранения данных сада'
-    });
-  }
-});
-
-// Получение истории данных сада
-app.get('/api/garden/:gardenId/history', async (req, res) => {
-  try {
-    const { gardenId } = req.params;
-    
-    const result = await pool.query(
-      `SELECT * FROM garden_data 
-       WHERE garden_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT 50`,
-      [gardenId]
-    );
-
-    res.json({
-      success: true,
-      data: result.rows
-    });
-  } catch (error) {
-    console.error('Get garden history error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка получения истории данных'
-    });
-  }
-});
-
-// Health check
-app.get('/api/health', async (req, res) => {
-  try {
-    await pool.query('SELECT 1');
-    res.json({
-      success: true,
-      status: 'healthy',
-      database: 'connected',
-      timestamp: new Date(),
-      environment: process.env.NODE_ENV || 'development'
-    });
-  } catch (error) {
-    res.json({
-      success: false,
-      status: 'unhealthy',
-      database: 'disconnected',
-      error: error.message,
-      timestamp: new Date(),
-      environment: process.env.NODE_ENV || 'development'
-    });
-  }
-});
-
-// Test endpoint
-app.get('/api/test', (req, res) => {
-  res.json({ 
-    success: true,
-    message: 'Backend работает!',
-    timestamp: new Date(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
+// Общая квота API действует для всех маршрутов ниже
+app.use('/api', apiRateLimit);
+
+require('./lib/routes/users');
+require('./lib/routes/verification');
+require('./lib/routes/ingestion');
+
+// Все маршруты сада доступны только его участникам
+app.use('/api/garden/:gardenId', authenticate, loadGarden);
+
+// Разделы только для PostgreSQL без базы отвечают 501
+app.use(POSTGRES_ONLY_PATHS, requirePostgres);
+
+require('./lib/routes/gardens');
+require('./lib/routes/data');
+require('./lib/routes/fertigation');
+require('./lib/routes/analyses');
+require('./lib/routes/economics');
+require('./lib/routes/agronomy');
+require('./lib/routes/export');
+require('./lib/routes/weather');
+require('./lib/routes/watering');
+require('./lib/routes/irrigation-rules');
+require('./lib/routes/alerts');
+require('./lib/routes/notifications');
+require('./lib/routes/devices');
+require('./lib/stream');
+require('./lib/routes/system');
 
 // Обработка несуществующих маршрутов
 app.use((req, res) => {
@@ -756,27 +66,51 @@ app.use((error, req, res, next) => {
 });
 
 async function startServer() {
-  try {
-    // Инициализируем базу данных
-    await initializeDatabase();
-    
-    // Проверяем подключение
-    const client = await pool.connect();
-    console.log('✅ База данных подключена успешно');
-    client.release();
-    
-  } catch (error) {
-    console.error('❌ Ошибка подключения к базе данных:', error.message);
-    console.log('⚠️  Работаем без базы данных (мок-данные)');
+  // Без базы данных сервер не запускается
+  await initializeDatabase();
+  
+  // Следим за окончанием поливов, правилами полива и оповещений, очередью уведомлений и погодой.
+  // Правила полива и оповещений и уведомления хранятся только в PostgreSQL
+  startWateringTimer();
+  startWeatherSync();
+  if (STORAGE_BACKEND === 'memory') {
+    console.log('⚠️  Без PostgreSQL отключены правила полива, правила оповещений и уведомления');
+  } else {
+    startRulesEngine();
+    startAlertEngine();
+    startNotificationWorker();
   }
+  
+  // MQTT-мост (если задан MQTT_URL)
+  startMqttBridge();
 
   // Запускаем сервер
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Сервер запущен на порту ${PORT}`);
     console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🗄️  Database: ${process.env.DATABASE_URL ? 'Cloud' : 'Local'}`);
+    console.log(`🗄️  Database: ${STORAGE_BACKEND === 'memory' ? 'Memory' : process.env.DATABASE_URL ? 'Cloud' : 'Local'}`);
     console.log(`❤️  Health check: https://smart-garden-api.onrender.com/api/health`);
   });
 }
 
-startServer().catch(console.error);
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'migrate' || command === 'seed') {
+    runDatabaseCommand(command, args)
+      .then(() => pool.end())
+      .catch(async (error) => {
+        console.error('❌ Ошибка:', error.message);
+        await pool.end();
+        process.exit(1);
+      });
+  } else {
+    startServer().catch(async (error) => {
+      console.error('❌ Ошибка запуска сервера:', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+  }
+}
+
+module.exports = { app, pool, storage, gardenEvents, startServer, startMqttBridge, evaluateIrrigationRules, evaluateAlertRules, migrateUp, migrateDown, seedDatabase };
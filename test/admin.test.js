@@ -0,0 +1,81 @@
+// Администрирование: список пользователей, блокировка и удаление аккаунта.
+// Access-токен удаленного или заблокированного пользователя перестает действовать сразу
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('администрирование пользователей', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startApp();
+    admin = await api.registerUser({ email: 'admin@example.com' });
+    await api.storage.users.update(admin.user.id, { role: 'admin' });
+  });
+
+  after(() => api.close());
+
+  it('отдает список пользователей только администратору', async () => {
+    const user = await api.registerUser();
+
+    const denied = await api.request('GET', '/api/users', { token: user.token });
+    assert.equal(denied.status, 403);
+
+    const list = await api.request('GET', '/api/users?limit=1', { token: admin.token });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.users.length, 1);
+    assert.ok(list.body.total >= 2);
+  });
+
+  it('отклоняет access-токен заблокированного пользователя с 403 и принимает после разблокировки', async () => {
+    const user = await api.registerUser();
+
+    const disable = await api.request('POST', `/api/users/${user.user.id}/disable`, { token: admin.token });
+    assert.equal(disable.status, 200);
+
+    const blocked = await api.request('GET', '/api/gardens', { token: user.token });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.error, 'Аккаунт заблокирован администратором');
+
+    await api.request('POST', `/api/users/${user.user.id}/enable`, { token: admin.token });
+    const restored = await api.request('GET', '/api/gardens', { token: user.token });
+    assert.equal(restored.status, 200);
+  });
+
+  it('отклоняет access-токен удаленного пользователя с 401', async () => {
+    const user = await api.registerUser();
+
+    const removed = await api.request('DELETE', `/api/users/${user.user.id}`, { token: user.token, body: { password: user.password } });
+    assert.equal(removed.status, 200);
+
+    const response = await api.request('GET', '/api/gardens', { token: user.token });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, 'Пользователь не найден');
+  });
+
+  it('снимает права администратора сразу, без перевыпуска токена', async () => {
+    const second = await api.registerUser();
+    await api.storage.users.update(second.user.id, { role: 'admin' });
+    assert.equal((await api.request('GET', '/api/users', { token: second.token })).status, 200);
+
+    await api.request('PUT', `/api/users/${second.user.id}/role`, { token: admin.token, body: { role: 'user' } });
+    assert.equal((await api.request('GET', '/api/users', { token: second.token })).status, 403);
+  });
+
+  it('не открывает поток событий по токену заблокированного пользователя', async () => {
+    const user = await api.registerUser();
+    await api.request('POST', `/api/users/${user.user.id}/disable`, { token: admin.token });
+
+    const response = await api.request('GET', `/api/stream?access_token=${user.token}`);
+    assert.equal(response.status, 403);
+  });
+
+  it('не открывает поток событий по токену удаленного пользователя', async () => {
+    const user = await api.registerUser();
+    await api.request('DELETE', `/api/users/${user.user.id}`, { token: user.token, body: { password: user.password } });
+
+    const response = await api.request('GET', `/api/stream?access_token=${user.token}`);
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,118 @@
+// Правила оповещений: порог с гистерезисом, отсутствие данных и рассылка
+// созданных и закрытых оповещений по каналам сада с учетом важности
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+// Локальный получатель webhook: принимает все и запоминает тела запросов
+async function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    received,
+    url: path => `http://127.0.0.1:${server.address().port}${path}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Ждем, пока получатель примет count запросов
+async function waitForReceived(receiver, count) {
+  for (let attempt = 0; attempt < 50 && receiver.received.length < count; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return receiver.received;
+}
+
+describe('правила оповещений', { skip: skipWithoutDatabase }, () => {
+  let api;
+  let receiver;
+  let owner;
+
+  before(async () => {
+    receiver = await startReceiver();
+    api = await startApp({ backend: 'postgres', env: { WEBHOOK_ALLOWED_HOSTS: '127.0.0.1' } });
+    owner = await api.registerUser();
+  });
+
+  after(async () => {
+    await api.close();
+    await receiver.close();
+  });
+
+  const post = async (gardenId, path, body) => {
+    const response = await api.request('POST', `/api/garden/${gardenId}/${path}`, { token: owner.token, body });
+    assert.equal(response.status, 200, response.text);
+    return response.body;
+  };
+
+  const openAlerts = async gardenId =>
+    (await api.request('GET', `/api/garden/${gardenId}/alerts?type=rule`, { token: owner.token })).body.alerts;
+
+  const readTemperature = (gardenId, temperature) => api.storage.readings.insert(gardenId, null, { temperature }, new Date());
+
+  it('поднимает оповещение по порогу и закрывает его только за пределами гистерезиса', async () => {
+    const garden = await api.createGarden(owner.token);
+    await post(garden.id, 'alert-rules', {
+      name: 'Жара', type: 'threshold', severity: 'high', metric: 'temperature', operator: '>', threshold: 30, hysteresis: 2
+    });
+
+    await readTemperature(garden.id, 32);
+    await api.evaluateAlertRules();
+    const [alert] = await openAlerts(garden.id);
+    assert.equal(alert.status, 'open');
+    assert.equal(alert.severity, 'high');
+
+    // Ниже порога, но в пределах гистерезиса - оповещение остается
+    await readTemperature(garden.id, 29);
+    await api.evaluateAlertRules();
+    assert.equal((await openAlerts(garden.id))[0].status, 'open');
+
+    await readTemperature(garden.id, 27);
+    await api.evaluateAlertRules();
+    const alerts = await openAlerts(garden.id);
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].status, 'resolved');
+  });
+
+  it('сообщает об устройствах, замолчавших дольше заданного', async () => {
+    const garden = await api.createGarden(owner.token);
+    await post(garden.id, 'alert-rules', { name: 'Тишина', type: 'no_data', noDataMinutes: 10 });
+
+    await api.storage.readings.insert(garden.id, null, { temperature: 20 }, new Date(Date.now() - 30 * 60000));
+    await api.evaluateAlertRules();
+
+    const [alert] = await openAlerts(garden.id);
+    assert.match(alert.message, /Нет данных 30 мин/);
+  });
+
+  it('рассылает созданные и закрытые оповещения в каналы не ниже их важности', async () => {
+    const garden = await api.createGarden(owner.token);
+    await post(garden.id, 'notification-channels', { type: 'webhook', target: receiver.url('/all'), minSeverity: 'low' });
+    await post(garden.id, 'notification-channels', { type: 'webhook', target: receiver.url('/urgent'), minSeverity: 'high' });
+    await post(garden.id, 'alert-rules', {
+      name: 'Прохладно', type: 'threshold', severity: 'medium', metric: 'temperature', operator: '<', threshold: 5
+    });
+
+    const start = receiver.received.length;
+    await readTemperature(garden.id, 3);
+    await api.evaluateAlertRules();
+    await readTemperature(garden.id, 8);
+    await api.evaluateAlertRules();
+
+    const received = (await waitForReceived(receiver, start + 2)).slice(start);
+    assert.deepEqual(received.map(item => [item.path, item.body.event]), [['/all', 'created'], ['/all', 'resolved']]);
+    assert.equal(received[0].body.title, 'Прохладно');
+    assert.equal(received[0].body.gardenId, garden.id);
+  });
+});
@@ -0,0 +1,98 @@
+// Анализы почвы и листьев: проверка полей, оценка по нормам культуры,
+// динамика между пробами и пересчет дефицита в дозы удобрений
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+describe('анализы почвы и листьев', { skip: skipWithoutDatabase }, () => {
+  let api;
+  let owner;
+
+  before(async () => {
+    api = await startApp({ backend: 'postgres' });
+    owner = await api.registerUser();
+  });
+
+  after(() => api.close());
+
+  const post = (gardenId, route, body, token = owner.token) =>
+    api.request('POST', `/api/garden/${gardenId}/${route}`, { token, body });
+
+  const nutrientStatus = async (gardenId, query = '') =>
+    (await api.request('GET', `/api/garden/${gardenId}/nutrient-status${query}`, { token: owner.token })).body.data;
+
+  const statusOf = (interpretation, parameter) => interpretation.find(item => item.parameter === parameter).status;
+
+  it('проверяет дату пробы, показатели, глубину и роль в саду', async () => {
+    const garden = await api.createGarden(owner.token);
+
+    assert.equal((await post(garden.id, 'soil-analyses', { sampleDate: '2999-01-01', pH: 6.5 })).status, 400);
+    assert.equal((await post(garden.id, 'soil-analyses', { sampleDate: '2024-04-01', lab: 'Агролаб' })).status, 400);
+    assert.equal((await post(garden.id, 'soil-analyses', { sampleDate: '2024-04-01', pH: 6.5, depthFromCm: 30, depthToCm: 20 })).status, 400);
+    assert.equal((await post(garden.id, 'leaf-analyses', { sampleDate: '2024-07-01', nitrogen: 120 })).status, 400);
+
+    const viewer = await api.registerUser();
+    await api.request('POST', `/api/garden/${garden.id}/members`, { token: owner.token, body: { login: viewer.user.email, role: 'viewer' } });
+    assert.equal((await post(garden.id, 'soil-analyses', { sampleDate: '2024-04-01', pH: 6.5 }, viewer.token)).status, 403);
+  });
+
+  it('оценивает показатели по нормам культуры сада', async () => {
+    const garden = await api.createGarden(owner.token, { cropType: 'apple' });
+
+    const soil = await post(garden.id, 'soil-analyses', { sampleDate: '2024-04-01', pH: 7.1, potassium: 200 });
+    assert.equal(soil.status, 200, soil.text);
+    assert.equal(statusOf(soil.body.analysis.interpretation, 'pH'), 'high');
+    assert.equal(statusOf(soil.body.analysis.interpretation, 'potassium'), 'optimal');
+
+    const leaf = await post(garden.id, 'leaf-analyses', { sampleDate: '2024-07-01', nitrogen: 2.0 });
+    assert.equal(statusOf(leaf.body.analysis.interpretation, 'nitrogen'), 'optimal');
+
+    // Без норм культуры - общие: pH в норме, азота в листьях мало
+    const general = await nutrientStatus(garden.id, '?cropType=unknown');
+    assert.equal(general.referenceCrop, null);
+    assert.equal(statusOf(general.soil.interpretation, 'pH'), 'optimal');
+    assert.equal(statusOf(general.leaf.interpretation, 'nitrogen'), 'deficient');
+  });
+
+  it('показывает динамику и пересчитывает дефицит в удобрения', async () => {
+    const garden = await api.createGarden(owner.token, { cropType: 'apple' });
+    await post(garden.id, 'soil-analyses', { sampleDate: '2023-04-01', potassium: 200, depthFromCm: 0, depthToCm: 20 });
+    await post(garden.id, 'soil-analyses', { sampleDate: '2024-04-01', potassium: 120, depthFromCm: 0, depthToCm: 20 });
+    await post(garden.id, 'leaf-analyses', { sampleDate: '2024-07-01', potassium: 1.0, magnesium: 0.2 });
+
+    const data = await nutrientStatus(garden.id);
+    assert.equal(data.referenceCrop, 'apple');
+    assert.equal(data.soil.depthCm, 20);
+
+    const trend = data.trends.soil.potassium;
+    assert.deepEqual([trend.samples, trend.change, trend.changePercent, trend.direction], [2, -80, -40, 'down']);
+    assert.deepEqual(data.trends.leaf, {});
+
+    // Калий: (150 - 120) мг/кг на слой 20 см (2600 т/га) - 78 кг/га, по листьям не дублируется.
+    // Магний только по листьям - поддерживающая доза
+    assert.deepEqual(
+      data.fertilizers.map(item => [item.nutrient, item.source, item.nutrientKgHa, item.productKgHa]),
+      [['potassium', 'soil', 78, 188], ['magnesium', 'leaf', 10, 101]]
+    );
+  });
+
+  it('изменяет и удаляет анализ только своего сада', async () => {
+    const garden = await api.createGarden(owner.token);
+    const other = await api.createGarden(owner.token);
+    const { analysis } = (await post(garden.id, 'soil-analyses', { sampleDate: '2024-04-01', pH: 6.5, lab: 'Агролаб' })).body;
+
+    const foreign = await api.request('PUT', `/api/garden/${other.id}/soil-analyses/${analysis.id}`, { token: owner.token, body: { pH: 5 } });
+    assert.equal(foreign.status, 404);
+
+    const updated = await api.request('PUT', `/api/garden/${garden.id}/soil-analyses/${analysis.id}`, { token: owner.token, body: { pH: 5.5 } });
+    assert.equal(updated.status, 200, updated.text);
+    assert.equal(Number(updated.body.analysis.ph), 5.5);
+    assert.equal(updated.body.analysis.lab, 'Агролаб');
+    assert.equal(statusOf(updated.body.analysis.interpretation, 'pH'), 'low');
+
+    const removed = await api.request('DELETE', `/api/garden/${garden.id}/soil-analyses/${analysis.id}`, { token: owner.token });
+    assert.equal(removed.status, 200);
+    const list = await api.request('GET', `/api/garden/${garden.id}/soil-analyses`, { token: owner.token });
+    assert.deepEqual(list.body.analyses, []);
+  });
+});
@@ -0,0 +1,86 @@
+// Пакетная загрузка: отчет по каждому показанию, дедупликация по устройству и времени,
+// карантин или отказ для некорректных показаний
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase, deviceHeaders } = require('./helpers');
+
+const at = minutes => new Date(Date.parse('2024-06-01T08:00:00Z') + minutes * 60000).toISOString();
+
+for (const backend of ['memory', 'postgres']) {
+  describe(`пакетная загрузка: ${backend}`, { skip: backend === 'postgres' && skipWithoutDatabase }, () => {
+    let api;
+    let owner;
+
+    before(async () => {
+      api = await startApp({ backend, env: { MAX_BATCH_SIZE: '5' } });
+      owner = await api.registerUser();
+    });
+
+    after(() => api.close());
+
+    // Сад с устройством: send(body) отправляет пакет с подписью устройства
+    async function gardenWithDevice() {
+      const garden = await api.createGarden(owner.token);
+      const created = await api.request('POST', `/api/garden/${garden.id}/devices`, { token: owner.token, body: { name: 'Шлюз' } });
+      const send = body => api.request('POST', `/api/garden/${garden.id}/data/batch`, {
+        headers: deviceHeaders(created.body, body),
+        body
+      });
+      return { garden, send };
+    }
+
+    it('сохраняет корректные показания, а некорректные откладывает в карантин', async () => {
+      const { garden, send } = await gardenWithDevice();
+
+      const response = await send({
+        readings: [
+          { timestamp: at(0), temperature: 18 },
+          { timestamp: at(10), humidity: 140 },
+          { temperature: 19 },
+          { timestamp: at(20), temperature: 20, soilMoisture: 35 }
+        ]
+      });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.summary, { received: 4, accepted: 2, duplicates: 0, quarantined: 2, rejected: 0 });
+      assert.deepEqual(response.body.results.map(result => result.status), ['accepted', 'quarantined', 'quarantined', 'accepted']);
+      assert.equal(response.body.results[1].errors[0].field, 'humidity');
+      assert.equal(response.body.results[2].errors[0].field, 'timestamp');
+
+      const quarantine = await api.request('GET', `/api/garden/${garden.id}/data/quarantine`, { token: owner.token });
+      assert.equal(quarantine.body.data.length, 2);
+    });
+
+    it('повторная отправка того же пакета не создает дублей', async () => {
+      const { garden, send } = await gardenWithDevice();
+      const readings = [{ timestamp: at(0), temperature: 18 }, { timestamp: at(10), temperature: 19 }];
+
+      await send({ readings });
+      const again = await send({ readings: [...readings, { timestamp: at(20), temperature: 20 }] });
+      assert.deepEqual(again.body.results.map(result => result.status), ['duplicate', 'duplicate', 'accepted']);
+
+      const history = await api.request('GET', `/api/garden/${garden.id}/history`, { token: owner.token });
+      assert.equal(history.body.data.length, 3);
+    });
+
+    it('с onInvalid=reject отбрасывает некорректные показания', async () => {
+      const { garden, send } = await gardenWithDevice();
+
+      const response = await send({ onInvalid: 'reject', readings: [{ timestamp: at(0), co2Level: -5 }, { timestamp: at(5), co2Level: 600 }] });
+      assert.deepEqual(response.body.summary, { received: 2, accepted: 1, duplicates: 0, quarantined: 0, rejected: 1 });
+
+      const quarantine = await api.request('GET', `/api/garden/${garden.id}/data/quarantine`, { token: owner.token });
+      assert.deepEqual(quarantine.body.data, []);
+    });
+
+    it('отклоняет слишком большой пакет целиком', async () => {
+      const { garden, send } = await gardenWithDevice();
+
+      const readings = Array.from({ length: 6 }, (_, index) => ({ timestamp: at(index), temperature: 20 }));
+      const response = await send({ readings });
+      assert.equal(response.status, 413);
+
+      const history = await api.request('GET', `/api/garden/${garden.id}/history`, { token: owner.token });
+      assert.deepEqual(history.body.data, []);
+    });
+  });
+}
@@ -0,0 +1,70 @@
+// Текущие данные сада: последнее значение каждой метрики из сохраненных показаний и отметка устаревания
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, deviceHeaders } = require('./helpers');
+
+describe('текущие данные сада', () => {
+  let api;
+  let owner;
+
+  before(async () => {
+    api = await startApp();
+    owner = await api.registerUser();
+  });
+
+  after(() => api.close());
+
+  // Сад с устройством: send(reading) отправляет показание с подписью устройства
+  async function gardenWithDevice() {
+    const garden = await api.createGarden(owner.token);
+    const created = await api.request('POST', `/api/garden/${garden.id}/devices`, { token: owner.token, body: { name: 'Датчик' } });
+    const send = reading => api.request('POST', `/api/garden/${garden.id}/data`, {
+      headers: deviceHeaders(created.body, reading),
+      body: reading
+    });
+    return { garden, send };
+  }
+
+  const currentData = async gardenId => (await api.request('GET', `/api/garden/${gardenId}/current-data`, { token: owner.token })).body.data;
+
+  it('без показаний сообщает, что данных нет, а не выдумывает их', async () => {
+    const { garden } = await gardenWithDevice();
+
+    const data = await currentData(garden.id);
+    assert.equal(data.hasData, false);
+    assert.equal(data.isStale, true);
+    assert.equal(data.temperature, null);
+    assert.equal(data.metrics.temperature, null);
+    assert.ok(data.message);
+  });
+
+  it('берет последнее непустое значение каждой метрики отдельно', async () => {
+    const { garden, send } = await gardenWithDevice();
+    const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+
+    assert.equal((await send({ temperature: 18, humidity: 70, timestamp: minutesAgo(10) })).status, 200);
+    assert.equal((await send({ temperature: 19.5, timestamp: minutesAgo(5) })).status, 200);
+    assert.equal((await send({ humidity: 65, timestamp: minutesAgo(1) })).status, 200);
+
+    const data = await currentData(garden.id);
+    assert.equal(data.hasData, true);
+    assert.equal(data.temperature, 19.5);
+    assert.equal(data.humidity, 65);
+    assert.equal(data.metrics.soilMoisture, null);
+    assert.equal(new Date(data.lastUpdate).getTime(), new Date(data.metrics.humidity.recordedAt).getTime());
+    assert.equal(data.isStale, false);
+  });
+
+  it('помечает устаревшими метрики без свежих показаний', async () => {
+    const { garden, send } = await gardenWithDevice();
+
+    await send({ temperature: 12, timestamp: new Date(Date.now() - 3 * 3600000).toISOString() });
+    await send({ humidity: 55 });
+
+    const data = await currentData(garden.id);
+    assert.equal(data.metrics.temperature.isStale, true);
+    assert.ok(data.metrics.temperature.ageSeconds >= 3 * 3600 - 5);
+    assert.equal(data.metrics.humidity.isStale, false);
+    assert.equal(data.isStale, false);
+  });
+});
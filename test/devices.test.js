@@ -0,0 +1,119 @@
+// Устройства: ключ API показывается один раз, показания подписываются им и принимаются только для своего сада,
+// подпись не повторяется и не устаревает, ключ перестает действовать после выпуска нового или отзыва
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, deviceHeaders } = require('./helpers');
+
+describe('устройства и прием показаний', () => {
+  let api;
+  let owner;
+  let garden;
+
+  before(async () => {
+    api = await startApp();
+    owner = await api.registerUser();
+    garden = await api.createGarden(owner.token);
+  });
+
+  after(() => api.close());
+
+  const register = async (gardenId, name = 'Датчик') => {
+    const response = await api.request('POST', `/api/garden/${gardenId}/devices`, { token: owner.token, body: { name } });
+    assert.equal(response.status, 200, response.text);
+    return response.body;
+  };
+
+  // Показание с подписью устройства created ({ device, apiKey }), без created - без подписи
+  const send = (gardenId, created, body = { temperature: 20 }) => api.request('POST', `/api/garden/${gardenId}/data`, {
+    headers: created ? deviceHeaders(created, body) : {},
+    body
+  });
+
+  it('не показывает ключ повторно и хранит только его хеш', async () => {
+    const { device, apiKey } = await register(garden.id);
+    assert.match(apiKey, /^sg_/);
+    assert.equal(device.status, 'never_seen');
+    assert.equal(device.api_key_hash, undefined);
+
+    const list = await api.request('GET', `/api/garden/${garden.id}/devices`, { token: owner.token });
+    const listed = list.body.devices.find(item => item.id === device.id);
+    assert.equal(listed.api_key_prefix, apiKey.slice(0, 10));
+    assert.ok(!JSON.stringify(list.body).includes(apiKey));
+    assert.ok(list.body.offline.includes(device.id));
+  });
+
+  it('принимает показание только с подписью устройства этого сада', async () => {
+    const created = await register(garden.id);
+    const { device } = created;
+    const other = await api.createGarden(owner.token);
+
+    assert.equal((await send(garden.id)).status, 401);
+    assert.equal((await send(garden.id, { device, apiKey: 'sg_unknown' })).status, 401);
+    assert.equal((await send(other.id, created)).status, 403);
+
+    const accepted = await send(garden.id, created, { temperature: 21, firmwareVersion: '1.4.2', batteryLevel: 87 });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.data.device_id, device.id);
+
+    const list = await api.request('GET', `/api/garden/${garden.id}/devices`, { token: owner.token });
+    const seen = list.body.devices.find(item => item.id === device.id);
+    assert.equal(seen.status, 'online');
+    assert.equal(seen.firmware_version, '1.4.2');
+    assert.equal(seen.battery_level, 87);
+  });
+
+  it('отклоняет подпись другого тела, повтор подписи и устаревшую подпись', async () => {
+    const created = await register(garden.id);
+    const url = `/api/garden/${garden.id}/data`;
+
+    const tampered = await api.request('POST', url, { headers: deviceHeaders(created, { temperature: 20 }), body: { temperature: 35 } });
+    assert.equal(tampered.status, 401);
+    assert.equal(tampered.body.error, 'Недействительная подпись устройства');
+
+    const body = { temperature: 22 };
+    const headers = deviceHeaders(created, body);
+    assert.equal((await api.request('POST', url, { headers, body })).status, 200);
+    const replayed = await api.request('POST', url, { headers, body });
+    assert.equal(replayed.status, 401);
+    assert.equal(replayed.body.error, 'Повтор подписанного сообщения');
+
+    const stale = { ...deviceHeaders(created, body), 'X-Timestamp': String(Date.now() - 10 * 60000) };
+    assert.equal((await api.request('POST', url, { headers: stale, body })).status, 401);
+  });
+
+  it('отклоняет показание вне диапазона и повтор с тем же временем', async () => {
+    const created = await register(garden.id);
+
+    const outOfRange = await send(garden.id, created, { humidity: 140 });
+    assert.equal(outOfRange.status, 400);
+
+    const timestamp = new Date(Date.now() - 60000).toISOString();
+    assert.equal((await send(garden.id, created, { temperature: 20, timestamp })).status, 200);
+    assert.equal((await send(garden.id, created, { temperature: 20, timestamp })).status, 409);
+  });
+
+  it('новый ключ заменяет старый, отозванный ключ не действует', async () => {
+    const created = await register(garden.id);
+    const { device } = created;
+
+    const rotated = await api.request('POST', `/api/garden/${garden.id}/devices/${device.id}/rotate-key`, { token: owner.token });
+    assert.equal(rotated.status, 200);
+    assert.equal((await send(garden.id, created)).status, 401);
+    assert.equal((await send(garden.id, rotated.body)).status, 200);
+
+    const revoked = await api.request('POST', `/api/garden/${garden.id}/devices/${device.id}/revoke`, { token: owner.token });
+    assert.equal(revoked.body.device.status, 'revoked');
+    assert.equal((await send(garden.id, rotated.body)).status, 401);
+  });
+
+  it('управляет только устройствами своего сада', async () => {
+    const other = await api.createGarden(owner.token);
+    const { device } = await register(other.id);
+
+    const rename = await api.request('PUT', `/api/garden/${garden.id}/devices/${device.id}`, { token: owner.token, body: { name: 'Чужой' } });
+    assert.equal(rename.status, 404);
+
+    const removed = await api.request('DELETE', `/api/garden/${other.id}/devices/${device.id}`, { token: owner.token });
+    assert.equal(removed.status, 200);
+  });
+});
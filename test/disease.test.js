@@ -0,0 +1,70 @@
+// Риск болезней: оценка моделей по температуре, влажности и увлажнению листа за окно
+// и оповещения без повторов по одной и той же болезни
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('риск болезней', () => {
+  let api;
+  let owner;
+
+  before(async () => {
+    api = await startApp();
+    owner = await api.registerUser();
+  });
+
+  after(() => api.close());
+
+  // Сад с почасовыми показаниями за последние hours часов
+  async function gardenWithConditions(hours, values) {
+    const garden = await api.createGarden(owner.token);
+    for (let hour = hours; hour >= 1; hour--) {
+      await api.storage.readings.insert(garden.id, null, values, new Date(Date.now() - hour * 3600000));
+    }
+    return garden;
+  }
+
+  const recommendations = async gardenId =>
+    (await api.request('GET', `/api/garden/${gardenId}/complex-recommendations`, { token: owner.token })).body.data;
+
+  it('без показаний не оценивает риск', async () => {
+    const garden = await api.createGarden(owner.token);
+
+    const data = await recommendations(garden.id);
+    assert.equal(data.risk, null);
+    assert.equal(data.conditions, null);
+    assert.match(data.recommendations, /Нет данных/);
+    assert.ok(data.diseases.every(disease => disease.riskLevel === 'none'));
+  });
+
+  it('в сухую погоду риска нет', async () => {
+    const garden = await gardenWithConditions(6, { temperature: 22, humidity: 50 });
+
+    const data = await recommendations(garden.id);
+    assert.equal(data.risk, 'отсутствует');
+    assert.equal(data.conditions.source, 'sensors');
+    assert.equal(data.conditions.leafWetness, 0);
+    assert.deepEqual(data.issues, []);
+    assert.deepEqual(data.activeIssues, []);
+  });
+
+  it('при долгом увлажнении листа заводит оповещения по вероятным болезням один раз', async () => {
+    const garden = await gardenWithConditions(12, { temperature: 22, humidity: 95 });
+
+    const data = await recommendations(garden.id);
+    assert.equal(data.risk, 'высокий');
+    assert.equal(data.conditions.leafWetness, 12);
+
+    const byKey = Object.fromEntries(data.diseases.map(disease => [disease.key, disease]));
+    assert.equal(byKey.scab.riskLevel, 'low');
+    assert.equal(byKey.downy_mildew.riskLevel, 'high');
+
+    // Оповещения - только для болезней с вероятностью от порога (50%)
+    const expected = data.issues.filter(issue => issue.probability >= 50).map(issue => issue.key).sort();
+    assert.deepEqual(data.activeIssues.map(alert => alert.key).sort(), expected);
+    assert.ok(!expected.includes('scab'));
+
+    const again = await recommendations(garden.id);
+    assert.equal(again.activeIssues.length, expected.length);
+  });
+});
@@ -0,0 +1,90 @@
+// Экономика: журнал доходов и расходов по сезонам сада и расчет затрат, прибыли и ROI по нему
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+describe('журнал и экономика сезона', { skip: skipWithoutDatabase }, () => {
+  let api;
+  let owner;
+  let garden;
+
+  before(async () => {
+    api = await startApp({ backend: 'postgres' });
+    owner = await api.registerUser();
+    // Сезон сада начинается 1 марта: сезон 2024 - с 2024-03-01 по 2025-02-28
+    garden = await api.createGarden(owner.token, { seasonStart: '2024-03-01', areaHectares: 2 });
+  });
+
+  after(() => api.close());
+
+  const addEntry = async body => {
+    const response = await api.request('POST', `/api/garden/${garden.id}/ledger`, { token: owner.token, body });
+    assert.equal(response.status, 200, response.text);
+    return response.body.entry;
+  };
+
+  it('считает сумму записи и пересчитывает ее при изменении', async () => {
+    const entry = await addEntry({ type: 'expense', category: 'fertilizers', entryDate: '2024-04-01', quantity: 10, unit: 'kg', unitPrice: 50 });
+    assert.equal(Number(entry.amount), 500);
+
+    const updated = await api.request('PUT', `/api/garden/${garden.id}/ledger/${entry.id}`, { token: owner.token, body: { quantity: 12 } });
+    assert.equal(Number(updated.body.entry.amount), 600);
+    assert.equal(updated.body.entry.category, 'fertilizers');
+
+    const removed = await api.request('DELETE', `/api/garden/${garden.id}/ledger/${entry.id}`, { token: owner.token });
+    assert.equal(removed.status, 200);
+    const again = await api.request('DELETE', `/api/garden/${garden.id}/ledger/${entry.id}`, { token: owner.token });
+    assert.equal(again.status, 404);
+  });
+
+  it('рассчитывает затраты, доход и окупаемость за сезон сада', async () => {
+    await addEntry({ type: 'expense', category: 'fertilizers', entryDate: '2024-04-01', quantity: 10, unit: 'kg', unitPrice: 50 });
+    await addEntry({ type: 'expense', category: 'equipment', entryDate: '2024-03-10', quantity: 1, unitPrice: 10000 });
+    await addEntry({ type: 'income', category: 'harvest', entryDate: '2024-09-01', quantity: 1000, unit: 'kg', unitPrice: 30 });
+    // Следующий сезон
+    await addEntry({ type: 'expense', category: 'labor', entryDate: '2025-03-05', quantity: 1, unitPrice: 100 });
+
+    const ledger = await api.request('GET', `/api/garden/${garden.id}/ledger?season=2024`, { token: owner.token });
+    assert.deepEqual(ledger.body.period, { from: '2024-03-01', to: '2025-02-28', season: 2024 });
+    assert.equal(ledger.body.entries.length, 3);
+
+    const expenses = await api.request('GET', `/api/garden/${garden.id}/ledger?season=2024&type=expense`, { token: owner.token });
+    assert.equal(expenses.body.entries.length, 2);
+
+    const response = await api.request('GET', `/api/garden/${garden.id}/economics?season=2024`, { token: owner.token });
+    assert.equal(response.status, 200);
+
+    const { data } = response.body;
+    assert.equal(data.costs, 10500);
+    assert.equal(data.capitalCosts, 10000);
+    assert.equal(data.operationalCosts, 500);
+    assert.equal(data.revenue, 30000);
+    assert.equal(data.profit, 19500);
+    assert.equal(data.yield, 1000);
+    assert.equal(data.costPerKg, 10.5);
+    assert.equal(data.roi, 295);
+    assert.deepEqual(data.expensesByCategory, { fertilizers: 500, equipment: 10000 });
+    assert.deepEqual(data.incomeByCategory, { harvest: 30000 });
+  });
+
+  it('добавляет к затратам стоимость полива по журналу поливов', async () => {
+    const response = await api.request('GET', `/api/garden/${garden.id}/economics?season=2024&laborCost=200`, { token: owner.token });
+
+    assert.equal(response.body.data.irrigation.laborCost, 200);
+    assert.equal(response.body.data.costs, 10700);
+  });
+
+  it('наблюдатель видит экономику, но не меняет журнал', async () => {
+    const viewer = await api.registerUser();
+    await api.request('POST', `/api/garden/${garden.id}/members`, { token: owner.token, body: { login: viewer.user.email, role: 'viewer' } });
+
+    const read = await api.request('GET', `/api/garden/${garden.id}/economics`, { token: viewer.token });
+    assert.equal(read.status, 200);
+
+    const write = await api.request('POST', `/api/garden/${garden.id}/ledger`, {
+      token: viewer.token,
+      body: { type: 'income', category: 'harvest', entryDate: '2024-09-02', quantity: 1, unitPrice: 1 }
+    });
+    assert.equal(write.status, 403);
+  });
+});
@@ -0,0 +1,172 @@
+// Экспорт и импорт: загрузка показаний из CSV частями с отчетом по строкам,
+// потоковая выгрузка в CSV и NDJSON с часовым поясом, периодом и выбором колонок
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+for (const backend of ['memory', 'postgres']) {
+  describe(`экспорт и импорт: ${backend}`, { skip: backend === 'postgres' && skipWithoutDatabase }, () => {
+    let api;
+    let owner;
+
+    before(async () => {
+      // Маленькие части, чтобы импорт и выгрузка прошли через несколько транзакций и страниц
+      api = await startApp({ backend, env: { IMPORT_CHUNK_SIZE: '2', EXPORT_BATCH_SIZE: '2', IMPORT_MAX_BYTES: '1024' } });
+      owner = await api.registerUser();
+    });
+
+    after(() => api.close());
+
+    // Тело запроса - сам файл, поэтому отправляем без JSON-помощника
+    const importReadings = async (gardenId, csv, query = {}) => {
+      const response = await fetch(`${api.baseUrl}/api/garden/${gardenId}/import/readings?${new URLSearchParams(query)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv', Authorization: `Bearer ${owner.token}` },
+        body: csv
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const exportData = (gardenId, dataset, query = {}) =>
+      api.request('GET', `/api/garden/${gardenId}/export/${dataset}?${new URLSearchParams(query)}`, { token: owner.token });
+
+    // Сад с пятью показаниями логгера за три дня, загруженными из файла в московском времени.
+    // Повторы отсеиваются по устройству и времени, поэтому файл привязан к устройству
+    async function gardenWithReadings() {
+      const garden = await api.createGarden(owner.token);
+      const created = await api.request('POST', `/api/garden/${garden.id}/devices`, { token: owner.token, body: { name: 'Логгер' } });
+      const deviceId = created.body.device.id;
+      const csv = [
+        'Время;Темп;Влажн;Заметка',
+        '2024-06-01 09:00;21,5;60;утро',
+        '2024-06-01 15:00;27;45;',
+        '2024-06-02 09:00;20;"62";"дождь; ветер"',
+        '2024-06-02 15:00;25;50;',
+        '2024-06-03T12:00:00Z;23;55;'
+      ].join('\r\n');
+      const mapping = JSON.stringify({ Время: 'timestamp', Темп: 'temperature', Влажн: 'humidity', Заметка: 'weatherDescription' });
+      const response = await importReadings(garden.id, csv, { mapping, delimiter: 'semicolon', timezone: 'Europe/Moscow', deviceId });
+      assert.equal(response.status, 200, JSON.stringify(response.body));
+      return { garden, deviceId, response };
+    }
+
+    it('загружает показания частями и сообщает об отклоненных строках и повторах', async () => {
+      const { garden, deviceId, response } = await gardenWithReadings();
+      assert.deepEqual(response.body.summary, { lines: 5, imported: 5, duplicates: 0, rejected: 0 });
+      assert.equal(response.body.complete, true);
+
+      const { status, body } = await importReadings(garden.id, [
+        'timestamp,temperature,soil_moisture',
+        '2024-06-01T06:00:00Z,21.5,',
+        '2024-06-04T06:00:00Z,abc,30',
+        ',20,30',
+        '2024-06-04T07:00:00Z,19,30'
+      ].join('\n'), { deviceId });
+      assert.equal(status, 200);
+      assert.deepEqual(body.summary, { lines: 4, imported: 1, duplicates: 1, rejected: 2 });
+      assert.deepEqual(body.rejected.map(item => item.line), [3, 4]);
+    });
+
+    it('отсеивает повторы файла без устройства по саду и времени', async () => {
+      const garden = await api.createGarden(owner.token);
+      const csv = 'timestamp,temperature\n2024-06-01T06:00:00Z,20\n2024-06-01T07:00:00Z,21\n2024-06-01T08:00:00Z,22\n';
+
+      assert.deepEqual((await importReadings(garden.id, csv)).body.summary, { lines: 3, imported: 3, duplicates: 0, rejected: 0 });
+      assert.deepEqual((await importReadings(garden.id, csv)).body.summary, { lines: 3, imported: 0, duplicates: 3, rejected: 0 });
+
+      // В другом саду то же время - не повтор
+      const other = await api.createGarden(owner.token);
+      assert.equal((await importReadings(other.id, csv)).body.summary.imported, 3);
+    });
+
+    it('отклоняет большой файл по Content-Length, ничего не записывая', async () => {
+      const garden = await api.createGarden(owner.token);
+      const lines = Array.from({ length: 60 }, (_, index) => `2024-06-01T${String(index % 24).padStart(2, '0')}:${String(index).padStart(2, '0')}:00Z,20`);
+      const response = await importReadings(garden.id, ['timestamp,temperature', ...lines].join('\n'));
+
+      assert.equal(response.status, 413);
+      assert.equal((await exportData(garden.id, 'readings', { format: 'ndjson' })).text.trim(), '');
+    });
+
+    it('сообщает об уже записанной части, если файл превысил размер при загрузке', async () => {
+      const garden = await api.createGarden(owner.token);
+      // Тело без Content-Length: размер виден только по мере чтения. Вторая часть приходит после записи первых строк
+      const encoder = new TextEncoder();
+      const body = new ReadableStream({
+        async start(controller) {
+          controller.enqueue(encoder.encode('timestamp,temperature\n2024-06-01T06:00:00Z,20\n2024-06-01T07:00:00Z,21\n2024-06-01T08:00:00Z,22\n'));
+          await new Promise(resolve => setTimeout(resolve, 200));
+          controller.enqueue(encoder.encode(`2024-06-01T09:00:00Z,23\n${'#'.repeat(2000)}\n`));
+          controller.close();
+        }
+      });
+      const response = await fetch(`${api.baseUrl}/api/garden/${garden.id}/import/readings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv', Authorization: `Bearer ${owner.token}` },
+        body,
+        duplex: 'half'
+      });
+      const result = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(result.complete, false);
+      assert.match(result.error, /Файл больше/);
+      assert.equal(result.summary.imported, 2);
+    });
+
+    it('не принимает файл без колонки времени', async () => {
+      const garden = await api.createGarden(owner.token);
+      const response = await importReadings(garden.id, 'temperature\n20\n');
+      assert.equal(response.status, 400);
+    });
+
+    it('выгружает CSV в заданном поясе и за период', async () => {
+      const { garden } = await gardenWithReadings();
+
+      const response = await exportData(garden.id, 'readings', {
+        columns: 'timestamp,temperature,weatherDescription', timezone: 'Europe/Moscow', delimiter: 'semicolon', from: '2024-06-01', to: '2024-06-02'
+      });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/csv/);
+      assert.deepEqual(response.text.split('\r\n'), [
+        'timestamp;temperature;weatherDescription',
+        '2024-06-01T09:00:00+03:00;21.5;утро',
+        '2024-06-01T15:00:00+03:00;27;',
+        '2024-06-02T09:00:00+03:00;20;"дождь; ветер"',
+        '2024-06-02T15:00:00+03:00;25;',
+        ''
+      ]);
+    });
+
+    it('выгружает NDJSON по всем страницам и проверяет колонки', async () => {
+      const { garden } = await gardenWithReadings();
+
+      const response = await exportData(garden.id, 'readings', { format: 'ndjson', columns: 'timestamp,humidity' });
+      const records = response.text.trim().split('\n').map(line => JSON.parse(line));
+      assert.equal(records.length, 5);
+      assert.deepEqual(records[0], { timestamp: '2024-06-01T06:00:00+00:00', humidity: 60 });
+      assert.deepEqual(records[4], { timestamp: '2024-06-03T12:00:00+00:00', humidity: 55 });
+
+      assert.equal((await exportData(garden.id, 'readings', { columns: 'timestamp,password' })).status, 400);
+    });
+
+    it(backend === 'postgres' ? 'выгружает журнал экономики по датам' : 'журнал экономики недоступен без PostgreSQL', async () => {
+      const garden = await api.createGarden(owner.token);
+
+      if (backend === 'memory') {
+        assert.equal((await exportData(garden.id, 'ledger')).status, 501);
+        return;
+      }
+
+      for (const entryDate of ['2024-05-31', '2024-06-10']) {
+        await api.request('POST', `/api/garden/${garden.id}/ledger`, {
+          token: owner.token,
+          body: { type: 'expense', category: 'fertilizers', entryDate, quantity: 2, unit: 'кг', unitPrice: 150 }
+        });
+      }
+
+      const response = await exportData(garden.id, 'ledger', { columns: 'entryDate,category,amount', from: '2024-06-01' });
+      assert.deepEqual(response.text.split('\r\n'), ['entryDate,category,amount', '2024-06-10,fertilizers,300', '']);
+    });
+  });
+}
@@ -0,0 +1,84 @@
+// Фертигация: выбор рецепта по культуре и фазе сада, корректировки доз по анализам и журнал внесения
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+describe('фертигация', { skip: skipWithoutDatabase }, () => {
+  let api;
+  let owner;
+  let garden;
+
+  before(async () => {
+    api = await startApp({ backend: 'postgres' });
+    owner = await api.registerUser();
+    // Сезон начался сегодня: сумма температур нулевая, фаза винограда - «Покой»
+    garden = await api.createGarden(owner.token, { cropType: 'grape', seasonStart: new Date().toISOString().slice(0, 10) });
+  });
+
+  after(() => api.close());
+
+  const post = async (path, body) => {
+    const response = await api.request('POST', `/api/garden/${garden.id}/${path}`, { token: owner.token, body });
+    assert.equal(response.status, 200, response.text);
+    return response.body;
+  };
+
+  const fertigation = async () => (await api.request('GET', `/api/garden/${garden.id}/fertigation-recipes`, { token: owner.token })).body;
+
+  it('без рецептов и анализов ничего не выдумывает', async () => {
+    const { data, recipes } = await fertigation();
+
+    assert.deepEqual(recipes, []);
+    assert.equal(data.recipeId, null);
+    assert.equal(data.phase, 'Покой');
+    assert.match(data.recommendations, /Нет результатов анализов/);
+  });
+
+  it('выбирает активный рецепт точнее всего подходящий культуре и фазе', async () => {
+    await post('fertigation-recipes', { name: 'Общий', targetPh: 6.2, targetEc: 1.2, nitrogen: 80 });
+    const { recipe: phaseRecipe } = await post('fertigation-recipes', {
+      name: 'Виноград в покое', targetPh: 6.0, targetEc: 1.0, nitrogen: 100, cropType: 'grape', phase: 'Покой'
+    });
+    await post('fertigation-recipes', {
+      name: 'Отключенный', targetPh: 5.8, targetEc: 0.8, cropType: 'grape', phase: 'Покой', active: false
+    });
+    await post('fertigation-recipes', { name: 'Цветение', targetPh: 6.0, targetEc: 1.6, cropType: 'grape', phase: 'Цветение' });
+
+    const { data, recipes } = await fertigation();
+    assert.equal(recipes.length, 4);
+    assert.equal(data.recipeId, phaseRecipe.id);
+    assert.equal(data.pH, 6);
+    assert.equal(data.nutrients.nitrogen, 100);
+  });
+
+  it('предлагает корректировку дозы по дефициту в почвенном анализе', async () => {
+    await post('soil-analyses', { sampleDate: '2024-04-01', nitrogen: 10, pH: 6.5 });
+
+    const { data } = await fertigation();
+    assert.deepEqual(data.issues.map(issue => [issue.source, issue.nutrient, issue.status]), [['soil', 'nitrogen', 'deficient']]);
+    assert.deepEqual(data.adjustments, [{ nutrient: 'nitrogen', current: 100, suggested: 130, changePercent: 30 }]);
+    assert.match(data.recommendations, /Дефицит азота в почве/);
+  });
+
+  it('записывает внесение только по рецепту своего сада', async () => {
+    const { recipes } = await fertigation();
+    const other = await api.createGarden(owner.token);
+    const otherRecipe = await api.request('POST', `/api/garden/${other.id}/fertigation-recipes`, {
+      token: owner.token,
+      body: { name: 'Чужой', targetPh: 6, targetEc: 1 }
+    });
+
+    const foreign = await api.request('POST', `/api/garden/${garden.id}/fertigation-events`, {
+      token: owner.token,
+      body: { recipeId: otherRecipe.body.recipe.id, volumeLiters: 100 }
+    });
+    assert.equal(foreign.status, 404);
+
+    await post('fertigation-events', { recipeId: recipes[0].id, volumeLiters: 250, actualPh: 6.1 });
+
+    const events = await api.request('GET', `/api/garden/${garden.id}/fertigation-events`, { token: owner.token });
+    assert.equal(events.body.events.length, 1);
+    assert.equal(events.body.events[0].recipe_name, recipes[0].name);
+    assert.equal(events.body.events[0].created_by, owner.user.id);
+  });
+});
@@ -0,0 +1,120 @@
+// Сады и участники: доступ только участникам, права по ролям, у сада всегда есть владелец
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('сады и участники', () => {
+  let api;
+  let owner;
+  let stranger;
+  let garden;
+
+  before(async () => {
+    api = await startApp();
+    owner = await api.registerUser();
+    stranger = await api.registerUser();
+    garden = await api.createGarden(owner.token, { latitude: 55.75, longitude: 37.62 });
+  });
+
+  after(() => api.close());
+
+  it('создатель становится владельцем и видит сад в своем списке', async () => {
+    assert.equal(garden.role, 'owner');
+
+    const list = await api.request('GET', '/api/gardens', { token: owner.token });
+    assert.deepEqual(list.body.gardens.map(item => item.id), [garden.id]);
+
+    const others = await api.request('GET', '/api/gardens', { token: stranger.token });
+    assert.deepEqual(others.body.gardens, []);
+  });
+
+  it('не пускает в сад постороннего и отличает несуществующий сад', async () => {
+    const forbidden = await api.request('GET', `/api/garden/${garden.id}`, { token: stranger.token });
+    assert.equal(forbidden.status, 403);
+
+    const missing = await api.request('GET', '/api/garden/999999', { token: owner.token });
+    assert.equal(missing.status, 404);
+
+    const anonymous = await api.request('GET', `/api/garden/${garden.id}`);
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('наблюдатель читает сад, но не меняет его', async () => {
+    const viewer = await api.registerUser();
+    const added = await api.request('POST', `/api/garden/${garden.id}/members`, {
+      token: owner.token,
+      body: { login: viewer.user.email, role: 'viewer' }
+    });
+    assert.equal(added.status, 200);
+
+    const read = await api.request('GET', `/api/garden/${garden.id}`, { token: viewer.token });
+    assert.equal(read.body.garden.role, 'viewer');
+
+    const update = await api.request('PUT', `/api/garden/${garden.id}`, { token: viewer.token, body: { name: 'Чужой' } });
+    assert.equal(update.status, 403);
+
+    const invite = await api.request('POST', `/api/garden/${garden.id}/members`, {
+      token: viewer.token,
+      body: { login: stranger.user.email, role: 'owner' }
+    });
+    assert.equal(invite.status, 403);
+  });
+
+  it('агроном обновляет только переданные поля', async () => {
+    const agronomist = await api.registerUser();
+    await api.request('POST', `/api/garden/${garden.id}/members`, {
+      token: owner.token,
+      body: { login: agronomist.user.email, role: 'agronomist' }
+    });
+
+    const updated = await api.request('PUT', `/api/garden/${garden.id}`, { token: agronomist.token, body: { name: 'Виноградник' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.garden.name, 'Виноградник');
+    assert.equal(Number(updated.body.garden.latitude), 55.75);
+
+    const remove = await api.request('DELETE', `/api/garden/${garden.id}`, { token: agronomist.token });
+    assert.equal(remove.status, 403);
+  });
+
+  it('не позволяет оставить сад без владельца', async () => {
+    const demote = await api.request('PUT', `/api/garden/${garden.id}/members/${owner.user.id}`, {
+      token: owner.token,
+      body: { role: 'viewer' }
+    });
+    assert.equal(demote.status, 400);
+
+    const leave = await api.request('DELETE', `/api/garden/${garden.id}/members/${owner.user.id}`, { token: owner.token });
+    assert.equal(leave.status, 400);
+  });
+
+  it('участник может выйти сам, но не удалить другого', async () => {
+    const own = await api.createGarden(owner.token);
+    const first = await api.registerUser();
+    const second = await api.registerUser();
+    for (const member of [first, second]) {
+      await api.request('POST', `/api/garden/${own.id}/members`, {
+        token: owner.token,
+        body: { login: member.user.email, role: 'viewer' }
+      });
+    }
+
+    const removeOther = await api.request('DELETE', `/api/garden/${own.id}/members/${second.user.id}`, { token: first.token });
+    assert.equal(removeOther.status, 403);
+
+    const leave = await api.request('DELETE', `/api/garden/${own.id}/members/${first.user.id}`, { token: first.token });
+    assert.equal(leave.status, 200);
+
+    const left = await api.request('GET', `/api/garden/${own.id}`, { token: first.token });
+    assert.equal(left.status, 403);
+  });
+
+  it('владелец удаляет сад целиком', async () => {
+    const own = await api.createGarden(owner.token);
+
+    const removed = await api.request('DELETE', `/api/garden/${own.id}`, { token: owner.token });
+    assert.equal(removed.status, 200);
+
+    const missing = await api.request('GET', `/api/garden/${own.id}`, { token: owner.token });
+    assert.equal(missing.status, 404);
+  });
+});
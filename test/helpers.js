@@ -0,0 +1,158 @@
+// Общие помощники тестов: запуск приложения на свободном порту, HTTP-запросы к API
+// и одноразовая база PostgreSQL для наборов, которым нужен TEST_DATABASE_URL
+const crypto = require('crypto');
+const path = require('path');
+const { Client } = require('pg');
+
+const SERVER_FILE = require.resolve('../server');
+const LIB_DIR = path.join(__dirname, '..', 'lib') + path.sep;
+
+// Наборы с PostgreSQL пропускаются, если не задан адрес тестового сервера
+const skipWithoutDatabase = process.env.TEST_DATABASE_URL ? false : 'не задан TEST_DATABASE_URL';
+
+// Настройки приложения по умолчанию для тестов: без тестовых данных, с быстрым bcrypt и без лимитов
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  DB_SEED: 'false',
+  JWT_SECRET: 'test-access-secret',
+  JWT_REFRESH_SECRET: 'test-refresh-secret',
+  BCRYPT_ROUNDS: '4',
+  API_RATE_LIMIT_MAX: '100000',
+  INGEST_RATE_LIMIT_MAX: '100000',
+  AUTH_RATE_LIMIT_MAX: '100000',
+  WEATHER_PROVIDER: 'stub'
+};
+
+// Создание базы с уникальным именем на тестовом сервере. Возвращает функцию удаления
+async function createTestDatabase() {
+  const url = new URL(process.env.TEST_DATABASE_URL);
+  const name = `smart_garden_test_${process.pid}_${Date.now()}`;
+
+  const admin = new Client({ connectionString: url.toString() });
+  await admin.connect();
+  await admin.query(`CREATE DATABASE ${name}`);
+  await admin.end();
+
+  // Сервер подключается по DB_*: DATABASE_URL включает SSL для облачной базы
+  delete process.env.DATABASE_URL;
+  Object.assign(process.env, {
+    DB_HOST: url.hostname,
+    DB_PORT: url.port || '5432',
+    DB_USER: decodeURIComponent(url.username),
+    DB_PASSWORD: decodeURIComponent(url.password),
+    DB_NAME: name
+  });
+
+  return async () => {
+    const client = new Client({ connectionString: url.toString() });
+    await client.connect();
+    await client.query(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+    await client.end();
+  };
+}
+
+// Запуск приложения: backend - memory или postgres (одноразовая база, миграции применяются, если не migrate: false).
+// Журнал запросов сервера скрыт, пока не задан TEST_LOGS
+async function startApp({ backend = 'memory', env = {}, migrate = true } = {}) {
+  Object.assign(process.env, TEST_ENV, { STORAGE_BACKEND: backend }, env);
+  if (!process.env.TEST_LOGS) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const dropDatabase = backend === 'postgres' ? await createTestDatabase() : null;
+  // Хранилище выбирается при загрузке модулей, поэтому каждый запуск получает свежие экземпляры server.js и lib
+  for (const file of Object.keys(require.cache)) {
+    if (file === SERVER_FILE || file.startsWith(LIB_DIR)) {
+      delete require.cache[file];
+    }
+  }
+  const server = require('../server');
+  if (backend === 'postgres' && migrate) {
+    await server.migrateUp();
+  }
+
+  const httpServer = await new Promise(resolve => {
+    const listening = server.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+  // Запрос к API: body отправляется как JSON, token - как Bearer. Возвращает { status, headers, body }
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (error) {
+      json = null;
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  // Регистрация пользователя с уникальным email. Возвращает пользователя и токены
+  let userCounter = 0;
+  async function registerUser(fields = {}) {
+    userCounter++;
+    const credentials = {
+      name: `Пользователь ${userCounter}`,
+      email: `user${userCounter}@example.com`,
+      password: 'password123',
+      ...fields
+    };
+    const response = await request('POST', '/api/users/register', { body: credentials });
+    if (response.status !== 200) {
+      throw new Error(`Регистрация не удалась: ${response.status} ${response.text}`);
+    }
+    return { ...response.body, password: credentials.password, token: response.body.accessToken };
+  }
+
+  // Сад, созданный пользователем с токеном token
+  async function createGarden(token, fields = {}) {
+    const response = await request('POST', '/api/gardens', { token, body: { name: 'Тестовый сад', ...fields } });
+    if (response.status !== 200) {
+      throw new Error(`Сад не создан: ${response.status} ${response.text}`);
+    }
+    return response.body.garden;
+  }
+
+  async function close() {
+    if (typeof httpServer.closeAllConnections === 'function') {
+      httpServer.closeAllConnections();
+    }
+    await new Promise(resolve => httpServer.close(resolve));
+    await server.pool.end();
+    if (dropDatabase) {
+      await dropDatabase();
+    }
+  }
+
+  return { ...server, baseUrl, request, registerUser, createGarden, close };
+}
+
+// Подпись сообщения устройства, как ее считает прошивка: HMAC-SHA256 строки "{timestamp}.{тело}" ключом SHA-256 ключа устройства.
+// created - ответ регистрации устройства { device, apiKey }. Время подписи растет хотя бы на 1 мс,
+// чтобы одинаковые запросы подряд не считались повтором
+let lastSignedAt = 0;
+function signDeviceMessage({ device, apiKey }, text) {
+  lastSignedAt = Math.max(Date.now(), lastSignedAt + 1);
+  const signingKey = crypto.createHash('sha256').update(apiKey).digest('hex');
+  const signature = crypto.createHmac('sha256', signingKey).update(`${lastSignedAt}.${text}`).digest('hex');
+  return { deviceId: device.id, timestamp: lastSignedAt, signature };
+}
+
+// Заголовки подписи устройства для тела body, которое request отправит как JSON
+function deviceHeaders(created, body) {
+  const { deviceId, timestamp, signature } = signDeviceMessage(created, JSON.stringify(body));
+  return { 'X-Device-Id': String(deviceId), 'X-Timestamp': String(timestamp), 'X-Signature': signature };
+}
+
+module.exports = { startApp, skipWithoutDatabase, signDeviceMessage, deviceHeaders };
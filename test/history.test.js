@@ -0,0 +1,75 @@
+// История показаний: период, выбор метрик, страницы по курсору и агрегация min/avg/max по интервалам
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+// Показания 1 мая 2024 с 10:00 до 12:50 UTC каждые 10 минут, температура - номер показания
+const START = Date.parse('2024-05-01T10:00:00Z');
+const READING_COUNT = 18;
+
+for (const backend of ['memory', 'postgres']) {
+  describe(`история показаний: ${backend}`, { skip: backend === 'postgres' && skipWithoutDatabase }, () => {
+    let api;
+    let owner;
+    let garden;
+
+    before(async () => {
+      api = await startApp({ backend });
+      owner = await api.registerUser();
+      garden = await api.createGarden(owner.token);
+
+      for (let index = 0; index < READING_COUNT; index++) {
+        await api.storage.readings.insert(garden.id, null, { temperature: index, humidity: 50 }, new Date(START + index * 600000));
+      }
+    });
+
+    after(() => api.close());
+
+    const history = query => api.request('GET', `/api/garden/${garden.id}/history?${new URLSearchParams(query)}`, { token: owner.token });
+
+    it('отдает сырые показания от новых к старым страницами по курсору без пропусков и повторов', async () => {
+      const seen = [];
+      let cursor;
+      do {
+        const response = await history({ limit: 7, ...(cursor ? { cursor } : {}) });
+        assert.equal(response.status, 200);
+        seen.push(...response.body.data.map(row => Number(row.temperature)));
+        cursor = response.body.pagination.nextCursor;
+      } while (cursor);
+
+      assert.deepEqual(seen, Array.from({ length: READING_COUNT }, (_, index) => READING_COUNT - 1 - index));
+    });
+
+    it('ограничивает период и набор метрик', async () => {
+      const response = await history({ from: '2024-05-01T11:00:00Z', to: '2024-05-01T11:30:00Z', metrics: 'temperature' });
+
+      assert.deepEqual(response.body.data.map(row => Number(row.temperature)), [9, 8, 7, 6]);
+      assert.equal(response.body.data[0].humidity, undefined);
+    });
+
+    it('агрегирует показания по часам от старых к новым', async () => {
+      const response = await history({ interval: 'hour', metrics: 'temperature' });
+
+      assert.equal(response.body.interval, 'hour');
+      assert.deepEqual(response.body.data.map(bucket => bucket.count), [6, 6, 6]);
+      assert.deepEqual(response.body.data[1].temperature, { min: 6, avg: 8.5, max: 11 });
+    });
+
+    it('листает агрегаты по курсору', async () => {
+      const first = await history({ interval: 'hour', limit: 2 });
+      assert.equal(first.body.data.length, 2);
+      assert.equal(first.body.pagination.hasMore, true);
+
+      const second = await history({ interval: 'hour', limit: 2, cursor: first.body.pagination.nextCursor });
+      assert.equal(second.body.data.length, 1);
+      assert.equal(second.body.data[0].temperature.min, 12);
+      assert.equal(second.body.pagination.nextCursor, null);
+    });
+
+    it('отклоняет неизвестную метрику, обратный период и испорченный курсор', async () => {
+      assert.equal((await history({ metrics: 'pressure' })).status, 400);
+      assert.equal((await history({ from: '2024-05-02', to: '2024-05-01' })).status, 400);
+      assert.equal((await history({ cursor: 'garbage' })).status, 400);
+    });
+  });
+}
@@ -0,0 +1,151 @@
+// Правила полива: пороговое условие с удержанием, расписание, пропуск по погоде,
+// пробный режим и пауза между срабатываниями
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000);
+
+describe('правила полива', { skip: skipWithoutDatabase }, () => {
+  let api;
+  let owner;
+
+  before(async () => {
+    api = await startApp({ backend: 'postgres' });
+    owner = await api.registerUser();
+  });
+
+  after(() => api.close());
+
+  // Сад с показаниями влажности почвы: [[минут назад, значение], ...]
+  async function gardenWithMoisture(readings) {
+    const garden = await api.createGarden(owner.token, { latitude: 45.04, longitude: 38.98 });
+    for (const [minutes, soilMoisture] of readings) {
+      await api.storage.readings.insert(garden.id, null, { soilMoisture }, minutesAgo(minutes));
+    }
+    return garden;
+  }
+
+  const createRule = async (gardenId, fields) => {
+    const response = await api.request('POST', `/api/garden/${gardenId}/irrigation-rules`, {
+      token: owner.token,
+      body: { name: 'Сухая почва', type: 'threshold', durationMinutes: 15, metric: 'soilMoisture', operator: '<', threshold: 30, ...fields }
+    });
+    assert.equal(response.status, 200, response.text);
+    return response.body.rule;
+  };
+
+  const evaluate = async (gardenId, ruleId) =>
+    (await api.request('POST', `/api/garden/${gardenId}/irrigation-rules/${ruleId}/evaluate`, { token: owner.token })).body.data;
+
+  const runs = async (gardenId, ruleId) =>
+    (await api.request('GET', `/api/garden/${gardenId}/irrigation-rules/${ruleId}/runs`, { token: owner.token })).body.data;
+
+  it('срабатывает, только если порог держится все окно удержания', async () => {
+    const dry = await gardenWithMoisture([[40, 25], [20, 20], [5, 22]]);
+    const dryRule = await createRule(dry.id, { sustainMinutes: 30 });
+    const dryCheck = await evaluate(dry.id, dryRule.id);
+    assert.equal(dryCheck.wouldTrigger, true);
+    assert.equal(dryCheck.action, 'start');
+
+    const watered = await gardenWithMoisture([[40, 25], [20, 35], [5, 22]]);
+    const wateredRule = await createRule(watered.id, { sustainMinutes: 30 });
+    assert.equal((await evaluate(watered.id, wateredRule.id)).wouldTrigger, false);
+  });
+
+  it('не срабатывает по устаревшим показаниям', async () => {
+    const garden = await gardenWithMoisture([[180, 10]]);
+    const rule = await createRule(garden.id);
+
+    assert.equal((await evaluate(garden.id, rule.id)).wouldTrigger, false);
+  });
+
+  it('пробная оценка ничего не запускает и не пишет в журнал', async () => {
+    const garden = await gardenWithMoisture([[5, 10]]);
+    const rule = await createRule(garden.id);
+
+    assert.equal((await evaluate(garden.id, rule.id)).wouldTrigger, true);
+
+    const status = await api.request('GET', `/api/garden/${garden.id}/watering`, { token: owner.token });
+    assert.equal(status.body.data.isWatering, false);
+    assert.deepEqual(await runs(garden.id, rule.id), []);
+  });
+
+  it('пропускает полив по прогнозу осадков', async () => {
+    const garden = await gardenWithMoisture([[5, 10]]);
+    const rule = await createRule(garden.id, { skipIfRainMm: 0 });
+
+    const check = await evaluate(garden.id, rule.id);
+    assert.equal(check.action, 'skipped');
+    assert.ok('rainfall' in check.details.weather);
+    assert.equal(check.details.weather.source, 'stub');
+  });
+
+  it('срабатывает по расписанию в часовом поясе правила', async () => {
+    const garden = await api.createGarden(owner.token);
+    const now = new Date();
+    const timeOfDay = `${String(now.getUTCHours()).padStart(2, '0')}:${String(now.getUTCMinutes()).padStart(2, '0')}`;
+
+    const rule = await createRule(garden.id, { type: 'schedule', timeOfDay, timezone: 'UTC', metric: null, operator: null, threshold: null });
+    assert.equal((await evaluate(garden.id, rule.id)).wouldTrigger, true);
+
+    const other = await createRule(garden.id, { type: 'schedule', timeOfDay, timezone: 'Asia/Kamchatka', metric: null, operator: null, threshold: null });
+    assert.equal((await evaluate(garden.id, other.id)).wouldTrigger, false);
+  });
+
+  it('движок запускает полив по правилу и выдерживает паузу до следующего срабатывания', async () => {
+    const garden = await gardenWithMoisture([[5, 10]]);
+    const rule = await createRule(garden.id, { cooldownMinutes: 60 });
+
+    await api.evaluateIrrigationRules();
+
+    const [run] = await runs(garden.id, rule.id);
+    assert.equal(run.action, 'started');
+    const status = await api.request('GET', `/api/garden/${garden.id}/watering`, { token: owner.token });
+    assert.equal(status.body.data.isWatering, true);
+
+    await api.request('POST', `/api/garden/${garden.id}/watering/stop`, { token: owner.token });
+    await api.evaluateIrrigationRules();
+    assert.equal((await runs(garden.id, rule.id)).length, 1);
+  });
+
+  it('в пробном режиме движок только записывает срабатывание', async () => {
+    const garden = await gardenWithMoisture([[5, 10]]);
+    const rule = await createRule(garden.id, { dryRun: true });
+
+    await api.evaluateIrrigationRules();
+
+    const [run] = await runs(garden.id, rule.id);
+    assert.equal(run.action, 'would_start');
+    const status = await api.request('GET', `/api/garden/${garden.id}/watering`, { token: owner.token });
+    assert.equal(status.body.data.isWatering, false);
+  });
+});
+
+describe('правила полива без данных о погоде', { skip: skipWithoutDatabase }, () => {
+  let api;
+
+  // Провайдер replay без файла падает на каждом запросе - как недоступный сервис погоды
+  before(async () => {
+    api = await startApp({ backend: 'postgres', env: { WEATHER_PROVIDER: 'replay', WEATHER_REPLAY_FILE: '' } });
+  });
+
+  after(() => api.close());
+
+  it('не подставляет выдуманную погоду и не применяет пропуск по погоде', async () => {
+    const owner = await api.registerUser();
+    const garden = await api.createGarden(owner.token, { latitude: 45.04, longitude: 38.98 });
+    await api.storage.readings.insert(garden.id, null, { soilMoisture: 10 }, minutesAgo(5));
+
+    const created = await api.request('POST', `/api/garden/${garden.id}/irrigation-rules`, {
+      token: owner.token,
+      body: { name: 'Сухая почва', type: 'threshold', durationMinutes: 15, metric: 'soilMoisture', operator: '<', threshold: 30, skipIfRainMm: 0 }
+    });
+    assert.equal(created.status, 200, created.text);
+
+    const check = await api.request('POST', `/api/garden/${garden.id}/irrigation-rules/${created.body.rule.id}/evaluate`, { token: owner.token });
+    assert.equal(check.body.data.action, 'start');
+    assert.match(check.body.data.reason, /нет данных о погоде/);
+    assert.deepEqual(check.body.data.details.weather, { source: null, available: false });
+  });
+});
@@ -0,0 +1,68 @@
+// Миграции PostgreSQL: применение с нуля, полный откат и перенос базы, созданной до появления миграций
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+const MIGRATION_COUNT = fs.readdirSync(path.join(__dirname, '..', 'migrations')).filter(file => /^\d+_[\w-]+\.js$/.test(file)).length;
+
+async function listTables(pool) {
+  const result = await pool.query(`
+    SELECT table_name FROM information_schema.tables
+    WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
+    ORDER BY table_name
+  `);
+  return result.rows.map(row => row.table_name);
+}
+
+describe('миграции', { skip: skipWithoutDatabase }, () => {
+  let api;
+
+  before(async () => {
+    api = await startApp({ backend: 'postgres', migrate: false });
+  });
+
+  after(() => api.close());
+
+  it('переносит базу исходной схемы: сады-заглушки и одна строка настроек полива на сад', async () => {
+    const applied = await api.migrateUp({ to: 1 });
+    assert.equal(applied.length, 1);
+
+    await api.pool.query(`INSERT INTO garden_data (garden_id, temperature, humidity) VALUES (7, 21.5, 60)`);
+    await api.pool.query(`
+      INSERT INTO watering_settings (garden_id, selected_minutes, updated_at) VALUES
+        (7, 5, '2024-01-01'), (7, 15, '2024-03-01'), (7, 25, '2024-02-01'), (9, 10, '2024-01-01')
+    `);
+
+    const rest = await api.migrateUp();
+    assert.equal(rest.length, MIGRATION_COUNT - 1);
+
+    const gardens = await api.pool.query('SELECT id FROM gardens ORDER BY id');
+    assert.deepEqual(gardens.rows.map(row => row.id), [7, 9]);
+
+    const settings = await api.pool.query('SELECT garden_id, selected_minutes FROM watering_settings ORDER BY garden_id');
+    assert.deepEqual(settings.rows, [{ garden_id: 7, selected_minutes: 15 }, { garden_id: 9, selected_minutes: 10 }]);
+
+    // Новый сад не конфликтует с заглушками по id
+    const created = await api.pool.query(`INSERT INTO gardens (name) VALUES ('Новый') RETURNING id`);
+    assert.equal(created.rows[0].id, 10);
+  });
+
+  it('откатывает все миграции, сохраняя таблицы исходной схемы с данными, и применяет их заново', async () => {
+    const rolledBack = await api.migrateDown({ steps: MIGRATION_COUNT });
+    assert.equal(rolledBack.length, MIGRATION_COUNT);
+
+    assert.deepEqual(await listTables(api.pool), ['garden_data', 'schema_migrations', 'users', 'watering_settings']);
+    const readings = await api.pool.query('SELECT COUNT(*)::int AS count FROM garden_data');
+    assert.equal(readings.rows[0].count, 1);
+
+    const applied = await api.migrateUp();
+    assert.equal(applied.length, MIGRATION_COUNT);
+    assert.ok((await listTables(api.pool)).includes('verification_codes'));
+  });
+
+  it('повторный запуск не применяет уже примененные миграции', async () => {
+    assert.deepEqual(await api.migrateUp(), []);
+  });
+});
@@ -0,0 +1,117 @@
+// MQTT-мост со встроенным брокером Aedes: показания с подписью устройства сохраняются,
+// запуск и остановка полива публикуются командами в {prefix}/{gardenId}/cmd
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const mqtt = require('mqtt');
+const { startApp, signDeviceMessage } = require('./helpers');
+
+// Следующее сообщение в топике
+function nextMessage(client, topic) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off('message', onMessage);
+      reject(new Error(`Нет сообщения в ${topic}`));
+    }, 5000);
+    function onMessage(messageTopic, message) {
+      if (messageTopic === topic) {
+        clearTimeout(timer);
+        client.off('message', onMessage);
+        resolve(JSON.parse(message.toString()));
+      }
+    }
+    client.on('message', onMessage);
+  });
+}
+
+describe('MQTT-мост', () => {
+  let api;
+  let broker;
+  let brokerServer;
+  let bridge;
+  let device;
+  let owner;
+  let garden;
+
+  before(async () => {
+    broker = require('aedes')();
+    brokerServer = net.createServer(broker.handle);
+    await new Promise(resolve => brokerServer.listen(0, '127.0.0.1', resolve));
+    const url = `mqtt://127.0.0.1:${brokerServer.address().port}`;
+
+    api = await startApp();
+    owner = await api.registerUser();
+    garden = await api.createGarden(owner.token);
+    const created = await api.request('POST', `/api/garden/${garden.id}/devices`, {
+      token: owner.token,
+      body: { name: 'Контроллер', type: 'controller' }
+    });
+    device = created.body;
+
+    // Мост готов, когда подписался на телеметрию
+    const subscribed = new Promise(resolve => broker.on('subscribe', (subscriptions, client) => {
+      if (client.id.startsWith('smart-garden-backend-')) {
+        resolve();
+      }
+    }));
+    bridge = api.startMqttBridge({ url });
+    await subscribed;
+
+    device.client = mqtt.connect(url);
+    await new Promise(resolve => device.client.once('connect', resolve));
+    await device.client.subscribeAsync([`garden/${garden.id}/telemetry/result`, `garden/${garden.id}/cmd`]);
+  });
+
+  after(async () => {
+    await device.client.endAsync();
+    await bridge.stop();
+    await api.close();
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => brokerServer.close(resolve));
+  });
+
+  // Подписанный конверт: payload - строка JSON, ключ устройства в сообщение не попадает
+  const publishSigned = (created, reading) => {
+    const payload = JSON.stringify(reading);
+    device.client.publish(`garden/${garden.id}/telemetry`, JSON.stringify({ ...signDeviceMessage(created, payload), payload }));
+  };
+
+  it('сохраняет показание, опубликованное с подписью устройства', async () => {
+    const result = nextMessage(device.client, `garden/${garden.id}/telemetry/result`);
+    publishSigned(device, { temperature: 21.5, humidity: 60 });
+    assert.equal((await result).success, true);
+
+    const current = await api.request('GET', `/api/garden/${garden.id}/current-data`, { token: owner.token });
+    assert.equal(current.body.data.metrics.temperature.value, 21.5);
+    assert.equal(current.body.data.metrics.humidity.value, 60);
+  });
+
+  it('отклоняет показание с чужой подписью и с ключом в открытом виде', async () => {
+    const forged = nextMessage(device.client, `garden/${garden.id}/telemetry/result`);
+    publishSigned({ ...device, apiKey: 'sg_invalid' }, { temperature: 30 });
+    assert.deepEqual(await forged, { success: false, error: 'Недействительная подпись устройства' });
+
+    const plain = nextMessage(device.client, `garden/${garden.id}/telemetry/result`);
+    device.client.publish(`garden/${garden.id}/telemetry`, JSON.stringify({ apiKey: device.apiKey, temperature: 30 }));
+    assert.equal((await plain).success, false);
+  });
+
+  it('публикует команды запуска и остановки полива', async () => {
+    const startCommand = nextMessage(device.client, `garden/${garden.id}/cmd`);
+    const started = await api.request('POST', `/api/garden/${garden.id}/watering/start`, { token: owner.token, body: { minutes: 5 } });
+    assert.equal(started.status, 200);
+
+    const start = await startCommand;
+    assert.equal(start.command, 'start');
+    assert.equal(start.durationSeconds, 300);
+    assert.equal(start.runId, started.body.run.id);
+
+    const stopCommand = nextMessage(device.client, `garden/${garden.id}/cmd`);
+    const stopped = await api.request('POST', `/api/garden/${garden.id}/watering/stop`, { token: owner.token });
+    assert.equal(stopped.status, 200);
+
+    const stop = await stopCommand;
+    assert.equal(stop.command, 'stop');
+    assert.equal(stop.runId, started.body.run.id);
+  });
+});
@@ -0,0 +1,72 @@
+// Фенология: сумма активных температур с начала сезона по суточным min/max датчиков и прогноз следующей фазы
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+// Местная дата ГГГГ-ММ-ДД за days суток до сегодня
+function localDate(daysAgo) {
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+for (const backend of ['memory', 'postgres']) {
+  describe(`фенология: ${backend}`, { skip: backend === 'postgres' && skipWithoutDatabase }, () => {
+    let api;
+    let owner;
+    let garden;
+
+    before(async () => {
+      api = await startApp({ backend });
+      owner = await api.registerUser();
+      garden = await api.createGarden(owner.token, { cropType: 'apple', seasonStart: localDate(9) });
+
+      // Девять прошедших суток: ночью 10 °C, днем 20 °C - для яблони (база 5 °C) по 10 GDD в сутки
+      for (let daysAgo = 9; daysAgo >= 1; daysAgo--) {
+        const day = new Date();
+        day.setDate(day.getDate() - daysAgo);
+        await api.storage.readings.insert(garden.id, null, { temperature: 10 }, new Date(day.getFullYear(), day.getMonth(), day.getDate(), 6));
+        await api.storage.readings.insert(garden.id, null, { temperature: 20 }, new Date(day.getFullYear(), day.getMonth(), day.getDate(), 14));
+      }
+    });
+
+    after(() => api.close());
+
+    const phenology = (query = '') => api.request('GET', `/api/garden/${garden.id}/phenology${query}`, { token: owner.token });
+
+    it('считает GDD по культуре и началу сезона сада', async () => {
+      const response = await phenology();
+      assert.equal(response.status, 200);
+
+      const { data } = response.body;
+      assert.equal(data.cropType, 'apple');
+      assert.equal(data.seasonStart, localDate(9));
+      assert.equal(data.gdd, 90);
+      assert.equal(data.sensorDays, 9);
+      assert.equal(data.missingDays, 1);
+      assert.equal(data.currentPhase, 'Набухание почек');
+      assert.equal(data.nextPhase, 'Зеленый конус');
+      assert.equal(data.gddToNextPhase, 20);
+      assert.equal(data.gddPerDay, 10);
+      assert.equal(data.daysToNextPhase, 2);
+      assert.equal(data.nextPhaseDate, localDate(-2));
+    });
+
+    it('культура и начало сезона из запроса переопределяют настройки сада', async () => {
+      const grape = await phenology('?cropType=grape');
+      assert.equal(grape.body.data.baseTemp, 10);
+      assert.equal(grape.body.data.gdd, 45);
+      assert.equal(grape.body.data.currentPhase, 'Покой');
+
+      const shorter = await phenology(`?seasonStart=${localDate(4)}`);
+      assert.equal(shorter.body.data.gdd, 40);
+    });
+
+    it('требует известную культуру', async () => {
+      const response = await phenology('?cropType=banana');
+      assert.equal(response.status, 400);
+      assert.equal(response.body.success, false);
+    });
+  });
+}
@@ -0,0 +1,178 @@
+// Ограничение частоты: отдельные квоты API, телеметрии устройств и входа,
+// блокировка входа после неудачных попыток - по аккаунту и по IP, с каждым разом длиннее
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase, deviceHeaders } = require('./helpers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Хранилище счетчиков совпадает с хранилищем данных: postgres - таблица rate_limits
+for (const backend of ['memory', 'postgres']) {
+  describe(`квоты запросов: ${backend}`, { skip: backend === 'postgres' && skipWithoutDatabase }, () => {
+    let api;
+    let owner;
+
+    // Все запросы теста идут с одного IP, поэтому квоты считаются по порядку проверок:
+    // API - 8 запросов, вход и регистрация - 2, телеметрия - 2 на устройство
+    before(async () => {
+      api = await startApp({
+        backend,
+        env: { RATE_LIMIT_STORE: backend, API_RATE_LIMIT_MAX: '8', AUTH_RATE_LIMIT_MAX: '2', INGEST_RATE_LIMIT_MAX: '2' }
+      });
+      owner = await api.registerUser();
+    });
+
+    after(() => api.close());
+
+    it('считает телеметрию по устройству отдельно от квоты API', async () => {
+      const garden = await api.createGarden(owner.token);
+      const devices = [];
+      for (const name of ['Первый', 'Второй']) {
+        const created = await api.request('POST', `/api/garden/${garden.id}/devices`, { token: owner.token, body: { name } });
+        devices.push(created.body);
+      }
+
+      const body = { temperature: 20 };
+      const send = created => api.request('POST', `/api/garden/${garden.id}/data`, { headers: deviceHeaders(created, body), body });
+      assert.equal((await send(devices[0])).status, 200);
+      const last = await send(devices[0]);
+      assert.equal(last.headers.get('ratelimit-remaining'), '0');
+
+      const limited = await send(devices[0]);
+      assert.equal(limited.status, 429);
+      assert.ok(Number(limited.headers.get('retry-after')) > 0);
+      assert.equal((await send(devices[1])).status, 200);
+
+      // Чужой X-Device-Id без верной подписи не расходует квоту устройства
+      const forged = deviceHeaders({ ...devices[1], apiKey: 'sg_forged' }, body);
+      assert.equal((await api.request('POST', `/api/garden/${garden.id}/data`, { headers: forged, body })).status, 401);
+      assert.equal((await send(devices[1])).status, 200);
+    });
+
+    it('ограничивает вход и регистрацию своей квотой', async () => {
+      const login = body => api.request('POST', '/api/users/login', { body });
+      assert.equal((await login({ login: owner.user.email, password: owner.password })).status, 200);
+
+      const limited = await login({ login: owner.user.email, password: owner.password });
+      assert.equal(limited.status, 429);
+      assert.match(limited.body.error, /Слишком много запросов/);
+    });
+
+    it('ограничивает API по IP, не считая проверку состояния', async () => {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        assert.equal((await api.request('GET', '/api/health')).status, 200);
+      }
+
+      // Израсходовано 6 из 8: регистрация, сад, два устройства и два входа
+      const gardens = () => api.request('GET', '/api/gardens', { token: owner.token });
+      const first = await gardens();
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get('ratelimit-limit'), '8');
+      assert.equal(first.headers.get('ratelimit-remaining'), '1');
+      assert.equal((await gardens()).status, 200);
+
+      const limited = await gardens();
+      assert.equal(limited.status, 429);
+      assert.match(limited.headers.get('ratelimit-policy'), /^8;w=60$/);
+    });
+  });
+}
+
+describe('блокировка входа по аккаунту', () => {
+  let api;
+
+  before(async () => {
+    api = await startApp({ env: { RATE_LIMIT_STORE: 'memory', LOGIN_MAX_FAILURES: '2', LOGIN_MAX_FAILURES_PER_IP: '1000', LOGIN_LOCKOUT_MS: '300' } });
+  });
+
+  after(() => api.close());
+
+  const login = (user, password = user.password) => api.request('POST', '/api/users/login', { body: { login: user.user.email, password } });
+
+  it('блокирует аккаунт после неудачных попыток, каждый раз вдвое дольше', async () => {
+    const user = await api.registerUser();
+
+    assert.equal((await login(user, 'wrong')).status, 401);
+    assert.equal((await login(user, 'wrong')).status, 401);
+    // Во время блокировки не принимается и верный пароль
+    assert.equal((await login(user)).status, 429);
+
+    await sleep(350);
+    assert.equal((await login(user, 'wrong')).status, 401);
+    assert.equal((await login(user, 'wrong')).status, 401);
+
+    // Вторая блокировка - 600 мс
+    await sleep(400);
+    assert.equal((await login(user)).status, 429);
+    await sleep(300);
+    assert.equal((await login(user)).status, 200);
+  });
+
+  it('блокирует и незарегистрированный логин', async () => {
+    const unknown = { user: { email: 'nobody@example.com' }, password: 'password123' };
+    assert.equal((await login(unknown)).status, 401);
+    assert.equal((await login(unknown)).status, 401);
+    assert.equal((await login(unknown)).status, 429);
+  });
+
+  it('успешный вход обнуляет счетчик неудач аккаунта', async () => {
+    const user = await api.registerUser();
+    for (let attempt = 0; attempt < 3; attempt++) {
+      assert.equal((await login(user, 'wrong')).status, 401);
+      assert.equal((await login(user)).status, 200);
+    }
+  });
+});
+
+describe('блокировка входа по IP', () => {
+  let api;
+
+  before(async () => {
+    api = await startApp({ env: { RATE_LIMIT_STORE: 'memory', LOGIN_MAX_FAILURES: '1000', LOGIN_MAX_FAILURES_PER_IP: '3' } });
+  });
+
+  after(() => api.close());
+
+  it('перебор по разным аккаунтам блокирует вход с этого IP', async () => {
+    const user = await api.registerUser();
+    for (const email of ['a@example.com', 'b@example.com', 'c@example.com']) {
+      const response = await api.request('POST', '/api/users/login', { body: { login: email, password: 'wrong' } });
+      assert.equal(response.status, 401);
+    }
+
+    const locked = await api.request('POST', '/api/users/login', { body: { login: user.user.email, password: user.password } });
+    assert.equal(locked.status, 429);
+    assert.match(locked.body.error, /неудачных попыток входа/);
+  });
+});
+
+describe('блокировка входа с длинным логином: postgres', { skip: skipWithoutDatabase }, () => {
+  let api;
+
+  before(async () => {
+    api = await startApp({ backend: 'postgres', env: { RATE_LIMIT_STORE: 'postgres', LOGIN_MAX_FAILURES: '2', LOGIN_MAX_FAILURES_PER_IP: '1000' } });
+  });
+
+  after(() => api.close());
+
+  const login = value => api.request('POST', '/api/users/login', { body: { login: value, password: 'wrong' } });
+
+  it('отклоняет слишком длинный логин проверкой запроса', async () => {
+    const response = await login('x'.repeat(300));
+    assert.equal(response.status, 400);
+  });
+
+  it('считает неудачи для логина предельной длины, ключ счетчика - хеш логина', async () => {
+    const value = `${'x'.repeat(88)}@example.com`;
+    assert.equal((await login(value)).status, 401);
+    assert.equal((await login(value)).status, 401);
+    assert.equal((await login(value.toUpperCase())).status, 429);
+
+    const { rows } = await api.pool.query("SELECT key FROM rate_limits WHERE key LIKE 'login-%account:%'");
+    assert.ok(rows.length > 0);
+    for (const { key } of rows) {
+      assert.doesNotMatch(key, /example\.com/);
+      assert.match(key, /account:[0-9a-f]{64}$/);
+    }
+  });
+});
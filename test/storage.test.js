@@ -0,0 +1,112 @@
+// Показания, погода и оповещения идут через хранилище и работают на обоих бэкендах.
+// Без PostgreSQL (STORAGE_BACKEND=memory) разделы, данные которых есть только в базе, отвечают 501
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+// Одни и те же сценарии на обоих хранилищах: PostgreSQL - только с TEST_DATABASE_URL
+for (const backend of ['memory', 'postgres']) {
+  describe(`показания, погода и оповещения: ${backend}`, { skip: backend === 'postgres' && skipWithoutDatabase }, () => {
+    let api;
+    let owner;
+    let garden;
+
+    before(async () => {
+      api = await startApp({ backend });
+      owner = await api.registerUser();
+      garden = await api.createGarden(owner.token, { cropType: 'grape', latitude: 45.04, longitude: 38.98 });
+
+      // Сырая теплая погода последние 12 часов - условия для болезней
+      const now = Date.now();
+      for (let hours = 12; hours >= 1; hours--) {
+        await api.storage.readings.insert(garden.id, null, { temperature: 22, humidity: 95 }, new Date(now - hours * 3600000));
+      }
+    });
+
+    after(() => api.close());
+
+    it('рассчитывает фенологическую фазу по показаниям датчиков', async () => {
+      const response = await api.request('GET', `/api/garden/${garden.id}/phenology`, { token: owner.token });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+      assert.ok(response.body.data.currentPhase);
+    });
+
+    it('оценивает риск болезней и заводит оповещения, которые можно подтвердить', async () => {
+      const recommendations = await api.request('GET', `/api/garden/${garden.id}/complex-recommendations`, { token: owner.token });
+      assert.equal(recommendations.status, 200);
+      assert.equal(recommendations.body.data.conditions.humidity, 95);
+      assert.ok(recommendations.body.data.activeIssues.length > 0);
+
+      const alerts = await api.request('GET', `/api/garden/${garden.id}/alerts?status=open`, { token: owner.token });
+      assert.equal(alerts.status, 200);
+      assert.equal(alerts.body.alerts.length, recommendations.body.data.activeIssues.length);
+
+      const [alert] = alerts.body.alerts;
+      const acknowledged = await api.request('POST', `/api/garden/${garden.id}/alerts/${alert.id}/acknowledge`, { token: owner.token });
+      assert.equal(acknowledged.status, 200);
+      assert.equal(acknowledged.body.alert.status, 'acknowledged');
+      assert.equal(acknowledged.body.alert.acknowledged_by, owner.user.id);
+
+      const again = await api.request('POST', `/api/garden/${garden.id}/alerts/${alert.id}/acknowledge`, { token: owner.token });
+      assert.equal(again.status, 404);
+    });
+
+    it('сохраняет погоду сада', async () => {
+      const response = await api.request('GET', `/api/garden/${garden.id}/weather`, { token: owner.token });
+      assert.equal(response.status, 200);
+      assert.ok(response.body.data.forecast.length > 0);
+
+      const stored = await api.storage.weather.listDaily(garden.id, {});
+      assert.equal(stored.length, response.body.data.forecast.length + response.body.data.history.length + 1);
+    });
+
+    it('выгружает показания и журнал поливов', async () => {
+      const readings = await api.request('GET', `/api/garden/${garden.id}/export/readings?format=ndjson&columns=timestamp,humidity`, { token: owner.token });
+      assert.equal(readings.status, 200);
+      const rows = readings.text.trim().split('\n').map(line => JSON.parse(line));
+      assert.equal(rows.length, 12);
+      assert.deepEqual(Object.keys(rows[0]), ['timestamp', 'humidity']);
+      assert.ok(rows[0].timestamp < rows[11].timestamp);
+
+      const watering = await api.request('GET', `/api/garden/${garden.id}/export/watering`, { token: owner.token });
+      assert.equal(watering.status, 200);
+      assert.match(watering.text, /^id,startedAt,/);
+    });
+  });
+}
+
+describe('хранилище в памяти без PostgreSQL', () => {
+  let api;
+  let owner;
+  let garden;
+
+  before(async () => {
+    api = await startApp();
+    owner = await api.registerUser();
+    garden = await api.createGarden(owner.token);
+  });
+
+  after(() => api.close());
+
+  it('отвечает 501 в разделах, доступных только с PostgreSQL', async () => {
+    for (const path of ['fertigation-recipes', 'economics', 'water-balance', 'alert-rules', 'export/ledger', 'soil-analyses']) {
+      const response = await api.request('GET', `/api/garden/${garden.id}/${path}`, { token: owner.token });
+      assert.equal(response.status, 501, path);
+      assert.equal(response.body.success, false);
+    }
+
+    const pushToken = await api.request('POST', `/api/users/${owner.user.id}/push-tokens`, {
+      token: owner.token,
+      body: { token: 'ExponentPushToken[test]' }
+    });
+    assert.equal(pushToken.status, 501);
+  });
+
+  it('отмечает в OpenAPI маршруты, требующие PostgreSQL', async () => {
+    const response = await api.request('GET', '/api/openapi.json');
+    assert.equal(response.status, 200);
+    assert.ok(response.body.paths['/api/garden/{gardenId}/water-balance'].get.responses[501]);
+    assert.equal(response.body.paths['/api/garden/{gardenId}/phenology'].get.responses[501], undefined);
+  });
+});
@@ -0,0 +1,212 @@
+// Поток событий (SSE): показания и полив только по садам пользователя, досылка пропущенного
+// по Last-Event-ID и уведомление об исключении из сада
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApp, deviceHeaders } = require('./helpers');
+
+// Подключение к потоку: события копятся в events, next(event) ждет следующее событие с этим именем
+async function openStream(api, query, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${api.baseUrl}/api/stream?${new URLSearchParams(query)}`, { headers, signal: controller.signal });
+  const events = [];
+  const waiters = [];
+
+  const pump = async () => {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        return;
+      }
+      buffer += value;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n').filter(line => !line.startsWith(':') && line.includes(': '))
+          .map(line => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)]));
+        if (fields.event) {
+          events.push({ id: fields.id ? parseInt(fields.id) : null, event: fields.event, data: JSON.parse(fields.data) });
+          waiters.splice(0).forEach(check => check());
+        }
+      }
+    }
+  };
+  if (response.status === 200) {
+    pump().catch(() => {});
+  }
+
+  let consumed = 0;
+  function next(event) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Нет события ${event}`)), 5000);
+      const check = () => {
+        const index = events.findIndex((entry, position) => position >= consumed && entry.event === event);
+        if (index === -1) {
+          waiters.push(check);
+          return;
+        }
+        consumed = index + 1;
+        clearTimeout(timer);
+        resolve(events[index]);
+      };
+      check();
+    });
+  }
+
+  return { status: response.status, events, next, close: () => controller.abort() };
+}
+
+describe('поток событий', () => {
+  let api;
+  let owner;
+  let garden;
+  let otherGarden;
+  let device;
+  let otherDevice;
+
+  before(async () => {
+    api = await startApp({ env: { STREAM_HEARTBEAT_MS: '100' } });
+    owner = await api.registerUser();
+    garden = await api.createGarden(owner.token);
+    otherGarden = await api.createGarden(owner.token);
+    device = (await api.request('POST', `/api/garden/${garden.id}/devices`, { token: owner.token, body: { name: 'Датчик' } })).body;
+    otherDevice = (await api.request('POST', `/api/garden/${otherGarden.id}/devices`, { token: owner.token, body: { name: 'Датчик' } })).body;
+  });
+
+  after(() => api.close());
+
+  const sendReading = (gardenId, created, temperature) => api.request('POST', `/api/garden/${gardenId}/data`, {
+    headers: deviceHeaders(created, { temperature }),
+    body: { temperature }
+  });
+
+  it('требует токен и членство в запрошенных садах', async () => {
+    assert.equal((await openStream(api, {})).status, 401);
+
+    const stranger = await api.registerUser();
+    const forbidden = await openStream(api, { access_token: stranger.token, gardenId: garden.id });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it('присылает показания и полив только выбранного сада', async () => {
+    const stream = await openStream(api, { access_token: owner.token, gardenId: garden.id });
+    const ready = await stream.next('ready');
+    assert.deepEqual(ready.data.gardenIds, [garden.id]);
+
+    await sendReading(otherGarden.id, otherDevice, 30);
+    await sendReading(garden.id, device, 21.5);
+    const reading = await stream.next('reading');
+    assert.equal(reading.data.gardenId, garden.id);
+    assert.equal(Number(reading.data.reading.temperature), 21.5);
+
+    await api.request('POST', `/api/garden/${garden.id}/watering/start`, { token: owner.token, body: { minutes: 5 } });
+    const watering = await stream.next('watering');
+    assert.equal(watering.data.action, 'start');
+    assert.equal(watering.data.watering.isWatering, true);
+
+    await api.request('POST', `/api/garden/${garden.id}/watering/stop`, { token: owner.token });
+    assert.equal((await stream.next('watering')).data.action, 'stop');
+
+    assert.ok(stream.events.every(event => event.data.gardenId === undefined || event.data.gardenId === garden.id));
+    stream.close();
+  });
+
+  it('досылает пропущенные события после переподключения', async () => {
+    const first = await openStream(api, { access_token: owner.token }, { Authorization: `Bearer ${owner.token}` });
+    await first.next('ready');
+    await sendReading(garden.id, device, 10);
+    const seen = await first.next('reading');
+    first.close();
+
+    await sendReading(garden.id, device, 11);
+    await sendReading(otherGarden.id, otherDevice, 12);
+
+    const second = await openStream(api, { gardenId: garden.id }, { Authorization: `Bearer ${owner.token}`, 'Last-Event-ID': String(seen.id) });
+    const ready = await second.next('ready');
+    assert.equal(ready.data.replayed, 1);
+    const replayed = second.events.filter(event => event.event === 'reading');
+    assert.deepEqual(replayed.map(event => Number(event.data.reading.temperature)), [11]);
+    second.close();
+  });
+
+  it('сообщает об исключении из сада и перестает присылать его события', async () => {
+    const member = await api.registerUser();
+    await api.request('POST', `/api/garden/${garden.id}/members`, { token: owner.token, body: { login: member.user.email, role: 'viewer' } });
+
+    const stream = await openStream(api, { access_token: member.token });
+    await stream.next('ready');
+
+    await api.request('DELETE', `/api/garden/${garden.id}/members/${member.user.id}`, { token: owner.token });
+    const revoked = await stream.next('revoked');
+    assert.equal(revoked.data.gardenId, garden.id);
+
+    await sendReading(garden.id, device, 15);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.ok(!stream.events.some(event => event.event === 'reading'));
+    stream.close();
+  });
+
+  it('не оставляет таймеров и подписчиков, если клиент сразу отключился', async () => {
+    const timers = () => process.getActiveResourcesInfo().filter(resource => resource === 'Timeout').length;
+    const before = timers();
+
+    // Снимок полива готовится медленно, чтобы обрыв после заголовков пришелся на его ожидание
+    const getSettings = api.storage.watering.getSettings;
+    api.storage.watering.getSettings = async (...args) => {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return getSettings.apply(api.storage.watering, args);
+    };
+
+    // Обрыв до ответа (пока проверяются токен и сады) и сразу после заголовков (пока готовится снимок полива)
+    const dropped = [];
+    for (const dropOn of ['send', 'send', 'response', 'response']) {
+      dropped.push(new Promise(resolve => {
+        const request = http.get(`${api.baseUrl}/api/stream?access_token=${owner.token}`);
+        request.on('error', () => resolve());
+        request.on('close', resolve);
+        if (dropOn === 'send') {
+          request.on('socket', socket => socket.on('connect', () => setImmediate(() => request.destroy())));
+        } else {
+          request.on('response', () => request.destroy());
+        }
+      }));
+    }
+    await Promise.all(dropped);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    api.storage.watering.getSettings = getSettings;
+
+    assert.ok(timers() <= before, `таймеров было ${before}, стало ${timers()}`);
+
+    // Живой поток по-прежнему получает события
+    const stream = await openStream(api, { access_token: owner.token, gardenId: garden.id });
+    await stream.next('ready');
+    await sendReading(garden.id, device, 16);
+    assert.equal(Number((await stream.next('reading')).data.reading.temperature), 16);
+    stream.close();
+  });
+});
+
+describe('поток событий с истекающим токеном', () => {
+  let api;
+
+  before(async () => {
+    api = await startApp({ env: { STREAM_HEARTBEAT_MS: '100', ACCESS_TOKEN_TTL: '2s' } });
+  });
+
+  after(async () => {
+    delete process.env.ACCESS_TOKEN_TTL;
+    await api.close();
+  });
+
+  it('закрывает поток, когда истекает access-токен', async () => {
+    const user = await api.registerUser();
+    const stream = await openStream(api, { access_token: user.token });
+    await stream.next('ready');
+
+    const expired = await stream.next('expired');
+    assert.match(expired.data.reason, /токена истек/);
+  });
+});
@@ -0,0 +1,87 @@
+// Пользователи: хеширование паролей, вход и ротация токенов сессии
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('пользователи и сессии', () => {
+  let api;
+
+  before(async () => {
+    api = await startApp();
+  });
+
+  after(() => api.close());
+
+  it('хранит пароль только в виде bcrypt-хеша и не отдает его в ответах', async () => {
+    const { user } = await api.registerUser({ email: 'hash@example.com', password: 'secret-pass' });
+
+    assert.equal(user.password, undefined);
+    const stored = await api.storage.users.getPassword(user.id);
+    assert.match(stored, /^\$2[aby]\$\d{2}\$/);
+    assert.notEqual(stored, 'secret-pass');
+  });
+
+  it('отклоняет повторную регистрацию с тем же email', async () => {
+    await api.registerUser({ email: 'twice@example.com' });
+    const response = await api.request('POST', '/api/users/register', {
+      body: { name: 'Двойник', email: 'twice@example.com', password: 'password123' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.success, false);
+  });
+
+  it('выдает токены при входе и одинаково отвечает на неверный пароль и неизвестный логин', async () => {
+    await api.registerUser({ email: 'login@example.com', password: 'right-pass' });
+
+    const ok = await api.request('POST', '/api/users/login', { body: { login: 'login@example.com', password: 'right-pass' } });
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.accessToken);
+    assert.ok(ok.body.refreshToken);
+    assert.equal(ok.body.user.password, undefined);
+
+    const wrongPassword = await api.request('POST', '/api/users/login', { body: { login: 'login@example.com', password: 'wrong' } });
+    const unknownLogin = await api.request('POST', '/api/users/login', { body: { login: 'nobody@example.com', password: 'wrong' } });
+    assert.equal(wrongPassword.status, 401);
+    assert.deepEqual(unknownLogin.body, wrongPassword.body);
+  });
+
+  it('ротирует refresh-токен: старый после обновления недействителен', async () => {
+    const { refreshToken } = await api.registerUser();
+
+    const first = await api.request('POST', '/api/users/refresh', { body: { refreshToken } });
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refreshToken, refreshToken);
+
+    const reused = await api.request('POST', '/api/users/refresh', { body: { refreshToken } });
+    assert.equal(reused.status, 401);
+  });
+
+  it('отзывает refresh-токен при выходе', async () => {
+    const { refreshToken } = await api.registerUser();
+
+    const logout = await api.request('POST', '/api/users/logout', { body: { refreshToken } });
+    assert.equal(logout.status, 200);
+
+    const refresh = await api.request('POST', '/api/users/refresh', { body: { refreshToken } });
+    assert.equal(refresh.status, 401);
+  });
+
+  it('отдает профиль только его владельцу', async () => {
+    const alice = await api.registerUser();
+    const bob = await api.registerUser();
+
+    const anonymous = await api.request('GET', `/api/users/${alice.user.id}`);
+    assert.equal(anonymous.status, 401);
+
+    const own = await api.request('GET', `/api/users/${alice.user.id}`, { token: alice.token });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.user.email, alice.user.email);
+
+    const foreign = await api.request('GET', `/api/users/${alice.user.id}`, { token: bob.token });
+    assert.equal(foreign.status, 403);
+
+    const forged = await api.request('GET', `/api/users/${alice.user.id}`, { token: 'not-a-jwt' });
+    assert.equal(forged.status, 401);
+  });
+});
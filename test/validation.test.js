@@ -0,0 +1,113 @@
+// Проверка запросов: поля проверяются схемой маршрута, связи между полями - обработчиком.
+// Ошибки в обоих случаях приходят в одном формате { success: false, error, errors: [{ field, in, message }] }
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+function assertValidationError(response, field, location = 'body') {
+  assert.equal(response.status, 400);
+  assert.equal(response.body.success, false);
+  assert.ok(
+    response.body.errors.some(error => error.field === field && error.in === location),
+    `нет ошибки поля ${field}: ${response.text}`
+  );
+}
+
+describe('проверка запросов по схеме', () => {
+  let api;
+  let owner;
+  let garden;
+
+  before(async () => {
+    api = await startApp();
+    owner = await api.registerUser();
+    garden = await api.createGarden(owner.token);
+  });
+
+  after(() => api.close());
+
+  it('отклоняет поля сада вне диапазона', async () => {
+    const response = await api.request('POST', '/api/gardens', { token: owner.token, body: { name: 'Сад', latitude: 91 } });
+    assertValidationError(response, 'latitude');
+  });
+
+  it('отклоняет регистрацию без пароля', async () => {
+    const response = await api.request('POST', '/api/users/register', { body: { name: 'Без пароля', email: 'nopass@example.com' } });
+    assertValidationError(response, 'password');
+  });
+
+  it('отклоняет неизвестную роль участника и пустое название устройства', async () => {
+    const member = await api.request('POST', `/api/garden/${garden.id}/members`, {
+      token: owner.token,
+      body: { login: owner.user.email, role: 'admin' }
+    });
+    assertValidationError(member, 'role');
+
+    const device = await api.request('POST', `/api/garden/${garden.id}/devices`, { token: owner.token, body: { name: ' ' } });
+    assertValidationError(device, 'name');
+  });
+
+  it('отклоняет неизвестный статус оповещений и часовой пояс выгрузки', async () => {
+    const alerts = await api.request('GET', `/api/garden/${garden.id}/alerts?status=closed`, { token: owner.token });
+    assertValidationError(alerts, 'status', 'query');
+
+    const exported = await api.request('GET', `/api/garden/${garden.id}/export/readings?timezone=Mars/Olympus`, { token: owner.token });
+    assertValidationError(exported, 'timezone', 'query');
+  });
+
+  it('проверяет общую длительность полива в том же формате', async () => {
+    const response = await api.request('POST', `/api/garden/${garden.id}/watering/start`, {
+      token: owner.token,
+      body: { hours: 0, minutes: 0 }
+    });
+    assertValidationError(response, null);
+  });
+});
+
+describe('проверка связей между полями', { skip: skipWithoutDatabase }, () => {
+  let api;
+  let owner;
+  let garden;
+
+  before(async () => {
+    api = await startApp({ backend: 'postgres' });
+    owner = await api.registerUser();
+    garden = await api.createGarden(owner.token);
+  });
+
+  after(() => api.close());
+
+  const post = (path, body) => api.request('POST', `/api/garden/${garden.id}/${path}`, { token: owner.token, body });
+
+  it('категория записи журнала должна относиться к ее типу', async () => {
+    const response = await post('ledger', { type: 'income', category: 'fuel', entryDate: '2024-05-01', quantity: 1, unitPrice: 10 });
+    assertValidationError(response, 'category');
+  });
+
+  it('период from не может быть позже to', async () => {
+    const response = await api.request('GET', `/api/garden/${garden.id}/ledger?from=2024-05-02&to=2024-05-01`, { token: owner.token });
+    assertValidationError(response, 'from', 'query');
+  });
+
+  it('правилам нужны поля их типа', async () => {
+    assertValidationError(await post('irrigation-rules', { name: 'Утро', type: 'schedule', durationMinutes: 10 }), 'timeOfDay');
+    assertValidationError(await post('alert-rules', { name: 'Жара', type: 'threshold', metric: 'temperature', operator: '>' }), 'threshold');
+    assertValidationError(await post('alert-rules', { name: 'Тишина', type: 'no_data' }), 'noDataMinutes');
+  });
+
+  it('адрес канала должен соответствовать типу', async () => {
+    assertValidationError(await post('notification-channels', { type: 'email', target: 'not-an-email' }), 'target');
+    assertValidationError(await post('notification-channels', { type: 'push', target: 'https://example.com' }), 'target');
+  });
+
+  it('фаза рецепта должна быть фазой его культуры, глубина пробы - расти вниз', async () => {
+    const recipe = await post('fertigation-recipes', { name: 'Рецепт', targetPh: 6, targetEc: 1.5, cropType: 'grape', phase: 'Колошение' });
+    assertValidationError(recipe, 'phase');
+
+    const analysis = await post('soil-analyses', { sampleDate: '2024-04-01', depthFromCm: 30, depthToCm: 10, pH: 6.5 });
+    assertValidationError(analysis, 'depthToCm');
+
+    const tooAcid = await post('soil-analyses', { sampleDate: '2024-04-01', pH: 15 });
+    assertValidationError(tooAcid, 'pH');
+  });
+});
@@ -0,0 +1,155 @@
+// Подтверждение email и телефона одноразовым кодом и сброс пароля:
+// пауза перед повторной отправкой, ограничение попыток, отзыв сессий после сброса
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+// Локальный SMS-шлюз: запоминает тела запросов { to, text }
+async function startSmsGateway() {
+  const messages = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      messages.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    messages,
+    url: `http://127.0.0.1:${server.address().port}/send`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+for (const backend of ['memory', 'postgres']) {
+  describe(`подтверждение контактов и сброс пароля: ${backend}`, { skip: backend === 'postgres' && skipWithoutDatabase }, () => {
+    let api;
+    let gateway;
+    // Коды на email отправитель console дописывает в файл (NDJSON)
+    const codeFile = path.join(os.tmpdir(), `smart-garden-codes-${process.pid}-${backend}.ndjson`);
+
+    before(async () => {
+      gateway = await startSmsGateway();
+      api = await startApp({
+        backend,
+        env: {
+          EMAIL_CODE_SENDER: 'console',
+          CODE_SENDER_FILE: codeFile,
+          SMS_CODE_SENDER: 'sms',
+          SMS_GATEWAY_URL: gateway.url,
+          VERIFICATION_CODE_RESEND_MS: '200',
+          VERIFICATION_CODE_MAX_ATTEMPTS: '3'
+        }
+      });
+    });
+
+    after(async () => {
+      await api.close();
+      await gateway.close();
+      await fs.promises.rm(codeFile, { force: true });
+    });
+
+    // Последний код пользователю на email. Сброс пароля отправляет код без ожидания, а запись о коде
+    // появляется после отправки, поэтому ждем и строку в файле, и саму запись
+    async function lastCode(user, purpose) {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const lines = fs.existsSync(codeFile) ? fs.readFileSync(codeFile, 'utf8').trim().split('\n').filter(Boolean) : [];
+        const sent = lines.map(line => JSON.parse(line)).filter(item => item.target === user.user.email && item.purpose === purpose).pop();
+        if (sent && await api.storage.verificationCodes.findLatest(user.user.id, purpose, 'email')) {
+          return sent.text.match(/\d{6}/)[0];
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      throw new Error(`Код для ${user.user.email} не отправлен`);
+    }
+
+    const requestCode = (user, channel) =>
+      api.request('POST', `/api/users/${user.user.id}/verification`, { token: user.token, body: { channel } });
+    const confirmCode = (user, channel, code) =>
+      api.request('POST', `/api/users/${user.user.id}/verification/confirm`, { token: user.token, body: { channel, code } });
+    // Неверный код той же длины
+    const wrongCode = code => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+    it('подтверждает email кодом и не отправляет коды чаще паузы', async () => {
+      const user = await api.registerUser();
+
+      assert.equal((await requestCode(user, 'email')).status, 200);
+      const repeated = await requestCode(user, 'email');
+      assert.equal(repeated.status, 429);
+      assert.ok(repeated.headers.get('retry-after'));
+
+      const code = await lastCode(user, 'verify');
+      const wrong = await confirmCode(user, 'email', wrongCode(code));
+      assert.equal(wrong.status, 400);
+      assert.match(wrong.body.error, /Осталось попыток: 2/);
+
+      const confirmed = await confirmCode(user, 'email', code);
+      assert.equal(confirmed.status, 200, confirmed.text);
+      assert.ok(confirmed.body.user.email_verified_at);
+
+      await new Promise(resolve => setTimeout(resolve, 250));
+      assert.equal((await requestCode(user, 'email')).status, 409);
+    });
+
+    it('подтверждает телефон через SMS-шлюз и требует указанный контакт', async () => {
+      const user = await api.registerUser({ phone: '+79001234567' });
+
+      assert.equal((await requestCode(user, 'phone')).status, 200);
+      const [message] = gateway.messages.filter(item => item.to === '+79001234567');
+      const confirmed = await confirmCode(user, 'phone', message.text.match(/\d{6}/)[0]);
+      assert.ok(confirmed.body.user.phone_verified_at);
+
+      const withoutPhone = await api.registerUser();
+      assert.equal((await requestCode(withoutPhone, 'phone')).status, 400);
+      // Чужие контакты подтверждать нельзя
+      const other = await api.request('POST', `/api/users/${user.user.id}/verification`, { token: withoutPhone.token, body: { channel: 'email' } });
+      assert.equal(other.status, 403);
+    });
+
+    it('гасит код после исчерпания попыток', async () => {
+      const user = await api.registerUser();
+      await requestCode(user, 'email');
+      const code = await lastCode(user, 'verify');
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        assert.equal((await confirmCode(user, 'email', wrongCode(code))).status, 400);
+      }
+      const exhausted = await confirmCode(user, 'email', code);
+      assert.equal(exhausted.status, 400);
+      assert.match(exhausted.body.error, /запросите новый/);
+    });
+
+    it('сбрасывает пароль кодом, отзывает сессии и подтверждает контакт', async () => {
+      const user = await api.registerUser();
+      const login = user.user.email;
+
+      const unknown = await api.request('POST', '/api/users/password-reset', { body: { login: 'nobody@example.com' } });
+      const known = await api.request('POST', '/api/users/password-reset', { body: { login } });
+      assert.equal(known.status, 200);
+      assert.equal(unknown.body.message, known.body.message);
+
+      const code = await lastCode(user, 'password_reset');
+      const reset = body => api.request('POST', '/api/users/password-reset/confirm', { body: { login, ...body } });
+      assert.equal((await reset({ code: wrongCode(code), password: 'new-password' })).status, 400);
+      assert.equal((await reset({ code, password: 'new-password' })).status, 200);
+      // Код одноразовый
+      assert.equal((await reset({ code, password: 'other-password' })).status, 400);
+
+      const refreshed = await api.request('POST', '/api/users/refresh', { body: { refreshToken: user.refreshToken } });
+      assert.equal(refreshed.status, 401);
+      assert.equal((await api.request('POST', '/api/users/login', { body: { login, password: user.password } })).status, 401);
+
+      const signedIn = await api.request('POST', '/api/users/login', { body: { login, password: 'new-password' } });
+      assert.equal(signedIn.status, 200);
+      assert.ok(signedIn.body.user.email_verified_at);
+    });
+  });
+}
@@ -0,0 +1,108 @@
+// Водный баланс (FAO-56): суточный дефицит по погоде и поливам из журнала,
+// сохранение завершившихся суток и рекомендуемая норма полива
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+// Местная дата ГГГГ-ММ-ДД со сдвигом на offset суток
+function localDate(offset) {
+  const date = new Date();
+  date.setDate(date.getDate() + offset);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Погода - заглушка провайдера: сухие дни с постоянной температурой, влажностью, ветром и радиацией
+describe('водный баланс', { skip: skipWithoutDatabase }, () => {
+  let api;
+  let owner;
+
+  before(async () => {
+    api = await startApp({ backend: 'postgres' });
+    owner = await api.registerUser();
+  });
+
+  after(() => api.close());
+
+  const waterBalance = gardenId => api.request('GET', `/api/garden/${gardenId}/water-balance`, { token: owner.token });
+
+  const orchard = fields => api.createGarden(owner.token, {
+    cropType: 'apple', seasonStart: localDate(-20), latitude: 45.04, longitude: 38.98, ...fields
+  });
+
+  it('требует координаты и культуру сада', async () => {
+    const withoutLocation = await api.createGarden(owner.token, { cropType: 'apple' });
+    assert.equal((await waterBalance(withoutLocation.id)).status, 400);
+
+    const withoutCrop = await api.createGarden(owner.token, { latitude: 45.04, longitude: 38.98 });
+    assert.equal((await waterBalance(withoutCrop.id)).status, 400);
+  });
+
+  it('накапливает дефицит на ETc и сохраняет завершившиеся сутки', async () => {
+    const garden = await orchard();
+
+    const response = await waterBalance(garden.id);
+    assert.equal(response.status, 200, response.text);
+    const { data } = response.body;
+
+    assert.equal(data.soilType, 'loam');
+    assert.equal(data.totalAvailableWater, 160);
+    assert.equal(data.readilyAvailableWater, 80);
+    assert.equal(data.recommendation.irrigate, false);
+    assert.equal(data.warnings.length, 2);
+
+    let deficit = 0;
+    for (const day of data.days) {
+      assert.equal(day.et0Method, 'penman-monteith');
+      assert.equal(day.kc, data.kc);
+      assert.equal(day.etc, round(day.et0 * day.kc));
+      deficit += day.et0 * day.kc;
+      assert.ok(Math.abs(day.deficit - deficit) < 0.05, `${day.date}: ${day.deficit} != ${deficit}`);
+    }
+
+    const stored = await api.pool.query('SELECT date FROM water_balance_daily WHERE garden_id = $1', [garden.id]);
+    assert.equal(stored.rows.length, data.days.filter(day => day.date < localDate(0)).length);
+    assert.ok(stored.rows.length > 0);
+  });
+
+  it('учитывает полив из журнала с КПД системы', async () => {
+    const garden = await orchard({ areaHectares: 0.5 });
+    const startedAt = new Date(`${localDate(-2)}T10:00:00`);
+    await api.pool.query(
+      `INSERT INTO watering_log (garden_id, started_at, planned_end_at, duration_seconds, water_volume)
+       VALUES ($1, $2, $2, 600, 10)`,
+      [garden.id, startedAt]
+    );
+
+    const { data } = (await waterBalance(garden.id)).body;
+    // 10 м³ * 0.9 на 0.5 га - 1.8 мм слоя
+    const watered = data.days.find(day => day.date === localDate(-2));
+    assert.equal(watered.irrigation, 1.8);
+    const previous = data.days.find(day => day.date === localDate(-3));
+    assert.ok(Math.abs(watered.deficit - Math.max(0, previous.deficit + watered.etc - 1.8)) < 0.05);
+  });
+
+  it('рекомендует полив до полной влагоемкости, когда израсходована легкодоступная влага', async () => {
+    const garden = await orchard({ soilType: 'sand', areaHectares: 2, irrigationFlowRate: 5 });
+    // Сохраненный дефицит до окна пересчета - начальный для расчета
+    await api.pool.query(
+      'INSERT INTO water_balance_daily (garden_id, date, deficit_mm) VALUES ($1, $2, 60)',
+      [garden.id, localDate(-10)]
+    );
+
+    const { data } = (await waterBalance(garden.id)).body;
+    assert.equal(data.totalAvailableWater, 70);
+    assert.ok(data.deficit > 60);
+
+    const { recommendation } = data;
+    assert.equal(recommendation.irrigate, true);
+    assert.equal(recommendation.nextIrrigationDate, localDate(0));
+    assert.equal(recommendation.netDepthMm, data.expectedDeficit);
+    assert.equal(recommendation.grossDepthMm, round(data.expectedDeficit / 0.9));
+    assert.ok(Math.abs(recommendation.waterVolume - recommendation.grossDepthMm * 20) < 0.5);
+    assert.equal(recommendation.runMinutes, Math.ceil((recommendation.waterVolume / 5) * 60));
+    assert.deepEqual(data.warnings, []);
+  });
+});
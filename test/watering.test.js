@@ -0,0 +1,102 @@
+// Ручной полив: запуск и остановка с журналом, оставшееся время по end_time, права по ролям
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+for (const backend of ['memory', 'postgres']) {
+  describe(`полив: ${backend}`, { skip: backend === 'postgres' && skipWithoutDatabase }, () => {
+    let api;
+    let owner;
+
+    before(async () => {
+      api = await startApp({ backend });
+      owner = await api.registerUser();
+    });
+
+    after(() => api.close());
+
+    const call = (method, gardenId, path, body) => api.request(method, `/api/garden/${gardenId}/watering${path}`, { token: owner.token, body });
+
+    it('запускает полив один раз и считает оставшееся время', async () => {
+      const garden = await api.createGarden(owner.token);
+
+      const started = await call('POST', garden.id, '/start', { hours: 1, minutes: 30 });
+      assert.equal(started.status, 200);
+      assert.equal(started.body.data.isWatering, true);
+      assert.ok(started.body.data.timeLeft > 5390 && started.body.data.timeLeft <= 5400);
+      assert.equal(started.body.run.source, 'manual');
+
+      const status = await call('GET', garden.id, '');
+      assert.equal(status.body.data.isWatering, true);
+      assert.equal(status.body.data.selectedHours, 1);
+      assert.equal(status.body.data.selectedMinutes, 30);
+
+      const again = await call('POST', garden.id, '/start', { minutes: 5 });
+      assert.equal(again.status, 409);
+    });
+
+    it('останавливает полив и записывает его в журнал', async () => {
+      const garden = await api.createGarden(owner.token);
+      const started = await call('POST', garden.id, '/start', { minutes: 10 });
+
+      const stopped = await call('POST', garden.id, '/stop');
+      assert.equal(stopped.status, 200);
+      assert.equal(stopped.body.data.isWatering, false);
+      assert.equal(stopped.body.data.timeLeft, 0);
+      assert.equal(stopped.body.run.id, started.body.run.id);
+      assert.equal(stopped.body.run.stop_reason, 'manual');
+
+      assert.equal((await call('POST', garden.id, '/stop')).status, 409);
+
+      const log = await call('GET', garden.id, '/log');
+      assert.equal(log.body.data.length, 1);
+      assert.equal(log.body.data[0].duration_seconds, 600);
+      assert.equal(log.body.data[0].user_id, owner.user.id);
+    });
+
+    it('не считает поливом запуск, время которого истекло', async () => {
+      const garden = await api.createGarden(owner.token);
+      const startedAt = new Date(Date.now() - 20 * 60000);
+      await api.storage.watering.start(garden.id, {
+        hours: 0, minutes: 10, durationSeconds: 600, startedAt, endTime: new Date(startedAt.getTime() + 600000), userId: owner.user.id, source: 'manual', ruleId: null
+      });
+
+      const status = await call('GET', garden.id, '');
+      assert.equal(status.body.data.isWatering, false);
+      assert.equal(status.body.data.timeLeft, 0);
+    });
+
+    it('запускает полив после истекшего, не дожидаясь таймера, и закрывает прежний как завершенный', async () => {
+      const garden = await api.createGarden(owner.token);
+      const startedAt = new Date(Date.now() - 20 * 60000);
+      const endTime = new Date(startedAt.getTime() + 600000);
+      await api.storage.watering.start(garden.id, {
+        hours: 0, minutes: 10, durationSeconds: 600, startedAt, endTime, userId: owner.user.id, source: 'manual', ruleId: null
+      });
+
+      const started = await call('POST', garden.id, '/start', { minutes: 5 });
+      assert.equal(started.status, 200);
+      assert.equal(started.body.data.isWatering, true);
+
+      const log = await call('GET', garden.id, '/log');
+      assert.equal(log.body.data.length, 2);
+      const previous = log.body.data[1];
+      assert.equal(previous.stop_reason, 'completed');
+      assert.equal(new Date(previous.ended_at).getTime(), endTime.getTime());
+      assert.equal(previous.actual_seconds, 600);
+      assert.equal(log.body.data[0].ended_at, null);
+    });
+
+    it('наблюдатель видит состояние, но не управляет поливом', async () => {
+      const garden = await api.createGarden(owner.token);
+      const viewer = await api.registerUser();
+      await api.request('POST', `/api/garden/${garden.id}/members`, { token: owner.token, body: { login: viewer.user.email, role: 'viewer' } });
+
+      const status = await api.request('GET', `/api/garden/${garden.id}/watering`, { token: viewer.token });
+      assert.equal(status.status, 200);
+
+      const start = await api.request('POST', `/api/garden/${garden.id}/watering/start`, { token: viewer.token, body: { minutes: 5 } });
+      assert.equal(start.status, 403);
+    });
+  });
+}
@@ -0,0 +1,144 @@
+// Погода: ответ провайдера кэшируется по координатам, при его недоступности отдается устаревший кэш,
+// сутки сохраняются в историю сада
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApp } = require('./helpers');
+
+// Местная дата ГГГГ-ММ-ДД со сдвигом на offset суток
+function localDate(offset) {
+  const date = new Date();
+  date.setDate(date.getDate() + offset);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Локальная замена Open-Meteo: отвечает в формате API, пока failing === false, и считает запросы
+async function startOpenMeteo() {
+  const state = { requests: 0, failing: false };
+  const server = http.createServer((req, res) => {
+    state.requests++;
+    if (state.failing) {
+      res.writeHead(503);
+      return res.end();
+    }
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const time = [];
+    for (let offset = -Number(query.get('past_days')); offset < Number(query.get('forecast_days')); offset++) {
+      time.push(localDate(offset));
+    }
+    const series = value => time.map(() => value);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      current: {
+        time: `${localDate(0)}T12:00`,
+        temperature_2m: 24.5,
+        relative_humidity_2m: 55,
+        precipitation: 0.2,
+        wind_speed_10m: 3.1,
+        dew_point_2m: 14.6
+      },
+      daily: {
+        time,
+        temperature_2m_min: series(12),
+        temperature_2m_max: series(25),
+        temperature_2m_mean: series(18.5),
+        precipitation_sum: series(1.5),
+        et0_fao_evapotranspiration: series(3.8),
+        relative_humidity_2m_mean: series(60),
+        wind_speed_10m_mean: series(2.2),
+        shortwave_radiation_sum: series(17)
+      }
+    }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { state, url: `http://127.0.0.1:${server.address().port}/v1/forecast`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+describe('погода сада', () => {
+  let api;
+  let provider;
+  let owner;
+
+  before(async () => {
+    provider = await startOpenMeteo();
+    api = await startApp({ env: { WEATHER_PROVIDER: 'open-meteo', OPEN_METEO_URL: provider.url, WEATHER_CACHE_TTL_MS: '300000' } });
+    owner = await api.registerUser();
+  });
+
+  after(async () => {
+    await api.close();
+    await provider.close();
+  });
+
+  const weather = gardenId => api.request('GET', `/api/garden/${gardenId}/weather`, { token: owner.token });
+
+  it('требует координаты сада', async () => {
+    const garden = await api.createGarden(owner.token);
+    assert.equal((await weather(garden.id)).status, 400);
+  });
+
+  it('отдает текущую погоду, прогноз и сохраненную историю', async () => {
+    const garden = await api.createGarden(owner.token, { latitude: 45.041, longitude: 38.979 });
+
+    const response = await weather(garden.id);
+    assert.equal(response.status, 200);
+
+    const { data } = response.body;
+    assert.equal(data.provider, 'open-meteo');
+    assert.equal(data.cached, false);
+    assert.equal(data.current.temperature, 24.5);
+    assert.equal(data.today.date, localDate(0));
+    assert.equal(data.forecast.length, 6);
+    assert.equal(data.history.length, 7);
+    assert.deepEqual(
+      { date: data.history[0].date, precipitation: data.history[0].precipitation, isForecast: data.history[0].isForecast },
+      { date: localDate(-7), precipitation: 1.5, isForecast: false }
+    );
+  });
+
+  it('соседние сады с теми же округленными координатами обходятся одним запросом к провайдеру', async () => {
+    const first = await api.createGarden(owner.token, { latitude: 50.001, longitude: 30.001 });
+    const second = await api.createGarden(owner.token, { latitude: 50.002, longitude: 30.004 });
+    const requestsBefore = provider.state.requests;
+
+    await weather(first.id);
+    const cached = await weather(second.id);
+    assert.equal(cached.body.data.cached, true);
+    assert.equal(provider.state.requests, requestsBefore + 1);
+  });
+});
+
+describe('погода при недоступном провайдере', () => {
+  let api;
+  let provider;
+  let owner;
+
+  before(async () => {
+    provider = await startOpenMeteo();
+    // Кэш устаревает сразу: каждый запрос идет к провайдеру
+    api = await startApp({ env: { WEATHER_PROVIDER: 'open-meteo', OPEN_METEO_URL: provider.url, WEATHER_CACHE_TTL_MS: '1' } });
+    owner = await api.registerUser();
+  });
+
+  after(async () => {
+    await api.close();
+    await provider.close();
+  });
+
+  const weather = gardenId => api.request('GET', `/api/garden/${gardenId}/weather`, { token: owner.token });
+
+  it('отдает устаревший кэш, а без кэша - ошибку', async () => {
+    const garden = await api.createGarden(owner.token, { latitude: 40, longitude: 40 });
+    assert.equal((await weather(garden.id)).body.data.stale, false);
+
+    provider.state.failing = true;
+    const stale = await weather(garden.id);
+    assert.equal(stale.status, 200);
+    assert.equal(stale.body.data.stale, true);
+    assert.equal(stale.body.data.current.temperature, 24.5);
+
+    const fresh = await api.createGarden(owner.token, { latitude: 10, longitude: 10 });
+    assert.equal((await weather(fresh.id)).status, 500);
+  });
+});
@@ -0,0 +1,137 @@
+// Webhook-каналы уведомлений: адреса внутренней сети отклоняются при сохранении и при отправке,
+// в журнал доставки попадает только код ответа
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApp, skipWithoutDatabase } = require('./helpers');
+
+// Локальный получатель webhook: отвечает 400 с телом, которое не должно попасть в журнал
+async function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('internal secret: db password is hunter2');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    received,
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Ждем, пока доставка из очереди перестанет быть pending
+async function waitForDelivery(api, gardenId, token) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const response = await api.request('GET', `/api/garden/${gardenId}/notifications`, { token });
+    const [delivery] = response.body.data;
+    if (delivery && delivery.status !== 'pending') {
+      return delivery;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Доставка не завершилась');
+}
+
+describe('webhook без списка разрешенных хостов', { skip: skipWithoutDatabase }, () => {
+  let api;
+  let receiver;
+  let owner;
+  let garden;
+
+  before(async () => {
+    receiver = await startReceiver();
+    api = await startApp({ backend: 'postgres', env: { WEBHOOK_ALLOWED_HOSTS: '' } });
+    owner = await api.registerUser();
+    garden = await api.createGarden(owner.token);
+  });
+
+  after(async () => {
+    await api.close();
+    await receiver.close();
+  });
+
+  it('не сохраняет канал с локальным, частным или link-local адресом', async () => {
+    for (const target of [
+      receiver.url,
+      'http://localhost:8080/hook',
+      'http://10.0.0.5/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]:3000/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://2130706433/hook'
+    ]) {
+      const response = await api.request('POST', `/api/garden/${garden.id}/notification-channels`, {
+        token: owner.token,
+        body: { type: 'webhook', target }
+      });
+      assert.equal(response.status, 400, target);
+      assert.equal(response.body.errors[0].field, 'target');
+    }
+  });
+
+  it('тестовое уведомление не уходит во внутреннюю сеть, даже если канал сохранен раньше', async () => {
+    // Канал, созданный до появления проверки адресов
+    const created = await api.pool.query(
+      `INSERT INTO notification_channels (garden_id, type, target) VALUES ($1, 'webhook', $2) RETURNING id`,
+      [garden.id, receiver.url]
+    );
+
+    const test = await api.request('POST', `/api/garden/${garden.id}/notification-channels/${created.rows[0].id}/test`, { token: owner.token });
+    assert.equal(test.status, 200);
+
+    const delivery = await waitForDelivery(api, garden.id, owner.token);
+    assert.equal(delivery.status, 'failed');
+    assert.match(delivery.last_error, /внутренний адрес/);
+    assert.equal(receiver.received.length, 0);
+  });
+});
+
+describe('webhook на разрешенный хост', { skip: skipWithoutDatabase }, () => {
+  let api;
+  let receiver;
+  let owner;
+  let garden;
+
+  before(async () => {
+    receiver = await startReceiver();
+    api = await startApp({ backend: 'postgres', env: { WEBHOOK_ALLOWED_HOSTS: '127.0.0.1' } });
+    owner = await api.registerUser();
+    garden = await api.createGarden(owner.token);
+  });
+
+  after(async () => {
+    await api.close();
+    await receiver.close();
+  });
+
+  it('доставляет с подписью и сохраняет в журнал только код ответа', async () => {
+    const channel = await api.request('POST', `/api/garden/${garden.id}/notification-channels`, {
+      token: owner.token,
+      body: { type: 'webhook', target: receiver.url, secret: 'webhook-secret' }
+    });
+    assert.equal(channel.status, 200);
+
+    const other = await api.request('POST', `/api/garden/${garden.id}/notification-channels`, {
+      token: owner.token,
+      body: { type: 'webhook', target: 'https://example.com/hook' }
+    });
+    assert.equal(other.status, 400);
+
+    await api.request('POST', `/api/garden/${garden.id}/notification-channels/${channel.body.channel.id}/test`, { token: owner.token });
+
+    const delivery = await waitForDelivery(api, garden.id, owner.token);
+    assert.equal(receiver.received.length, 1);
+    assert.equal(receiver.received[0].body.event, 'test');
+    assert.match(receiver.received[0].headers['x-smartgarden-signature'], /^sha256=[0-9a-f]{64}$/);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.last_error, 'HTTP 400');
+  });
+});